@@ -0,0 +1,181 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { GraphQLError } from 'graphql';
+import { assertEditable, assertJoinable, getEndTime } from './lifecycle';
+import { remainingSpots } from './registration';
+import { ParsedSessionInput, assertValidSessionTimes, badUserInput } from './validation';
+import { withRoom } from './venues';
+
+// Sessions are shown on their event's clock, so they're loaded with its zone
+export const WITH_TIME_ZONE = {
+  event: { select: { timeZone: true } }
+} satisfies Prisma.EventSessionInclude;
+
+// Parallel tracks share start times, so ties go by title
+const SESSION_ORDER = [
+  { startTime: 'asc' },
+  { title: 'asc' },
+  { id: 'asc' }
+] satisfies Prisma.EventSessionOrderByWithRelationInput[];
+
+const WITH_EVENT_AND_COUNTS = {
+  event: true,
+  _count: { select: { bookmarks: true, checkIns: true } }
+} satisfies Prisma.EventSessionInclude;
+
+function sessionFull(message: string) {
+  return new GraphQLError(message, { extensions: { code: 'SESSION_FULL' } });
+}
+
+// Same idea as lockEvent: seats are counted and taken under this lock
+async function findSessionForUpdate(tx: Prisma.TransactionClient, sessionId: string) {
+  await tx.$queryRaw`SELECT id FROM "EventSession" WHERE id = ${sessionId} FOR UPDATE`;
+
+  const session = await tx.eventSession.findUnique({ where: { id: sessionId }, include: WITH_EVENT_AND_COUNTS });
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  return session;
+}
+
+export async function findEventSession(prisma: PrismaClient | Prisma.TransactionClient, sessionId: string) {
+  const session = await prisma.eventSession.findUnique({ where: { id: sessionId }, include: WITH_TIME_ZONE });
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  return session;
+}
+
+export function listSessions(prisma: PrismaClient, eventId: string) {
+  return prisma.eventSession.findMany({ where: { eventId }, include: WITH_TIME_ZONE, orderBy: SESSION_ORDER });
+}
+
+// The user's bookmarked sessions in time order, across every event or within one
+export function listAgenda(prisma: PrismaClient, userId: string, eventId?: string | null) {
+  return prisma.eventSession.findMany({
+    where: { bookmarks: { some: { userId } }, ...(eventId && { eventId }) },
+    include: WITH_TIME_ZONE,
+    orderBy: SESSION_ORDER
+  });
+}
+
+export async function createEventSession(prisma: PrismaClient, eventId: string, input: ParsedSessionInput) {
+  const event = await prisma.event.findUnique({ where: { id: eventId } });
+  if (!event) {
+    throw new Error('Event not found');
+  }
+  assertEditable(event);
+  assertValidSessionTimes(input.startTime!, input.endTime!, { startTime: event.startTime, endTime: getEndTime(event) });
+  const data = await withRoom(prisma, event.venueId, input, { creating: true });
+
+  return prisma.eventSession.create({
+    data: {
+      eventId,
+      title: data.title!,
+      description: data.description ?? null,
+      speaker: data.speaker ?? null,
+      room: data.room ?? null,
+      roomId: data.roomId ?? null,
+      startTime: data.startTime!,
+      endTime: data.endTime!,
+      capacity: data.capacity ?? null
+    },
+    include: WITH_TIME_ZONE
+  });
+}
+
+export async function updateEventSession(prisma: PrismaClient, sessionId: string, input: ParsedSessionInput) {
+  return prisma.$transaction(async (tx) => {
+    const session = await findSessionForUpdate(tx, sessionId);
+    assertEditable(session.event);
+    const data = await withRoom(tx, session.event.venueId, input);
+
+    // The changed times are checked together with the ones left as they were
+    assertValidSessionTimes(data.startTime ?? session.startTime, data.endTime ?? session.endTime, {
+      startTime: session.event.startTime,
+      endTime: getEndTime(session.event)
+    });
+    if (data.capacity && data.capacity < session._count.bookmarks) {
+      throw badUserInput(`capacity cannot be lower than the ${session._count.bookmarks} people with this session on their agenda`);
+    }
+
+    return tx.eventSession.update({ where: { id: sessionId }, data, include: WITH_TIME_ZONE });
+  });
+}
+
+// Moving an event's start or end must not leave any of its sessions outside it
+export async function assertSessionsWithin(tx: Prisma.TransactionClient, eventId: string, startTime: Date, endTime: Date) {
+  const outside = await tx.eventSession.count({
+    where: { eventId, OR: [{ startTime: { lt: startTime } }, { endTime: { gt: endTime } }] }
+  });
+  if (outside > 0) {
+    throw badUserInput(`${outside} session(s) would fall outside the event's new startTime and endTime`);
+  }
+}
+
+// Puts the session on the user's agenda, taking one of its seats. Only attendees of the
+// event can; bookmarking twice is a no-op.
+export async function bookmarkSession(prisma: PrismaClient, sessionId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const session = await findSessionForUpdate(tx, sessionId);
+    assertJoinable(session.event);
+
+    const registration = await tx.registration.findUnique({
+      where: { userId_eventId: { userId, eventId: session.eventId } }
+    });
+    if (!registration) {
+      throw new GraphQLError('Join the event before adding its sessions to your agenda', { extensions: { code: 'NOT_REGISTERED' } });
+    }
+
+    const existing = await tx.sessionBookmark.findUnique({ where: { sessionId_userId: { sessionId, userId } } });
+    if (!existing) {
+      if (remainingSpots(session.capacity, session._count.bookmarks) === 0) {
+        throw sessionFull('Every seat in this session is taken');
+      }
+      await tx.sessionBookmark.create({ data: { sessionId, userId } });
+    }
+
+    return findEventSession(tx, sessionId);
+  });
+}
+
+export async function removeBookmark(prisma: PrismaClient, sessionId: string, userId: string) {
+  await prisma.sessionBookmark.deleteMany({ where: { sessionId, userId } });
+  return findEventSession(prisma, sessionId);
+}
+
+// Records that staff saw an attendee of the event at the session. Independent of the
+// agenda, so walk-ins count too, as long as the room has space.
+export async function checkInToSession(prisma: PrismaClient, sessionId: string, userId: string, staffId: string, at = new Date()) {
+  return prisma.$transaction(async (tx) => {
+    const session = await findSessionForUpdate(tx, sessionId);
+    assertJoinable(session.event);
+
+    const registration = await tx.registration.findUnique({
+      where: { userId_eventId: { userId, eventId: session.eventId } }
+    });
+    if (!registration) {
+      throw new GraphQLError('This person is not registered for the event', { extensions: { code: 'NOT_REGISTERED' } });
+    }
+
+    const existing = await tx.sessionCheckIn.findUnique({ where: { sessionId_userId: { sessionId, userId } } });
+    if (existing) {
+      throw new GraphQLError('This person is already checked in to this session', { extensions: { code: 'ALREADY_CHECKED_IN' } });
+    }
+    if (remainingSpots(session.capacity, session._count.checkIns) === 0) {
+      throw sessionFull('This session\'s room is full');
+    }
+
+    return tx.sessionCheckIn.create({
+      data: { sessionId, userId, staffId, checkedInAt: at },
+      include: { user: true }
+    });
+  });
+}
+
+export async function undoSessionCheckIn(prisma: PrismaClient, sessionId: string, userId: string) {
+  const { count } = await prisma.sessionCheckIn.deleteMany({ where: { sessionId, userId } });
+  if (count === 0) {
+    throw new GraphQLError('This person is not checked in to this session', { extensions: { code: 'NOT_CHECKED_IN' } });
+  }
+  return findEventSession(prisma, sessionId);
+}
@@ -0,0 +1,128 @@
+import { AttendeeDelta, AttendeeDeltaType, Prisma, PrismaClient, User } from '@prisma/client';
+import { listAttendees } from './attendees';
+import { visibleEventsWhere } from './authorization';
+
+// Clients further behind than this start over from the first page of attendees
+export const MAX_RESYNC_DELTAS = 200;
+const RESYNC_PAGE_SIZE = 20;
+
+// Only what other clients need to show an attendee
+export interface PublicUser {
+  id: string;
+  name: string;
+  email: string;
+}
+
+// Sent to an event's room for every attendee added or removed. Versions increase by
+// exactly one per event, so a client that sees a jump knows it missed something.
+export interface AttendeeDeltaMessage {
+  eventId: string;
+  version: number;
+  type: AttendeeDeltaType;
+  user: PublicUser;
+  attendeeCount: number;
+}
+
+// The first attendees in join order, for a client to replace its list with. endCursor is
+// the `after` argument for Event.attendees to load the rest, or null if this is all of them.
+export interface AttendeePage {
+  users: PublicUser[];
+  totalCount: number;
+  endCursor: string | null;
+}
+
+// Answer to a client's resync request: the deltas after its version, or, when it's too
+// far behind, the first page of `attendees` to start over from
+export interface AttendeeResync {
+  eventId: string;
+  version: number;
+  deltas: AttendeeDeltaMessage[];
+  attendees: AttendeePage | null;
+}
+
+export function toPublicUser(user: User): PublicUser {
+  return { id: user.id, name: user.name, email: user.email };
+}
+
+// Bumps the event's version and stores the delta under it. Call in the same transaction as
+// the registration change, with the event locked, so versions are gap-free and in commit order.
+export async function recordAttendeeDelta(
+  tx: Prisma.TransactionClient,
+  eventId: string,
+  type: AttendeeDeltaType,
+  userId: string
+): Promise<AttendeeDeltaMessage> {
+  const { attendeeVersion } = await tx.event.update({
+    where: { id: eventId },
+    data: { attendeeVersion: { increment: 1 } },
+    select: { attendeeVersion: true }
+  });
+
+  const attendeeCount = await tx.registration.count({ where: { eventId } });
+  const delta = await tx.attendeeDelta.create({
+    data: { eventId, version: attendeeVersion, type, userId, attendeeCount },
+    include: { user: true }
+  });
+  return toDeltaMessage(delta);
+}
+
+function toDeltaMessage(delta: AttendeeDelta & { user: User }): AttendeeDeltaMessage {
+  return {
+    eventId: delta.eventId,
+    version: delta.version,
+    type: delta.type,
+    user: toPublicUser(delta.user),
+    attendeeCount: delta.attendeeCount
+  };
+}
+
+// Everything a client at `sinceVersion` needs to catch up, or null if it can't see the event
+export async function getAttendeeResync(
+  prisma: PrismaClient,
+  user: User | null,
+  eventId: string,
+  sinceVersion: number
+): Promise<AttendeeResync | null> {
+  const event = await prisma.event.findFirst({
+    where: { AND: [{ id: eventId }, visibleEventsWhere(user)] },
+    select: { attendeeVersion: true }
+  });
+  if (!event) {
+    return null;
+  }
+
+  const behind = event.attendeeVersion - sinceVersion;
+  if (behind === 0) {
+    return { eventId, version: event.attendeeVersion, deltas: [], attendees: null };
+  }
+
+  // A negative sinceVersion asks for a fresh list outright, and a client ahead of the
+  // server has stale state from before a database reset.
+  // The page is read after the version, so it can only be newer than the version says;
+  // deltas apply idempotently, so replaying those changes on top is harmless.
+  if (sinceVersion < 0 || behind < 0 || behind > MAX_RESYNC_DELTAS) {
+    const page = await listAttendees(prisma, eventId, { first: RESYNC_PAGE_SIZE });
+    return {
+      eventId,
+      version: event.attendeeVersion,
+      deltas: [],
+      attendees: {
+        users: page.edges.map(edge => toPublicUser(edge.node)),
+        totalCount: await page.totalCount(),
+        endCursor: page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null
+      }
+    };
+  }
+
+  const deltas = await prisma.attendeeDelta.findMany({
+    where: { eventId, version: { gt: sinceVersion, lte: event.attendeeVersion } },
+    include: { user: true },
+    orderBy: { version: 'asc' }
+  });
+  return {
+    eventId,
+    version: event.attendeeVersion,
+    deltas: deltas.map(toDeltaMessage),
+    attendees: null
+  };
+}
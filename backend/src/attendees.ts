@@ -0,0 +1,47 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { PageArgs, decodeCursor, encodeCursor, pageSize, toConnection } from './pagination';
+
+// One page of an event's attendees in the order they joined, optionally only those whose
+// name or email contains `search`
+export async function listAttendees(prisma: PrismaClient, eventId: string, { first, after, search }: PageArgs & { search?: string | null }) {
+  const size = pageSize(first);
+  const text = search?.trim();
+  const where: Prisma.RegistrationWhereInput = {
+    eventId,
+    ...(text ? {
+      user: {
+        OR: [
+          { name: { contains: text, mode: 'insensitive' } },
+          { email: { contains: text, mode: 'insensitive' } }
+        ]
+      }
+    } : {})
+  };
+
+  let afterWhere: Prisma.RegistrationWhereInput = {};
+  if (after) {
+    const [createdAt, id] = decodeCursor(after, 2);
+    const joinedAt = new Date(createdAt);
+    afterWhere = {
+      OR: [
+        { createdAt: { gt: joinedAt } },
+        { createdAt: joinedAt, id: { gt: String(id) } }
+      ]
+    };
+  }
+
+  const registrations = await prisma.registration.findMany({
+    where: { ...where, ...afterWhere },
+    include: { user: true },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take: size + 1
+  });
+
+  const connection = toConnection(
+    registrations,
+    size,
+    registration => encodeCursor([registration.createdAt.toISOString(), registration.id]),
+    () => prisma.registration.count({ where })
+  );
+  return { ...connection, edges: connection.edges.map(edge => ({ cursor: edge.cursor, node: edge.node.user })) };
+}
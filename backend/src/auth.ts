@@ -0,0 +1,135 @@
+import { createHmac, randomBytes, randomInt, scryptSync, timingSafeEqual } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { GraphQLError } from 'graphql';
+import { PrismaClient, User } from '@prisma/client';
+import { AuthTokenPayload, GraphQLContext } from './types';
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEV_JWT_SECRET = 'dev-only-jwt-secret';
+
+export const LOGIN_CODE_LENGTH = 6;
+export const LOGIN_CODE_TTL_MS = 10 * 60 * 1000;
+export const LOGIN_CODE_MAX_ATTEMPTS = 5;
+export const LOGIN_CODE_RESEND_INTERVAL_MS = 30 * 1000;
+
+let warnedAboutSecret = false;
+
+// Read lazily so values loaded from .env after import are still picked up
+export function getJwtSecret(): string {
+  const secret = process.env.JWT_SECRET;
+  if (secret) {
+    return secret;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  if (!warnedAboutSecret) {
+    console.warn('⚠️ JWT_SECRET is not set, falling back to an insecure development secret');
+    warnedAboutSecret = true;
+  }
+  return DEV_JWT_SECRET;
+}
+
+// Passwords are stored as "salt:hash" using scrypt
+export function hashPassword(password: string): string {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+export function verifyPassword(password: string, stored: string): boolean {
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+export function generateLoginCode(): string {
+  return randomInt(0, 10 ** LOGIN_CODE_LENGTH).toString().padStart(LOGIN_CODE_LENGTH, '0');
+}
+
+// Codes are short, so they are keyed to the email and the server secret rather than stored in plain text
+export function hashLoginCode(email: string, code: string): string {
+  return createHmac('sha256', getJwtSecret()).update(`${email}:${code}`).digest('hex');
+}
+
+export function matchesLoginCode(email: string, code: string, storedHash: string): boolean {
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashLoginCode(email, code), 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export interface AuthSession {
+  user: User;
+  sessionId: string;
+}
+
+function signToken(user: Pick<User, 'id' | 'email'>, sessionId: string): string {
+  const payload: AuthTokenPayload = { sub: user.id, email: user.email, sid: sessionId };
+  return jwt.sign(payload, getJwtSecret(), { expiresIn: SESSION_TTL_MS / 1000 });
+}
+
+// Starts a session and returns its token; the token only works while the session row exists
+export async function createSession(prisma: PrismaClient, user: Pick<User, 'id' | 'email'>): Promise<string> {
+  const now = new Date();
+  await prisma.session.deleteMany({ where: { userId: user.id, expiresAt: { lt: now } } });
+  const session = await prisma.session.create({
+    data: { userId: user.id, expiresAt: new Date(now.getTime() + SESSION_TTL_MS) }
+  });
+  return signToken(user, session.id);
+}
+
+export function verifyToken(token: string): AuthTokenPayload | null {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    if (typeof decoded === 'string' || !decoded.sub) {
+      return null;
+    }
+    return decoded as AuthTokenPayload;
+  } catch {
+    return null;
+  }
+}
+
+// Accepts either a raw token or an "Authorization: Bearer <token>" header value
+export function extractToken(value: string | undefined | null): string | null {
+  if (!value) {
+    return null;
+  }
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : value;
+}
+
+// Tokens from before sessions existed, and those whose session was logged out, resolve to null
+export async function getSessionFromToken(prisma: PrismaClient, value: string | undefined | null): Promise<AuthSession | null> {
+  const token = extractToken(value);
+  if (!token) {
+    return null;
+  }
+
+  const payload = verifyToken(token);
+  if (!payload?.sid) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({ where: { id: payload.sid }, include: { user: true } });
+  if (!session || session.userId !== payload.sub || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return { user: session.user, sessionId: session.id };
+}
+
+export function requireUser(context: GraphQLContext): User {
+  if (!context.user) {
+    throw new GraphQLError('You must be logged in to perform this action', {
+      extensions: { code: 'UNAUTHENTICATED' }
+    });
+  }
+  return context.user;
+}
@@ -0,0 +1,104 @@
+import { GraphQLError } from 'graphql';
+import { EventRole, Prisma, PrismaClient, User, UserRole } from '@prisma/client';
+import { requireUser } from './auth';
+import { PUBLIC_STATUSES } from './lifecycle';
+import { Capabilities, GraphQLContext } from './types';
+
+// Actions that don't depend on a particular event
+export type GlobalAction = 'createEvent' | 'manageVenues' | 'manageUserRoles' | 'manageOutbox';
+
+// Actions checked against the user's membership in a specific event
+export type EventAction = 'manageEvent' | 'manageEventMembers' | 'checkIn';
+
+const GLOBAL_ROLE_PERMISSIONS: Record<UserRole, GlobalAction[]> = {
+  ATTENDEE: [],
+  ORGANIZER: ['createEvent', 'manageVenues'],
+  ADMIN: ['createEvent', 'manageVenues', 'manageUserRoles', 'manageOutbox']
+};
+
+const EVENT_ROLE_PERMISSIONS: Record<EventRole, EventAction[]> = {
+  ORGANIZER: ['manageEvent', 'manageEventMembers', 'checkIn'],
+  STAFF: ['checkIn']
+};
+
+export function forbidden(message = 'You are not allowed to perform this action') {
+  return new GraphQLError(message, { extensions: { code: 'FORBIDDEN' } });
+}
+
+export function canGlobally(user: User, action: GlobalAction): boolean {
+  return GLOBAL_ROLE_PERMISSIONS[user.role].includes(action);
+}
+
+export async function getEventRole(prisma: PrismaClient, userId: string, eventId: string): Promise<EventRole | null> {
+  const membership = await prisma.eventMembership.findUnique({
+    where: { userId_eventId: { userId, eventId } }
+  });
+  return membership?.role ?? null;
+}
+
+export async function canOnEvent(prisma: PrismaClient, user: User, action: EventAction, eventId: string): Promise<boolean> {
+  // Admins can act on every event without holding a membership
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+
+  const role = await getEventRole(prisma, user.id, eventId);
+  return role !== null && EVENT_ROLE_PERMISSIONS[role].includes(action);
+}
+
+// Resolves the authenticated user or throws UNAUTHENTICATED / FORBIDDEN
+export function authorizeGlobal(context: GraphQLContext, action: GlobalAction): User {
+  const user = requireUser(context);
+  if (!canGlobally(user, action)) {
+    throw forbidden();
+  }
+  return user;
+}
+
+export async function authorizeEvent(context: GraphQLContext, action: EventAction, eventId: string): Promise<User> {
+  const user = requireUser(context);
+  if (!(await canOnEvent(context.prisma, user, action, eventId))) {
+    throw forbidden();
+  }
+  return user;
+}
+
+// Everyone sees published, live and cancelled events. Drafts are only visible to the event's
+// organizers (and admins); completed events also stay visible to the people registered.
+export function visibleEventsWhere(user: User | null): Prisma.EventWhereInput {
+  if (user?.role === 'ADMIN') {
+    return {};
+  }
+  if (!user) {
+    return { status: { in: PUBLIC_STATUSES } };
+  }
+  return {
+    OR: [
+      { status: { in: PUBLIC_STATUSES } },
+      { status: 'COMPLETED', registrations: { some: { userId: user.id } } },
+      { members: { some: { userId: user.id, role: 'ORGANIZER' } } }
+    ]
+  };
+}
+
+export async function canViewEvent(prisma: PrismaClient, user: User | null, eventId: string): Promise<boolean> {
+  const count = await prisma.event.count({
+    where: { AND: [{ id: eventId }, visibleEventsWhere(user)] }
+  });
+  return count > 0;
+}
+
+export async function getCapabilities(prisma: PrismaClient, user: User): Promise<Capabilities> {
+  const memberships = await prisma.eventMembership.findMany({ where: { userId: user.id } });
+  const eventIdsWith = (action: EventAction) => memberships
+    .filter(membership => EVENT_ROLE_PERMISSIONS[membership.role].includes(action))
+    .map(membership => membership.eventId);
+
+  return {
+    isAdmin: user.role === 'ADMIN',
+    canCreateEvents: canGlobally(user, 'createEvent'),
+    canManageUserRoles: canGlobally(user, 'manageUserRoles'),
+    managedEventIds: eventIdsWith('manageEvent'),
+    checkInEventIds: eventIdsWith('checkIn')
+  };
+}
@@ -0,0 +1,138 @@
+import { EventStatus, Prisma, PrismaClient, User } from '@prisma/client';
+import { GraphQLError } from 'graphql';
+import { visibleEventsWhere } from './authorization';
+import { DEFAULT_EVENT_DURATION_MS, WITH_SCHEDULE } from './lifecycle';
+import { PageArgs, decodeCursor, encodeCursor, pageSize, toConnection } from './pagination';
+import { WITH_ATTENDEE_COUNT } from './registration';
+import { materializeOccurrences, occurrenceHorizon } from './series';
+import { parseDateTime } from './validation';
+
+export type EventSort = 'START_TIME_ASC' | 'START_TIME_DESC' | 'NAME_ASC' | 'CREATED_AT_DESC';
+
+export interface EventFilter {
+  timeframe?: 'UPCOMING' | 'PAST' | null;
+  startsAfter?: string | null;
+  startsBefore?: string | null;
+  location?: string | null;
+  venueId?: string | null;
+  joinedByMe?: boolean | null;
+  status?: EventStatus[] | null;
+}
+
+type SortField = 'startTime' | 'name' | 'createdAt';
+
+// Each sort ends with the id so rows sharing a start time or name still have a fixed order
+const SORTS: Record<EventSort, { field: SortField, direction: Prisma.SortOrder }> = {
+  START_TIME_ASC: { field: 'startTime', direction: 'asc' },
+  START_TIME_DESC: { field: 'startTime', direction: 'desc' },
+  NAME_ASC: { field: 'name', direction: 'asc' },
+  CREATED_AT_DESC: { field: 'createdAt', direction: 'desc' }
+};
+
+function filterWhere(filter: EventFilter, user: User | null, now: Date): Prisma.EventWhereInput[] {
+  const conditions: Prisma.EventWhereInput[] = [];
+
+  // Ongoing events count as upcoming until they end. Events without an end time end a
+  // default duration after they start.
+  const endedBefore = new Date(now.getTime() - DEFAULT_EVENT_DURATION_MS);
+  if (filter.timeframe === 'UPCOMING') {
+    conditions.push({
+      OR: [{ endTime: { gt: now } }, { endTime: null, startTime: { gt: endedBefore } }]
+    });
+  } else if (filter.timeframe === 'PAST') {
+    conditions.push({
+      OR: [{ endTime: { lte: now } }, { endTime: null, startTime: { lte: endedBefore } }]
+    });
+  }
+
+  if (filter.startsAfter) {
+    conditions.push({ startTime: { gte: parseDateTime(filter.startsAfter, 'startsAfter') } });
+  }
+  if (filter.startsBefore) {
+    conditions.push({ startTime: { lt: parseDateTime(filter.startsBefore, 'startsBefore') } });
+  }
+
+  const location = filter.location?.trim();
+  if (location) {
+    conditions.push({ location: { contains: location, mode: 'insensitive' } });
+  }
+
+  if (filter.venueId) {
+    conditions.push({ venueId: filter.venueId });
+  }
+
+  if (filter.joinedByMe) {
+    if (!user) {
+      throw new GraphQLError('You must be logged in to filter by joined events', {
+        extensions: { code: 'UNAUTHENTICATED' }
+      });
+    }
+    conditions.push({ registrations: { some: { userId: user.id } } });
+  }
+
+  if (filter.status && filter.status.length > 0) {
+    conditions.push({ status: { in: filter.status } });
+  }
+
+  return conditions;
+}
+
+// Rows after the cursor in the sort's order: a later sort value, or the same one and a later id
+function afterCursorWhere(sort: EventSort, after: string): Prisma.EventWhereInput {
+  const { field, direction } = SORTS[sort];
+  const [rawValue, id] = decodeCursor(after, 2);
+  const value = field === 'name' ? String(rawValue) : new Date(rawValue);
+  const comparison = direction === 'asc' ? 'gt' : 'lt';
+  return {
+    OR: [
+      { [field]: { [comparison]: value } },
+      { [field]: value, id: { [comparison]: String(id) } }
+    ]
+  };
+}
+
+// The latest start time a page can begin at. Paging forward by start time reaches further
+// into the future with every page; other sorts only need what's coming up.
+function reachedStartTime(sort: EventSort, after: string | null | undefined, filter: EventFilter, now: Date): Date {
+  const reached = [now];
+  if (filter.startsAfter) {
+    reached.push(parseDateTime(filter.startsAfter, 'startsAfter'));
+  }
+  if (sort === 'START_TIME_ASC' && after) {
+    reached.push(new Date(decodeCursor(after, 2)[0]));
+  }
+  // A malformed cursor is reported when the page is read
+  return new Date(Math.max(...reached.map(date => date.getTime()).filter(time => !isNaN(time))));
+}
+
+// One page of the events visible to the user, with their attendee counts
+export async function listEvents(
+  prisma: PrismaClient,
+  user: User | null,
+  { first, after, filter, sort }: PageArgs & { filter?: EventFilter | null, sort?: EventSort | null },
+  now = new Date()
+) {
+  const order = sort ?? 'START_TIME_ASC';
+  const { field, direction } = SORTS[order];
+  const size = pageSize(first);
+  // Series only get occurrences as far ahead as someone looks
+  await materializeOccurrences(prisma, occurrenceHorizon(reachedStartTime(order, after, filter ?? {}, now), now));
+
+  const where: Prisma.EventWhereInput = {
+    AND: [visibleEventsWhere(user), ...filterWhere(filter ?? {}, user, now)]
+  };
+
+  const events = await prisma.event.findMany({
+    where: after ? { AND: [where, afterCursorWhere(order, after)] } : where,
+    include: { ...WITH_ATTENDEE_COUNT, ...WITH_SCHEDULE },
+    orderBy: [{ [field]: direction }, { id: direction }],
+    take: size + 1
+  });
+
+  return toConnection(
+    events,
+    size,
+    event => encodeCursor([field === 'name' ? event.name : event[field].toISOString(), event.id]),
+    () => prisma.event.count({ where })
+  );
+}
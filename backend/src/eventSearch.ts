@@ -0,0 +1,91 @@
+import { Prisma, PrismaClient, User } from '@prisma/client';
+import { visibleEventsWhere } from './authorization';
+import { WITH_SCHEDULE } from './lifecycle';
+import { pageSize } from './pagination';
+import { WITH_ATTENDEE_COUNT } from './registration';
+import { badUserInput } from './validation';
+
+// Matches are ranked before visibility is checked, so drafts the caller can't see could
+// otherwise crowd out visible results; this many candidates leaves plenty of room
+const MAX_CANDIDATES = 500;
+
+// Name matches count most, then location, then description. English stemming lets
+// "conferences" find "conference". Kept in Event's generated "searchDocument" column, so
+// searches use its GIN index instead of building every event's document.
+const DOCUMENT = `
+  setweight(to_tsvector('english', "name"), 'A') ||
+  setweight(to_tsvector('english', "location"), 'B') ||
+  setweight(to_tsvector('english', coalesce("description", '')), 'C')
+`;
+
+// `prisma db push` creates "searchDocument" as a plain column; this turns it into one
+// Postgres keeps up to date. Safe to run more than once.
+export async function migrateSearchDocument(prisma: PrismaClient): Promise<boolean> {
+  const [column] = await prisma.$queryRaw<{ attgenerated: string }[]>`
+    SELECT "attgenerated" FROM "pg_attribute"
+    WHERE "attrelid" = '"Event"'::regclass AND "attname" = 'searchDocument'
+  `;
+  if (column?.attgenerated === 's') {
+    return false;
+  }
+  await prisma.$transaction([
+    prisma.$executeRaw`ALTER TABLE "Event" DROP COLUMN IF EXISTS "searchDocument"`,
+    prisma.$executeRawUnsafe(`ALTER TABLE "Event" ADD COLUMN "searchDocument" tsvector GENERATED ALWAYS AS (${DOCUMENT}) STORED`),
+    // Dropping the column dropped its index; same name as the one in schema.prisma
+    prisma.$executeRaw`CREATE INDEX "Event_searchDocument_idx" ON "Event" USING GIN ("searchDocument")`
+  ]);
+  return true;
+}
+
+// Every word of the query must appear, the last one possibly unfinished, so results
+// narrow down as someone types. Only letters and digits reach to_tsquery, which would
+// otherwise treat characters like & and ! as operators.
+function prefixQuery(words: string[]): string {
+  return words.map(word => `${word}:*`).join(' & ');
+}
+
+// The events visible to the user that match `query`, best match first. Full-text matches
+// come before fuzzy ones; trigram similarity (pg_trgm's <% operator) catches typos like
+// "confrence" that full-text search misses. Ties go to the earliest start.
+export async function searchEvents(
+  prisma: PrismaClient,
+  user: User | null,
+  { query, first }: { query: string, first?: number | null }
+) {
+  const text = query.trim().toLowerCase();
+  if (!text) {
+    throw badUserInput('query must not be empty');
+  }
+  const words = text.match(/[\p{L}\p{N}]+/gu) ?? [];
+  if (words.length === 0) {
+    return [];
+  }
+
+  const tsQuery = Prisma.sql`to_tsquery('english', ${prefixQuery(words)})`;
+  // Each condition in the WHERE clause has its own GIN index
+  const ranked = await prisma.$queryRaw<{ id: string }[]>`
+    SELECT
+      "id",
+      "searchDocument" @@ ${tsQuery} AS "matched",
+      ts_rank("searchDocument", ${tsQuery}) AS "rank",
+      GREATEST(
+        word_similarity(${text}, "name"),
+        word_similarity(${text}, "location"),
+        word_similarity(${text}, coalesce("description", ''))
+      ) AS "similarity"
+    FROM "Event"
+    WHERE "searchDocument" @@ ${tsQuery} OR ${text} <% "name" OR ${text} <% "location" OR ${text} <% "description"
+    ORDER BY "matched" DESC, "rank" DESC, "similarity" DESC, "startTime" ASC, "id" ASC
+    LIMIT ${MAX_CANDIDATES}
+  `;
+
+  const events = await prisma.event.findMany({
+    where: { AND: [{ id: { in: ranked.map(row => row.id) } }, visibleEventsWhere(user)] },
+    include: { ...WITH_ATTENDEE_COUNT, ...WITH_SCHEDULE }
+  });
+  const byId = new Map(events.map(event => [event.id, event]));
+  return ranked
+    .map(row => byId.get(row.id))
+    .filter((event): event is (typeof events)[number] => event !== undefined)
+    .slice(0, pageSize(first));
+}
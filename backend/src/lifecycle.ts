@@ -0,0 +1,149 @@
+import { GraphQLError } from 'graphql';
+import { Event, EventDay, EventStatus, Prisma, PrismaClient } from '@prisma/client';
+
+// How long events created without an end time last, including those from before end times
+export const DEFAULT_EVENT_DURATION_MS = 3 * 60 * 60 * 1000;
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+export const ALLOWED_TRANSITIONS: Record<EventStatus, EventStatus[]> = {
+  DRAFT: ['PUBLISHED', 'CANCELLED'],
+  PUBLISHED: ['DRAFT', 'LIVE', 'CANCELLED'],
+  LIVE: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// Statuses everyone can see. Cancelled events stay listed so people who meant to go find out
+// it was called off; completed ones drop out of listings.
+export const PUBLIC_STATUSES: EventStatus[] = ['PUBLISHED', 'LIVE', 'CANCELLED'];
+
+export function canTransition(from: EventStatus, to: EventStatus): boolean {
+  return ALLOWED_TRANSITIONS[from].includes(to);
+}
+
+export function assertTransition(from: EventStatus, to: EventStatus) {
+  if (!canTransition(from, to)) {
+    throw new GraphQLError(`Cannot change event status from ${from} to ${to}`, {
+      extensions: { code: 'INVALID_STATUS_TRANSITION' }
+    });
+  }
+}
+
+// Loads an event's days along with it, in order
+export const WITH_SCHEDULE = {
+  days: { orderBy: { startTime: 'asc' } }
+} satisfies Prisma.EventInclude;
+
+type EventTimes = Pick<Event, 'status' | 'startTime' | 'endTime'>;
+type ScheduleDay = Pick<EventDay, 'startTime' | 'endTime'>;
+
+export function defaultEndTime(startTime: Date): Date {
+  return new Date(startTime.getTime() + DEFAULT_EVENT_DURATION_MS);
+}
+
+export function getEndTime(event: Pick<Event, 'startTime' | 'endTime'>): Date {
+  return event.endTime ?? defaultEndTime(event.startTime);
+}
+
+// The status the event should have right now, even if the scheduler hasn't caught up yet.
+// Multi-day events stay LIVE overnight; isOngoing tells whether a day is in progress.
+export function effectiveStatus(event: EventTimes, now = new Date()): EventStatus {
+  if (event.status === 'PUBLISHED' || event.status === 'LIVE') {
+    if (getEndTime(event) <= now) {
+      return 'COMPLETED';
+    }
+    if (event.startTime <= now) {
+      return 'LIVE';
+    }
+  }
+  return event.status;
+}
+
+// Live and, for events with a schedule, within one of its days
+export function isOngoing(event: EventTimes, days: ScheduleDay[], now = new Date()): boolean {
+  if (effectiveStatus(event, now) !== 'LIVE') {
+    return false;
+  }
+  return days.length === 0 || days.some(day => day.startTime <= now && now < day.endTime);
+}
+
+// Past its end time, or ended early by an organizer
+export function hasEnded(event: EventTimes, now = new Date()): boolean {
+  return effectiveStatus(event, now) === 'COMPLETED' || getEndTime(event) <= now;
+}
+
+export function assertJoinable(event: EventTimes) {
+  switch (effectiveStatus(event)) {
+    case 'DRAFT':
+      throw new GraphQLError('This event has not been published yet', { extensions: { code: 'EVENT_NOT_PUBLISHED' } });
+    case 'CANCELLED':
+      throw new GraphQLError('This event has been cancelled', { extensions: { code: 'EVENT_CANCELLED' } });
+    case 'COMPLETED':
+      throw new GraphQLError('This event has already ended', { extensions: { code: 'EVENT_COMPLETED' } });
+  }
+}
+
+export function assertEditable(event: EventTimes) {
+  switch (effectiveStatus(event)) {
+    case 'CANCELLED':
+      throw new GraphQLError('Cancelled events cannot be edited', { extensions: { code: 'EVENT_CANCELLED' } });
+    case 'COMPLETED':
+      throw new GraphQLError('Completed events cannot be edited', { extensions: { code: 'EVENT_COMPLETED' } });
+  }
+}
+
+// Called inside the transaction that advanced an event, so follow-up writes commit with it
+export type StatusAdvanced = (tx: Prisma.TransactionClient, eventId: string, previousStatus: EventStatus, status: EventStatus) => Promise<void>;
+
+// Moves published events to LIVE once they start and to COMPLETED once they end
+export async function advanceEventStatuses(prisma: PrismaClient, onAdvance: StatusAdvanced, now = new Date()): Promise<string[]> {
+  const candidates = await prisma.event.findMany({
+    where: {
+      status: { in: ['PUBLISHED', 'LIVE'] },
+      startTime: { lte: now }
+    },
+    select: { id: true, status: true, startTime: true, endTime: true }
+  });
+
+  const changedIds: string[] = [];
+  for (const event of candidates) {
+    const next = effectiveStatus(event, now);
+    if (next === event.status) {
+      continue;
+    }
+
+    const advanced = await prisma.$transaction(async (tx) => {
+      // Conditional update so a concurrent organizer change (e.g. cancel) wins
+      const result = await tx.event.updateMany({
+        where: { id: event.id, status: event.status },
+        data: { status: next }
+      });
+      if (result.count > 0) {
+        await onAdvance(tx, event.id, event.status, next);
+      }
+      return result.count > 0;
+    });
+    if (advanced) {
+      changedIds.push(event.id);
+    }
+  }
+
+  return changedIds;
+}
+
+export function startLifecycleScheduler(prisma: PrismaClient, onAdvance: StatusAdvanced) {
+  const tick = async () => {
+    try {
+      const changedIds = await advanceEventStatuses(prisma, onAdvance);
+      if (changedIds.length > 0) {
+        console.log(`⏱️ Advanced status of ${changedIds.length} event(s)`);
+      }
+    } catch (error) {
+      console.error('Error advancing event statuses:', error);
+    }
+  };
+
+  tick();
+  return setInterval(tick, SCHEDULER_INTERVAL_MS);
+}
@@ -0,0 +1,67 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+export interface MailTransport {
+  send(message: MailMessage): Promise<void>;
+}
+
+// Prints messages to stdout; the default for local development
+export class ConsoleTransport implements MailTransport {
+  async send(message: MailMessage): Promise<void> {
+    console.log('📧 ─── Outgoing email ───────────────────────');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('───────────────────────────────────────────');
+  }
+}
+
+// Writes each message to its own file so it can be opened or read by tests
+export class FileTransport implements MailTransport {
+  constructor(private readonly directory: string) {}
+
+  async send(message: MailMessage): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.txt`;
+    const contents = `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+
+    await fs.writeFile(path.join(this.directory, fileName), contents, 'utf8');
+    console.log(`📧 Email to ${message.to} written to ${path.join(this.directory, fileName)}`);
+  }
+}
+
+function createTransportFromEnv(): MailTransport {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (transport) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "console" or "file")`);
+  }
+}
+
+let activeTransport: MailTransport | null = null;
+
+// Lets production code plug in a real provider (SMTP, SES, ...) at startup
+export function setMailTransport(transport: MailTransport) {
+  activeTransport = transport;
+}
+
+export async function sendMail(message: MailMessage): Promise<void> {
+  if (!activeTransport) {
+    activeTransport = createTransportFromEnv();
+  }
+  await activeTransport.send(message);
+}
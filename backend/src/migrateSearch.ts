@@ -0,0 +1,21 @@
+import { PrismaClient } from '@prisma/client';
+import { migrateSearchDocument } from './eventSearch';
+
+const prisma = new PrismaClient();
+
+// Run after `prisma db push` adds the search document to the database, which it creates as a
+// plain column
+async function migrateSearch() {
+  const migrated = await migrateSearchDocument(prisma);
+
+  console.log(migrated ? '✅ Event search document and index created' : '✅ Event search document already set up');
+}
+
+migrateSearch()
+  .catch((e) => {
+    console.error('Error migrating event search:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,22 @@
+import { PrismaClient } from '@prisma/client';
+import { backfillTicketCodes } from './tickets';
+
+const prisma = new PrismaClient();
+
+// Run once after `prisma db push` adds stored ticket codes to an existing database, and with
+// --all after changing TICKET_SECRET
+async function migrateTicketCodes() {
+  const updated = await backfillTicketCodes(prisma, { all: process.argv.includes('--all') });
+
+  console.log('✅ Ticket codes stored');
+  console.log(`Updated ${updated} registrations`);
+}
+
+migrateTicketCodes()
+  .catch((e) => {
+    console.error('Error storing ticket codes:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
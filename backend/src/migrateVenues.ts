@@ -0,0 +1,21 @@
+import { PrismaClient } from '@prisma/client';
+import { migrateLocations } from './venues';
+
+const prisma = new PrismaClient();
+
+// Run once after `prisma db push` adds venues to an existing database
+async function migrateVenues() {
+  const { venues, rooms, linkedSessions } = await migrateLocations(prisma);
+
+  console.log('✅ Event locations moved to venues');
+  console.log(`Created ${venues} venues and ${rooms} rooms, and linked ${linkedSessions} sessions to their rooms`);
+}
+
+migrateVenues()
+  .catch((e) => {
+    console.error('Error migrating venues:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,141 @@
+import { createHash } from 'crypto';
+import { GraphQLError } from 'graphql';
+import { Prisma, PrismaClient } from '@prisma/client';
+import { applyCheckIn } from './registration';
+import { recordOutboxMessage } from './outbox';
+import { signTicket, ticketCode } from './tickets';
+
+// Keeps a single sync request from holding the server up for too long
+export const MAX_SYNC_BATCH = 500;
+
+export interface OfflineCheckInInput {
+  idempotencyKey: string;
+  registrationId: string;
+  scannedAt: string;
+  deviceId: string;
+}
+
+const WITH_PEOPLE = { attendee: true, staff: true } satisfies Prisma.OfflineCheckInInclude;
+
+// Devices match scanned QR codes against this hash, so they can recognise genuine
+// tickets offline without ever holding the signing secret
+export function ticketHash(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Everything a staff device needs to check people in without a connection
+export async function getCheckInRoster(prisma: PrismaClient, eventId: string) {
+  const registrations = await prisma.registration.findMany({
+    where: { eventId },
+    include: { user: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return {
+    eventId,
+    generatedAt: new Date(),
+    entries: registrations.map(registration => ({
+      registrationId: registration.id,
+      user: registration.user,
+      status: registration.status,
+      ticketCode: ticketCode(registration.id),
+      ticketHash: ticketHash(signTicket(registration))
+    }))
+  };
+}
+
+function parseScannedAt(value: string): Date {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new GraphQLError(`Invalid scannedAt: ${value}`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return date;
+}
+
+// Applies check-ins queued on a device. Each idempotency key is processed at most once;
+// resending it returns the stored outcome. Check-ins the server can't apply, e.g. because
+// another door already checked the person in, are stored as conflicts for the organizer.
+// `created` lists only the check-ins processed by this call.
+export async function syncOfflineCheckIns(prisma: PrismaClient, staffId: string, eventId: string, inputs: OfflineCheckInInput[]) {
+  if (inputs.length > MAX_SYNC_BATCH) {
+    throw new GraphQLError(`At most ${MAX_SYNC_BATCH} check-ins can be synced at once`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  const scannedAt = inputs.map(input => parseScannedAt(input.scannedAt));
+
+  const results = [];
+  const created = [];
+  for (const [index, input] of inputs.entries()) {
+    // The key is claimed, the check-in applied and its outcome stored in one transaction, so
+    // a key sent twice at once, or retried after a crash, is decided exactly once
+    const { record, isNew } = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`offline-check-in:${input.idempotencyKey}`}))`;
+
+      const existing = await tx.offlineCheckIn.findUnique({
+        where: { idempotencyKey: input.idempotencyKey },
+        include: WITH_PEOPLE
+      });
+      if (existing) {
+        if (existing.eventId !== eventId) {
+          throw new GraphQLError('Idempotency key was already used for another event', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        return { record: existing, isNew: false };
+      }
+
+      const registration = await tx.registration.findFirst({ where: { id: input.registrationId, eventId } });
+      let conflictReason: string | null = registration ? null : 'NOT_REGISTERED';
+      if (registration) {
+        try {
+          await applyCheckIn(tx, eventId, registration.userId, scannedAt[index]);
+        } catch (error) {
+          // Thrown before any write, so the transaction carries on
+          if (!(error instanceof GraphQLError) || typeof error.extensions.code !== 'string') {
+            throw error;
+          }
+          conflictReason = error.extensions.code;
+        }
+      }
+
+      const record = await tx.offlineCheckIn.create({
+        data: {
+          idempotencyKey: input.idempotencyKey,
+          eventId,
+          registrationId: input.registrationId,
+          attendeeId: registration?.userId ?? null,
+          staffId,
+          deviceId: input.deviceId,
+          scannedAt: scannedAt[index],
+          status: conflictReason ? 'CONFLICT' : 'APPLIED',
+          conflictReason
+        },
+        include: WITH_PEOPLE
+      });
+      if (conflictReason) {
+        await recordOutboxMessage(tx, 'CHECK_IN_CONFLICT', eventId, { offlineCheckInId: record.id, conflictReason });
+      }
+      return { record, isNew: true };
+    });
+
+    results.push(record);
+    if (isNew) {
+      created.push(record);
+    }
+  }
+
+  return { results, created };
+}
+
+export function listCheckInConflicts(prisma: PrismaClient, eventId: string) {
+  return prisma.offlineCheckIn.findMany({
+    where: { eventId, status: 'CONFLICT', resolvedAt: null },
+    include: WITH_PEOPLE,
+    orderBy: { scannedAt: 'asc' }
+  });
+}
+
+export function resolveCheckInConflict(prisma: PrismaClient, id: string) {
+  return prisma.offlineCheckIn.update({
+    where: { id },
+    data: { resolvedAt: new Date() },
+    include: WITH_PEOPLE
+  });
+}
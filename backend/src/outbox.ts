@@ -0,0 +1,244 @@
+import { Pool } from 'pg';
+import { EventStatus, OutboxMessageType, Prisma, PrismaClient, RegistrationStatus } from '@prisma/client';
+import { AttendeeDeltaMessage } from './attendeeDeltas';
+import { EventDetailsMessage } from './realtime';
+import { listenForNotifications } from './pgListener';
+
+const NOTIFY_CHANNEL = 'outbox';
+const BATCH_SIZE = 100;
+// Safety net for notifications missed while the listener reconnects
+const POLL_INTERVAL_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// Upper bound for one sink to deliver one batch, e.g. a slow webhook
+const DELIVERY_TIMEOUT_MS = 30 * 1000;
+const MAX_HISTORY_PAGE = 100;
+
+export type EventChange = 'CREATED' | 'UPDATED' | 'STATUS_CHANGED' | 'CANCELLED';
+
+export interface CheckInMessage {
+  eventId: string;
+  userId: string;
+  status: RegistrationStatus;
+  checkedInCount: number;
+  attendeeCount: number;
+}
+
+// What each message type carries. Dates are stored as ISO strings.
+export interface OutboxPayloads {
+  ATTENDEE_JOINED: { delta: AttendeeDeltaMessage };
+  ATTENDEE_LEFT: { delta: AttendeeDeltaMessage };
+  WAITLIST_CHANGED: Record<string, never>;
+  WAITLIST_PROMOTED: { userId: string };
+  CHECK_IN_CHANGED: CheckInMessage;
+  CHECK_IN_CONFLICT: { offlineCheckInId: string; conflictReason: string };
+  EVENT_CHANGED: { change: EventChange; previousStatus: EventStatus | null; event: EventDetailsMessage };
+  EVENT_DELETED: { name: string };
+}
+
+export type OutboxMessage = {
+  [T in OutboxMessageType]: {
+    id: bigint;
+    transactionId: bigint;
+    type: T;
+    eventId: string;
+    payload: OutboxPayloads[T];
+    createdAt: Date;
+  }
+}[OutboxMessageType];
+
+// Where dispatched messages go. Shared sinks deliver each message once for all instances and
+// keep their position in the database; local sinks, like the in-memory GraphQL subscriptions,
+// run on every instance and pick up from wherever the outbox was when the instance started.
+// Messages can be delivered more than once, so sinks must tolerate repeats.
+export interface OutboxSink {
+  name: string;
+  shared: boolean;
+  deliver(messages: OutboxMessage[]): Promise<void>;
+}
+
+interface Position {
+  transactionId: bigint;
+  messageId: bigint;
+}
+
+// Call inside the transaction that makes the change. The notification only goes out
+// once the transaction commits, so dispatchers never look for messages too early.
+export async function recordOutboxMessage<T extends OutboxMessageType>(
+  tx: Prisma.TransactionClient,
+  type: T,
+  eventId: string,
+  payload: OutboxPayloads[T]
+) {
+  await tx.outboxMessage.create({
+    data: { type, eventId, payload: payload as unknown as Prisma.InputJsonObject }
+  });
+  await tx.$executeRaw`SELECT pg_notify(${NOTIFY_CHANNEL}, '')`;
+}
+
+// Messages after `after` whose transactions have all finished. Ids are handed out before
+// commit, so a transaction still running may yet commit a lower id than one already
+// visible; reading only below the oldest running transaction (the snapshot's xmin)
+// means the dispatcher can never move past a message that hasn't committed yet.
+async function readMessages(db: Prisma.TransactionClient, after: Position): Promise<OutboxMessage[]> {
+  return db.$queryRaw<OutboxMessage[]>`
+    SELECT "id", "transactionId", "type"::text AS "type", "eventId", "payload", "createdAt"
+    FROM "OutboxMessage"
+    WHERE ("transactionId", "id") > (${after.transactionId}, ${after.messageId})
+      AND "transactionId" < pg_snapshot_xmin(pg_current_snapshot())::text::bigint
+    ORDER BY "transactionId", "id"
+    LIMIT ${BATCH_SIZE}
+  `;
+}
+
+// Position of the newest message that's safe to read, where new sinks start
+async function currentPosition(db: Prisma.TransactionClient): Promise<Position> {
+  const [latest] = await db.$queryRaw<{ transactionId: bigint, id: bigint }[]>`
+    SELECT "transactionId", "id"
+    FROM "OutboxMessage"
+    WHERE "transactionId" < pg_snapshot_xmin(pg_current_snapshot())::text::bigint
+    ORDER BY "transactionId" DESC, "id" DESC
+    LIMIT 1
+  `;
+  return latest ? { transactionId: latest.transactionId, messageId: latest.id } : { transactionId: 0n, messageId: 0n };
+}
+
+function lastPosition(messages: OutboxMessage[]): Position {
+  const last = messages[messages.length - 1];
+  return { transactionId: last.transactionId, messageId: last.id };
+}
+
+// Delivers the next batch for a shared sink, or nothing if another instance is busy with it.
+// Takes an advisory lock rather than locking the cursor row so the dispatcher's own
+// transaction doesn't hold back the xmin horizon while a delivery is in progress.
+async function dispatchShared(prisma: PrismaClient, sink: OutboxSink): Promise<number> {
+  return prisma.$transaction(async (tx) => {
+    const [{ locked }] = await tx.$queryRaw<{ locked: boolean }[]>`
+      SELECT pg_try_advisory_xact_lock(hashtext(${`outbox:${sink.name}`})) AS locked
+    `;
+    if (!locked) {
+      return 0;
+    }
+
+    let cursor = await tx.outboxCursor.findUnique({ where: { sink: sink.name } });
+    if (!cursor) {
+      const start = await currentPosition(tx);
+      cursor = await tx.outboxCursor.create({ data: { sink: sink.name, ...start } });
+      console.log(`📬 Outbox sink "${sink.name}" starts after message ${start.messageId}`);
+    }
+
+    const messages = await readMessages(tx, cursor);
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    await sink.deliver(messages);
+    await tx.outboxCursor.update({ where: { sink: sink.name }, data: lastPosition(messages) });
+    return messages.length;
+  }, { timeout: DELIVERY_TIMEOUT_MS });
+}
+
+// Runs every sink whenever a message is committed, and on a timer as a fallback.
+// A failing sink backs off on its own without holding up the others.
+export function startOutboxDispatcher(prisma: PrismaClient, pool: Pool, sinks: OutboxSink[]) {
+  const localPositions = new Map<string, Position>();
+  const retries = new Map<string, { attempts: number, retryAt: number }>();
+  let running = false;
+  let rerun = false;
+  let stopped = false;
+
+  const dispatchLocal = async (sink: OutboxSink) => {
+    const position = localPositions.get(sink.name)!;
+    const messages = await readMessages(prisma, position);
+    if (messages.length > 0) {
+      await sink.deliver(messages);
+      localPositions.set(sink.name, lastPosition(messages));
+    }
+    return messages.length;
+  };
+
+  const runSink = async (sink: OutboxSink) => {
+    const retry = retries.get(sink.name);
+    if (retry && Date.now() < retry.retryAt) {
+      return;
+    }
+
+    try {
+      let delivered;
+      do {
+        delivered = sink.shared ? await dispatchShared(prisma, sink) : await dispatchLocal(sink);
+      } while (delivered === BATCH_SIZE && !stopped);
+      retries.delete(sink.name);
+    } catch (error) {
+      const attempts = (retry?.attempts ?? 0) + 1;
+      const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY_MS);
+      retries.set(sink.name, { attempts, retryAt: Date.now() + delay });
+      console.error(`Error delivering outbox messages to "${sink.name}" (attempt ${attempts}, retrying in ${delay}ms):`, error);
+    }
+  };
+
+  const run = async () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        for (const sink of sinks) {
+          await runSink(sink);
+        }
+      } while (rerun && !stopped);
+    } finally {
+      running = false;
+    }
+  };
+
+  let listener: ReturnType<typeof listenForNotifications> | null = null;
+  let timer: NodeJS.Timeout | undefined;
+  const ready = (async () => {
+    // Local sinks need their starting point before anything runs
+    const start = await currentPosition(prisma);
+    sinks.filter(sink => !sink.shared).forEach(sink => localPositions.set(sink.name, start));
+    timer = setInterval(run, POLL_INTERVAL_MS);
+    listener = listenForNotifications(pool, NOTIFY_CHANNEL, () => run());
+    await listener.ready;
+    console.log(`📮 Outbox dispatcher started for: ${sinks.map(sink => sink.name).join(', ')}`);
+    await run();
+  })().catch(error => console.error('Error starting the outbox dispatcher:', error));
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearInterval(timer);
+      await ready;
+      await listener?.stop();
+    }
+  };
+}
+
+// Makes a shared sink deliver everything from the given message on again
+export async function replayOutbox(prisma: PrismaClient, sink: string, fromMessageId: bigint) {
+  const message = await prisma.outboxMessage.findUnique({ where: { id: fromMessageId } });
+  if (!message) {
+    throw new Error('Outbox message not found');
+  }
+  const position = { transactionId: message.transactionId, messageId: message.id - 1n };
+  await prisma.outboxCursor.upsert({
+    where: { sink },
+    create: { sink, ...position },
+    update: position
+  });
+}
+
+// The recorded history in the order it was written, optionally for one event
+export function listOutboxMessages(prisma: PrismaClient, { eventId, after, first = 50 }: { eventId?: string | null, after?: bigint | null, first?: number | null }) {
+  return prisma.outboxMessage.findMany({
+    where: {
+      ...(eventId ? { eventId } : {}),
+      ...(after != null ? { id: { gt: after } } : {})
+    },
+    orderBy: { id: 'asc' },
+    take: Math.min(Math.max(first ?? 50, 1), MAX_HISTORY_PAGE)
+  });
+}
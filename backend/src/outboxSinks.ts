@@ -0,0 +1,181 @@
+import { createHmac } from 'crypto';
+import { Server } from 'socket.io';
+import { PrismaClient } from '@prisma/client';
+import { PUBLIC_STATUSES } from './lifecycle';
+import { OutboxMessage, OutboxSink } from './outbox';
+import { EVENT_SUMMARIES_ROOM, eventRoom, toEventDetails, toEventSummary, userRoom } from './realtime';
+import { WITH_ATTENDEE_COUNT, findEventWithCount } from './registration';
+import { closeEventRoom, revalidateEventRoom } from './socketAccess';
+import { publishAttendeeJoined, publishAttendeeLeft, publishEventUpdated } from './subscriptions';
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// The JSON form of a message; ids are 64-bit, so they go out as strings
+export function toOutboxMessageJson(message: OutboxMessage) {
+  return {
+    id: message.id.toString(),
+    type: message.type,
+    eventId: message.eventId,
+    payload: message.payload,
+    createdAt: message.createdAt
+  };
+}
+
+// Socket.io broadcasts. Shared: the Postgres adapter already fans each emit out to every instance.
+export function createSocketSink(io: Server, prisma: PrismaClient): OutboxSink {
+  return {
+    name: 'sockets',
+    shared: true,
+    deliver: async (messages) => {
+      // Events whose row in the event list needs new counts once the batch is out
+      const summaryIds = new Set<string>();
+      const conflictCounts = new Map<string, number>();
+
+      for (const message of messages) {
+        const room = io.to(eventRoom(message.eventId));
+        switch (message.type) {
+          case 'ATTENDEE_JOINED':
+          case 'ATTENDEE_LEFT':
+            room.emit('attendeeDelta', message.payload.delta);
+            summaryIds.add(message.eventId);
+            break;
+          case 'WAITLIST_CHANGED':
+            room.emit('waitlistUpdated', { eventId: message.eventId });
+            break;
+          case 'WAITLIST_PROMOTED': {
+            // The room hears about it through the promoted user's delta
+            const [event, user] = await Promise.all([
+              prisma.event.findUnique({ where: { id: message.eventId } }),
+              prisma.user.findUnique({ where: { id: message.payload.userId } })
+            ]);
+            if (event && user) {
+              console.log(`⏫ ${user.email} promoted from the waitlist of "${event.name}"`);
+              io.to(userRoom(user.id)).emit('waitlistPromoted', { eventId: event.id, event: toEventDetails(event) });
+            }
+            break;
+          }
+          case 'CHECK_IN_CHANGED':
+            room.emit('checkInUpdated', message.payload);
+            break;
+          case 'CHECK_IN_CONFLICT':
+            conflictCounts.set(message.eventId, (conflictCounts.get(message.eventId) ?? 0) + 1);
+            break;
+          case 'EVENT_CHANGED': {
+            const { change, event } = message.payload;
+            // Drafts aren't announced until they're published
+            if (change === 'CREATED') {
+              break;
+            }
+            // Drafts and completed events are off the public list
+            if (!PUBLIC_STATUSES.includes(event.status)) {
+              const hidden = change === 'STATUS_CHANGED';
+              if (hidden) {
+                // Viewers who can't see it any more lose sight of the event before its details go out
+                await revalidateEventRoom(io, prisma, message.eventId);
+              }
+              room.emit('eventUpdated', { eventId: message.eventId, event });
+              if (hidden) {
+                // Attendees drop the event from their lists
+                io.to(EVENT_SUMMARIES_ROOM).emit('eventRemoved', { eventId: message.eventId });
+              }
+              break;
+            }
+            room.emit(change === 'CANCELLED' ? 'eventCancelled' : 'eventUpdated', { eventId: message.eventId, event });
+            summaryIds.add(message.eventId);
+            break;
+          }
+          case 'EVENT_DELETED':
+            room.emit('eventDeleted', { eventId: message.eventId });
+            io.to(EVENT_SUMMARIES_ROOM).emit('eventRemoved', { eventId: message.eventId });
+            closeEventRoom(io, message.eventId);
+            break;
+        }
+      }
+
+      conflictCounts.forEach((conflictCount, eventId) => {
+        io.to(eventRoom(eventId)).emit('checkInConflict', { eventId, conflictCount });
+      });
+
+      // Drafts and completed events are left out; those who still see them pick up changes
+      // when the list refreshes
+      const events = await prisma.event.findMany({
+        where: { id: { in: [...summaryIds] }, status: { in: PUBLIC_STATUSES } },
+        include: WITH_ATTENDEE_COUNT
+      });
+      events.forEach(event => {
+        io.to(EVENT_SUMMARIES_ROOM).emit('eventSummary', toEventSummary(event));
+      });
+    }
+  };
+}
+
+// GraphQL subscriptions. Their pubsub is in memory, so every instance feeds its own subscribers.
+export function createSubscriptionSink(prisma: PrismaClient): OutboxSink {
+  return {
+    name: 'subscriptions',
+    shared: false,
+    deliver: async (messages) => {
+      for (const message of messages) {
+        if (message.type !== 'ATTENDEE_JOINED' && message.type !== 'ATTENDEE_LEFT' && message.type !== 'EVENT_CHANGED') {
+          continue;
+        }
+        if (message.type === 'EVENT_CHANGED' && message.payload.change === 'CREATED') {
+          continue;
+        }
+
+        // Deleted in the meantime; nothing left to publish
+        const event = await findEventWithCount(prisma, message.eventId);
+        if (!event) {
+          continue;
+        }
+
+        if (message.type === 'EVENT_CHANGED') {
+          publishEventUpdated(event);
+          continue;
+        }
+        const user = await prisma.user.findUnique({ where: { id: message.payload.delta.user.id } });
+        if (!user) {
+          continue;
+        }
+        if (message.type === 'ATTENDEE_JOINED') {
+          publishAttendeeJoined(event, user);
+        } else {
+          publishAttendeeLeft(event, user);
+        }
+      }
+    }
+  };
+}
+
+// POSTs batches of messages as JSON to an external endpoint. Any response other than 2xx
+// fails the batch, which is retried with backoff. With a secret, the body's HMAC-SHA256
+// goes in the X-Outbox-Signature header so receivers can check where it came from.
+export function createWebhookSink(url: string, secret?: string): OutboxSink {
+  return {
+    name: `webhook:${url}`,
+    shared: true,
+    deliver: async (messages) => {
+      const body = JSON.stringify({ messages: messages.map(toOutboxMessageJson) });
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Outbox-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook ${url} responded with ${response.status}`);
+      }
+    }
+  };
+}
+
+// One sink per comma-separated URL in OUTBOX_WEBHOOK_URLS
+export function createWebhookSinks(): OutboxSink[] {
+  const urls = (process.env.OUTBOX_WEBHOOK_URLS ?? '').split(',').map(url => url.trim()).filter(Boolean);
+  return urls.map(url => createWebhookSink(url, process.env.OUTBOX_WEBHOOK_SECRET));
+}
@@ -0,0 +1,66 @@
+import { badUserInput } from './validation';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export interface PageArgs {
+  first?: number | null;
+  after?: string | null;
+}
+
+export interface Edge<T> {
+  cursor: string;
+  node: T;
+}
+
+// Relay connection. totalCount is a function so the count query only runs when a client
+// selects it; GraphQL's default resolver calls it.
+export interface Connection<T> {
+  edges: Edge<T>[];
+  pageInfo: {
+    hasNextPage: boolean;
+    endCursor: string | null;
+  };
+  totalCount: () => Promise<number>;
+}
+
+export function pageSize(first?: number | null): number {
+  return Math.min(Math.max(first ?? DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+// Cursors are the sort key of the row they point at, so pages stay stable while rows are
+// added or removed elsewhere in the list. They are opaque to clients.
+export function encodeCursor(values: (string | number)[]): string {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+export function decodeCursor(cursor: string, length: number): (string | number)[] {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(values) && values.length === length) {
+      return values;
+    }
+  } catch {
+    // Reported below
+  }
+  throw badUserInput('after must be a cursor returned by this query');
+}
+
+// Builds a connection from rows fetched with `take: size + 1`; the extra row only tells
+// whether there is another page
+export function toConnection<T>(
+  rows: T[],
+  size: number,
+  cursorOf: (row: T) => string,
+  totalCount: () => Promise<number>
+): Connection<T> {
+  const edges = rows.slice(0, size).map(node => ({ cursor: cursorOf(node), node }));
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: rows.length > size,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount
+  };
+}
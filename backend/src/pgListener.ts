@@ -0,0 +1,52 @@
+import { Pool, PoolClient } from 'pg';
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Calls onNotify with the payload of every NOTIFY on the channel. Holds one pooled
+// connection for as long as it listens and reconnects when that connection drops;
+// notifications sent while it was down are lost, so callers need their own catch-up.
+export function listenForNotifications(pool: Pool, channel: string, onNotify: (payload: string) => void) {
+  let client: PoolClient | null = null;
+  let stopped = false;
+
+  const reconnect = () => {
+    if (!stopped) {
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+  };
+
+  const connect = async () => {
+    try {
+      client = await pool.connect();
+      client.on('notification', (message) => {
+        if (message.channel === channel) {
+          onNotify(message.payload ?? '');
+        }
+      });
+      client.on('error', (error) => {
+        console.error(`Lost the "${channel}" listener connection:`, error);
+        client?.release(error);
+        client = null;
+        reconnect();
+      });
+      await client.query(`LISTEN ${channel}`);
+    } catch (error) {
+      console.error(`Error listening on "${channel}":`, error);
+      client?.release(true);
+      client = null;
+      reconnect();
+    }
+  };
+
+  const ready = connect();
+
+  return {
+    ready,
+    stop: async () => {
+      stopped = true;
+      await ready;
+      client?.release(true);
+      client = null;
+    }
+  };
+}
@@ -0,0 +1,140 @@
+import { Pool } from 'pg';
+import { PrismaClient, User } from '@prisma/client';
+import { listenForNotifications } from './pgListener';
+
+const NOTIFY_CHANNEL = 'presence';
+// Clients send a heartbeat every 20 seconds; a socket that missed a few no longer counts
+const PRESENCE_TTL_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// A burst of joins and leaves, e.g. after a deploy, is announced once
+const ANNOUNCE_DELAY_MS = 500;
+
+export interface StaffDevice {
+  deviceId: string;
+  door: string | null;
+  user: User;
+  lastSeenAt: Date;
+}
+
+export interface EventPresence {
+  eventId: string;
+  // Distinct people with the event open, however many devices each uses
+  viewerCount: number;
+  staffDevices: StaffDevice[];
+}
+
+function freshSince() {
+  return new Date(Date.now() - PRESENCE_TTL_MS);
+}
+
+// Tells every instance, including this one, to announce the events' new presence
+async function notifyPresenceChanged(prisma: PrismaClient, eventIds: string[]) {
+  for (const eventId of new Set(eventIds)) {
+    await prisma.$executeRaw`SELECT pg_notify(${NOTIFY_CHANNEL}, ${eventId})`;
+  }
+}
+
+// Records that the socket has the event open
+export async function trackViewer(prisma: PrismaClient, socketId: string, eventId: string, userId: string) {
+  await prisma.presence.upsert({
+    where: { socketId_eventId: { socketId, eventId } },
+    create: { socketId, eventId, userId },
+    update: { lastSeenAt: new Date() }
+  });
+  await notifyPresenceChanged(prisma, [eventId]);
+}
+
+// Records a staff device checking people in, and at which door
+export async function trackStaffDevice(prisma: PrismaClient, socketId: string, eventId: string, userId: string, deviceId: string, door: string | null) {
+  await prisma.presence.upsert({
+    where: { socketId_eventId: { socketId, eventId } },
+    create: { socketId, eventId, userId, deviceId, door },
+    update: { deviceId, door, lastSeenAt: new Date() }
+  });
+  await notifyPresenceChanged(prisma, [eventId]);
+}
+
+export async function untrack(prisma: PrismaClient, socketId: string, eventId: string) {
+  const { count } = await prisma.presence.deleteMany({ where: { socketId, eventId } });
+  if (count > 0) {
+    await notifyPresenceChanged(prisma, [eventId]);
+  }
+}
+
+// Forgets everything a disconnected socket had open
+export async function untrackSocket(prisma: PrismaClient, socketId: string) {
+  const rows = await prisma.presence.findMany({ where: { socketId }, select: { eventId: true } });
+  await prisma.presence.deleteMany({ where: { socketId } });
+  await notifyPresenceChanged(prisma, rows.map(row => row.eventId));
+}
+
+// Heartbeats only keep rows fresh; nobody is told, since nothing changed
+export async function refreshPresence(prisma: PrismaClient, socketId: string) {
+  await prisma.presence.updateMany({ where: { socketId }, data: { lastSeenAt: new Date() } });
+}
+
+export async function getPresence(prisma: PrismaClient, eventId: string): Promise<EventPresence> {
+  const rows = await prisma.presence.findMany({
+    where: { eventId, lastSeenAt: { gte: freshSince() } },
+    include: { user: true },
+    orderBy: { joinedAt: 'asc' }
+  });
+
+  const viewers = new Set(rows.filter(row => !row.deviceId).map(row => row.userId));
+  // A device that reconnected has a second row until the old one expires; the newest wins
+  const devices = new Map<string, StaffDevice>();
+  for (const row of rows) {
+    if (row.deviceId) {
+      devices.set(row.deviceId, { deviceId: row.deviceId, door: row.door, user: row.user, lastSeenAt: row.lastSeenAt });
+    }
+  }
+
+  return { eventId, viewerCount: viewers.size, staffDevices: [...devices.values()] };
+}
+
+// Removes rows whose sockets went away without a disconnect, e.g. when their instance died
+async function sweepStalePresence(prisma: PrismaClient) {
+  const stale = await prisma.presence.findMany({
+    where: { lastSeenAt: { lt: freshSince() } },
+    select: { id: true, eventId: true }
+  });
+  if (stale.length === 0) {
+    return;
+  }
+
+  await prisma.presence.deleteMany({ where: { id: { in: stale.map(row => row.id) } } });
+  await notifyPresenceChanged(prisma, stale.map(row => row.eventId));
+}
+
+// Calls onChange on every instance when an event's presence changes through any of them,
+// and sweeps up stale rows. Presence is short-lived, so it skips the outbox: a change
+// nobody heard about is corrected by the next one.
+export function startPresenceTracking(prisma: PrismaClient, pool: Pool, onChange: (eventId: string) => Promise<void>) {
+  const pending = new Map<string, NodeJS.Timeout>();
+
+  const listener = listenForNotifications(pool, NOTIFY_CHANNEL, (eventId) => {
+    if (pending.has(eventId)) {
+      return;
+    }
+    pending.set(eventId, setTimeout(async () => {
+      pending.delete(eventId);
+      try {
+        await onChange(eventId);
+      } catch (error) {
+        console.error('Error announcing presence:', error);
+      }
+    }, ANNOUNCE_DELAY_MS));
+  });
+
+  const sweep = setInterval(() => {
+    sweepStalePresence(prisma).catch(error => console.error('Error sweeping stale presence:', error));
+  }, SWEEP_INTERVAL_MS);
+
+  return {
+    stop: async () => {
+      clearInterval(sweep);
+      pending.forEach(timeout => clearTimeout(timeout));
+      await listener.stop();
+    }
+  };
+}
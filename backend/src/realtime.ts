@@ -0,0 +1,82 @@
+import { Event, EventStatus } from '@prisma/client';
+import { effectiveStatus, getEndTime } from './lifecycle';
+import { remainingSpots } from './registration';
+
+// Everyone browsing the event list; receives summaries with counts, never attendee lists
+export const EVENT_SUMMARIES_ROOM = 'event-summaries';
+
+const EVENT_ROOM_PREFIX = 'event-';
+
+// Everyone looking at one event's details
+export function eventRoom(eventId: string) {
+  return `${EVENT_ROOM_PREFIX}${eventId}`;
+}
+
+// The event a room returned by eventRoom() belongs to, or null for any other room
+export function eventIdFromRoom(room: string): string | null {
+  if (room === EVENT_SUMMARIES_ROOM || !room.startsWith(EVENT_ROOM_PREFIX)) {
+    return null;
+  }
+  return room.slice(EVENT_ROOM_PREFIX.length);
+}
+
+// Personal room for notifications meant for one user, e.g. waitlist promotions
+export function userRoom(userId: string) {
+  return `user-${userId}`;
+}
+
+// Every socket opened with one session's token, so logging out can disconnect them
+export function sessionRoom(sessionId: string) {
+  return `session-${sessionId}`;
+}
+
+type EventWithCount = Event & { _count: { registrations: number } };
+
+// What the detail screen needs to redraw after an edit or status change.
+// Attendees are left out; they arrive as attendeeDelta messages.
+export interface EventDetailsMessage {
+  id: string;
+  name: string;
+  location: string;
+  description: string | null;
+  startTime: Date;
+  endTime: Date;
+  timeZone: string;
+  seriesId: string | null;
+  status: EventStatus;
+  capacity: number | null;
+  cancelledAt: Date | null;
+  cancellationReason: string | null;
+}
+
+// One row of the event list; descriptions are only shown on the detail screen
+export interface EventSummaryMessage extends Omit<EventDetailsMessage, 'description'> {
+  attendeeCount: number;
+  remainingSpots: number | null;
+}
+
+export function toEventDetails(event: Event): EventDetailsMessage {
+  return {
+    id: event.id,
+    name: event.name,
+    location: event.location,
+    description: event.description,
+    startTime: event.startTime,
+    endTime: getEndTime(event),
+    timeZone: event.timeZone,
+    seriesId: event.seriesId,
+    status: effectiveStatus(event),
+    capacity: event.capacity,
+    cancelledAt: event.cancelledAt,
+    cancellationReason: event.cancellationReason
+  };
+}
+
+export function toEventSummary(event: EventWithCount): EventSummaryMessage {
+  const { description, ...details } = toEventDetails(event);
+  return {
+    ...details,
+    attendeeCount: event._count.registrations,
+    remainingSpots: remainingSpots(event.capacity, event._count.registrations)
+  };
+}
@@ -0,0 +1,319 @@
+import { GraphQLError } from 'graphql';
+import { Prisma, PrismaClient, RegistrationStatus, User } from '@prisma/client';
+import { assertJoinable, effectiveStatus } from './lifecycle';
+import { recordAttendeeDelta } from './attendeeDeltas';
+import { recordOutboxMessage } from './outbox';
+import { ticketCode } from './tickets';
+
+export function eventFull() {
+  return new GraphQLError('This event is full', { extensions: { code: 'EVENT_FULL' } });
+}
+
+function notOnWaitlist() {
+  return new GraphQLError('This user is not on the waitlist', { extensions: { code: 'NOT_ON_WAITLIST' } });
+}
+
+// Events are loaded with how many attend rather than who; the Event resolvers read the
+// count from `_count` and page through the attendees themselves
+export const WITH_ATTENDEE_COUNT = {
+  _count: { select: { registrations: true } }
+} satisfies Prisma.EventInclude;
+
+export type EventWithCount = Prisma.EventGetPayload<{ include: typeof WITH_ATTENDEE_COUNT }>;
+
+export function findEventWithCount(db: Prisma.TransactionClient, eventId: string): Promise<EventWithCount | null> {
+  return db.event.findUnique({ where: { id: eventId }, include: WITH_ATTENDEE_COUNT });
+}
+
+export function loadEventWithCount(tx: Prisma.TransactionClient, eventId: string): Promise<EventWithCount> {
+  return tx.event.findUniqueOrThrow({ where: { id: eventId }, include: WITH_ATTENDEE_COUNT });
+}
+
+export async function isAttending(db: Prisma.TransactionClient, eventId: string, userId: string): Promise<boolean> {
+  const registration = await db.registration.findUnique({ where: { userId_eventId: { userId, eventId } } });
+  return registration !== null;
+}
+
+// Row lock on the event; concurrent joins for the same event queue up behind it until commit
+export async function lockEvent(tx: Prisma.TransactionClient, eventId: string) {
+  await tx.$queryRaw`SELECT id FROM "Event" WHERE id = ${eventId} FOR UPDATE`;
+}
+
+export function remainingSpots(capacity: number | null, attendeeCount: number): number | null {
+  return capacity === null ? null : Math.max(0, capacity - attendeeCount);
+}
+
+// Every attendee change goes through these two so it gets a versioned delta and an outbox message
+async function register(tx: Prisma.TransactionClient, eventId: string, userId: string) {
+  const registration = await tx.registration.create({ data: { eventId, userId } });
+  // The code comes from the id, which only exists once the row does
+  await tx.registration.update({ where: { id: registration.id }, data: { ticketCode: ticketCode(registration.id) } });
+  const delta = await recordAttendeeDelta(tx, eventId, 'ADDED', userId);
+  await recordOutboxMessage(tx, 'ATTENDEE_JOINED', eventId, { delta });
+}
+
+async function unregister(tx: Prisma.TransactionClient, eventId: string, userId: string) {
+  await tx.registration.delete({ where: { userId_eventId: { userId, eventId } } });
+  // Their agenda's seats go to someone else
+  await tx.sessionBookmark.deleteMany({ where: { userId, session: { eventId } } });
+  const delta = await recordAttendeeDelta(tx, eventId, 'REMOVED', userId);
+  await recordOutboxMessage(tx, 'ATTENDEE_LEFT', eventId, { delta });
+}
+
+function recordWaitlistChanged(tx: Prisma.TransactionClient, eventId: string) {
+  return recordOutboxMessage(tx, 'WAITLIST_CHANGED', eventId, {});
+}
+
+async function findEventForUpdate(tx: Prisma.TransactionClient, eventId: string) {
+  await lockEvent(tx, eventId);
+
+  const event = await findEventWithCount(tx, eventId);
+  if (!event) {
+    throw new Error('Event not found');
+  }
+  return event;
+}
+
+// Moves people from the front of the waitlist into free spots and returns them. Call with the event locked.
+export async function fillFromWaitlist(tx: Prisma.TransactionClient, eventId: string): Promise<User[]> {
+  const event = await loadEventWithCount(tx, eventId);
+
+  // Nobody gets promoted into a draft, cancelled or finished event
+  const status = effectiveStatus(event);
+  if (status !== 'PUBLISHED' && status !== 'LIVE') {
+    return [];
+  }
+
+  const freeSpots = remainingSpots(event.capacity, event._count.registrations);
+  const entries = await tx.waitlistEntry.findMany({
+    where: { eventId },
+    include: { user: true },
+    orderBy: { position: 'asc' },
+    ...(freeSpots === null ? {} : { take: freeSpots })
+  });
+
+  for (const entry of entries) {
+    await register(tx, eventId, entry.userId);
+    await tx.waitlistEntry.delete({ where: { id: entry.id } });
+    await recordOutboxMessage(tx, 'WAITLIST_PROMOTED', eventId, { userId: entry.userId });
+  }
+  if (entries.length > 0) {
+    await recordWaitlistChanged(tx, eventId);
+  }
+
+  return entries.map(entry => entry.user);
+}
+
+// Adds the user to the event's attendees without ever exceeding its capacity.
+// `joined` is false when the user was already attending and nothing changed.
+// Broadcasts go out from the outbox messages recorded here and in the functions below.
+export async function addAttendee(prisma: PrismaClient, eventId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const existingEvent = await findEventForUpdate(tx, eventId);
+    assertJoinable(existingEvent);
+
+    if (await isAttending(tx, eventId, userId)) {
+      return { event: existingEvent, joined: false };
+    }
+
+    if (remainingSpots(existingEvent.capacity, existingEvent._count.registrations) === 0) {
+      throw eventFull();
+    }
+
+    await register(tx, eventId, userId);
+    const { count } = await tx.waitlistEntry.deleteMany({ where: { eventId, userId } });
+    if (count > 0) {
+      await recordWaitlistChanged(tx, eventId);
+    }
+    return { event: await loadEventWithCount(tx, eventId), joined: true };
+  });
+}
+
+// Removes the user from the attendees and hands their spot to the next person on the waitlist
+export async function removeAttendee(prisma: PrismaClient, eventId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const existingEvent = await findEventForUpdate(tx, eventId);
+
+    if (!(await isAttending(tx, eventId, userId))) {
+      return { event: existingEvent, left: false };
+    }
+
+    await unregister(tx, eventId, userId);
+    await fillFromWaitlist(tx, eventId);
+
+    return { event: await loadEventWithCount(tx, eventId), left: true };
+  });
+}
+
+// Puts the user at the back of the waitlist. If a spot is free after all they are
+// added as an attendee right away, which `joined` reports.
+export async function addToWaitlist(prisma: PrismaClient, eventId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const existingEvent = await findEventForUpdate(tx, eventId);
+    assertJoinable(existingEvent);
+
+    const attending = await isAttending(tx, eventId, userId);
+    const existingEntry = await tx.waitlistEntry.findUnique({ where: { userId_eventId: { userId, eventId } } });
+    if (attending || existingEntry) {
+      return { event: existingEvent, joined: false };
+    }
+
+    if (remainingSpots(existingEvent.capacity, existingEvent._count.registrations) !== 0) {
+      await register(tx, eventId, userId);
+      return { event: await loadEventWithCount(tx, eventId), joined: true };
+    }
+
+    const last = await tx.waitlistEntry.findFirst({ where: { eventId }, orderBy: { position: 'desc' } });
+    await tx.waitlistEntry.create({
+      data: { eventId, userId, position: (last?.position ?? 0) + 1 }
+    });
+    await recordWaitlistChanged(tx, eventId);
+    return { event: existingEvent, joined: false };
+  });
+}
+
+export async function removeFromWaitlist(prisma: PrismaClient, eventId: string, userId: string) {
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.waitlistEntry.deleteMany({ where: { eventId, userId } });
+    if (count > 0) {
+      await recordWaitlistChanged(tx, eventId);
+    }
+  });
+}
+
+// Moves a waitlisted user into a free spot ahead of everyone else
+export async function promoteWaitlistEntry(prisma: PrismaClient, eventId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const existingEvent = await findEventForUpdate(tx, eventId);
+    assertJoinable(existingEvent);
+
+    const entry = await tx.waitlistEntry.findUnique({
+      where: { userId_eventId: { userId, eventId } },
+      include: { user: true }
+    });
+    if (!entry) {
+      throw notOnWaitlist();
+    }
+
+    if (remainingSpots(existingEvent.capacity, existingEvent._count.registrations) === 0) {
+      throw eventFull();
+    }
+
+    await tx.waitlistEntry.delete({ where: { id: entry.id } });
+    await register(tx, eventId, userId);
+    await recordOutboxMessage(tx, 'WAITLIST_PROMOTED', eventId, { userId });
+    await recordWaitlistChanged(tx, eventId);
+    return loadEventWithCount(tx, eventId);
+  });
+}
+
+// Moves a waitlisted user to the given 1-based position and renumbers everyone else
+export async function moveWaitlistEntry(prisma: PrismaClient, eventId: string, userId: string, position: number) {
+  return prisma.$transaction(async (tx) => {
+    await findEventForUpdate(tx, eventId);
+
+    const entries = await tx.waitlistEntry.findMany({ where: { eventId }, orderBy: { position: 'asc' } });
+    const currentIndex = entries.findIndex(entry => entry.userId === userId);
+    if (currentIndex === -1) {
+      throw notOnWaitlist();
+    }
+
+    const [entry] = entries.splice(currentIndex, 1);
+    const targetIndex = Math.min(Math.max(position, 1), entries.length + 1) - 1;
+    entries.splice(targetIndex, 0, entry);
+
+    for (const [index, { id }] of entries.entries()) {
+      await tx.waitlistEntry.update({ where: { id }, data: { position: index + 1 } });
+    }
+    await recordWaitlistChanged(tx, eventId);
+
+    return loadEventWithCount(tx, eventId);
+  });
+}
+
+// 1-based place in line, or null when the user isn't waitlisted
+export async function getWaitlistPosition(prisma: PrismaClient, eventId: string, userId: string): Promise<number | null> {
+  const entry = await prisma.waitlistEntry.findUnique({ where: { userId_eventId: { userId, eventId } } });
+  if (!entry) {
+    return null;
+  }
+  const ahead = await prisma.waitlistEntry.count({ where: { eventId, position: { lt: entry.position } } });
+  return ahead + 1;
+}
+
+// Marks the attendee as present. Checking out and back in again is allowed,
+// as is checking in late arrivals that were already marked as no-shows.
+// `at` lets check-ins synced from offline devices keep the time they were scanned.
+export async function checkIn(prisma: PrismaClient, eventId: string, userId: string, at = new Date()) {
+  return prisma.$transaction((tx) => applyCheckIn(tx, eventId, userId, at));
+}
+
+// checkIn within the caller's transaction, so it commits together with whatever the caller
+// records about it
+export async function applyCheckIn(tx: Prisma.TransactionClient, eventId: string, userId: string, at = new Date()) {
+  const event = await tx.event.findUnique({ where: { id: eventId } });
+  if (!event) {
+    throw new Error('Event not found');
+  }
+  assertJoinable(event);
+
+  // Conditional update so two staff members scanning the same person can't both succeed
+  const updated = await tx.registration.updateMany({
+    where: { eventId, userId, status: { in: ['REGISTERED', 'CHECKED_OUT', 'NO_SHOW'] } },
+    data: { status: 'CHECKED_IN', checkedInAt: at, checkedOutAt: null }
+  });
+
+  const registration = await tx.registration.findUnique({
+    where: { userId_eventId: { userId, eventId } },
+    include: { user: true }
+  });
+  if (!registration) {
+    throw new GraphQLError('This person is not registered for the event', { extensions: { code: 'NOT_REGISTERED' } });
+  }
+  if (updated.count === 0) {
+    throw new GraphQLError('This person is already checked in', { extensions: { code: 'ALREADY_CHECKED_IN' } });
+  }
+  await recordCheckInChanged(tx, eventId, userId, registration.status);
+  return registration;
+}
+
+export async function checkOut(prisma: PrismaClient, eventId: string, userId: string) {
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.registration.updateMany({
+      where: { eventId, userId, status: 'CHECKED_IN' },
+      data: { status: 'CHECKED_OUT', checkedOutAt: new Date() }
+    });
+    if (updated.count === 0) {
+      throw new GraphQLError('This person is not checked in', { extensions: { code: 'NOT_CHECKED_IN' } });
+    }
+    const registration = await tx.registration.findUniqueOrThrow({
+      where: { userId_eventId: { userId, eventId } },
+      include: { user: true }
+    });
+    await recordCheckInChanged(tx, eventId, userId, registration.status);
+    return registration;
+  });
+}
+
+// Carries the "X of Y checked in" counts as of the change
+async function recordCheckInChanged(tx: Prisma.TransactionClient, eventId: string, userId: string, status: RegistrationStatus) {
+  const stats = await getCheckInStats(tx, eventId);
+  await recordOutboxMessage(tx, 'CHECK_IN_CHANGED', eventId, { eventId, userId, status, ...stats });
+}
+
+// Everyone who never showed up by the time an event completed
+export async function markNoShows(db: Prisma.TransactionClient, eventIds: string[]) {
+  const result = await db.registration.updateMany({
+    where: { eventId: { in: eventIds }, status: 'REGISTERED' },
+    data: { status: 'NO_SHOW' }
+  });
+  return result.count;
+}
+
+export async function getCheckInStats(db: Prisma.TransactionClient, eventId: string) {
+  const [checkedInCount, attendeeCount] = await Promise.all([
+    db.registration.count({ where: { eventId, status: 'CHECKED_IN' } }),
+    db.registration.count({ where: { eventId } })
+  ]);
+  return { checkedInCount, attendeeCount };
+}
@@ -1,43 +1,100 @@
 import { PrismaClient } from '@prisma/client';
+import { hashPassword } from './auth';
+import { backfillTicketCodes } from './tickets';
+import { migrateLocations } from './venues';
 
 const prisma = new PrismaClient();
 
+// Shared password for the demo accounts below
+const DEMO_PASSWORD = 'password123';
+
+// Relative start times keep the demo events upcoming however long ago the database was seeded
+function daysFromNow(days: number, hour: number) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date;
+}
+
 async function seed() {
   // Clean existing data
   await prisma.event.deleteMany({});
   await prisma.user.deleteMany({});
+  await prisma.venue.deleteMany({});
 
   // Create sample users
   const users = await Promise.all([
     prisma.user.create({
       data: {
         name: 'Alice Johnson',
-        email: 'alice@example.com'
+        email: 'alice@example.com',
+        passwordHash: hashPassword(DEMO_PASSWORD),
+        role: 'ADMIN'
       }
     }),
     prisma.user.create({
       data: {
         name: 'Bob Smith',
-        email: 'bob@example.com'
+        email: 'bob@example.com',
+        passwordHash: hashPassword(DEMO_PASSWORD),
+        role: 'ORGANIZER'
       }
     }),
     prisma.user.create({
       data: {
         name: 'Charlie Brown',
-        email: 'charlie@example.com'
+        email: 'charlie@example.com',
+        passwordHash: hashPassword(DEMO_PASSWORD)
       }
     })
   ]);
 
+  // The Tech Meetup's venue, described in full; the other places become bare venues below
+  await prisma.venue.create({
+    data: {
+      name: 'Downtown Hall',
+      address: '120 Main Street, New York, NY 10001',
+      latitude: 40.7506,
+      longitude: -73.9972,
+      capacity: 200,
+      accessibility: 'Step-free access through the north door; hearing loop on the Main Stage',
+      entrances: ['Main door on Main Street', 'North door (step-free)'],
+      rooms: {
+        create: [
+          { name: 'Main Stage', capacity: 150 },
+          { name: 'Room 2', capacity: 10 }
+        ]
+      }
+    }
+  });
+
   // Create sample events
   const events = await Promise.all([
     prisma.event.create({
       data: {
         name: 'Tech Meetup',
         location: 'Downtown Hall',
-        startTime: new Date('2024-12-20T18:00:00Z'),
-        attendees: {
-          connect: [{ id: users[0].id }, { id: users[1].id }]
+        description: 'Lightning talks on web development, databases and real-time apps, followed by pizza.',
+        timeZone: 'America/New_York',
+        startTime: daysFromNow(3, 18),
+        endTime: daysFromNow(3, 21),
+        capacity: 25,
+        registrations: {
+          create: [{ userId: users[0].id }, { userId: users[1].id }]
+        },
+        members: {
+          create: [
+            { userId: users[1].id, role: 'ORGANIZER' },
+            { userId: users[2].id, role: 'STAFF' }
+          ]
+        },
+        // Two talks side by side, then everyone together
+        sessions: {
+          create: [
+            { title: 'Intro to GraphQL', speaker: 'Bob Smith', room: 'Main Stage', startTime: daysFromNow(3, 18), endTime: daysFromNow(3, 19) },
+            { title: 'Postgres Tips', speaker: 'Dana Lee', room: 'Room 2', startTime: daysFromNow(3, 18), endTime: daysFromNow(3, 19), capacity: 10 },
+            { title: 'Real-time Apps with Socket.io', speaker: 'Alice Johnson', room: 'Main Stage', startTime: daysFromNow(3, 19), endTime: daysFromNow(3, 20) }
+          ]
         }
       }
     }),
@@ -45,9 +102,18 @@ async function seed() {
       data: {
         name: 'Music Festival',
         location: 'City Park',
-        startTime: new Date('2024-12-22T15:00:00Z'),
-        attendees: {
-          connect: [{ id: users[0].id }]
+        description: 'Local bands play jazz, folk and indie rock on two stages over a weekend.',
+        timeZone: 'Europe/London',
+        startTime: daysFromNow(5, 15),
+        endTime: daysFromNow(6, 22),
+        days: {
+          create: [
+            { startTime: daysFromNow(5, 15), endTime: daysFromNow(5, 22) },
+            { startTime: daysFromNow(6, 13), endTime: daysFromNow(6, 22) }
+          ]
+        },
+        registrations: {
+          create: [{ userId: users[0].id }]
         }
       }
     }),
@@ -55,13 +121,73 @@ async function seed() {
       data: {
         name: 'Food Fair',
         location: 'Main Street',
-        startTime: new Date('2024-12-25T12:00:00Z')
+        description: 'Street food stalls, bakeries and a cooking demonstration at noon.',
+        startTime: daysFromNow(8, 12),
+        endTime: daysFromNow(8, 17)
+      }
+    }),
+    prisma.event.create({
+      data: {
+        name: 'Hackathon Planning',
+        location: 'Room 204',
+        startTime: daysFromNow(14, 9),
+        endTime: daysFromNow(14, 11),
+        status: 'DRAFT',
+        members: {
+          create: [{ userId: users[1].id, role: 'ORGANIZER' }]
+        }
       }
     })
   ]);
 
+  // A weekly series with only its first occurrence; the rest are created once the event
+  // list is loaded
+  const runningClubStart = daysFromNow(3, 22);
+  const runningClub = {
+    name: 'Running Club',
+    location: 'Riverside Park',
+    description: 'An easy-paced 5k loop along the river, all speeds welcome.',
+    timeZone: 'America/New_York',
+    capacity: 20
+  };
+  await prisma.eventSeries.create({
+    data: {
+      ...runningClub,
+      rule: 'FREQ=WEEKLY',
+      startTime: runningClubStart,
+      durationMinutes: 60,
+      status: 'PUBLISHED',
+      organizerId: users[1].id,
+      materializedUntil: runningClubStart,
+      occurrences: {
+        create: {
+          ...runningClub,
+          startTime: runningClubStart,
+          endTime: daysFromNow(3, 23),
+          originalStartTime: runningClubStart,
+          members: {
+            create: [{ userId: users[1].id, role: 'ORGANIZER' }]
+          }
+        }
+      }
+    }
+  });
+
+  // Links every event to its venue, and the Tech Meetup's talks to their rooms
+  await migrateLocations(prisma);
+
+  // The registrations above were created without their ticket codes
+  await backfillTicketCodes(prisma);
+
   console.log('✅ Database seeded with sample data!');
   console.log(`Created ${users.length} users and ${events.length} events`);
+  console.log(`Demo accounts use the password "${DEMO_PASSWORD}"`);
+  console.log('Alice is an admin, Bob organizes and Charlie staffs the Tech Meetup');
+  console.log('Bob also has an unpublished draft, the Hackathon Planning');
+  console.log('The Music Festival runs over two days');
+  console.log('Bob\'s Running Club meets every week');
+  console.log('The Tech Meetup has an agenda of three talks');
+  console.log('Downtown Hall has its address, entrances and rooms filled in');
 }
 
 seed()
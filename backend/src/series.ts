@@ -0,0 +1,389 @@
+import { Event, EventSeries, EventStatus, Prisma, PrismaClient } from '@prisma/client';
+import { GraphQLError } from 'graphql';
+import { RRule } from 'rrule';
+import { getEndTime } from './lifecycle';
+import { recordOutboxMessage } from './outbox';
+import { addToWaitlist, removeAttendee, removeFromWaitlist } from './registration';
+import { fromWallClock, toWallClock } from './timeZones';
+import { ParsedRecurrence, badUserInput } from './validation';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Occurrences are created this far past the latest start time a listing has reached
+const OCCURRENCES_AHEAD_MS = 8 * 7 * DAY_MS;
+
+// However far someone pages, series never get occurrences further out than this
+const MAX_OCCURRENCES_AHEAD_MS = 366 * DAY_MS;
+
+type SeriesRule = Pick<EventSeries, 'rule' | 'startTime' | 'timeZone' | 'exceptions'>;
+
+function seriesNotPublished() {
+  return new GraphQLError('This series has not been published yet', { extensions: { code: 'EVENT_NOT_PUBLISHED' } });
+}
+
+// The rule runs on the venue's clock: DTSTART is the first start's wall-clock time
+function ruleOf(series: SeriesRule): RRule {
+  return new RRule({ ...RRule.parseString(series.rule), dtstart: toWallClock(series.startTime, series.timeZone) });
+}
+
+// "every week on Tuesday"
+export function describeRule(rule: string): string {
+  return new RRule(RRule.parseString(rule)).toText();
+}
+
+// Start times the rule produces in [from, until), without the exceptions. Wall-clock and
+// real times are less than a day apart, so the rule is expanded a day either side and
+// the results filtered on real times.
+export function occurrenceStarts(series: SeriesRule, from: Date, until: Date, { withExceptions = false } = {}): Date[] {
+  const skipped = new Set(withExceptions ? [] : series.exceptions.map(date => date.getTime()));
+  return ruleOf(series)
+    .between(new Date(from.getTime() - DAY_MS), new Date(until.getTime() + DAY_MS), true)
+    .map(wallClock => fromWallClock(wallClock, series.timeZone))
+    .filter(start => start >= from && start < until && !skipped.has(start.getTime()));
+}
+
+// True once a finite rule has nothing left from `from` on
+function isExhausted(series: SeriesRule, from: Date): boolean {
+  const rule = ruleOf(series);
+  let next = rule.after(new Date(from.getTime() - DAY_MS), true);
+  while (next && fromWallClock(next, series.timeZone) < from) {
+    next = rule.after(next);
+  }
+  return next === null;
+}
+
+// How far series need occurrences for a listing that has reached `reached`
+export function occurrenceHorizon(reached: Date, now = new Date()): Date {
+  const ahead = Math.max(reached.getTime(), now.getTime()) + OCCURRENCES_AHEAD_MS;
+  return new Date(Math.min(ahead, now.getTime() + MAX_OCCURRENCES_AHEAD_MS));
+}
+
+// Creates the series' occurrences at these start times, skipping any that exist, and
+// returns all of their ids
+async function createOccurrences(tx: Prisma.TransactionClient, series: EventSeries, starts: Date[]): Promise<string[]> {
+  if (starts.length === 0) {
+    return [];
+  }
+  await tx.event.createMany({
+    data: starts.map(start => ({
+      seriesId: series.id,
+      originalStartTime: start,
+      name: series.name,
+      location: series.location,
+      venueId: series.venueId,
+      description: series.description,
+      startTime: start,
+      endTime: new Date(start.getTime() + series.durationMinutes * MINUTE_MS),
+      timeZone: series.timeZone,
+      capacity: series.capacity,
+      status: series.status
+    })),
+    skipDuplicates: true
+  });
+  const events = await tx.event.findMany({
+    where: { seriesId: series.id, originalStartTime: { in: starts } },
+    select: { id: true }
+  });
+  await tx.eventMembership.createMany({
+    data: events.map(event => ({ eventId: event.id, userId: series.organizerId, role: 'ORGANIZER' as const })),
+    skipDuplicates: true
+  });
+  return events.map(event => event.id);
+}
+
+// Occurrences people following the series are added to
+function upcomingOccurrencesWhere(seriesId: string, now: Date): Prisma.EventWhereInput {
+  return { seriesId, status: { in: ['PUBLISHED', 'LIVE'] }, startTime: { gt: now } };
+}
+
+// Adds everyone following the series to those of these occurrences that are still ahead,
+// earliest follower first. addToWaitlist joins them outright while there's room.
+// Runs during listings, so one failed join is logged rather than failing the listing.
+export async function addSubscribers(prisma: PrismaClient, seriesId: string, eventIds: string[], now = new Date()) {
+  if (eventIds.length === 0) {
+    return;
+  }
+  const [occurrences, subscriptions] = await Promise.all([
+    prisma.event.findMany({
+      where: { id: { in: eventIds }, ...upcomingOccurrencesWhere(seriesId, now) },
+      orderBy: { startTime: 'asc' },
+      select: { id: true }
+    }),
+    prisma.seriesSubscription.findMany({ where: { seriesId }, orderBy: { createdAt: 'asc' } })
+  ]);
+  for (const occurrence of occurrences) {
+    for (const { userId } of subscriptions) {
+      try {
+        await addToWaitlist(prisma, occurrence.id, userId);
+      } catch (error) {
+        console.error(`Could not add series follower ${userId} to occurrence ${occurrence.id}:`, error);
+      }
+    }
+  }
+}
+
+// Creates the occurrences every series needs up to `until`. Listings call this before
+// reading, so occurrences only exist as far ahead as someone has looked.
+export async function materializeOccurrences(prisma: PrismaClient, until: Date) {
+  const due = await prisma.eventSeries.findMany({
+    where: { complete: false, materializedUntil: { lt: until } }
+  });
+
+  for (const series of due) {
+    const eventIds = await prisma.$transaction(async (tx) => {
+      // Only the request that moves the mark creates what's in between
+      const { count } = await tx.eventSeries.updateMany({
+        where: { id: series.id, materializedUntil: series.materializedUntil },
+        data: { materializedUntil: until, complete: isExhausted(series, until) }
+      });
+      if (count === 0) {
+        return [];
+      }
+      return createOccurrences(tx, series, occurrenceStarts(series, series.materializedUntil, until));
+    });
+
+    if (series.status === 'PUBLISHED') {
+      await addSubscribers(prisma, series.id, eventIds);
+    }
+  }
+}
+
+// Turns the event into the first occurrence of a new series following `recurrence`.
+// Later occurrences are created by materializeOccurrences.
+export async function startSeries(
+  tx: Prisma.TransactionClient,
+  event: Event,
+  recurrence: ParsedRecurrence,
+  organizerId: string
+): Promise<EventSeries> {
+  const series = await tx.eventSeries.create({
+    data: {
+      rule: recurrence.rule,
+      startTime: event.startTime,
+      exceptions: recurrence.exceptions,
+      ...templateOf(event),
+      status: event.status === 'DRAFT' ? 'DRAFT' : 'PUBLISHED',
+      organizerId,
+      materializedUntil: event.startTime
+    }
+  });
+  if (isExhausted(series, new Date(event.startTime.getTime() + 1))) {
+    throw badUserInput('recurrence must repeat the event at least once after its first occurrence');
+  }
+  await tx.event.update({
+    where: { id: event.id },
+    data: { seriesId: series.id, originalStartTime: event.startTime, isOverride: false }
+  });
+  return series;
+}
+
+function templateOf(event: Event) {
+  return {
+    name: event.name,
+    location: event.location,
+    venueId: event.venueId,
+    description: event.description,
+    capacity: event.capacity,
+    timeZone: event.timeZone,
+    durationMinutes: Math.round((getEndTime(event).getTime() - event.startTime.getTime()) / MINUTE_MS)
+  };
+}
+
+// The rule cut short so its last occurrence starts before `splitAt`
+function ruleEndingBefore(series: SeriesRule, splitAt: Date): string {
+  const options = RRule.parseString(series.rule);
+  delete options.count;
+  options.until = new Date(toWallClock(splitAt, series.timeZone).getTime() - 1000);
+  return RRule.optionsToString(options).replace(/^RRULE:/, '');
+}
+
+// The rule for the part of the series from `splitAt` on. COUNT includes the occurrences
+// before the split, exceptions too (RFC 5545 applies EXDATE after COUNT).
+function ruleContinuingFrom(series: SeriesRule, splitAt: Date): string {
+  const options = RRule.parseString(series.rule);
+  if (options.count) {
+    const before = occurrenceStarts(series, series.startTime, splitAt, { withExceptions: true }).length;
+    options.count = Math.max(1, options.count - before);
+  }
+  return RRule.optionsToString(options).replace(/^RRULE:/, '');
+}
+
+// Applies an edit of one occurrence (`before`, saved as `after`) to every later one. The
+// series is split there: its rule stops short and a new series carries on from the
+// edited occurrence. Later occurrences move on the venue's clock by as much as this one
+// did. With a new rule, later occurrences nobody joined are dropped and recreated from
+// it; the ones people joined stay where they are as overrides.
+// Returns the ids of the later occurrences that changed; call with `before` locked.
+export async function updateFollowingOccurrences(
+  tx: Prisma.TransactionClient,
+  before: Event,
+  after: Event,
+  recurrence?: ParsedRecurrence
+): Promise<string[]> {
+  const series = await tx.eventSeries.findUniqueOrThrow({ where: { id: before.seriesId! } });
+  const splitAt = before.originalStartTime!;
+
+  await tx.$queryRaw`
+    SELECT id FROM "Event" WHERE "seriesId" = ${series.id} AND "originalStartTime" > ${splitAt} FOR UPDATE
+  `;
+  const following = await tx.event.findMany({
+    where: { seriesId: series.id, originalStartTime: { gt: splitAt } },
+    include: { _count: { select: { registrations: true, waitlist: true } } },
+    orderBy: { originalStartTime: 'asc' }
+  });
+
+  const shiftMs = toWallClock(after.startTime, after.timeZone).getTime() - toWallClock(before.startTime, before.timeZone).getTime();
+  const move = (time: Date) => fromWallClock(new Date(toWallClock(time, series.timeZone).getTime() + shiftMs), after.timeZone);
+  const template = templateOf(after);
+
+  const continuing = {
+    rule: recurrence?.rule ?? ruleContinuingFrom(series, splitAt),
+    startTime: after.startTime,
+    exceptions: recurrence?.exceptions ?? series.exceptions.filter(date => date > splitAt).map(move),
+    ...template,
+    // Without a new rule every created occurrence moves along, so the mark does too
+    materializedUntil: recurrence ? after.startTime : move(series.materializedUntil),
+    complete: false
+  };
+
+  // Editing from the first occurrence changes the whole series in place
+  let target: EventSeries;
+  if (splitAt.getTime() === series.startTime.getTime()) {
+    target = await tx.eventSeries.update({ where: { id: series.id }, data: continuing });
+  } else {
+    await tx.eventSeries.update({
+      where: { id: series.id },
+      data: {
+        rule: ruleEndingBefore(series, splitAt),
+        exceptions: series.exceptions.filter(date => date < splitAt),
+        // Everything before the split already exists
+        complete: true
+      }
+    });
+    const subscriptions = await tx.seriesSubscription.findMany({ where: { seriesId: series.id } });
+    target = await tx.eventSeries.create({
+      data: {
+        ...continuing,
+        status: series.status,
+        organizerId: series.organizerId,
+        subscriptions: { create: subscriptions.map(({ userId, createdAt }) => ({ userId, createdAt })) }
+      }
+    });
+  }
+
+  await tx.event.update({
+    where: { id: after.id },
+    data: { seriesId: target.id, originalStartTime: after.startTime, isOverride: false }
+  });
+
+  const changedIds: string[] = [];
+  for (const occurrence of following) {
+    const followsRule = !occurrence.isOverride && occurrence.status !== 'CANCELLED' && occurrence.status !== 'COMPLETED';
+    const joined = occurrence._count.registrations > 0 || occurrence._count.waitlist > 0;
+
+    if (recurrence && followsRule && !joined) {
+      await tx.event.delete({ where: { id: occurrence.id } });
+      await recordOutboxMessage(tx, 'EVENT_DELETED', occurrence.id, { name: occurrence.name });
+      continue;
+    }
+
+    if (!followsRule || recurrence) {
+      // Kept as it is, as part of the new series
+      await tx.event.update({
+        where: { id: occurrence.id },
+        data: { seriesId: target.id, isOverride: true }
+      });
+      continue;
+    }
+
+    if (template.capacity !== null && template.capacity < occurrence._count.registrations) {
+      throw badUserInput(
+        `capacity cannot be lower than the ${occurrence._count.registrations} people already attending on ${occurrence.startTime.toISOString()}`
+      );
+    }
+    const startTime = move(occurrence.startTime);
+    await tx.event.update({
+      where: { id: occurrence.id },
+      data: {
+        seriesId: target.id,
+        originalStartTime: move(occurrence.originalStartTime!),
+        name: template.name,
+        location: template.location,
+        venueId: template.venueId,
+        description: template.description,
+        capacity: template.capacity,
+        timeZone: template.timeZone,
+        startTime,
+        endTime: new Date(startTime.getTime() + template.durationMinutes * MINUTE_MS)
+      }
+    });
+    changedIds.push(occurrence.id);
+  }
+
+  return changedIds;
+}
+
+// Publishing or unpublishing an occurrence does the same to the later ones that were in
+// the same state, and to those created from now on. Returns the later ones it changed.
+export async function setFollowingStatus(
+  tx: Prisma.TransactionClient,
+  event: Event,
+  previousStatus: EventStatus,
+  status: 'PUBLISHED' | 'DRAFT'
+): Promise<string[]> {
+  await tx.eventSeries.update({ where: { id: event.seriesId! }, data: { status } });
+  const following = await tx.event.findMany({
+    where: { seriesId: event.seriesId, originalStartTime: { gt: event.originalStartTime! }, status: previousStatus },
+    select: { id: true }
+  });
+  const ids = following.map(occurrence => occurrence.id);
+  await tx.event.updateMany({ where: { id: { in: ids } }, data: { status } });
+  return ids;
+}
+
+// Follows the series: the user joins every upcoming occurrence, or its waitlist when
+// it's full, and each one created later
+export async function joinSeries(prisma: PrismaClient, seriesId: string, userId: string, now = new Date()) {
+  const series = await prisma.eventSeries.findUnique({ where: { id: seriesId } });
+  if (!series) {
+    throw new Error('Series not found');
+  }
+  if (series.status !== 'PUBLISHED') {
+    throw seriesNotPublished();
+  }
+
+  await prisma.seriesSubscription.upsert({
+    where: { seriesId_userId: { seriesId, userId } },
+    create: { seriesId, userId },
+    update: {}
+  });
+  const upcoming = await prisma.event.findMany({
+    where: upcomingOccurrencesWhere(seriesId, now),
+    orderBy: { startTime: 'asc' },
+    select: { id: true }
+  });
+  for (const occurrence of upcoming) {
+    await addToWaitlist(prisma, occurrence.id, userId);
+  }
+  return series;
+}
+
+// Stops following the series and leaves its upcoming occurrences and their waitlists
+export async function leaveSeries(prisma: PrismaClient, seriesId: string, userId: string, now = new Date()) {
+  const series = await prisma.eventSeries.findUnique({ where: { id: seriesId } });
+  if (!series) {
+    throw new Error('Series not found');
+  }
+
+  await prisma.seriesSubscription.deleteMany({ where: { seriesId, userId } });
+  const upcoming = await prisma.event.findMany({
+    where: upcomingOccurrencesWhere(seriesId, now),
+    select: { id: true }
+  });
+  for (const occurrence of upcoming) {
+    await removeAttendee(prisma, occurrence.id, userId);
+    await removeFromWaitlist(prisma, occurrence.id, userId);
+  }
+  return series;
+}
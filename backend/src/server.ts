@@ -3,17 +3,297 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { ApolloServer } from '@apollo/server';
 import { expressMiddleware } from '@apollo/server/express4';
-import { PrismaClient } from '@prisma/client';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { WebSocketServer } from 'ws';
+import { useServer } from 'graphql-ws/lib/use/ws';
+import { Pool } from 'pg';
+import { EventDay, EventRole, EventSeries, EventSession, EventStatus, OfflineCheckIn, OutboxCursor, OutboxMessage, Prisma, PrismaClient, Registration, User, UserRole } from '@prisma/client';
 import cors from 'cors';
-import { GraphQLContext, JoinEventPayload } from './types';
+import { GraphQLError } from 'graphql';
+import { EventInput, GraphQLContext, RoomInput, SessionInput, VenueInput } from './types';
+import {
+  LOGIN_CODE_MAX_ATTEMPTS,
+  LOGIN_CODE_RESEND_INTERVAL_MS,
+  LOGIN_CODE_TTL_MS,
+  createSession,
+  generateLoginCode,
+  getSessionFromToken,
+  hashLoginCode,
+  hashPassword,
+  matchesLoginCode,
+  requireUser,
+  verifyPassword
+} from './auth';
+import { sendMail } from './mailer';
+import { authorizeEvent, authorizeGlobal, canOnEvent, canViewEvent, getCapabilities, visibleEventsWhere } from './authorization';
+import {
+  assertEditable,
+  assertTransition,
+  defaultEndTime,
+  effectiveStatus,
+  getEndTime,
+  hasEnded,
+  isOngoing,
+  startLifecycleScheduler,
+  WITH_SCHEDULE
+} from './lifecycle';
+import {
+  addAttendee,
+  addToWaitlist,
+  checkIn,
+  checkOut,
+  fillFromWaitlist,
+  findEventWithCount,
+  getWaitlistPosition,
+  loadEventWithCount,
+  lockEvent,
+  markNoShows,
+  moveWaitlistEntry,
+  promoteWaitlistEntry,
+  remainingSpots,
+  removeAttendee,
+  removeFromWaitlist,
+  WITH_ATTENDEE_COUNT
+} from './registration';
+import { scanTicket, signTicket, ticketCode } from './tickets';
+import {
+  OfflineCheckInInput,
+  getCheckInRoster,
+  listCheckInConflicts,
+  resolveCheckInConflict,
+  syncOfflineCheckIns
+} from './offlineCheckIn';
+import { publishPresenceChanged, subscriptionResolvers } from './subscriptions';
+import { DEFAULT_TIME_ZONE, toZonedIso } from './timeZones';
+import {
+  addSubscribers,
+  describeRule,
+  joinSeries,
+  leaveSeries,
+  materializeOccurrences,
+  occurrenceHorizon,
+  setFollowingStatus,
+  startSeries,
+  updateFollowingOccurrences
+} from './series';
+import {
+  assertSessionsWithin,
+  bookmarkSession,
+  checkInToSession,
+  createEventSession,
+  findEventSession,
+  listAgenda,
+  listSessions,
+  removeBookmark,
+  undoSessionCheckIn,
+  updateEventSession
+} from './agenda';
+import { assertValidEventTimes, badUserInput, parseEventInput, parseRoomInput, parseSessionInput, parseVenueInput } from './validation';
+import {
+  createRoom,
+  findRoom,
+  findVenue,
+  listVenues,
+  releaseRoomsElsewhere,
+  updateRoom,
+  updateVenue,
+  withVenueLocation
+} from './venues';
+import { EventFilter, EventSort, listEvents } from './eventListing';
+import { searchEvents } from './eventSearch';
+import { PageArgs } from './pagination';
+import { getAttendeeResync } from './attendeeDeltas';
+import { listAttendees } from './attendees';
+import { EVENT_SUMMARIES_ROOM, eventRoom, sessionRoom, toEventDetails, userRoom } from './realtime';
+import {
+  authenticateSocket,
+  disconnectSession,
+  getSocketUser,
+  revalidateEventRoom,
+  revalidateUserRooms
+} from './socketAccess';
+import { attachPostgresAdapter } from './socketAdapter';
+import { EventChange, listOutboxMessages, recordOutboxMessage, replayOutbox, startOutboxDispatcher } from './outbox';
+import { createSocketSink, createSubscriptionSink, createWebhookSinks } from './outboxSinks';
+import {
+  EventPresence,
+  getPresence,
+  refreshPresence,
+  startPresenceTracking,
+  trackStaffDevice,
+  trackViewer,
+  untrack,
+  untrackSocket
+} from './presence';
 
 const prisma = new PrismaClient();
 const app = express();
 const server = createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
+const PORT = Number(process.env.PORT) || 4000;
+
+// Every change clients hear about is recorded in the outbox with the write and delivered from there
+const outboxSinks = [createSocketSink(io, prisma), createSubscriptionSink(prisma), ...createWebhookSinks()];
+
+// Records an event's new details for the outbox; call in the transaction that changed them
+async function recordEventChanged(tx: Prisma.TransactionClient, eventId: string, change: EventChange, previousStatus: EventStatus | null = null) {
+  const event = await tx.event.findUniqueOrThrow({ where: { id: eventId } });
+  await recordOutboxMessage(tx, 'EVENT_CHANGED', eventId, { change, previousStatus, event: toEventDetails(event) });
+}
+
+function parseOutboxId(value: string): bigint {
+  if (!/^\d+$/.test(value)) {
+    throw new GraphQLError(`Invalid outbox message id: ${value}`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return BigInt(value);
+}
 
 // GraphQL Schema
 const typeDefs = `
+  """
+  Global role of a user
+  """
+  enum UserRole {
+    """
+    Can browse and join events
+    """
+    ATTENDEE
+    
+    """
+    Can additionally create events, becoming their organizer
+    """
+    ORGANIZER
+    
+    """
+    Can do everything, on every event
+    """
+    ADMIN
+  }
+
+  """
+  Role of a user within a single event
+  """
+  enum EventRole {
+    """
+    Can edit the event, manage its staff and check people in
+    """
+    ORGANIZER
+    
+    """
+    Can check people in
+    """
+    STAFF
+  }
+
+  """
+  Lifecycle state of an event. Published events move to LIVE when they start
+  and to COMPLETED when they end without anyone having to do anything.
+  """
+  enum EventStatus {
+    """
+    Being prepared; only visible to the event's organizers
+    """
+    DRAFT
+    
+    """
+    Visible to everyone and open for joining
+    """
+    PUBLISHED
+    
+    """
+    Currently taking place; still open for joining
+    """
+    LIVE
+    
+    """
+    Over; can no longer be joined or edited
+    """
+    COMPLETED
+    
+    """
+    Called off by an organizer; can no longer be joined or edited
+    """
+    CANCELLED
+  }
+
+  """
+  Which occurrences of a recurring event an edit applies to
+  """
+  enum EditScope {
+    """
+    Only the edited occurrence, which then keeps its own details
+    """
+    THIS_OCCURRENCE
+    
+    """
+    The edited occurrence and every later one, including those not created yet
+    """
+    THIS_AND_FOLLOWING
+  }
+
+  """
+  Rule an event repeats by. Occurrences are separate events, created as listings
+  reach them.
+  """
+  type EventSeries {
+    id: ID!
+    
+    """
+    RFC 5545 recurrence rule without DTSTART, e.g. FREQ=WEEKLY;BYDAY=TU
+    """
+    rule: String!
+    
+    """
+    The rule in words, e.g. "every week on Tuesday"
+    """
+    summary: String!
+    
+    """
+    IANA time zone the rule runs in; occurrences keep their wall-clock time across DST
+    """
+    timeZone: String!
+    
+    """
+    Original start times of occurrences that were skipped or deleted
+    """
+    exceptions: [String!]!
+    
+    """
+    Whether the authenticated user follows the series and is added to every occurrence
+    """
+    isSubscribed: Boolean!
+  }
+
+  """
+  What the current user is allowed to do, used by the app to show or hide controls
+  """
+  type Capabilities {
+    """
+    Whether the user is a global admin; admins may manage and check in on every event
+    """
+    isAdmin: Boolean!
+    
+    """
+    Whether the user may create new events
+    """
+    canCreateEvents: Boolean!
+    
+    """
+    Whether the user may change other users' global roles
+    """
+    canManageUserRoles: Boolean!
+    
+    """
+    Events the user organizes (in addition to every event, for admins)
+    """
+    managedEventIds: [ID!]!
+    
+    """
+    Events the user may check attendees in for (in addition to every event, for admins)
+    """
+    checkInEventIds: [ID!]!
+  }
+
   """
   Represents a user in the event check-in system
   """
@@ -32,244 +312,2993 @@ const typeDefs = `
     Email address of the user, used as unique identifier for authentication
     """
     email: String!
+    
+    """
+    Global role of the user
+    """
+    role: UserRole!
+    
+    """
+    What the user is allowed to do. Only visible for yourself or to admins.
+    """
+    capabilities: Capabilities
   }
 
   """
-  Represents an event that users can join or leave
+  An organizer or staff assignment on an event
   """
-  type Event {
+  type EventMember {
+    user: User!
+    role: EventRole!
+  }
+
+  """
+  Where an attendee stands on the day of the event
+  """
+  enum RegistrationStatus {
     """
-    Unique identifier for the event
+    Signed up but not on site yet
+    """
+    REGISTERED
+    
+    """
+    Checked in at the door by staff
+    """
+    CHECKED_IN
+    
+    """
+    Left after being checked in
+    """
+    CHECKED_OUT
+    
+    """
+    Never checked in before the event completed
     """
+    NO_SHOW
+  }
+
+  """
+  A user's registration for an event
+  """
+  type Registration {
     id: ID!
+    user: User!
+    status: RegistrationStatus!
     
     """
-    Name or title of the event
+    ISO 8601 formatted date and time when the user joined the event
     """
-    name: String!
+    registeredAt: String!
     
     """
-    Physical or virtual location where the event takes place
+    ISO 8601 formatted date and time of the latest check-in, or null
     """
-    location: String!
+    checkedInAt: String
     
     """
-    ISO 8601 formatted date and time when the event starts
+    ISO 8601 formatted date and time of the latest check-out, or null
     """
-    startTime: String!
+    checkedOutAt: String
     
     """
-    List of users who have joined this event
+    The attendee's ticket. Only returned to the attendee themselves, null for everyone else.
     """
-    attendees: [User!]!
+    ticket: Ticket
   }
 
-  type Query {
+  """
+  A signed ticket that staff scan at the door
+  """
+  type Ticket {
     """
-    Retrieves all available events with their attendees, ordered by start time
+    Signed token encoded in the QR code
     """
-    events: [Event!]!
+    token: String!
     
     """
-    Retrieves or creates a user by email address. 
-    If the user doesn't exist, creates a new user with the provided email.
+    Short code for typing the ticket in by hand, e.g. K7QM-9XDA
     """
-    me(
-      """
-      Email address of the user to retrieve or create
-      """
-      email: String!
-    ): User
+    code: String!
   }
 
-  type Mutation {
+  """
+  What happened when a ticket was scanned
+  """
+  enum TicketScanResult {
     """
-    Adds a user to an event's attendee list. 
-    If the user is already attending, returns the current event state.
-    Creates a new user if one doesn't exist with the provided email.
+    The ticket was valid and its holder is now checked in
     """
-    joinEvent(
-      """
-      Unique identifier of the event to join
-      """
-      eventId: ID!
-      
-      """
-      Email address of the user joining the event
-      """
-      userEmail: String!
-    ): Event!
+    CHECKED_IN
     
     """
-    Removes a user from an event's attendee list.
-    If the user is not attending, returns the current event state.
+    The holder was already checked in
     """
-    leaveEvent(
-      """
-      Unique identifier of the event to leave
-      """
-      eventId: ID!
-      
-      """
-      Email address of the user leaving the event
-      """
-      userEmail: String!
-    ): Event!
+    ALREADY_USED
+    
+    """
+    The ticket is genuine but belongs to another event
+    """
+    WRONG_EVENT
+    
+    """
+    The ticket is forged, malformed or was revoked when its holder left the event
+    """
+    INVALID
   }
-`;
 
-// GraphQL Resolvers
-const resolvers = {
-  Query: {
-    events: async () => {
+  """
+  An attendee as seen by a staff device that may go offline
+  """
+  type RosterEntry {
+    registrationId: ID!
+    user: User!
+    status: RegistrationStatus!
+    
+    """
+    The attendee's short ticket code
+    """
+    ticketCode: String!
+    
+    """
+    SHA-256 hex digest of the attendee's ticket token, for recognising scanned QR codes offline
+    """
+    ticketHash: String!
+  }
+
+  """
+  Snapshot of an event's attendees for offline check-in
+  """
+  type CheckInRoster {
+    eventId: ID!
+    
+    """
+    ISO 8601 formatted date and time the snapshot was taken
+    """
+    generatedAt: String!
+    entries: [RosterEntry!]!
+  }
+
+  enum OfflineCheckInStatus {
+    """
+    The check-in was applied when the device synced
+    """
+    APPLIED
+    
+    """
+    The server could not apply the check-in; see conflictReason
+    """
+    CONFLICT
+  }
+
+  """
+  A check-in made on a staff device while it was offline
+  """
+  type OfflineCheckIn {
+    id: ID!
+    idempotencyKey: ID!
+    registrationId: ID!
+    
+    """
+    The attendee, or null if their registration no longer exists
+    """
+    attendee: User
+    
+    """
+    The staff member whose device recorded the check-in
+    """
+    staff: User!
+    deviceId: String!
+    
+    """
+    ISO 8601 formatted date and time the ticket was scanned on the device
+    """
+    scannedAt: String!
+    
+    """
+    ISO 8601 formatted date and time the check-in reached the server
+    """
+    syncedAt: String!
+    status: OfflineCheckInStatus!
+    
+    """
+    Error code explaining a conflict, e.g. ALREADY_CHECKED_IN when two doors scanned the same ticket
+    """
+    conflictReason: String
+    
+    """
+    ISO 8601 formatted date and time an organizer resolved the conflict, or null
+    """
+    resolvedAt: String
+  }
+
+  """
+  A check-in queued on a staff device while offline
+  """
+  input OfflineCheckInInput {
+    """
+    Unique key generated on the device; resending the same key never checks anyone in twice
+    """
+    idempotencyKey: ID!
+    registrationId: ID!
+    
+    """
+    ISO 8601 formatted date and time the ticket was scanned
+    """
+    scannedAt: String!
+    
+    """
+    Identifier of the device that recorded the check-in
+    """
+    deviceId: String!
+  }
+
+  """
+  Outcome of scanning a ticket at the door
+  """
+  type TicketScan {
+    result: TicketScanResult!
+    
+    """
+    Human readable explanation to show to staff
+    """
+    message: String!
+    
+    """
+    The ticket holder's registration, null when the ticket is invalid or for another event
+    """
+    registration: Registration
+  }
+
+  """
+  A user's place in an event's waitlist
+  """
+  type WaitlistEntry {
+    """
+    1-based place in line; the user at position 1 gets the next free spot
+    """
+    position: Int!
+    
+    user: User!
+  }
+
+  """
+  Represents an event that users can join or leave
+  """
+  type Event {
+    """
+    Unique identifier for the event
+    """
+    id: ID!
+    
+    """
+    Name or title of the event
+    """
+    name: String!
+    
+    """
+    Physical or virtual location where the event takes place; the venue's name when it
+    has one
+    """
+    location: String!
+    
+    """
+    Where the event is held, or null for events with only a location
+    """
+    venue: Venue
+    
+    """
+    What the event is about, or null if the organizer didn't say
+    """
+    description: String
+    
+    """
+    ISO 8601 formatted date and time when the event starts, in UTC
+    """
+    startTime: String!
+    
+    """
+    ISO 8601 formatted date and time when the event ends, in UTC; after its last day
+    for multi-day events
+    """
+    endTime: String!
+    
+    """
+    IANA name of the venue's time zone, e.g. Europe/Berlin
+    """
+    timeZone: String!
+    
+    """
+    startTime on the venue's clock, with the offset in effect then, e.g. 2025-03-30T18:00:00+02:00
+    """
+    localStartTime: String!
+    
+    """
+    endTime on the venue's clock, with the offset in effect then
+    """
+    localEndTime: String!
+    
+    """
+    When each day of a multi-day event runs, in order; empty for events that run
+    continuously from startTime to endTime
+    """
+    schedule: [EventDay!]!
+    
+    """
+    Talks, workshops and other slots on the event's agenda, in time order
+    """
+    sessions: [EventSession!]!
+    
+    """
+    True while the event is live and, if it has a schedule, one of its days is in progress
+    """
+    isOngoing: Boolean!
+    
+    """
+    True once the event is past its end time or an organizer ended it
+    """
+    hasEnded: Boolean!
+    
+    """
+    Current lifecycle state of the event
+    """
+    status: EventStatus!
+    
+    """
+    Maximum number of attendees, or null when there is no limit
+    """
+    capacity: Int
+    
+    """
+    Number of spots still free, or null when there is no limit
+    """
+    remainingSpots: Int
+    
+    """
+    ISO 8601 formatted date and time when the event was cancelled, or null
+    """
+    cancelledAt: String
+    
+    """
+    Reason given by the organizer when cancelling the event
+    """
+    cancellationReason: String
+    
+    """
+    The people who joined this event, a page at a time in the order they joined
+    """
+    attendees(
+      """
+      Page size, 20 by default and at most 100
+      """
+      first: Int
+      
+      """
+      endCursor of the previous page; omit for the first page
+      """
+      after: String
+      
+      """
+      Only attendees whose name or email contains this text, ignoring case
+      """
+      search: String
+    ): AttendeeConnection!
+    
+    """
+    Number of attendees; cheap, so lists should select it rather than attendees
+    """
+    attendeeCount: Int!
+    
+    """
+    Version of the attendee list, increased by one for every attendee added or removed.
+    Matches the version of the attendeeDelta socket messages.
+    """
+    attendeeVersion: Int!
+    
+    """
+    Organizers and staff of this event
+    """
+    members: [EventMember!]!
+    
+    """
+    Number of attendees currently checked in
+    """
+    checkedInCount: Int!
+    
+    """
+    The authenticated user's registration, or null if not attending
+    """
+    myRegistration: Registration
+    
+    """
+    Series this event is an occurrence of, or null for one-off events
+    """
+    series: EventSeries
+    
+    """
+    Start time the series' rule gave this occurrence, before any edits
+    """
+    originalStartTime: String
+    
+    """
+    True once this occurrence was edited on its own, so series edits leave it alone
+    """
+    isOverride: Boolean!
+    
+    """
+    Every registration with its check-in state. Only visible to the event's staff
+    and organizers, null for everyone else.
+    """
+    registrations: [Registration!]
+    
+    """
+    Number of people waiting for a spot
+    """
+    waitlistCount: Int!
+    
+    """
+    The authenticated user's 1-based place on the waitlist, or null if not waitlisted
+    """
+    myWaitlistPosition: Int
+    
+    """
+    Everyone on the waitlist in promotion order. Only visible to the event's organizers,
+    null for everyone else.
+    """
+    waitlist: [WaitlistEntry!]
+  }
+
+  """
+  Fields for a new event
+  """
+  input CreateEventInput {
+    """
+    Name or title of the event, must not be empty
+    """
+    name: String!
+    
+    """
+    Location of the event, must not be empty. Required unless venueId is given.
+    """
+    location: String
+    
+    """
+    Where the event is held; its name becomes the location
+    """
+    venueId: ID
+    
+    """
+    What the event is about; optional
+    """
+    description: String
+    
+    """
+    ISO 8601 date-time with a time zone, e.g. 2025-03-01T18:00:00Z
+    """
+    startTime: String!
+    
+    """
+    ISO 8601 date-time after startTime; defaults to three hours after it
+    """
+    endTime: String
+    
+    """
+    IANA name of the venue's time zone, e.g. Europe/Berlin; defaults to UTC. Only
+    affects how times are shown, so startTime and endTime still need their own offset.
+    """
+    timeZone: String
+    
+    """
+    Times of each day for events spanning several days; omit for events that run
+    continuously
+    """
+    schedule: [EventDayInput!]
+    
+    """
+    Makes the event the first occurrence of a series; can't be combined with schedule
+    """
+    recurrence: RecurrenceInput
+    
+    """
+    Maximum number of attendees; omit for no limit
+    """
+    capacity: Int
+  }
+
+  """
+  How an event repeats
+  """
+  input RecurrenceInput {
+    """
+    RFC 5545 recurrence rule, e.g. FREQ=WEEKLY;BYDAY=TU;COUNT=10. Runs on the venue's clock
+    from the event's start; DTSTART and TZID aren't allowed, and it can repeat at most daily.
+    """
+    rule: String!
+    
+    """
+    ISO 8601 start times of occurrences to skip
+    """
+    exceptions: [String!]
+  }
+
+  """
+  One day of a multi-day event
+  """
+  type EventDay {
+    startTime: String!
+    endTime: String!
+    
+    """
+    startTime on the venue's clock, with the offset in effect then
+    """
+    localStartTime: String!
+    
+    """
+    endTime on the venue's clock, with the offset in effect then
+    """
+    localEndTime: String!
+  }
+
+  """
+  One day of a multi-day event, within the event's start and end time
+  """
+  input EventDayInput {
+    """
+    ISO 8601 date-time with a time zone
+    """
+    startTime: String!
+    
+    """
+    ISO 8601 date-time with a time zone, after startTime and before the next day starts
+    """
+    endTime: String!
+  }
+
+  """
+  A talk, workshop or other slot on an event's agenda
+  """
+  """
+  A place events are held, shared by every organizer
+  """
+  type Venue {
+    id: ID!
+    name: String!
+    
+    """
+    Street address, or null if none was given
+    """
+    address: String
+    
+    """
+    WGS 84 coordinates in degrees, both set or both null
+    """
+    latitude: Float
+    longitude: Float
+    
+    """
+    How many people the venue holds, or null if unknown
+    """
+    capacity: Int
+    
+    """
+    Step-free access, hearing loops and the like, in the organizer's words
+    """
+    accessibility: String
+    
+    """
+    Where people get in, e.g. "North door (step-free)"
+    """
+    entrances: [String!]!
+    
+    """
+    The venue's rooms by name
+    """
+    rooms: [Room!]!
+  }
+
+  """
+  A room at a venue that sessions can be held in
+  """
+  type Room {
+    id: ID!
+    venueId: ID!
+    name: String!
+    
+    """
+    Seats; sessions in the room get it as their capacity unless they set one
+    """
+    capacity: Int
+    accessibility: String
+  }
+
+  """
+  Fields for a new venue, or to change on one; omitted fields are left unchanged
+  """
+  input VenueInput {
+    """
+    Must not be empty; required for a new venue. Renaming a venue renames its events' location.
+    """
+    name: String
+    
+    """
+    Pass null or an empty string to remove the address or accessibility info
+    """
+    address: String
+    
+    """
+    Between -90 and 90, set together with longitude; pass both as null to remove them
+    """
+    latitude: Float
+    
+    """
+    Between -180 and 180, set together with latitude
+    """
+    longitude: Float
+    
+    """
+    Pass null explicitly to remove it
+    """
+    capacity: Int
+    accessibility: String
+    
+    """
+    Replaces every entrance; up to 20, each named differently
+    """
+    entrances: [String!]
+  }
+
+  """
+  Fields for a new room, or to change on one; omitted fields are left unchanged
+  """
+  input RoomInput {
+    """
+    Must not be empty and unique within the venue; required for a new room
+    """
+    name: String
+    
+    """
+    Pass null explicitly to remove it
+    """
+    capacity: Int
+    accessibility: String
+  }
+
+  type EventSession {
+    id: ID!
+    eventId: ID!
+    title: String!
+    description: String
+    speaker: String
+    
+    """
+    Where in the venue it takes place, e.g. "Hall B"; the room's name when it has one
+    """
+    room: String
+    
+    """
+    The room at the event's venue, or null for sessions with only a room name
+    """
+    venueRoom: Room
+    
+    """
+    ISO 8601 date-time in UTC, within the event's start and end time
+    """
+    startTime: String!
+    endTime: String!
+    
+    """
+    startTime on the venue's clock, with the offset in effect then
+    """
+    localStartTime: String!
+    
+    """
+    endTime on the venue's clock, with the offset in effect then
+    """
+    localEndTime: String!
+    
+    """
+    Seats in the room, or null when there is no limit. Caps both agenda bookmarks and check-ins.
+    """
+    capacity: Int
+    
+    """
+    Number of people with the session on their agenda
+    """
+    bookmarkCount: Int!
+    
+    """
+    Seats not yet taken by agenda bookmarks, or null when there is no limit
+    """
+    remainingSeats: Int
+    
+    """
+    Whether the session is on the authenticated user's agenda
+    """
+    isBookmarked: Boolean!
+    
+    """
+    Number of people staff checked in to the session
+    """
+    checkedInCount: Int!
+    
+    """
+    Everyone checked in to the session, earliest first. Only visible to the event's staff
+    and organizers, null for everyone else.
+    """
+    checkIns: [SessionCheckIn!]
+  }
+
+  """
+  An attendee staff saw at a session
+  """
+  type SessionCheckIn {
+    user: User!
+    
+    """
+    ISO 8601 formatted date and time of the check-in
+    """
+    checkedInAt: String!
+  }
+
+  """
+  Fields for a new session
+  """
+  input CreateSessionInput {
+    """
+    Must not be empty
+    """
+    title: String!
+    description: String
+    speaker: String
+    room: String
+    
+    """
+    A room at the event's venue; its name becomes the room, and its seats the capacity
+    unless one is given
+    """
+    roomId: ID
+    
+    """
+    ISO 8601 date-time with a time zone, within the event's start and end time
+    """
+    startTime: String!
+    
+    """
+    ISO 8601 date-time after startTime, within the event's end time
+    """
+    endTime: String!
+    
+    """
+    Seats in the room; omit for no limit
+    """
+    capacity: Int
+  }
+
+  """
+  Fields to change on a session; omitted fields are left unchanged
+  """
+  input UpdateSessionInput {
+    title: String
+    
+    """
+    Pass null or an empty string to remove the description, speaker or room
+    """
+    description: String
+    speaker: String
+    room: String
+    
+    """
+    A room at the event's venue; pass null to unlink it. Setting only room unlinks it too.
+    """
+    roomId: ID
+    startTime: String
+    endTime: String
+    
+    """
+    At least the number of people with the session on their agenda. Pass null
+    explicitly to remove the limit.
+    """
+    capacity: Int
+  }
+
+  """
+  Fields to change on an event; omitted fields are left unchanged
+  """
+  input UpdateEventInput {
+    name: String
+    
+    """
+    Setting only the location unlinks the venue
+    """
+    location: String
+    
+    """
+    Where the event is held; its name becomes the location. Pass null to unlink the
+    venue and keep the location as text. Sessions lose rooms that aren't at the new venue.
+    """
+    venueId: ID
+    
+    """
+    Pass null or an empty string to remove the description
+    """
+    description: String
+    startTime: String
+    
+    """
+    Must stay after startTime, and after the last schedule day
+    """
+    endTime: String
+    
+    """
+    Changing the zone keeps the event at the same instant, shown on a different clock
+    """
+    timeZone: String
+    
+    """
+    Replaces every day of the schedule; pass null or an empty list to remove it.
+    Occurrences of a series can't have one.
+    """
+    schedule: [EventDayInput!]
+    
+    """
+    Needs the THIS_AND_FOLLOWING scope. On a series it replaces the rule from this
+    occurrence on; on a one-off event it starts a series.
+    """
+    recurrence: RecurrenceInput
+    
+    """
+    New maximum number of attendees, at least the current attendee count.
+    Pass null explicitly to remove the limit.
+    """
+    capacity: Int
+  }
+
+  """
+  A staff device that has the check-in scanner open
+  """
+  type StaffDevice {
+    """
+    Identifier the device generated for itself, as used for offline check-ins
+    """
+    deviceId: ID!
+    
+    """
+    The door the device reported, if any
+    """
+    door: String
+    
+    """
+    The staff member signed in on the device
+    """
+    user: User!
+    
+    """
+    When the device last sent a heartbeat
+    """
+    lastSeenAt: String!
+  }
+
+  """
+  Who has an event open in the app right now
+  """
+  type Presence {
+    """
+    Unique identifier of the event
+    """
+    eventId: ID!
+    
+    """
+    Number of different people viewing the event
+    """
+    viewerCount: Int!
+    
+    """
+    Check-in devices that are online, oldest first.
+    Null unless the caller may check attendees in.
+    """
+    staffDevices: [StaffDevice!]
+  }
+
+  """
+  Kinds of change recorded in the outbox
+  """
+  enum OutboxMessageType {
+    ATTENDEE_JOINED
+    ATTENDEE_LEFT
+    WAITLIST_CHANGED
+    WAITLIST_PROMOTED
+    CHECK_IN_CHANGED
+    CHECK_IN_CONFLICT
+    EVENT_CHANGED
+    EVENT_DELETED
+  }
+
+  """
+  A change recorded in the outbox in the same transaction as the change itself.
+  Sockets, subscriptions and webhooks are fed from these, and they are kept after delivery so they can be replayed.
+  """
+  type OutboxMessage {
+    """
+    Increasing identifier of the message
+    """
+    id: ID!
+    
+    """
+    Kind of change
+    """
+    type: OutboxMessageType!
+    
+    """
+    Unique identifier of the event the change belongs to
+    """
+    eventId: ID!
+    
+    """
+    Details of the change as a JSON string, as sent to webhooks
+    """
+    payload: String!
+    
+    """
+    When the change was recorded
+    """
+    createdAt: String!
+  }
+
+  """
+  How far a shared sink ("sockets" or "webhook:<url>") has delivered the outbox
+  """
+  type OutboxCursor {
+    """
+    Name of the sink
+    """
+    sink: String!
+    
+    """
+    The last message delivered to the sink
+    """
+    messageId: ID!
+    
+    """
+    When the sink last moved forward or was replayed
+    """
+    updatedAt: String!
+  }
+
+  """
+  Order of the events connection
+  """
+  enum EventSort {
+    """
+    Soonest first (default)
+    """
+    START_TIME_ASC
+    
+    """
+    Latest first, e.g. for past events
+    """
+    START_TIME_DESC
+    
+    """
+    Alphabetically by name
+    """
+    NAME_ASC
+    
+    """
+    Most recently created first
+    """
+    CREATED_AT_DESC
+  }
+
+  """
+  Whether an event is still to come or already over
+  """
+  enum EventTimeframe {
+    """
+    Hasn't ended yet, including events taking place right now
+    """
+    UPCOMING
+    
+    """
+    Already ended
+    """
+    PAST
+  }
+
+  """
+  Narrows down the events connection; all given conditions must match
+  """
+  input EventFilter {
+    timeframe: EventTimeframe
+    
+    """
+    Only events starting at or after this ISO 8601 date-time
+    """
+    startsAfter: String
+    
+    """
+    Only events starting before this ISO 8601 date-time
+    """
+    startsBefore: String
+    
+    """
+    Only events whose location contains this text, ignoring case
+    """
+    location: String
+    
+    """
+    Only events at this venue
+    """
+    venueId: ID
+    
+    """
+    Only events the caller has joined; requires authentication
+    """
+    joinedByMe: Boolean
+    
+    """
+    Only events with one of these statuses
+    """
+    status: [EventStatus!]
+  }
+
+  type EventEdge {
+    """
+    Pass as the after argument to get the events that follow this one
+    """
+    cursor: String!
+    node: Event!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    
+    """
+    Cursor of the last edge, or null when the page is empty
+    """
+    endCursor: String
+  }
+
+  type AttendeeEdge {
+    """
+    Pass as the after argument to get the attendees that follow this one
+    """
+    cursor: String!
+    node: User!
+  }
+
+  """
+  One page of an event's attendees in Relay connection format
+  """
+  type AttendeeConnection {
+    edges: [AttendeeEdge!]!
+    pageInfo: PageInfo!
+    
+    """
+    Number of attendees matching the search across all pages
+    """
+    totalCount: Int!
+  }
+
+  """
+  One page of events in Relay connection format
+  """
+  type EventConnection {
+    edges: [EventEdge!]!
+    pageInfo: PageInfo!
+    
+    """
+    Number of events matching the filter across all pages
+    """
+    totalCount: Int!
+  }
+
+  """
+  Returned by signup, login and verifyLoginCode: a signed JWT plus the authenticated user
+  """
+  type AuthPayload {
+    """
+    JWT to send as an "Authorization: Bearer <token>" header on GraphQL requests
+    and as auth.token in the Socket.io handshake
+    """
+    token: String!
+    
+    """
+    The user the token belongs to
+    """
+    user: User!
+  }
+
+  type Query {
+    """
+    Pages through the events visible to the caller. Drafts are only included for their
+    organizers and admins.
+    """
+    events(
+      """
+      Page size, 20 by default and at most 100
+      """
+      first: Int
+      
+      """
+      endCursor of the previous page; omit for the first page
+      """
+      after: String
+      
+      filter: EventFilter
+      sort: EventSort
+    ): EventConnection!
+    
+    """
+    Finds visible events by name, location and description, best match first. Words
+    may be unfinished or slightly misspelled.
+    """
+    searchEvents(
+      """
+      What to look for, e.g. "jazz berl"
+      """
+      query: String!
+      
+      """
+      Maximum number of results, 20 by default and at most 100
+      """
+      first: Int
+    ): [Event!]!
+    
+    """
+    Returns a single event if it exists and is visible to the caller
+    """
+    event(
+      """
+      Unique identifier of the event
+      """
+      id: ID!
+    ): Event
+    
+    """
+    Venues by name, optionally only those whose name or address contains the search text
+    """
+    venues(
+      search: String
+    ): [Venue!]!
+    
+    """
+    Returns a single venue by ID, or null if it doesn't exist
+    """
+    venue(
+      id: ID!
+    ): Venue
+    
+    """
+    Sessions on the authenticated user's agenda in time order, across every event or
+    within one
+    """
+    myAgenda(
+      """
+      Only sessions of this event
+      """
+      eventId: ID
+    ): [EventSession!]!
+    
+    """
+    Returns the user identified by the request's bearer token, or null when unauthenticated
+    """
+    me: User
+    
+    """
+    Who is viewing the event and which check-in devices are online.
+    Returns an error if the event doesn't exist or isn't visible to the caller.
+    """
+    presence(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+    ): Presence!
+    
+    """
+    Downloads the attendee roster so staff devices can check people in while offline.
+    Requires staff or organizer rights on the event.
+    """
+    checkInRoster(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+    ): CheckInRoster!
+    
+    """
+    Unresolved conflicts from check-ins synced by offline devices, oldest first.
+    Requires organizer rights on the event.
+    """
+    checkInConflicts(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+    ): [OfflineCheckIn!]!
+    
+    """
+    The outbox's recorded changes in the order they were written, at most 100 at a time. Admin only.
+    """
+    outboxMessages(
+      """
+      Only changes to this event
+      """
+      eventId: ID
+      
+      """
+      Only messages after this one, to page through the history
+      """
+      after: ID
+      
+      """
+      How many messages to return (default 50)
+      """
+      first: Int
+    ): [OutboxMessage!]!
+    
+    """
+    Where each shared sink is in the outbox. Admin only.
+    """
+    outboxCursors: [OutboxCursor!]!
+  }
+
+  type Mutation {
+    """
+    Creates a new account and returns a session token for it.
+    Fails if an account with the same email already exists.
+    """
+    signup(
+      """
+      Display name of the new user
+      """
+      name: String!
+      
+      """
+      Email address used to log in
+      """
+      email: String!
+      
+      """
+      Password of at least 8 characters
+      """
+      password: String!
+    ): AuthPayload!
+    
+    """
+    Verifies the given credentials and returns a session token
+    """
+    login(
+      """
+      Email address of the account
+      """
+      email: String!
+      
+      """
+      Password of the account
+      """
+      password: String!
+    ): AuthPayload!
+    
+    """
+    Emails a short-lived, single-use login code to the given address.
+    Always returns true so the response does not reveal whether an account exists.
+    """
+    requestLoginCode(
+      """
+      Email address to send the code to
+      """
+      email: String!
+    ): Boolean!
+    
+    """
+    Exchanges a login code for a session token.
+    Creates the account on first login if it doesn't exist yet.
+    """
+    verifyLoginCode(
+      """
+      Email address the code was sent to
+      """
+      email: String!
+      
+      """
+      The code from the email
+      """
+      code: String!
+    ): AuthPayload!
+    
+    """
+    Ends the session the request's token belongs to. The token stops working and
+    Socket.io connections opened with it are disconnected.
+    Returns false when the request has no valid session.
+    """
+    logout: Boolean!
+    
+    """
+    Adds the authenticated user to an event's attendee list. 
+    If the user is already attending, returns the current event state.
+    Fails with EVENT_FULL once the event has reached its capacity.
+    """
+    joinEvent(
+      """
+      Unique identifier of the event to join
+      """
+      eventId: ID!
+    ): Event!
+    
+    """
+    Removes the authenticated user from an event's attendee list.
+    If the user is not attending, returns the current event state.
+    The freed spot goes to the first person on the waitlist.
+    """
+    leaveEvent(
+      """
+      Unique identifier of the event to leave
+      """
+      eventId: ID!
+    ): Event!
+    
+    """
+    Adds a session to the authenticated user's agenda, taking one of its seats.
+    Only attendees of the event can; fails with SESSION_FULL when every seat is taken.
+    """
+    bookmarkSession(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+    ): EventSession!
+    
+    """
+    Takes a session off the authenticated user's agenda, freeing its seat
+    """
+    removeSessionBookmark(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+    ): EventSession!
+    
+    """
+    Follows a published series: the authenticated user joins every upcoming occurrence,
+    or its waitlist when it's full, and each one created later.
+    """
+    joinSeries(
+      """
+      Unique identifier of the series
+      """
+      seriesId: ID!
+    ): EventSeries!
+    
+    """
+    Stops following a series and leaves its upcoming occurrences and their waitlists.
+    Past occurrences keep the registration.
+    """
+    leaveSeries(
+      """
+      Unique identifier of the series
+      """
+      seriesId: ID!
+    ): EventSeries!
+    
+    """
+    Puts the authenticated user at the back of a full event's waitlist.
+    If a spot is free the user joins the event right away instead.
+    """
+    joinWaitlist(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+    ): Event!
+    
+    """
+    Removes the authenticated user from an event's waitlist
+    """
+    leaveWaitlist(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+    ): Event!
+    
+    """
+    Moves a waitlisted user to another place in line. Requires organizer rights on the event.
+    """
+    moveWaitlistEntry(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the waitlisted user
+      """
+      userId: ID!
+      
+      """
+      New 1-based place in line; values past the end move the user to the back
+      """
+      position: Int!
+    ): Event!
+    
+    """
+    Gives a free spot to a waitlisted user regardless of their place in line.
+    Fails with EVENT_FULL if there is no free spot. Requires organizer rights on the event.
+    """
+    promoteFromWaitlist(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the waitlisted user
+      """
+      userId: ID!
+    ): Event!
+    
+    """
+    Checks an attendee in at the door. Fails with NOT_REGISTERED if the user isn't attending
+    and ALREADY_CHECKED_IN if they already are. Requires staff or organizer rights on the event.
+    """
+    checkIn(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the attendee
+      """
+      userId: ID!
+    ): Registration!
+    
+    """
+    Validates a scanned ticket token or a typed ticket code and checks its holder in.
+    Invalid tickets are reported in the result instead of failing. Requires staff or
+    organizer rights on the event.
+    """
+    scanTicket(
+      """
+      Unique identifier of the event being checked in to
+      """
+      eventId: ID!
+      
+      """
+      Token read from the ticket's QR code
+      """
+      token: String
+      
+      """
+      Short ticket code, for when the QR code can't be scanned
+      """
+      code: String
+    ): TicketScan!
+    
+    """
+    Uploads check-ins a staff device queued while offline and returns the outcome of each.
+    Safe to retry: check-ins are identified by their idempotency key.
+    Requires staff or organizer rights on the event.
+    """
+    syncCheckIns(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Queued check-ins, at most 500 per request
+      """
+      checkIns: [OfflineCheckInInput!]!
+    ): [OfflineCheckIn!]!
+    
+    """
+    Marks an offline check-in conflict as dealt with. Requires organizer rights on the event.
+    """
+    resolveCheckInConflict(
+      """
+      Unique identifier of the offline check-in
+      """
+      id: ID!
+    ): OfflineCheckIn!
+    
+    """
+    Records that a checked-in attendee left. Requires staff or organizer rights on the event.
+    """
+    checkOut(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the attendee
+      """
+      userId: ID!
+    ): Registration!
+    
+    """
+    Records that an attendee of the event is at a session. Fails with SESSION_FULL once
+    the room's capacity is reached. Requires staff or organizer rights on the event.
+    """
+    checkInToSession(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+      
+      """
+      Unique identifier of the attendee
+      """
+      userId: ID!
+    ): SessionCheckIn!
+    
+    """
+    Removes a session check-in recorded by mistake. Requires staff or organizer rights on the event.
+    """
+    undoSessionCheckIn(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+      
+      """
+      Unique identifier of the attendee
+      """
+      userId: ID!
+    ): EventSession!
+    
+    """
+    Creates an event as a DRAFT and makes the caller its organizer.
+    Requires the ORGANIZER or ADMIN global role.
+    """
+    createEvent(input: CreateEventInput!): Event!
+    
+    """
+    Updates an event's details. Requires organizer rights on the event.
+    """
+    updateEvent(
+      """
+      Unique identifier of the event to update
+      """
+      eventId: ID!
+      
+      input: UpdateEventInput!
+      
+      """
+      For occurrences of a series, whether later occurrences change too
+      """
+      scope: EditScope = THIS_OCCURRENCE
+    ): Event!
+    
+    """
+    Adds a session to an event's agenda. Requires organizer rights on the event.
+    """
+    createSession(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      input: CreateSessionInput!
+    ): EventSession!
+    
+    """
+    Updates a session's details. Requires organizer rights on its event.
+    """
+    updateSession(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+      
+      input: UpdateSessionInput!
+    ): EventSession!
+    
+    """
+    Removes a session along with its bookmarks and check-ins. Requires organizer rights on
+    its event. Returns the id of the deleted session.
+    """
+    deleteSession(
+      """
+      Unique identifier of the session
+      """
+      sessionId: ID!
+    ): ID!
+    
+    """
+    Adds a venue. Requires the ORGANIZER or ADMIN role.
+    """
+    createVenue(
+      input: VenueInput!
+    ): Venue!
+    
+    """
+    Updates a venue's details. Requires the ORGANIZER or ADMIN role.
+    """
+    updateVenue(
+      venueId: ID!
+      input: VenueInput!
+    ): Venue!
+    
+    """
+    Removes a venue and its rooms. Its events and sessions keep their location and room
+    names as text. Requires the ORGANIZER or ADMIN role. Returns the id of the deleted venue.
+    """
+    deleteVenue(
+      venueId: ID!
+    ): ID!
+    
+    """
+    Adds a room to a venue. Requires the ORGANIZER or ADMIN role.
+    """
+    createRoom(
+      venueId: ID!
+      input: RoomInput!
+    ): Room!
+    
+    """
+    Updates a room; renaming it renames its sessions' room. Requires the ORGANIZER or ADMIN role.
+    """
+    updateRoom(
+      roomId: ID!
+      input: RoomInput!
+    ): Room!
+    
+    """
+    Removes a room; its sessions keep the name as text. Requires the ORGANIZER or ADMIN
+    role. Returns the id of the deleted room.
+    """
+    deleteRoom(
+      roomId: ID!
+    ): ID!
+    
+    """
+    Marks an event as cancelled while keeping its attendee list.
+    Requires organizer rights on the event.
+    """
+    cancelEvent(
+      """
+      Unique identifier of the event to cancel
+      """
+      eventId: ID!
+      
+      """
+      Optional reason shown to attendees
+      """
+      reason: String
+    ): Event!
+    
+    """
+    Moves an event to another lifecycle state, e.g. publishing a draft.
+    Fails with INVALID_STATUS_TRANSITION if the change isn't allowed from the current state.
+    Requires organizer rights on the event.
+    """
+    setEventStatus(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      State to move the event to
+      """
+      status: EventStatus!
+    ): Event!
+    
+    """
+    Permanently deletes an event. Requires organizer rights on the event.
+    Returns the id of the deleted event.
+    """
+    deleteEvent(
+      """
+      Unique identifier of the event to delete
+      """
+      eventId: ID!
+    ): ID!
+    
+    """
+    Makes a shared sink deliver every message again starting with fromId, e.g. after a webhook
+    receiver lost data. Receivers see the replayed messages a second time. Admin only.
+    """
+    replayOutbox(
+      """
+      Name of the sink, e.g. "sockets" or "webhook:https://example.com/hook"
+      """
+      sink: String!
+      
+      """
+      Identifier of the first message to deliver again
+      """
+      fromId: ID!
+    ): OutboxCursor!
+    
+    """
+    Changes a user's global role. Admin only.
+    """
+    setUserRole(
+      """
+      Unique identifier of the user to update
+      """
+      userId: ID!
+      
+      """
+      New global role
+      """
+      role: UserRole!
+    ): User!
+    
+    """
+    Assigns a user as organizer or staff of an event, replacing any existing assignment.
+    Requires organizer rights on the event.
+    """
+    addEventMember(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the user to assign
+      """
+      userId: ID!
+      
+      """
+      Role the user gets on the event
+      """
+      role: EventRole!
+    ): Event!
+    
+    """
+    Removes a user's organizer or staff assignment from an event.
+    Requires organizer rights on the event.
+    """
+    removeEventMember(
+      """
+      Unique identifier of the event
+      """
+      eventId: ID!
+      
+      """
+      Unique identifier of the user to remove
+      """
+      userId: ID!
+    ): Event!
+  }
+
+  """
+  Someone joining or leaving an event's attendee list
+  """
+  type AttendeeChange {
+    """
+    Unique identifier of the event
+    """
+    eventId: ID!
+    
+    """
+    The user who joined or left
+    """
+    user: User!
+    
+    """
+    The event after the change, with its updated attendees
+    """
+    event: Event!
+  }
+
+  """
+  Served over WebSockets at the same /graphql path using the graphql-ws protocol.
+  Send the session token as an "authorization" connection parameter to see drafts you organize.
+  """
+  type Subscription {
+    """
+    Fires with the new event state whenever an event is edited, changes status or gains or loses attendees.
+    Omit eventId to follow every event visible to you.
+    """
+    eventUpdated(
+      """
+      Unique identifier of the event to follow
+      """
+      eventId: ID
+    ): Event!
+    
+    """
+    Fires when someone joins the event, including promotions from the waitlist
+    """
+    attendeeJoined(
+      """
+      Unique identifier of the event to follow
+      """
+      eventId: ID!
+    ): AttendeeChange!
+    
+    """
+    Fires when someone leaves the event
+    """
+    attendeeLeft(
+      """
+      Unique identifier of the event to follow
+      """
+      eventId: ID!
+    ): AttendeeChange!
+    
+    """
+    Fires when people open or close the event, or check-in devices come online or go offline
+    """
+    presenceChanged(
+      """
+      Unique identifier of the event to follow
+      """
+      eventId: ID!
+    ): Presence!
+  }
+`;
+
+// Events loaded with WITH_ATTENDEE_COUNT already know the count
+type CountedEvent = { id: string, _count?: { registrations: number } };
+
+function countAttendees(event: CountedEvent): number | Promise<number> {
+  return event._count?.registrations ?? prisma.registration.count({ where: { eventId: event.id } });
+}
+
+// Events loaded with WITH_SCHEDULE already have their days
+type ScheduledEvent = { id: string, days?: EventDay[] };
+
+function loadSchedule(event: ScheduledEvent): EventDay[] | Promise<EventDay[]> {
+  return event.days ?? prisma.eventDay.findMany({ where: { eventId: event.id }, orderBy: { startTime: 'asc' } });
+}
+
+type TimedEvent = { status: EventStatus, startTime: Date, endTime: Date | null, timeZone: string };
+
+type EditScope = 'THIS_OCCURRENCE' | 'THIS_AND_FOLLOWING';
+
+// Loaded with agenda.ts's WITH_TIME_ZONE
+type ZonedSession = EventSession & { event: { timeZone: string } };
+
+// Days are shown in their event's zone, which the day rows don't carry
+type ZonedEventDay = EventDay & { timeZone: string };
+
+// GraphQL Resolvers
+const resolvers = {
+  Query: {
+    events: async (_: any, args: PageArgs & { filter?: EventFilter | null, sort?: EventSort | null }, context: GraphQLContext) => {
+      try {
+        const connection = await listEvents(prisma, context.user, args);
+        console.log(`📊 Retrieved ${connection.edges.length} events from database`);
+        return connection;
+      } catch (error) {
+        console.error('Error fetching events:', error);
+        if (error instanceof GraphQLError) {
+          throw error;
+        }
+        throw new Error('Failed to fetch events');
+      }
+    },
+    searchEvents: async (_: any, args: { query: string, first?: number | null }, context: GraphQLContext) => {
+      try {
+        const events = await searchEvents(prisma, context.user, args);
+        console.log(`🔎 Search for "${args.query}" found ${events.length} events`);
+        return events;
+      } catch (error) {
+        console.error('Error searching events:', error);
+        if (error instanceof GraphQLError) {
+          throw error;
+        }
+        throw new Error('Failed to search events');
+      }
+    },
+    event: async (_: any, { id }: { id: string }, context: GraphQLContext) => {
+      try {
+        return await prisma.event.findFirst({
+          where: { AND: [{ id }, visibleEventsWhere(context.user)] },
+          include: { ...WITH_ATTENDEE_COUNT, ...WITH_SCHEDULE }
+        });
+      } catch (error) {
+        console.error('Error fetching event:', error);
+        throw new Error('Failed to fetch event');
+      }
+    },
+    me: (_: any, __: any, context: GraphQLContext) => {
+      return context.user;
+    },
+    venues: async (_: any, { search }: { search?: string | null }) => {
+      try {
+        return await listVenues(prisma, search);
+      } catch (error) {
+        console.error('Error fetching venues:', error);
+        throw error;
+      }
+    },
+    venue: async (_: any, { id }: { id: string }) => {
+      try {
+        return await prisma.venue.findUnique({ where: { id } });
+      } catch (error) {
+        console.error('Error fetching venue:', error);
+        throw error;
+      }
+    },
+    myAgenda: async (_: any, { eventId }: { eventId?: string | null }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        return await listAgenda(prisma, user.id, eventId);
+      } catch (error) {
+        console.error('Error fetching agenda:', error);
+        throw error;
+      }
+    },
+    checkInRoster: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'checkIn', eventId);
+        return getCheckInRoster(prisma, eventId);
+      } catch (error) {
+        console.error('Error fetching check-in roster:', error);
+        throw error;
+      }
+    },
+    presence: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        if (!(await canViewEvent(prisma, context.user, eventId))) {
+          throw new GraphQLError('Event not found', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        return getPresence(prisma, eventId);
+      } catch (error) {
+        console.error('Error fetching presence:', error);
+        throw error;
+      }
+    },
+    checkInConflicts: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+        return listCheckInConflicts(prisma, eventId);
+      } catch (error) {
+        console.error('Error fetching check-in conflicts:', error);
+        throw error;
+      }
+    },
+    outboxMessages: async (_: any, { eventId, after, first }: { eventId?: string | null, after?: string | null, first?: number | null }, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageOutbox');
+        return listOutboxMessages(prisma, { eventId, after: after ? parseOutboxId(after) : null, first });
+      } catch (error) {
+        console.error('Error fetching outbox messages:', error);
+        throw error;
+      }
+    },
+    outboxCursors: async (_: any, __: any, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageOutbox');
+        return prisma.outboxCursor.findMany({ orderBy: { sink: 'asc' } });
+      } catch (error) {
+        console.error('Error fetching outbox cursors:', error);
+        throw error;
+      }
+    }
+  },
+  Mutation: {
+    signup: async (_: any, { name, email, password }: { name: string, email: string, password: string }) => {
+      try {
+        const normalizedEmail = email.trim().toLowerCase();
+        if (!normalizedEmail.includes('@')) {
+          throw new GraphQLError('Valid email is required', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        if (password.length < 8) {
+          throw new GraphQLError('Password must be at least 8 characters', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+
+        const existingUser = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+        if (existingUser) {
+          throw new GraphQLError('An account with this email already exists', { extensions: { code: 'EMAIL_TAKEN' } });
+        }
+
+        const user = await prisma.user.create({
+          data: {
+            email: normalizedEmail,
+            name: name.trim() || normalizedEmail.split('@')[0],
+            passwordHash: hashPassword(password)
+          }
+        });
+
+        console.log(`👤 Created new user: ${user.name} (${user.email})`);
+        return { token: await createSession(prisma, user), user };
+      } catch (error) {
+        console.error('Error in signup mutation:', error);
+        throw error;
+      }
+    },
+    login: async (_: any, { email, password }: { email: string, password: string }) => {
+      try {
+        const user = await prisma.user.findUnique({ where: { email: email.trim().toLowerCase() } });
+
+        // Same error for unknown email and wrong password so accounts can't be enumerated
+        if (!user || !user.passwordHash || !verifyPassword(password, user.passwordHash)) {
+          throw new GraphQLError('Invalid email or password', { extensions: { code: 'INVALID_CREDENTIALS' } });
+        }
+
+        console.log(`🔐 User logged in: ${user.name} (${user.email})`);
+        return { token: await createSession(prisma, user), user };
+      } catch (error) {
+        console.error('Error in login mutation:', error);
+        throw error;
+      }
+    },
+    requestLoginCode: async (_: any, { email }: { email: string }) => {
+      try {
+        const normalizedEmail = email.trim().toLowerCase();
+        if (!normalizedEmail.includes('@')) {
+          throw new GraphQLError('Valid email is required', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+
+        const latestCode = await prisma.loginCode.findFirst({
+          where: { email: normalizedEmail },
+          orderBy: { createdAt: 'desc' }
+        });
+        if (latestCode && Date.now() - latestCode.createdAt.getTime() < LOGIN_CODE_RESEND_INTERVAL_MS) {
+          throw new GraphQLError('Please wait before requesting another code', { extensions: { code: 'RATE_LIMITED' } });
+        }
+
+        const code = generateLoginCode();
+
+        // Only the newest code is valid, so invalidate any outstanding ones
+        await prisma.$transaction([
+          prisma.loginCode.updateMany({
+            where: { email: normalizedEmail, consumedAt: null },
+            data: { consumedAt: new Date() }
+          }),
+          prisma.loginCode.create({
+            data: {
+              email: normalizedEmail,
+              codeHash: hashLoginCode(normalizedEmail, code),
+              expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS)
+            }
+          })
+        ]);
+
+        await sendMail({
+          to: normalizedEmail,
+          subject: 'Your Event Check-In login code',
+          text: `Your login code is ${code}\n\nIt expires in ${LOGIN_CODE_TTL_MS / 60000} minutes. If you didn't request it, you can ignore this email.`
+        });
+
+        console.log(`✉️ Login code sent to ${normalizedEmail}`);
+        return true;
+      } catch (error) {
+        console.error('Error in requestLoginCode mutation:', error);
+        throw error;
+      }
+    },
+    verifyLoginCode: async (_: any, { email, code }: { email: string, code: string }) => {
+      try {
+        const normalizedEmail = email.trim().toLowerCase();
+        const invalidCode = () => new GraphQLError('Invalid or expired login code', {
+          extensions: { code: 'INVALID_LOGIN_CODE' }
+        });
+
+        const loginCode = await prisma.loginCode.findFirst({
+          where: { email: normalizedEmail, consumedAt: null, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: 'desc' }
+        });
+        if (!loginCode) {
+          throw invalidCode();
+        }
+
+        if (loginCode.attempts >= LOGIN_CODE_MAX_ATTEMPTS) {
+          throw new GraphQLError('Too many attempts, please request a new code', {
+            extensions: { code: 'LOGIN_CODE_LOCKED' }
+          });
+        }
+
+        if (!matchesLoginCode(normalizedEmail, code.trim(), loginCode.codeHash)) {
+          await prisma.loginCode.update({
+            where: { id: loginCode.id },
+            data: { attempts: { increment: 1 } }
+          });
+          throw invalidCode();
+        }
+
+        // Conditional update so two concurrent requests can't both use the same code
+        const consumed = await prisma.loginCode.updateMany({
+          where: { id: loginCode.id, consumedAt: null },
+          data: { consumedAt: new Date() }
+        });
+        if (consumed.count === 0) {
+          throw invalidCode();
+        }
+
+        let user = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+        if (!user) {
+          console.log(`👤 Creating new user for email: ${normalizedEmail}`);
+          user = await prisma.user.create({
+            data: {
+              email: normalizedEmail,
+              name: normalizedEmail.split('@')[0].replace(/[^a-zA-Z0-9]/g, '') || 'User'
+            }
+          });
+        }
+
+        console.log(`🔐 User logged in with code: ${user.name} (${user.email})`);
+        return { token: await createSession(prisma, user), user };
+      } catch (error) {
+        console.error('Error in verifyLoginCode mutation:', error);
+        throw error;
+      }
+    },
+    logout: async (_: any, __: any, context: GraphQLContext) => {
+      try {
+        if (!context.sessionId) {
+          return false;
+        }
+
+        await prisma.session.deleteMany({ where: { id: context.sessionId } });
+        disconnectSession(io, context.sessionId);
+
+        console.log(`🚪 User logged out: ${context.user?.email}`);
+        return true;
+      } catch (error) {
+        console.error('Error in logout mutation:', error);
+        throw error;
+      }
+    },
+    joinEvent: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+
+        // Validate inputs
+        if (!eventId) {
+          throw new Error('Event ID is required');
+        }
+
+        // Capacity check and insert happen under a row lock so concurrent joins can't overbook
+        // Real-time updates go out through the outbox once it commits
+        const { event } = await addAttendee(prisma, eventId, user.id);
+
+        return event;
+      } catch (error) {
+        console.error('Error in joinEvent mutation:', error);
+        throw error;
+      }
+    },
+    joinWaitlist: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        const { event } = await addToWaitlist(prisma, eventId, user.id);
+
+        return event;
+      } catch (error) {
+        console.error('Error in joinWaitlist mutation:', error);
+        throw error;
+      }
+    },
+    leaveWaitlist: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+
+        const event = await findEventWithCount(prisma, eventId);
+        if (!event) {
+          throw new Error('Event not found');
+        }
+
+        await removeFromWaitlist(prisma, eventId, user.id);
+
+        return event;
+      } catch (error) {
+        console.error('Error in leaveWaitlist mutation:', error);
+        throw error;
+      }
+    },
+    moveWaitlistEntry: async (_: any, { eventId, userId, position }: { eventId: string, userId: string, position: number }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+
+        return moveWaitlistEntry(prisma, eventId, userId, position);
+      } catch (error) {
+        console.error('Error in moveWaitlistEntry mutation:', error);
+        throw error;
+      }
+    },
+    promoteFromWaitlist: async (_: any, { eventId, userId }: { eventId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+
+        return promoteWaitlistEntry(prisma, eventId, userId);
+      } catch (error) {
+        console.error('Error in promoteFromWaitlist mutation:', error);
+        throw error;
+      }
+    },
+    checkIn: async (_: any, { eventId, userId }: { eventId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        const staff = await authorizeEvent(context, 'checkIn', eventId);
+
+        const registration = await checkIn(prisma, eventId, userId);
+        console.log(`🎫 ${staff.email} checked in ${registration.user.email}`);
+
+        return registration;
+      } catch (error) {
+        console.error('Error in checkIn mutation:', error);
+        throw error;
+      }
+    },
+    scanTicket: async (_: any, { eventId, token, code }: { eventId: string, token?: string, code?: string }, context: GraphQLContext) => {
+      try {
+        const staff = await authorizeEvent(context, 'checkIn', eventId);
+
+        const scan = await scanTicket(prisma, eventId, { token, code });
+        console.log(`🎫 ${staff.email} scanned a ticket: ${scan.result}`);
+
+        return scan;
+      } catch (error) {
+        console.error('Error in scanTicket mutation:', error);
+        throw error;
+      }
+    },
+    syncCheckIns: async (_: any, { eventId, checkIns }: { eventId: string, checkIns: OfflineCheckInInput[] }, context: GraphQLContext) => {
+      try {
+        const staff = await authorizeEvent(context, 'checkIn', eventId);
+
+        const { results, created } = await syncOfflineCheckIns(prisma, staff.id, eventId, checkIns);
+        const conflicts = created.filter(result => result.status === 'CONFLICT');
+        console.log(`📶 ${staff.email} synced ${created.length} offline check-in(s), ${conflicts.length} conflict(s)`);
+
+        return results;
+      } catch (error) {
+        console.error('Error in syncCheckIns mutation:', error);
+        throw error;
+      }
+    },
+    resolveCheckInConflict: async (_: any, { id }: { id: string }, context: GraphQLContext) => {
+      try {
+        const conflict = await prisma.offlineCheckIn.findUnique({ where: { id } });
+        if (!conflict) {
+          throw new Error('Offline check-in not found');
+        }
+        await authorizeEvent(context, 'manageEvent', conflict.eventId);
+
+        return resolveCheckInConflict(prisma, id);
+      } catch (error) {
+        console.error('Error in resolveCheckInConflict mutation:', error);
+        throw error;
+      }
+    },
+    checkOut: async (_: any, { eventId, userId }: { eventId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'checkIn', eventId);
+
+        return checkOut(prisma, eventId, userId);
+      } catch (error) {
+        console.error('Error in checkOut mutation:', error);
+        throw error;
+      }
+    },
+    checkInToSession: async (_: any, { sessionId, userId }: { sessionId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        const session = await findEventSession(prisma, sessionId);
+        const staff = await authorizeEvent(context, 'checkIn', session.eventId);
+        const checkIn = await checkInToSession(prisma, sessionId, userId, staff.id);
+
+        console.log(`🎤 ${staff.email} checked ${checkIn.user.email} in to "${session.title}"`);
+
+        return checkIn;
+      } catch (error) {
+        console.error('Error in checkInToSession mutation:', error);
+        throw error;
+      }
+    },
+    undoSessionCheckIn: async (_: any, { sessionId, userId }: { sessionId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        const session = await findEventSession(prisma, sessionId);
+        await authorizeEvent(context, 'checkIn', session.eventId);
+
+        return undoSessionCheckIn(prisma, sessionId, userId);
+      } catch (error) {
+        console.error('Error in undoSessionCheckIn mutation:', error);
+        throw error;
+      }
+    },
+    createSession: async (_: any, { eventId, input }: { eventId: string, input: SessionInput }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+        const session = await createEventSession(prisma, eventId, parseSessionInput(input));
+
+        console.log(`🎤 Session "${session.title}" added to event ${eventId}`);
+
+        return session;
+      } catch (error) {
+        console.error('Error in createSession mutation:', error);
+        throw error;
+      }
+    },
+    updateSession: async (_: any, { sessionId, input }: { sessionId: string, input: SessionInput }, context: GraphQLContext) => {
+      try {
+        const existingSession = await findEventSession(prisma, sessionId);
+        await authorizeEvent(context, 'manageEvent', existingSession.eventId);
+
+        return updateEventSession(prisma, sessionId, parseSessionInput(input, { partial: true }));
+      } catch (error) {
+        console.error('Error in updateSession mutation:', error);
+        throw error;
+      }
+    },
+    deleteSession: async (_: any, { sessionId }: { sessionId: string }, context: GraphQLContext) => {
+      try {
+        const session = await findEventSession(prisma, sessionId);
+        await authorizeEvent(context, 'manageEvent', session.eventId);
+
+        await prisma.eventSession.delete({ where: { id: sessionId } });
+
+        console.log(`🗑️ Session "${session.title}" deleted`);
+
+        return sessionId;
+      } catch (error) {
+        console.error('Error in deleteSession mutation:', error);
+        throw error;
+      }
+    },
+    createVenue: async (_: any, { input }: { input: VenueInput }, context: GraphQLContext) => {
+      try {
+        const user = authorizeGlobal(context, 'manageVenues');
+        const data = parseVenueInput(input);
+        const venue = await prisma.venue.create({ data: { ...data, name: data.name! } });
+
+        console.log(`🏛️ ${user.email} added venue "${venue.name}"`);
+
+        return venue;
+      } catch (error) {
+        console.error('Error in createVenue mutation:', error);
+        throw error;
+      }
+    },
+    updateVenue: async (_: any, { venueId, input }: { venueId: string, input: VenueInput }, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageVenues');
+        const data = parseVenueInput(input, { partial: true });
+
+        // Events at the venue show its new name
+        return await prisma.$transaction(async (tx) => {
+          const { venue, renamedEventIds } = await updateVenue(tx, venueId, data);
+          for (const id of renamedEventIds) {
+            await recordEventChanged(tx, id, 'UPDATED');
+          }
+          return venue;
+        });
+      } catch (error) {
+        console.error('Error in updateVenue mutation:', error);
+        throw error;
+      }
+    },
+    deleteVenue: async (_: any, { venueId }: { venueId: string }, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageVenues');
+        const venue = await findVenue(prisma, venueId);
+
+        await prisma.venue.delete({ where: { id: venueId } });
+
+        console.log(`🗑️ Venue "${venue.name}" deleted`);
+
+        return venueId;
+      } catch (error) {
+        console.error('Error in deleteVenue mutation:', error);
+        throw error;
+      }
+    },
+    createRoom: async (_: any, { venueId, input }: { venueId: string, input: RoomInput }, context: GraphQLContext) => {
       try {
-        const events = await prisma.event.findMany({
-          include: { attendees: true },
-          orderBy: { startTime: 'asc' }
-        });
-        
-        console.log(`📊 Retrieved ${events.length} events from database`);
-        return events;
+        authorizeGlobal(context, 'manageVenues');
+        return await createRoom(prisma, venueId, parseRoomInput(input));
       } catch (error) {
-        console.error('Error fetching events:', error);
-        throw new Error('Failed to fetch events');
+        console.error('Error in createRoom mutation:', error);
+        throw error;
+      }
+    },
+    updateRoom: async (_: any, { roomId, input }: { roomId: string, input: RoomInput }, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageVenues');
+        return await updateRoom(prisma, roomId, parseRoomInput(input, { partial: true }));
+      } catch (error) {
+        console.error('Error in updateRoom mutation:', error);
+        throw error;
+      }
+    },
+    deleteRoom: async (_: any, { roomId }: { roomId: string }, context: GraphQLContext) => {
+      try {
+        authorizeGlobal(context, 'manageVenues');
+        const room = await findRoom(prisma, roomId);
+
+        await prisma.room.delete({ where: { id: roomId } });
+
+        console.log(`🗑️ Room "${room.name}" deleted`);
+
+        return roomId;
+      } catch (error) {
+        console.error('Error in deleteRoom mutation:', error);
+        throw error;
       }
     },
-    me: async (_: any, { email }: { email: string }) => {
+    createEvent: async (_: any, { input }: { input: EventInput }, context: GraphQLContext) => {
       try {
-        if (!email || !email.includes('@')) {
-          throw new Error('Valid email is required');
+        const user = authorizeGlobal(context, 'createEvent');
+        const data = await withVenueLocation(prisma, parseEventInput(input));
+        const endTime = data.endTime ?? defaultEndTime(data.startTime!);
+        const days = data.schedule ?? [];
+        assertValidEventTimes(data.startTime!, endTime, days);
+        if (data.recurrence && days.length > 0) {
+          throw badUserInput('events with a schedule cannot repeat');
         }
 
-        let user = await prisma.user.findUnique({ where: { email } });
-        if (!user) {
-          console.log(`👤 Creating new user for email: ${email}`);
-          user = await prisma.user.create({
-            data: { 
-              email, 
-              name: email.split('@')[0].replace(/[^a-zA-Z0-9]/g, '') || 'User'
-            }
+        const event = await prisma.$transaction(async (tx) => {
+          const event = await tx.event.create({
+            data: {
+              name: data.name!,
+              location: data.location!,
+              venueId: data.venueId ?? null,
+              description: data.description ?? null,
+              startTime: data.startTime!,
+              endTime,
+              timeZone: data.timeZone ?? DEFAULT_TIME_ZONE,
+              capacity: data.capacity ?? null,
+              status: 'DRAFT',
+              members: { create: { userId: user.id, role: 'ORGANIZER' } },
+              days: { create: days }
+            },
+            include: { ...WITH_ATTENDEE_COUNT, ...WITH_SCHEDULE }
           });
+          if (data.recurrence) {
+            await startSeries(tx, event, data.recurrence, user.id);
+          }
+          await recordEventChanged(tx, event.id, 'CREATED');
+          return loadEventWithCount(tx, event.id);
+        });
+
+        // Only webhooks hear about it yet; attendees do once it's published
+        console.log(`🆕 ${user.email} created draft event "${event.name}"${data.recurrence ? ' with a series' : ''}`);
+
+        if (data.recurrence) {
+          await materializeOccurrences(prisma, occurrenceHorizon(event.startTime));
         }
-        
-        console.log(`👤 Retrieved user: ${user.name} (${user.email})`);
-        return user;
+
+        return event;
       } catch (error) {
-        console.error('Error in me query:', error);
+        console.error('Error in createEvent mutation:', error);
         throw error;
       }
-    }
-  },
-  Mutation: {
-    joinEvent: async (_: any, { eventId, userEmail }: { eventId: string, userEmail: string }) => {
+    },
+    updateEvent: async (
+      _: any,
+      { eventId, input, scope = 'THIS_OCCURRENCE' }: { eventId: string, input: EventInput, scope?: EditScope },
+      context: GraphQLContext
+    ) => {
       try {
-        // Validate inputs
-        if (!eventId || !userEmail) {
-          throw new Error('Event ID and user email are required');
+        const user = await authorizeEvent(context, 'manageEvent', eventId);
+        const { schedule, recurrence, ...data } = await withVenueLocation(prisma, parseEventInput(input, { partial: true }));
+        const following = scope === 'THIS_AND_FOLLOWING';
+        if (recurrence && !following) {
+          throw badUserInput('recurrence can only be changed for this and following occurrences');
         }
 
-        // Check if event exists
-        const existingEvent = await prisma.event.findUnique({
-          where: { id: eventId },
-          include: { attendees: true }
+        const event = await prisma.$transaction(async (tx) => {
+          // Locked like joinEvent so a capacity change can't interleave with joins
+          await lockEvent(tx, eventId);
+
+          const existingEvent = await findEventWithCount(tx, eventId);
+          if (!existingEvent) {
+            throw new Error('Event not found');
+          }
+          assertEditable(existingEvent);
+
+          if (data.capacity && data.capacity < existingEvent._count.registrations) {
+            throw new GraphQLError(`capacity cannot be lower than the ${existingEvent._count.registrations} people already attending`, {
+              extensions: { code: 'BAD_USER_INPUT' }
+            });
+          }
+
+          // The changed times are checked together with the ones left as they were
+          const startTime = data.startTime ?? existingEvent.startTime;
+          const endTime = data.endTime ?? getEndTime({ startTime, endTime: existingEvent.endTime });
+          const days = schedule ?? await tx.eventDay.findMany({
+            where: { eventId },
+            orderBy: { startTime: 'asc' }
+          });
+          assertValidEventTimes(startTime, endTime, days);
+          await assertSessionsWithin(tx, eventId, startTime, endTime);
+          if ((existingEvent.seriesId || recurrence) && days.length > 0) {
+            throw badUserInput('events with a schedule cannot repeat');
+          }
+
+          const updatedEvent = await tx.event.update({
+            where: { id: eventId },
+            data: {
+              ...data,
+              ...(schedule !== undefined && { days: { deleteMany: {}, create: schedule } }),
+              // Edited on its own, so later series edits leave it as it is
+              ...(existingEvent.seriesId && !following && { isOverride: true })
+            }
+          });
+
+          let changedIds: string[] = [];
+          if (following && existingEvent.seriesId) {
+            changedIds = await updateFollowingOccurrences(tx, existingEvent, updatedEvent, recurrence);
+          } else if (following && recurrence) {
+            await startSeries(tx, updatedEvent, recurrence, user.id);
+          }
+
+          // A raised capacity goes to the people already waiting
+          for (const id of [eventId, ...changedIds]) {
+            if (data.venueId !== undefined) {
+              await releaseRoomsElsewhere(tx, id);
+            }
+            await recordEventChanged(tx, id, 'UPDATED');
+            await fillFromWaitlist(tx, id);
+          }
+          return loadEventWithCount(tx, eventId);
         });
 
-        if (!existingEvent) {
-          throw new Error('Event not found');
+        if (following) {
+          await materializeOccurrences(prisma, occurrenceHorizon(event.startTime));
         }
 
-        // Find or create user
-        let user = await prisma.user.findUnique({ where: { email: userEmail } });
-        if (!user) {
-          user = await prisma.user.create({
-            data: { email: userEmail, name: userEmail.split('@')[0] }
+        return event;
+      } catch (error) {
+        console.error('Error in updateEvent mutation:', error);
+        throw error;
+      }
+    },
+    cancelEvent: async (_: any, { eventId, reason }: { eventId: string, reason?: string | null }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+
+        const { event, cancelled } = await prisma.$transaction(async (tx) => {
+          // Checked under the lock so concurrent cancels, status changes and the lifecycle
+          // sweep see each other's result
+          await lockEvent(tx, eventId);
+
+          const existingEvent = await findEventWithCount(tx, eventId);
+          if (!existingEvent) {
+            throw new Error('Event not found');
+          }
+
+          // Cancelling twice keeps the original timestamp and reason
+          if (existingEvent.status === 'CANCELLED') {
+            return { event: existingEvent, cancelled: false };
+          }
+          const currentStatus = effectiveStatus(existingEvent);
+          assertTransition(currentStatus, 'CANCELLED');
+
+          const event = await tx.event.update({
+            where: { id: eventId },
+            data: { status: 'CANCELLED', cancelledAt: new Date(), cancellationReason: reason?.trim() || null },
+            include: WITH_ATTENDEE_COUNT
           });
-        }
+          await recordEventChanged(tx, eventId, 'CANCELLED', currentStatus);
+          return { event, cancelled: true };
+        });
 
-        // Check if user is already in the event
-        const isAlreadyJoined = existingEvent.attendees.some(attendee => attendee.email === userEmail);
-        
-        if (isAlreadyJoined) {
-          // User already joined, return the current event state
-          return existingEvent;
+        if (cancelled) {
+          console.log(`🚫 Event "${event.name}" cancelled`);
         }
 
-        // Add user to event
-        const event = await prisma.event.update({
-          where: { id: eventId },
-          data: { attendees: { connect: { id: user.id } } },
-          include: { attendees: true }
+        return event;
+      } catch (error) {
+        console.error('Error in cancelEvent mutation:', error);
+        throw error;
+      }
+    },
+    setEventStatus: async (_: any, { eventId, status }: { eventId: string, status: EventStatus }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEvent', eventId);
+
+        const { event, existingEvent, currentStatus, followingIds, changed } = await prisma.$transaction(async (tx) => {
+          // Locked like cancelEvent so the transition is checked against the status it replaces
+          await lockEvent(tx, eventId);
+
+          const existingEvent = await findEventWithCount(tx, eventId);
+          if (!existingEvent) {
+            throw new Error('Event not found');
+          }
+
+          const currentStatus = effectiveStatus(existingEvent);
+          if (currentStatus === status) {
+            return { event: existingEvent, existingEvent, currentStatus, followingIds: [] as string[], changed: false };
+          }
+          assertTransition(currentStatus, status);
+
+          const event = await tx.event.update({
+            where: { id: eventId },
+            data: status === 'CANCELLED' ? { status, cancelledAt: new Date() } : { status },
+            include: WITH_ATTENDEE_COUNT
+          });
+          if (status === 'COMPLETED') {
+            await markNoShows(tx, [eventId]);
+          }
+          // Publishing or unpublishing an occurrence takes the rest of its series along
+          const followingIds = existingEvent.seriesId && (status === 'PUBLISHED' || status === 'DRAFT')
+            ? await setFollowingStatus(tx, existingEvent, currentStatus, status)
+            : [];
+          // Unpublishing is broadcast too so attendees drop the event from their lists
+          for (const id of [eventId, ...followingIds]) {
+            await recordEventChanged(tx, id, status === 'CANCELLED' ? 'CANCELLED' : 'STATUS_CHANGED', currentStatus);
+          }
+          return { event, existingEvent, currentStatus, followingIds, changed: true };
         });
 
-        // Real-time update
-        const payload: JoinEventPayload = {
-          eventId,
-          user,
-          attendees: event.attendees
-        };
-        
-        io.to(`event-${eventId}`).emit('userJoined', payload);
-        io.emit('eventUpdated', { eventId, attendees: event.attendees });
+        if (!changed) {
+          return event;
+        }
+
+        console.log(`🔀 Event "${event.name}" moved from ${currentStatus} to ${status}`);
+
+        // People following the series join the newly published occurrences
+        if (existingEvent.seriesId && status === 'PUBLISHED') {
+          await addSubscribers(prisma, existingEvent.seriesId, [eventId, ...followingIds]);
+          return loadEventWithCount(prisma, eventId);
+        }
 
         return event;
       } catch (error) {
-        console.error('Error in joinEvent mutation:', error);
+        console.error('Error in setEventStatus mutation:', error);
         throw error;
       }
     },
-    leaveEvent: async (_: any, { eventId, userEmail }: { eventId: string, userEmail: string }) => {
+    deleteEvent: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
       try {
-        // Validate inputs
-        if (!eventId || !userEmail) {
-          throw new Error('Event ID and user email are required');
+        await authorizeEvent(context, 'manageEvent', eventId);
+
+        const existingEvent = await prisma.event.findUnique({ where: { id: eventId } });
+        if (!existingEvent) {
+          throw new Error('Event not found');
         }
 
-        // Check if event exists
-        const existingEvent = await prisma.event.findUnique({
-          where: { id: eventId },
-          include: { attendees: true }
+        await prisma.$transaction(async (tx) => {
+          await tx.event.delete({ where: { id: eventId } });
+          // Otherwise the series would create the occurrence again
+          if (existingEvent.seriesId && existingEvent.originalStartTime) {
+            await tx.eventSeries.update({
+              where: { id: existingEvent.seriesId },
+              data: { exceptions: { push: existingEvent.originalStartTime } }
+            });
+          }
+          await recordOutboxMessage(tx, 'EVENT_DELETED', eventId, { name: existingEvent.name });
         });
 
-        if (!existingEvent) {
-          throw new Error('Event not found');
+        console.log(`🗑️ Event "${existingEvent.name}" deleted`);
+
+        return eventId;
+      } catch (error) {
+        console.error('Error in deleteEvent mutation:', error);
+        throw error;
+      }
+    },
+    replayOutbox: async (_: any, { sink, fromId }: { sink: string, fromId: string }, context: GraphQLContext) => {
+      try {
+        const admin = authorizeGlobal(context, 'manageOutbox');
+
+        // Local sinks keep their place in memory, so only shared ones can be replayed
+        if (!outboxSinks.some(outboxSink => outboxSink.shared && outboxSink.name === sink)) {
+          throw new GraphQLError(`Unknown outbox sink: ${sink}`, { extensions: { code: 'BAD_USER_INPUT' } });
         }
 
-        // Find user
-        const user = await prisma.user.findUnique({ where: { email: userEmail } });
+        await replayOutbox(prisma, sink, parseOutboxId(fromId));
+        console.log(`🔁 ${admin.email} replayed outbox sink "${sink}" from message ${fromId}`);
+        return prisma.outboxCursor.findUniqueOrThrow({ where: { sink } });
+      } catch (error) {
+        console.error('Error in replayOutbox mutation:', error);
+        throw error;
+      }
+    },
+    setUserRole: async (_: any, { userId, role }: { userId: string, role: UserRole }, context: GraphQLContext) => {
+      try {
+        const admin = authorizeGlobal(context, 'manageUserRoles');
+
+        if (admin.id === userId && role !== 'ADMIN') {
+          throw new GraphQLError('Admins cannot remove their own admin role', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: userId } });
         if (!user) {
           throw new Error('User not found');
         }
 
-        // Check if user is actually in the event
-        const isInEvent = existingEvent.attendees.some(attendee => attendee.email === userEmail);
-        
-        if (!isInEvent) {
-          // User is not in the event, return current event state
-          return existingEvent;
+        console.log(`🛡️ ${admin.email} set role of ${user.email} to ${role}`);
+        const updated = await prisma.user.update({ where: { id: userId }, data: { role } });
+        // A former admin may be watching drafts they can no longer see
+        await revalidateUserRooms(io, prisma, userId);
+        return updated;
+      } catch (error) {
+        console.error('Error in setUserRole mutation:', error);
+        throw error;
+      }
+    },
+    addEventMember: async (_: any, { eventId, userId, role }: { eventId: string, userId: string, role: EventRole }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEventMembers', eventId);
+
+        const [event, user] = await Promise.all([
+          prisma.event.findUnique({ where: { id: eventId } }),
+          prisma.user.findUnique({ where: { id: userId } })
+        ]);
+        if (!event) {
+          throw new Error('Event not found');
+        }
+        if (!user) {
+          throw new Error('User not found');
         }
 
-        // Remove user from event
-        const event = await prisma.event.update({
-          where: { id: eventId },
-          data: { attendees: { disconnect: { id: user.id } } },
-          include: { attendees: true }
+        await prisma.eventMembership.upsert({
+          where: { userId_eventId: { userId, eventId } },
+          create: { userId, eventId, role },
+          update: { role }
         });
+        // Demoting an organizer to staff hides a draft from them
+        await revalidateEventRoom(io, prisma, eventId);
 
-        // Real-time update
-        const payload: JoinEventPayload = {
-          eventId,
-          user,
-          attendees: event.attendees
-        };
-        
-        io.to(`event-${eventId}`).emit('userLeft', payload);
-        io.emit('eventUpdated', { eventId, attendees: event.attendees });
+        return findEventWithCount(prisma, eventId);
+      } catch (error) {
+        console.error('Error in addEventMember mutation:', error);
+        throw error;
+      }
+    },
+    removeEventMember: async (_: any, { eventId, userId }: { eventId: string, userId: string }, context: GraphQLContext) => {
+      try {
+        await authorizeEvent(context, 'manageEventMembers', eventId);
+
+        const event = await findEventWithCount(prisma, eventId);
+        if (!event) {
+          throw new Error('Event not found');
+        }
+
+        await prisma.eventMembership.deleteMany({ where: { userId, eventId } });
+        await revalidateEventRoom(io, prisma, eventId);
+        return event;
+      } catch (error) {
+        console.error('Error in removeEventMember mutation:', error);
+        throw error;
+      }
+    },
+    leaveEvent: async (_: any, { eventId }: { eventId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+
+        // Validate inputs
+        if (!eventId) {
+          throw new Error('Event ID is required');
+        }
+
+        // Leaving and promoting the next waitlisted user happen in one transaction,
+        // and real-time updates go out through the outbox once it commits
+        const { event } = await removeAttendee(prisma, eventId, user.id);
 
         return event;
       } catch (error) {
         console.error('Error in leaveEvent mutation:', error);
         throw error;
       }
+    },
+    bookmarkSession: async (_: any, { sessionId }: { sessionId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        return await bookmarkSession(prisma, sessionId, user.id);
+      } catch (error) {
+        console.error('Error in bookmarkSession mutation:', error);
+        throw error;
+      }
+    },
+    removeSessionBookmark: async (_: any, { sessionId }: { sessionId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        return await removeBookmark(prisma, sessionId, user.id);
+      } catch (error) {
+        console.error('Error in removeSessionBookmark mutation:', error);
+        throw error;
+      }
+    },
+    joinSeries: async (_: any, { seriesId }: { seriesId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        const series = await joinSeries(prisma, seriesId, user.id);
+
+        console.log(`🔁 ${user.email} is following series "${series.name}"`);
+
+        return series;
+      } catch (error) {
+        console.error('Error in joinSeries mutation:', error);
+        throw error;
+      }
+    },
+    leaveSeries: async (_: any, { seriesId }: { seriesId: string }, context: GraphQLContext) => {
+      try {
+        const user = requireUser(context);
+        const series = await leaveSeries(prisma, seriesId, user.id);
+
+        console.log(`🔁 ${user.email} stopped following series "${series.name}"`);
+
+        return series;
+      } catch (error) {
+        console.error('Error in leaveSeries mutation:', error);
+        throw error;
+      }
+    }
+  },
+  Subscription: subscriptionResolvers,
+  User: {
+    capabilities: (user: User, _: any, context: GraphQLContext) => {
+      const viewer = context.user;
+      if (!viewer || (viewer.id !== user.id && viewer.role !== 'ADMIN')) {
+        return null;
+      }
+      return getCapabilities(prisma, user);
+    }
+  },
+  Registration: {
+    registeredAt: (registration: Registration) => registration.createdAt.toISOString(),
+    checkedInAt: (registration: Registration) => registration.checkedInAt?.toISOString() ?? null,
+    checkedOutAt: (registration: Registration) => registration.checkedOutAt?.toISOString() ?? null,
+    ticket: (registration: Registration, _: any, context: GraphQLContext) => {
+      if (context.user?.id !== registration.userId) {
+        return null;
+      }
+      return { token: signTicket(registration), code: ticketCode(registration.id) };
+    }
+  },
+  CheckInRoster: {
+    generatedAt: (roster: { generatedAt: Date }) => roster.generatedAt.toISOString()
+  },
+  Presence: {
+    staffDevices: async (presence: EventPresence, _: any, context: GraphQLContext) => {
+      const allowed = context.user !== null && await canOnEvent(prisma, context.user, 'checkIn', presence.eventId);
+      return allowed ? presence.staffDevices : null;
+    }
+  },
+  StaffDevice: {
+    lastSeenAt: (device: { lastSeenAt: Date }) => device.lastSeenAt.toISOString()
+  },
+  OutboxMessage: {
+    id: (message: OutboxMessage) => message.id.toString(),
+    payload: (message: OutboxMessage) => JSON.stringify(message.payload),
+    createdAt: (message: OutboxMessage) => message.createdAt.toISOString()
+  },
+  OutboxCursor: {
+    messageId: (cursor: OutboxCursor) => cursor.messageId.toString(),
+    updatedAt: (cursor: OutboxCursor) => cursor.updatedAt.toISOString()
+  },
+  OfflineCheckIn: {
+    scannedAt: (checkIn: OfflineCheckIn) => checkIn.scannedAt.toISOString(),
+    syncedAt: (checkIn: OfflineCheckIn) => checkIn.syncedAt.toISOString(),
+    resolvedAt: (checkIn: OfflineCheckIn) => checkIn.resolvedAt?.toISOString() ?? null
+  },
+  EventDay: {
+    startTime: (day: EventDay) => day.startTime.toISOString(),
+    endTime: (day: EventDay) => day.endTime.toISOString(),
+    localStartTime: (day: ZonedEventDay) => toZonedIso(day.startTime, day.timeZone),
+    localEndTime: (day: ZonedEventDay) => toZonedIso(day.endTime, day.timeZone)
+  },
+  EventSession: {
+    venueRoom: (session: EventSession) => {
+      return session.roomId ? prisma.room.findUnique({ where: { id: session.roomId } }) : null;
+    },
+    startTime: (session: EventSession) => session.startTime.toISOString(),
+    endTime: (session: EventSession) => session.endTime.toISOString(),
+    localStartTime: (session: ZonedSession) => toZonedIso(session.startTime, session.event.timeZone),
+    localEndTime: (session: ZonedSession) => toZonedIso(session.endTime, session.event.timeZone),
+    bookmarkCount: (session: EventSession) => prisma.sessionBookmark.count({ where: { sessionId: session.id } }),
+    remainingSeats: async (session: EventSession) => {
+      if (session.capacity === null) {
+        return null;
+      }
+      return remainingSpots(session.capacity, await prisma.sessionBookmark.count({ where: { sessionId: session.id } }));
+    },
+    isBookmarked: async (session: EventSession, _: any, context: GraphQLContext) => {
+      if (!context.user) {
+        return false;
+      }
+      const bookmark = await prisma.sessionBookmark.findUnique({
+        where: { sessionId_userId: { sessionId: session.id, userId: context.user.id } }
+      });
+      return bookmark !== null;
+    },
+    checkedInCount: (session: EventSession) => prisma.sessionCheckIn.count({ where: { sessionId: session.id } }),
+    checkIns: async (session: EventSession, _: any, context: GraphQLContext) => {
+      if (!context.user || !(await canOnEvent(prisma, context.user, 'checkIn', session.eventId))) {
+        return null;
+      }
+      return prisma.sessionCheckIn.findMany({
+        where: { sessionId: session.id },
+        include: { user: true },
+        orderBy: { checkedInAt: 'asc' }
+      });
+    }
+  },
+  Venue: {
+    rooms: (venue: { id: string }) => prisma.room.findMany({ where: { venueId: venue.id }, orderBy: { name: 'asc' } })
+  },
+  SessionCheckIn: {
+    checkedInAt: (checkIn: { checkedInAt: Date }) => checkIn.checkedInAt.toISOString()
+  },
+  EventSeries: {
+    summary: (series: EventSeries) => describeRule(series.rule),
+    exceptions: (series: EventSeries) => series.exceptions.map(date => date.toISOString()),
+    isSubscribed: async (series: EventSeries, _: any, context: GraphQLContext) => {
+      if (!context.user) {
+        return false;
+      }
+      const subscription = await prisma.seriesSubscription.findUnique({
+        where: { seriesId_userId: { seriesId: series.id, userId: context.user.id } }
+      });
+      return subscription !== null;
+    }
+  },
+  Event: {
+    startTime: (event: { startTime: Date }) => event.startTime.toISOString(),
+    originalStartTime: (event: { originalStartTime: Date | null }) => event.originalStartTime?.toISOString() ?? null,
+    series: (event: { seriesId: string | null }) => {
+      return event.seriesId ? prisma.eventSeries.findUnique({ where: { id: event.seriesId } }) : null;
+    },
+    endTime: (event: TimedEvent) => getEndTime(event).toISOString(),
+    localStartTime: (event: TimedEvent) => toZonedIso(event.startTime, event.timeZone),
+    localEndTime: (event: TimedEvent) => toZonedIso(getEndTime(event), event.timeZone),
+    schedule: async (event: ScheduledEvent & { timeZone: string }): Promise<ZonedEventDay[]> => {
+      const days = await loadSchedule(event);
+      return days.map(day => ({ ...day, timeZone: event.timeZone }));
+    },
+    sessions: (event: { id: string }) => listSessions(prisma, event.id),
+    venue: (event: { venueId: string | null }) => {
+      return event.venueId ? prisma.venue.findUnique({ where: { id: event.venueId } }) : null;
+    },
+    isOngoing: async (event: TimedEvent & ScheduledEvent) => isOngoing(event, await loadSchedule(event)),
+    hasEnded: (event: TimedEvent) => hasEnded(event),
+    status: (event: TimedEvent) => effectiveStatus(event),
+    remainingSpots: async (event: CountedEvent & { capacity: number | null }) => {
+      if (event.capacity === null) {
+        return null;
+      }
+      return remainingSpots(event.capacity, await countAttendees(event));
+    },
+    attendees: (event: { id: string }, args: PageArgs & { search?: string | null }) => {
+      return listAttendees(prisma, event.id, args);
+    },
+    attendeeCount: (event: CountedEvent) => countAttendees(event),
+    cancelledAt: (event: { cancelledAt: Date | null }) => event.cancelledAt?.toISOString() ?? null,
+    members: (event: { id: string }) => {
+      return prisma.eventMembership.findMany({
+        where: { eventId: event.id },
+        include: { user: true },
+        orderBy: { createdAt: 'asc' }
+      });
+    },
+    checkedInCount: (event: { id: string }) => {
+      return prisma.registration.count({ where: { eventId: event.id, status: 'CHECKED_IN' } });
+    },
+    myRegistration: (event: { id: string }, _: any, context: GraphQLContext) => {
+      if (!context.user) {
+        return null;
+      }
+      return prisma.registration.findUnique({
+        where: { userId_eventId: { userId: context.user.id, eventId: event.id } },
+        include: { user: true }
+      });
+    },
+    registrations: async (event: { id: string }, _: any, context: GraphQLContext) => {
+      if (!context.user || !(await canOnEvent(prisma, context.user, 'checkIn', event.id))) {
+        return null;
+      }
+      return prisma.registration.findMany({
+        where: { eventId: event.id },
+        include: { user: true },
+        orderBy: { createdAt: 'asc' }
+      });
+    },
+    waitlistCount: (event: { id: string }) => prisma.waitlistEntry.count({ where: { eventId: event.id } }),
+    myWaitlistPosition: (event: { id: string }, _: any, context: GraphQLContext) => {
+      return context.user ? getWaitlistPosition(prisma, event.id, context.user.id) : null;
+    },
+    waitlist: async (event: { id: string }, _: any, context: GraphQLContext) => {
+      if (!context.user || !(await canOnEvent(prisma, context.user, 'manageEvent', event.id))) {
+        return null;
+      }
+      const entries = await prisma.waitlistEntry.findMany({
+        where: { eventId: event.id },
+        include: { user: true },
+        orderBy: { position: 'asc' }
+      });
+      // Stored positions can have gaps after people leave, so report the place in line instead
+      return entries.map((entry, index) => ({ position: index + 1, user: entry.user }));
     }
   }
 };
@@ -297,9 +3326,25 @@ async function start() {
     // Check database connection first
     await checkDatabaseConnection();
     
-    const apolloServer = new ApolloServer({ 
-      typeDefs, 
-      resolvers,
+    const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+    // Subscriptions share the /graphql path; Socket.io keeps its own /socket.io upgrades
+    const wsServer = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (request, socket, head) => {
+      if (request.url?.startsWith('/graphql')) {
+        wsServer.handleUpgrade(request, socket, head, (ws) => wsServer.emit('connection', ws, request));
+      }
+    });
+    const subscriptionServer = useServer({
+      schema,
+      context: async (ctx): Promise<GraphQLContext> => {
+        const session = await getSessionFromToken(prisma, ctx.connectionParams?.authorization as string | undefined);
+        return { prisma, user: session?.user ?? null, sessionId: session?.sessionId ?? null };
+      }
+    }, wsServer);
+
+    const apolloServer = new ApolloServer<GraphQLContext>({ 
+      schema,
       introspection: true, // Enable introspection for GraphQL Playground
       formatError: (error) => {
         console.error('GraphQL Error:', error);
@@ -314,7 +3359,12 @@ async function start() {
     await apolloServer.start();
     console.log('✅ Apollo Server started');
 
-    app.use('/graphql', cors(), express.json(), expressMiddleware(apolloServer));
+    app.use('/graphql', cors(), express.json(), expressMiddleware(apolloServer, {
+      context: async ({ req }): Promise<GraphQLContext> => {
+        const session = await getSessionFromToken(prisma, req.headers.authorization);
+        return { prisma, user: session?.user ?? null, sessionId: session?.sessionId ?? null };
+      }
+    }));
 
     // Health check endpoint
     app.get('/health', async (req, res) => {
@@ -371,75 +3421,296 @@ async function start() {
               <span class="method">WebSocket</span> <strong>ws://localhost:4000</strong>
               <p>Real-time updates for event attendee changes</p>
             </div>
+            
+            <div class="endpoint">
+              <span class="method">WebSocket</span> <strong>ws://localhost:4000/graphql</strong>
+              <p>GraphQL subscriptions using the graphql-ws protocol</p>
+            </div>
 
             <h2>📚 GraphQL Schema</h2>
             <h3>Types</h3>
             <ul>
               <li><strong>User</strong> - Represents a user with id, name, and email</li>
-              <li><strong>Event</strong> - Represents an event with attendees</li>
+              <li><strong>Event</strong> - Represents an event; its attendees are paged and searchable with attendees(first, after, search)</li>
             </ul>
             
             <h3>Queries</h3>
             <ul>
-              <li><strong>events</strong> - Get all events with attendees</li>
-              <li><strong>me(email)</strong> - Get or create user by email</li>
+              <li><strong>events(first, after, filter, sort)</strong> - Page through events, filtered by timeframe, dates, location, status or whether you joined</li>
+              <li><strong>searchEvents(query, first)</strong> - Find events by name, location or description, tolerating unfinished words and typos</li>
+              <li><strong>event(id)</strong> - Get a single event</li>
+              <li><strong>me</strong> - Get the authenticated user</li>
+              <li><strong>myAgenda(eventId)</strong> - Get the sessions on the authenticated user's agenda</li>
+              <li><strong>venues(search)</strong> - List venues, optionally by name or address</li>
+              <li><strong>venue(id)</strong> - Get a venue with its rooms</li>
+              <li><strong>presence(eventId)</strong> - How many people are viewing an event, and its online check-in devices (staff)</li>
+              <li><strong>checkInRoster(eventId)</strong> - Download attendees for offline check-in (staff)</li>
+              <li><strong>checkInConflicts(eventId)</strong> - Unresolved offline check-in conflicts (organizers)</li>
+              <li><strong>outboxMessages(eventId, after, first)</strong> - Recorded changes from the outbox (admin)</li>
+              <li><strong>outboxCursors</strong> - How far each shared sink has delivered the outbox (admin)</li>
             </ul>
             
             <h3>Mutations</h3>
             <ul>
-              <li><strong>joinEvent(eventId, userEmail)</strong> - Join an event</li>
-              <li><strong>leaveEvent(eventId, userEmail)</strong> - Leave an event</li>
+              <li><strong>signup(name, email, password)</strong> - Create an account and get a token</li>
+              <li><strong>login(email, password)</strong> - Get a token for an existing account</li>
+              <li><strong>requestLoginCode(email)</strong> - Email a one-time login code</li>
+              <li><strong>verifyLoginCode(email, code)</strong> - Exchange a login code for a token</li>
+              <li><strong>logout</strong> - End the current session and disconnect its sockets</li>
+              <li><strong>joinEvent(eventId)</strong> - Join an event as the authenticated user</li>
+              <li><strong>leaveEvent(eventId)</strong> - Leave an event as the authenticated user</li>
+              <li><strong>bookmarkSession(sessionId)</strong> - Add a session to your agenda, taking a seat</li>
+              <li><strong>removeSessionBookmark(sessionId)</strong> - Take a session off your agenda</li>
+              <li><strong>joinSeries(seriesId)</strong> - Follow a recurring event, joining every upcoming occurrence</li>
+              <li><strong>leaveSeries(seriesId)</strong> - Stop following a recurring event and leave its upcoming occurrences</li>
+              <li><strong>joinWaitlist(eventId)</strong> - Wait for a spot on a full event</li>
+              <li><strong>leaveWaitlist(eventId)</strong> - Give up your place on a waitlist</li>
+              <li><strong>moveWaitlistEntry(eventId, userId, position)</strong> - Reorder an event's waitlist</li>
+              <li><strong>promoteFromWaitlist(eventId, userId)</strong> - Give a free spot to a waitlisted user</li>
+              <li><strong>checkIn(eventId, userId)</strong> - Check an attendee in at the door (staff)</li>
+              <li><strong>syncCheckIns(eventId, checkIns)</strong> - Upload check-ins queued on an offline device (staff)</li>
+              <li><strong>resolveCheckInConflict(id)</strong> - Dismiss a conflicting offline check-in (organizers)</li>
+              <li><strong>scanTicket(eventId, token, code)</strong> - Validate a ticket and check its holder in (staff)</li>
+              <li><strong>checkOut(eventId, userId)</strong> - Record that an attendee left (staff)</li>
+              <li><strong>checkInToSession(sessionId, userId)</strong> - Record that an attendee is at a session (staff)</li>
+              <li><strong>undoSessionCheckIn(sessionId, userId)</strong> - Remove a mistaken session check-in (staff)</li>
+              <li><strong>createEvent(input)</strong> - Create a draft event (organizers and admins)</li>
+              <li><strong>updateEvent(eventId, input, scope)</strong> - Edit an event's name, location, description, start and end time, time zone, daily schedule, recurrence or capacity; for a recurring event, this occurrence or this and following ones</li>
+              <li><strong>setEventStatus(eventId, status)</strong> - Publish, unpublish or end an event</li>
+              <li><strong>cancelEvent(eventId, reason)</strong> - Cancel an event</li>
+              <li><strong>deleteEvent(eventId)</strong> - Permanently delete an event</li>
+              <li><strong>createSession(eventId, input)</strong> - Add a talk or workshop to an event's agenda</li>
+              <li><strong>updateSession(sessionId, input)</strong> - Edit a session's title, speaker, room, times or capacity</li>
+              <li><strong>deleteSession(sessionId)</strong> - Remove a session from the agenda</li>
+              <li><strong>createVenue(input)</strong> / <strong>updateVenue(venueId, input)</strong> / <strong>deleteVenue(venueId)</strong> - Manage venues (organizers and admins)</li>
+              <li><strong>createRoom(venueId, input)</strong> / <strong>updateRoom(roomId, input)</strong> / <strong>deleteRoom(roomId)</strong> - Manage a venue's rooms</li>
+              <li><strong>replayOutbox(sink, fromId)</strong> - Deliver outbox messages to a sink again (admin)</li>
+              <li><strong>setUserRole(userId, role)</strong> - Change a user's global role (admin)</li>
+              <li><strong>addEventMember(eventId, userId, role)</strong> - Assign an event organizer or staff member</li>
+              <li><strong>removeEventMember(eventId, userId)</strong> - Remove an event organizer or staff member</li>
+            </ul>
+            
+            <h3>Subscriptions</h3>
+            <ul>
+              <li><strong>eventUpdated(eventId)</strong> - New event state after edits, status changes and attendee changes; omit eventId for all events</li>
+              <li><strong>attendeeJoined(eventId)</strong> - Someone joined the event</li>
+              <li><strong>attendeeLeft(eventId)</strong> - Someone left the event</li>
+              <li><strong>presenceChanged(eventId)</strong> - People opened or closed the event, or check-in devices came online or went offline</li>
             </ul>
 
+            <h2>🛡️ Roles</h2>
+            <p>Users have a global role (<code>ATTENDEE</code>, <code>ORGANIZER</code>, <code>ADMIN</code>) and optional
+            per-event <code>ORGANIZER</code> / <code>STAFF</code> memberships. Denied actions fail with the <code>FORBIDDEN</code> code;
+            <strong>me { capabilities }</strong> tells clients what the current user may do.</p>
+
+            <h2>🗓️ Event Lifecycle</h2>
+            <p>Events move through <code>DRAFT</code> → <code>PUBLISHED</code> → <code>LIVE</code> → <code>COMPLETED</code>,
+            and can be <code>CANCELLED</code> until they complete. Drafts are only visible to their organizers.
+            Published events go live at their start time and complete a few hours later on their own.
+            Joining fails with <code>EVENT_NOT_PUBLISHED</code>, <code>EVENT_CANCELLED</code> or <code>EVENT_COMPLETED</code>,
+            and with <code>EVENT_FULL</code> once an event with a <code>capacity</code> has no spots left.</p>
+
+            <h2>🔐 Authentication</h2>
+            <p>Send the token from <strong>signup</strong>, <strong>login</strong> or <strong>verifyLoginCode</strong> as <code>Authorization: Bearer &lt;token&gt;</code>.
+            Socket.io clients pass it as <code>auth: { token }</code> when connecting, and subscription clients
+            as the <code>authorization</code> connection parameter. Sockets without a valid token are refused,
+            and <strong>logout</strong> disconnects the ones opened with that session.</p>
+
             <h2>🧪 Testing</h2>
             <p>Run comprehensive tests:</p>
             <pre>node test-graphql-schema.js</pre>
             
             <h2>🔄 Real-time Events</h2>
-            <p>WebSocket events:</p>
+            <p>WebSocket events are scoped to rooms: <code>joinEventRoom(eventId)</code> for one event's details,
+            <code>joinEventSummaries</code> for the event list. Event rooms can only be joined by users who may see the event.</p>
             <ul>
-              <li><strong>userJoined</strong> - When a user joins an event</li>
-              <li><strong>userLeft</strong> - When a user leaves an event</li>
-              <li><strong>eventUpdated</strong> - When event attendees change</li>
+              <li><strong>eventSummary</strong> - Event list room: an event's details and attendee count changed</li>
+              <li><strong>eventRemoved</strong> - Event list room: an event was deleted or unpublished</li>
+              <li><strong>attendeeDelta</strong> - A versioned attendee added or removed, sent to the event room</li>
+              <li><strong>resync</strong> - Client request (with ack) for the attendee changes since a version</li>
+              <li><strong>eventUpdated</strong> - When event details or status change</li>
+              <li><strong>eventCancelled</strong> - When an organizer cancels an event</li>
+              <li><strong>eventDeleted</strong> - When an organizer deletes an event</li>
+              <li><strong>checkInUpdated</strong> - When an attendee is checked in or out, with the checked-in count</li>
+              <li><strong>checkInConflict</strong> - When a synced offline check-in conflicts with the server</li>
+              <li><strong>waitlistUpdated</strong> - When an event's waitlist changes</li>
+              <li><strong>waitlistPromoted</strong> - Sent only to a user who got a spot from the waitlist</li>
+              <li><strong>eventAccessRevoked</strong> - You were removed from an event room because you can no longer see the event</li>
+              <li><strong>presenceUpdated</strong> - Event room: how many people are viewing and how many check-in devices are online</li>
+              <li><strong>presenceHeartbeat</strong> - Client message every 20 seconds that keeps its presence from expiring</li>
+              <li><strong>joinCheckInDesk</strong> - Client request (with ack) from staff scanners, reporting their device and door</li>
             </ul>
           </body>
         </html>
       `);
     });
 
+    // LISTEN/NOTIFY connections for the Socket.io adapter and the outbox dispatcher
+    const pgPool = new Pool({ connectionString: process.env.DATABASE_URL });
+    pgPool.on('error', (error) => console.error('Postgres listener connection error:', error));
+
     // Socket.io
+    // Broadcasts reach sockets on every instance sharing this database
+    attachPostgresAdapter(io, pgPool);
+
+    // Sockets without a valid session token are refused before they connect
+    io.use(authenticateSocket(prisma));
+
     io.on('connection', (socket) => {
-      console.log('👥 User connected:', socket.id);
+      console.log('👥 User connected:', socket.id, `(${socket.data.email})`);
+
+      socket.join([userRoom(socket.data.userId), sessionRoom(socket.data.sessionId)]);
+
+      // The event list: summaries with counts for every published event
+      socket.on('joinEventSummaries', () => {
+        socket.join(EVENT_SUMMARIES_ROOM);
+      });
+
+      socket.on('leaveEventSummaries', () => {
+        socket.leave(EVENT_SUMMARIES_ROOM);
+      });
+
+      // Only events the user could query; the ack tells the client whether it's in
+      socket.on('joinEventRoom', async (eventId: string, ack?: (response: unknown) => void) => {
+        try {
+          const user = await getSocketUser(prisma, socket);
+          if (typeof eventId !== 'string' || !(await canViewEvent(prisma, user, eventId))) {
+            ack?.({ error: 'Event not found' });
+            return;
+          }
+
+          socket.join(eventRoom(eventId));
+          console.log(`📥 User ${socket.id} joined room: ${eventRoom(eventId)}`);
+          await trackViewer(prisma, socket.id, eventId, socket.data.userId);
+          ack?.({ ok: true });
+        } catch (error) {
+          console.error('Error joining event room:', error);
+          ack?.({ error: 'Could not join the event room' });
+        }
+      });
+
+      socket.on('leaveEventRoom', async (eventId: string) => {
+        socket.leave(eventRoom(eventId));
+        console.log(`📤 User ${socket.id} left room: ${eventRoom(eventId)}`);
+        try {
+          await untrack(prisma, socket.id, eventId);
+        } catch (error) {
+          console.error('Error leaving event room:', error);
+        }
+      });
+
+      // Staff scanners report where they are; organizers see them under presence
+      socket.on('joinCheckInDesk', async (
+        { eventId, deviceId, door }: { eventId: string, deviceId: string, door?: string | null },
+        ack?: (response: unknown) => void
+      ) => {
+        try {
+          const user = await getSocketUser(prisma, socket);
+          if (typeof eventId !== 'string' || typeof deviceId !== 'string' || !deviceId ||
+              !user || !(await canOnEvent(prisma, user, 'checkIn', eventId))) {
+            ack?.({ error: 'Not allowed to check in for this event' });
+            return;
+          }
+
+          await trackStaffDevice(prisma, socket.id, eventId, user.id, deviceId, door?.trim() || null);
+          console.log(`🚪 ${socket.data.email} is checking people in for ${eventId} at ${door?.trim() || 'an unnamed door'}`);
+          ack?.({ ok: true });
+        } catch (error) {
+          console.error('Error joining check-in desk:', error);
+          ack?.({ error: 'Could not join the check-in desk' });
+        }
+      });
+
+      socket.on('leaveCheckInDesk', async (eventId: string) => {
+        try {
+          await untrack(prisma, socket.id, eventId);
+        } catch (error) {
+          console.error('Error leaving check-in desk:', error);
+        }
+      });
 
-      socket.on('joinEventRoom', (eventId: string) => {
-        socket.join(`event-${eventId}`);
-        console.log(`📥 User ${socket.id} joined room: event-${eventId}`);
+      // Keeps this socket counted; without heartbeats its presence expires after a minute
+      socket.on('presenceHeartbeat', async () => {
+        try {
+          await refreshPresence(prisma, socket.id);
+        } catch (error) {
+          console.error('Error refreshing presence:', error);
+        }
       });
 
-      socket.on('leaveEventRoom', (eventId: string) => {
-        socket.leave(`event-${eventId}`);
-        console.log(`📤 User ${socket.id} left room: event-${eventId}`);
+      // Catches a client up on attendee changes after the version it last applied
+      socket.on('resync', async ({ eventId, sinceVersion }: { eventId: string, sinceVersion: number }, ack?: (response: unknown) => void) => {
+        if (typeof ack !== 'function') {
+          return;
+        }
+        try {
+          if (!Number.isInteger(sinceVersion)) {
+            ack({ error: 'sinceVersion must be an integer' });
+            return;
+          }
+          const user = await getSocketUser(prisma, socket);
+          const resync = await getAttendeeResync(prisma, user, eventId, sinceVersion);
+          ack(resync ?? { error: 'Event not found' });
+        } catch (error) {
+          console.error('Error handling resync:', error);
+          ack({ error: 'Resync failed' });
+        }
       });
 
-      socket.on('disconnect', () => {
+      socket.on('disconnect', async () => {
         console.log('👋 User disconnected:', socket.id);
+        try {
+          await untrackSocket(prisma, socket.id);
+        } catch (error) {
+          console.error('Error clearing presence:', error);
+        }
+      });
+    });
+
+    const outboxDispatcher = startOutboxDispatcher(prisma, pgPool, outboxSinks);
+
+    // Every instance hears about presence changes made through any of them and tells its own
+    // sockets and subscribers; the count alone goes to the room, details are queried
+    const presenceTracking = startPresenceTracking(prisma, pgPool, async (eventId) => {
+      const presence = await getPresence(prisma, eventId);
+      io.local.to(eventRoom(eventId)).emit('presenceUpdated', {
+        eventId,
+        viewerCount: presence.viewerCount,
+        staffDeviceCount: presence.staffDevices.length
       });
+      publishPresenceChanged(presence);
     });
 
     // Graceful shutdown
     process.on('SIGINT', async () => {
       console.log('\n🛑 Graceful shutdown initiated...');
-      await prisma.$disconnect();
-      server.close(() => {
+      // Open subscriptions would otherwise keep the server from closing
+      await subscriptionServer.dispose();
+      // Undelivered messages stay in the outbox for the next instance to pick up
+      await outboxDispatcher.stop();
+      await presenceTracking.stop();
+      // Also closes the adapter's LISTEN connection and the HTTP server
+      io.close(async () => {
+        await pgPool.end();
+        await prisma.$disconnect();
         console.log('✅ Server closed');
         process.exit(0);
       });
     });
 
-    server.listen(4000, '0.0.0.0', () => {
-      console.log('🚀 Server: http://localhost:4000/graphql');
-      console.log('🚀 Server: http://192.168.0.152:4000/graphql');
-      console.log('🏥 Health: http://localhost:4000/health');
+    // Set PORT to run a second instance next to the first, e.g. PORT=4001
+    server.listen(PORT, '0.0.0.0', () => {
+      console.log(`🚀 Server: http://localhost:${PORT}/graphql`);
+      console.log(`🚀 Server: http://192.168.0.152:${PORT}/graphql`);
+      console.log(`🏥 Health: http://localhost:${PORT}/health`);
+    });
+
+    startLifecycleScheduler(prisma, async (tx, eventId, previousStatus, status) => {
+      if (status === 'COMPLETED') {
+        const noShows = await markNoShows(tx, [eventId]);
+        console.log(`🙈 Marked ${noShows} registration(s) as no-shows`);
+      }
+      await recordEventChanged(tx, eventId, 'STATUS_CHANGED', previousStatus);
     });
     
   } catch (error) {
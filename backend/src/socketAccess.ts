@@ -0,0 +1,85 @@
+import { Server, Socket } from 'socket.io';
+import { PrismaClient, User } from '@prisma/client';
+import { getSessionFromToken } from './auth';
+import { canViewEvent } from './authorization';
+import { eventIdFromRoom, eventRoom, sessionRoom, userRoom } from './realtime';
+import { untrack } from './presence';
+
+// What the handshake stores on socket.data. Only ids are kept; the user is loaded again
+// for every check so role changes apply to sockets that are already open.
+export interface SocketSession {
+  userId: string;
+  sessionId: string;
+  email: string;
+}
+
+// Socket.io middleware: only sockets with a live session token get through
+export function authenticateSocket(prisma: PrismaClient) {
+  return async (socket: Socket, next: (error?: Error) => void) => {
+    try {
+      const session = await getSessionFromToken(prisma, socket.handshake.auth?.token);
+      if (!session) {
+        next(new Error('Authentication required'));
+        return;
+      }
+
+      const data: SocketSession = { userId: session.user.id, sessionId: session.sessionId, email: session.user.email };
+      socket.data = data;
+      next();
+    } catch (error) {
+      console.error('Error authenticating socket:', error);
+      next(new Error('Socket authentication failed'));
+    }
+  };
+}
+
+export function getSocketUser(prisma: PrismaClient, socket: { data: SocketSession }): Promise<User | null> {
+  return prisma.user.findUnique({ where: { id: socket.data.userId } });
+}
+
+// Drops every socket in the event's room whose user can no longer see the event,
+// e.g. after it went back to draft or an organizer was removed
+export async function revalidateEventRoom(io: Server, prisma: PrismaClient, eventId: string) {
+  const room = eventRoom(eventId);
+  const sockets = await io.in(room).fetchSockets();
+
+  for (const socket of sockets) {
+    const user = await getSocketUser(prisma, socket);
+    if (!(await canViewEvent(prisma, user, eventId))) {
+      socket.leave(room);
+      socket.emit('eventAccessRevoked', { eventId });
+      await untrack(prisma, socket.id, eventId);
+      console.log(`🚫 Removed ${socket.data.email} from room: ${room}`);
+    }
+  }
+}
+
+// Re-checks every event room a user's sockets are in, e.g. after their global role changed
+export async function revalidateUserRooms(io: Server, prisma: PrismaClient, userId: string) {
+  const [user, sockets] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId } }),
+    io.in(userRoom(userId)).fetchSockets()
+  ]);
+
+  for (const socket of sockets) {
+    for (const room of socket.rooms) {
+      const eventId = eventIdFromRoom(room);
+      if (eventId && !(await canViewEvent(prisma, user, eventId))) {
+        socket.leave(room);
+        socket.emit('eventAccessRevoked', { eventId });
+        await untrack(prisma, socket.id, eventId);
+        console.log(`🚫 Removed ${socket.data.email} from room: ${room}`);
+      }
+    }
+  }
+}
+
+// Empties a deleted event's room so nobody keeps listening for it
+export function closeEventRoom(io: Server, eventId: string) {
+  io.in(eventRoom(eventId)).socketsLeave(eventRoom(eventId));
+}
+
+// Disconnects every socket opened with a session that was just logged out
+export function disconnectSession(io: Server, sessionId: string) {
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+}
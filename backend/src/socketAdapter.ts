@@ -0,0 +1,13 @@
+import { Pool } from 'pg';
+import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/postgres-adapter';
+
+// Fans Socket.io broadcasts out to every backend instance through Postgres LISTEN/NOTIFY,
+// so a change made on one replica reaches sockets connected to the others. Room operations
+// (fetchSockets, socketsLeave, disconnectSockets) reach every instance the same way.
+// Payloads over the NOTIFY size limit go through the socket_io_attachments table.
+export function attachPostgresAdapter(io: Server, pool: Pool) {
+  io.adapter(createAdapter(pool, {
+    errorHandler: (error) => console.error('Socket.io adapter error:', error)
+  }));
+}
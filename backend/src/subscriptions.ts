@@ -0,0 +1,93 @@
+import { GraphQLError } from 'graphql';
+import { PubSub, withFilter } from 'graphql-subscriptions';
+import { Event, User } from '@prisma/client';
+import { canViewEvent } from './authorization';
+import { EventPresence } from './presence';
+import { EventWithCount } from './registration';
+import { GraphQLContext } from './types';
+
+const EVENT_UPDATED = 'EVENT_UPDATED';
+const ATTENDEE_JOINED = 'ATTENDEE_JOINED';
+const ATTENDEE_LEFT = 'ATTENDEE_LEFT';
+const PRESENCE_CHANGED = 'PRESENCE_CHANGED';
+
+// In-memory; every instance publishes what it reads from the outbox, so subscribers
+// hear about changes made through any instance
+const pubsub = new PubSub();
+
+export interface AttendeeChange {
+  eventId: string;
+  user: User;
+  event: EventWithCount;
+}
+
+// Changes only reach the subscribers who could query the event, so drafts and completed
+// events stop going out to everyone
+function canView(context: GraphQLContext, event: Pick<Event, 'id'>): Promise<boolean> {
+  return canViewEvent(context.prisma, context.user, event.id);
+}
+
+// Fails the subscription up front, the same way the event query hides unknown events and drafts
+async function assertVisible(context: GraphQLContext, eventId: string) {
+  if (!(await canViewEvent(context.prisma, context.user, eventId))) {
+    throw new GraphQLError('Event not found', { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+}
+
+export function publishEventUpdated(event: EventWithCount) {
+  pubsub.publish(EVENT_UPDATED, { eventUpdated: event });
+}
+
+export function publishAttendeeJoined(event: EventWithCount, user: User) {
+  const change: AttendeeChange = { eventId: event.id, user, event };
+  pubsub.publish(ATTENDEE_JOINED, { attendeeJoined: change });
+  publishEventUpdated(event);
+}
+
+export function publishAttendeeLeft(event: EventWithCount, user: User) {
+  const change: AttendeeChange = { eventId: event.id, user, event };
+  pubsub.publish(ATTENDEE_LEFT, { attendeeLeft: change });
+  publishEventUpdated(event);
+}
+
+export function publishPresenceChanged(presence: EventPresence) {
+  pubsub.publish(PRESENCE_CHANGED, { presenceChanged: presence });
+}
+
+// Subscribes to one topic, keeping only payloads for the requested event that the subscriber may see
+function subscribeTo(topic: string, field: string) {
+  const filtered = withFilter(
+    () => pubsub.asyncIterator(topic),
+    async (payload: any, { eventId }: { eventId?: string | null }, context: GraphQLContext) => {
+      const event: EventWithCount = payload[field].event ?? payload[field];
+      return (!eventId || event.id === eventId) && canView(context, event);
+    }
+  );
+
+  return async (root: any, args: { eventId?: string | null }, context: GraphQLContext, info: any) => {
+    if (args.eventId) {
+      await assertVisible(context, args.eventId);
+    }
+    return filtered(root, args, context, info);
+  };
+}
+
+// Checked on every change too, so an event going back to draft stops the counts
+const subscribeToPresence = withFilter(
+  () => pubsub.asyncIterator(PRESENCE_CHANGED),
+  async (payload: { presenceChanged: EventPresence }, { eventId }: { eventId: string }, context: GraphQLContext) => {
+    return payload.presenceChanged.eventId === eventId && canViewEvent(context.prisma, context.user, eventId);
+  }
+);
+
+export const subscriptionResolvers = {
+  eventUpdated: { subscribe: subscribeTo(EVENT_UPDATED, 'eventUpdated') },
+  attendeeJoined: { subscribe: subscribeTo(ATTENDEE_JOINED, 'attendeeJoined') },
+  attendeeLeft: { subscribe: subscribeTo(ATTENDEE_LEFT, 'attendeeLeft') },
+  presenceChanged: {
+    subscribe: async (root: any, args: { eventId: string }, context: GraphQLContext, info: any) => {
+      await assertVisible(context, args.eventId);
+      return subscribeToPresence(root, args, context, info);
+    }
+  }
+};
@@ -0,0 +1,159 @@
+import { createHmac } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { GraphQLError } from 'graphql';
+import { PrismaClient, Registration, User } from '@prisma/client';
+import { getJwtSecret } from './auth';
+import { checkIn } from './registration';
+
+export const TICKET_CODE_LENGTH = 8;
+
+// No 0/O or 1/I so codes survive being read out loud and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export type TicketScanResult = 'CHECKED_IN' | 'ALREADY_USED' | 'WRONG_EVENT' | 'INVALID';
+
+export interface TicketPayload {
+  typ: 'ticket';
+  sub: string;
+  rid: string;
+  eid: string;
+}
+
+type RegistrationWithUser = Registration & { user: User };
+
+export interface TicketScan {
+  result: TicketScanResult;
+  message: string;
+  registration: RegistrationWithUser | null;
+}
+
+function rejected(result: TicketScanResult, message: string): TicketScan {
+  return { result, message, registration: null };
+}
+
+function getTicketSecret(): string {
+  return process.env.TICKET_SECRET || getJwtSecret();
+}
+
+// Tickets don't expire; leaving the event deletes the registration, which revokes them.
+// No timestamp either, so the same registration always gets the same token.
+export function signTicket(registration: Pick<Registration, 'id' | 'userId' | 'eventId'>): string {
+  const payload: TicketPayload = {
+    typ: 'ticket',
+    sub: registration.userId,
+    rid: registration.id,
+    eid: registration.eventId
+  };
+  return jwt.sign(payload, getTicketSecret(), { noTimestamp: true });
+}
+
+export function verifyTicket(token: string): TicketPayload | null {
+  try {
+    const decoded = jwt.verify(token.trim(), getTicketSecret());
+    if (typeof decoded === 'string' || decoded.typ !== 'ticket' || !decoded.rid || !decoded.eid) {
+      return null;
+    }
+    return decoded as TicketPayload;
+  } catch {
+    return null;
+  }
+}
+
+// Short code printed under the QR code for manual entry, e.g. "K7QM-9XDA"
+export function ticketCode(registrationId: string): string {
+  const digest = createHmac('sha256', getTicketSecret()).update(`code:${registrationId}`).digest();
+  const chars = Array.from(digest.subarray(0, TICKET_CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  const half = TICKET_CODE_LENGTH / 2;
+  return `${chars.slice(0, half).join('')}-${chars.slice(half).join('')}`;
+}
+
+export function normalizeTicketCode(code: string): string {
+  const chars = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const half = TICKET_CODE_LENGTH / 2;
+  return `${chars.slice(0, half)}-${chars.slice(half)}`;
+}
+
+// Stores the code of registrations made before codes were stored, e.g. by the seed. Codes
+// depend on the ticket secret, so run it again after changing TICKET_SECRET.
+export async function backfillTicketCodes(prisma: PrismaClient, { all = false } = {}): Promise<number> {
+  const registrations = await prisma.registration.findMany({
+    where: all ? {} : { ticketCode: null },
+    select: { id: true, ticketCode: true }
+  });
+  let updated = 0;
+  for (const registration of registrations) {
+    const code = ticketCode(registration.id);
+    if (code !== registration.ticketCode) {
+      await prisma.registration.update({ where: { id: registration.id }, data: { ticketCode: code } });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+// The registration a ticket belongs to, or the rejection to show when there is none
+async function findRegistrationForTicket(
+  prisma: PrismaClient,
+  eventId: string,
+  input: { token?: string | null, code?: string | null }
+): Promise<RegistrationWithUser | TicketScan> {
+  if (input.token) {
+    const payload = verifyTicket(input.token);
+    if (!payload) {
+      return rejected('INVALID', 'This ticket is not genuine');
+    }
+    if (payload.eid !== eventId) {
+      return rejected('WRONG_EVENT', 'This ticket is for a different event');
+    }
+
+    const registration = await prisma.registration.findFirst({
+      where: { id: payload.rid, userId: payload.sub, eventId },
+      include: { user: true }
+    });
+    return registration ?? rejected('INVALID', 'This ticket is no longer valid');
+  }
+
+  const registration = await prisma.registration.findUnique({
+    where: { eventId_ticketCode: { eventId, ticketCode: normalizeTicketCode(input.code ?? '') } },
+    include: { user: true }
+  });
+  return registration ?? rejected('INVALID', 'No ticket for this event has that code');
+}
+
+// Validates a scanned ticket or typed code and checks its holder in. Problems with the
+// ticket itself are reported in the result rather than thrown, so the scanner can show them.
+export async function scanTicket(
+  prisma: PrismaClient,
+  eventId: string,
+  input: { token?: string | null, code?: string | null }
+): Promise<TicketScan> {
+  if (!input.token && !input.code) {
+    throw new GraphQLError('Provide a ticket token or code', { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+
+  const found = await findRegistrationForTicket(prisma, eventId, input);
+  if ('result' in found) {
+    return found;
+  }
+
+  const alreadyUsed: TicketScan = {
+    result: 'ALREADY_USED',
+    message: `${found.user.name} is already checked in`,
+    registration: found
+  };
+
+  if (found.status === 'CHECKED_IN') {
+    return alreadyUsed;
+  }
+
+  try {
+    const registration = await checkIn(prisma, eventId, found.userId);
+    return { result: 'CHECKED_IN', message: `Welcome, ${registration.user.name}!`, registration };
+  } catch (error) {
+    // Someone else scanned the same ticket a moment earlier
+    if (error instanceof GraphQLError && error.extensions.code === 'ALREADY_CHECKED_IN') {
+      return alreadyUsed;
+    }
+    throw error;
+  }
+}
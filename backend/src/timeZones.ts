@@ -0,0 +1,73 @@
+// Offsets come from the runtime's time zone database, so they follow daylight saving
+// time and past rule changes rather than assuming a zone's offset never changes.
+
+// For events created without a zone, including those from before zones were recorded
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+// Wall-clock parts in the zone; h23 so midnight reads 00 rather than 24
+function formatter(timeZone: string): Intl.DateTimeFormat {
+  let cached = formatters.get(timeZone);
+  if (!cached) {
+    cached = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, cached);
+  }
+  return cached;
+}
+
+// The zone's canonical IANA name, e.g. "europe/berlin" becomes "Europe/Berlin",
+// or null if the runtime doesn't know it
+export function canonicalTimeZone(timeZone: string): string | null {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// Minutes the zone's clocks are ahead of UTC at that instant
+export function utcOffsetMinutes(date: Date, timeZone: string): number {
+  const parts = Object.fromEntries(
+    formatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - wholeSeconds) / 60000);
+}
+
+// The zone's clock at that instant, as a Date whose UTC fields read like the clock.
+// Recurrence rules are expanded on these so "every Tuesday at 18:00" stays at 18:00
+// when the offset changes.
+export function toWallClock(date: Date, timeZone: string): Date {
+  return new Date(date.getTime() + utcOffsetMinutes(date, timeZone) * 60000);
+}
+
+// The instant the zone's clock reads `wallClock`. The offset is checked again at the
+// result, since the first guess can land on the other side of a DST change.
+export function fromWallClock(wallClock: Date, timeZone: string): Date {
+  const firstGuess = new Date(wallClock.getTime() - utcOffsetMinutes(wallClock, timeZone) * 60000);
+  return new Date(wallClock.getTime() - utcOffsetMinutes(firstGuess, timeZone) * 60000);
+}
+
+// ISO 8601 with the zone's offset at that instant, e.g. 2025-03-30T18:00:00+02:00
+export function toZonedIso(date: Date, timeZone: string): string {
+  const offset = utcOffsetMinutes(date, timeZone);
+  const wallClock = toWallClock(date, timeZone).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${wallClock}${sign}${hours}:${minutes}`;
+}
@@ -1,3 +1,5 @@
+import { EventStatus, PrismaClient, User as PrismaUser } from '@prisma/client';
+
 export interface User {
   id: string;
   name: string;
@@ -9,15 +11,80 @@ export interface Event {
   name: string;
   location: string;
   startTime: Date;
+  status: EventStatus;
+  capacity: number | null;
+  cancelledAt: Date | null;
+  cancellationReason: string | null;
   attendees: User[];
 }
 
+export interface EventInput {
+  name?: string | null;
+  location?: string | null;
+  venueId?: string | null;
+  description?: string | null;
+  startTime?: string | null;
+  endTime?: string | null;
+  timeZone?: string | null;
+  schedule?: EventDayInput[] | null;
+  recurrence?: RecurrenceInput | null;
+  capacity?: number | null;
+}
+
+export interface RecurrenceInput {
+  rule: string;
+  exceptions?: string[] | null;
+}
+
+export interface SessionInput {
+  title?: string | null;
+  description?: string | null;
+  speaker?: string | null;
+  room?: string | null;
+  roomId?: string | null;
+  startTime?: string | null;
+  endTime?: string | null;
+  capacity?: number | null;
+}
+
+export interface VenueInput {
+  name?: string | null;
+  address?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  capacity?: number | null;
+  accessibility?: string | null;
+  entrances?: string[] | null;
+}
+
+export interface RoomInput {
+  name?: string | null;
+  capacity?: number | null;
+  accessibility?: string | null;
+}
+
+export interface EventDayInput {
+  startTime: string;
+  endTime: string;
+}
+
 export interface GraphQLContext {
-  prisma: any;
+  prisma: PrismaClient;
+  user: PrismaUser | null;
+  // The session the request's token belongs to, so logout knows what to end
+  sessionId: string | null;
 }
 
-export interface JoinEventPayload {
-  eventId: string;
-  user: User;
-  attendees: User[];
-}
\ No newline at end of file
+export interface Capabilities {
+  isAdmin: boolean;
+  canCreateEvents: boolean;
+  canManageUserRoles: boolean;
+  managedEventIds: string[];
+  checkInEventIds: string[];
+}
+
+export interface AuthTokenPayload {
+  sub: string;
+  email: string;
+  sid: string;
+}
@@ -0,0 +1,363 @@
+import { GraphQLError } from 'graphql';
+import { RRule } from 'rrule';
+import { canonicalTimeZone } from './timeZones';
+import { EventDayInput, EventInput, RecurrenceInput, RoomInput, SessionInput, VenueInput } from './types';
+
+// Full ISO 8601 date-time with an explicit offset, e.g. 2025-03-01T18:00:00Z
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+export function badUserInput(message: string) {
+  return new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+}
+
+export function parseDateTime(value: string, field: string): Date {
+  const date = new Date(value);
+  if (!ISO_DATE_TIME.test(value) || isNaN(date.getTime())) {
+    throw badUserInput(`${field} must be an ISO 8601 date-time with a time zone, e.g. 2025-03-01T18:00:00Z`);
+  }
+  return date;
+}
+
+function parseTimeZone(value: string): string {
+  const timeZone = canonicalTimeZone(value.trim());
+  if (!timeZone) {
+    throw badUserInput('timeZone must be an IANA time zone, e.g. Europe/Berlin');
+  }
+  return timeZone;
+}
+
+const MAX_SCHEDULE_DAYS = 31;
+
+export interface ScheduleDay {
+  startTime: Date;
+  endTime: Date;
+}
+
+function parseSchedule(days: EventDayInput[]): ScheduleDay[] {
+  if (days.length > MAX_SCHEDULE_DAYS) {
+    throw badUserInput(`schedule can have at most ${MAX_SCHEDULE_DAYS} days`);
+  }
+  return days
+    .map(day => ({
+      startTime: parseDateTime(day.startTime, 'schedule startTime'),
+      endTime: parseDateTime(day.endTime, 'schedule endTime')
+    }))
+    .sort((a, b) => a.startTime.getTime() - b.startTime.getTime());
+}
+
+// Checks the times an event ends up with, after an update is merged with what it had.
+// Days must be in order, so `days` is expected to come from parseSchedule or the database.
+export function assertValidEventTimes(startTime: Date, endTime: Date, days: ScheduleDay[]) {
+  if (endTime <= startTime) {
+    throw badUserInput('endTime must be after startTime');
+  }
+  days.forEach((day, index) => {
+    if (day.endTime <= day.startTime) {
+      throw badUserInput('Each schedule day must end after it starts');
+    }
+    if (day.startTime < startTime || day.endTime > endTime) {
+      throw badUserInput('Schedule days must fall between the event\'s startTime and endTime');
+    }
+    if (index > 0 && day.startTime < days[index - 1].endTime) {
+      throw badUserInput('Schedule days must not overlap');
+    }
+  });
+}
+
+const MAX_EXCEPTIONS = 366;
+
+export interface ParsedRecurrence {
+  rule: string;
+  exceptions: Date[];
+}
+
+// An RFC 5545 RRULE such as FREQ=WEEKLY;BYDAY=TU;COUNT=10, normalized. DTSTART and TZID
+// come from the event itself, and anything more frequent than daily isn't an event series.
+function parseRecurrence(input: RecurrenceInput): ParsedRecurrence {
+  let options: ReturnType<typeof RRule.parseString>;
+  try {
+    options = RRule.parseString(input.rule.trim().replace(/^RRULE:/i, ''));
+  } catch {
+    throw badUserInput('recurrence rule must be an RFC 5545 RRULE, e.g. FREQ=WEEKLY;BYDAY=TU');
+  }
+  if (options.freq === undefined) {
+    throw badUserInput('recurrence rule must have a FREQ');
+  }
+  if (options.dtstart || options.tzid) {
+    throw badUserInput('recurrence rule must not set DTSTART or TZID; they come from the event');
+  }
+  if (options.freq > RRule.DAILY) {
+    throw badUserInput('Events can repeat at most daily');
+  }
+  if (options.count !== undefined && options.count !== null && options.count < 1) {
+    throw badUserInput('recurrence COUNT must be at least 1');
+  }
+
+  const exceptions = input.exceptions ?? [];
+  if (exceptions.length > MAX_EXCEPTIONS) {
+    throw badUserInput(`recurrence can have at most ${MAX_EXCEPTIONS} exceptions`);
+  }
+  return {
+    rule: RRule.optionsToString(options).replace(/^RRULE:/, ''),
+    exceptions: exceptions.map(value => parseDateTime(value, 'recurrence exception'))
+  };
+}
+
+function parseCapacity(value: number): number {
+  if (!Number.isInteger(value) || value < 1) {
+    throw badUserInput('capacity must be a positive whole number');
+  }
+  return value;
+}
+
+function requireText(value: string, field: string): string {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    throw badUserInput(`${field} must not be empty`);
+  }
+  return trimmed;
+}
+
+export interface ParsedEventInput {
+  name?: string;
+  location?: string;
+  venueId?: string | null;
+  description?: string | null;
+  startTime?: Date;
+  endTime?: Date;
+  timeZone?: string;
+  schedule?: ScheduleDay[];
+  recurrence?: ParsedRecurrence;
+  capacity?: number | null;
+}
+
+// Validates create/update input; with `partial` only the provided fields are checked
+export function parseEventInput(input: EventInput, { partial = false } = {}): ParsedEventInput {
+  const data: ParsedEventInput = {};
+
+  if (input.name !== undefined && input.name !== null) {
+    data.name = requireText(input.name, 'name');
+  } else if (!partial) {
+    throw badUserInput('name is required');
+  }
+
+  // Linking a venue sets the location to its name; on update an explicit null unlinks it
+  if (input.venueId !== undefined && input.venueId !== null) {
+    data.venueId = requireText(input.venueId, 'venueId');
+  } else if (input.venueId === null && partial) {
+    data.venueId = null;
+  }
+
+  if (input.location !== undefined && input.location !== null) {
+    data.location = requireText(input.location, 'location');
+  } else if (!partial && !data.venueId) {
+    throw badUserInput('location or venueId is required');
+  }
+
+  // Optional; blank or an explicit null clears it
+  if (input.description !== undefined) {
+    data.description = input.description?.trim() || null;
+  }
+
+  if (input.startTime !== undefined && input.startTime !== null) {
+    data.startTime = parseDateTime(input.startTime, 'startTime');
+  } else if (!partial) {
+    throw badUserInput('startTime is required');
+  }
+
+  // Optional; events created without one last three hours
+  if (input.endTime !== undefined && input.endTime !== null) {
+    data.endTime = parseDateTime(input.endTime, 'endTime');
+  }
+
+  // Optional; events created without one are shown in UTC
+  if (input.timeZone !== undefined && input.timeZone !== null) {
+    data.timeZone = parseTimeZone(input.timeZone);
+  }
+
+  // Optional; on update an explicit null or an empty list removes the schedule
+  if (input.schedule !== undefined) {
+    data.schedule = parseSchedule(input.schedule ?? []);
+  }
+
+  // Optional; makes the event the first occurrence of a series
+  if (input.recurrence !== undefined && input.recurrence !== null) {
+    data.recurrence = parseRecurrence(input.recurrence);
+  }
+
+  // Optional on create; on update an explicit null removes the limit
+  if (input.capacity !== undefined && input.capacity !== null) {
+    data.capacity = parseCapacity(input.capacity);
+  } else if (input.capacity === null && partial) {
+    data.capacity = null;
+  }
+
+  return data;
+}
+
+export interface ParsedSessionInput {
+  title?: string;
+  description?: string | null;
+  speaker?: string | null;
+  room?: string | null;
+  roomId?: string | null;
+  startTime?: Date;
+  endTime?: Date;
+  capacity?: number | null;
+}
+
+// Validates session create/update input; with `partial` only the provided fields are checked
+export function parseSessionInput(input: SessionInput, { partial = false } = {}): ParsedSessionInput {
+  const data: ParsedSessionInput = {};
+
+  if (input.title !== undefined && input.title !== null) {
+    data.title = requireText(input.title, 'title');
+  } else if (!partial) {
+    throw badUserInput('title is required');
+  }
+
+  // Optional; blank or an explicit null clears them
+  for (const field of ['description', 'speaker', 'room'] as const) {
+    if (input[field] !== undefined) {
+      data[field] = input[field]?.trim() || null;
+    }
+  }
+
+  // Optional; a room at the event's venue, whose name then becomes `room`. On update an
+  // explicit null unlinks it.
+  if (input.roomId !== undefined) {
+    data.roomId = input.roomId?.trim() || null;
+  }
+
+  if (input.startTime !== undefined && input.startTime !== null) {
+    data.startTime = parseDateTime(input.startTime, 'startTime');
+  } else if (!partial) {
+    throw badUserInput('startTime is required');
+  }
+
+  if (input.endTime !== undefined && input.endTime !== null) {
+    data.endTime = parseDateTime(input.endTime, 'endTime');
+  } else if (!partial) {
+    throw badUserInput('endTime is required');
+  }
+
+  // Optional on create; on update an explicit null removes the limit
+  if (input.capacity !== undefined && input.capacity !== null) {
+    data.capacity = parseCapacity(input.capacity);
+  } else if (input.capacity === null && partial) {
+    data.capacity = null;
+  }
+
+  return data;
+}
+
+// Checks a session's times after an update is merged with what it had
+export function assertValidSessionTimes(startTime: Date, endTime: Date, event: { startTime: Date, endTime: Date }) {
+  if (endTime <= startTime) {
+    throw badUserInput('endTime must be after startTime');
+  }
+  if (startTime < event.startTime || endTime > event.endTime) {
+    throw badUserInput('Sessions must fall between the event\'s startTime and endTime');
+  }
+}
+
+const MAX_ENTRANCES = 20;
+
+function optionalText(value: string | null | undefined): string | null {
+  return value?.trim() || null;
+}
+
+export interface ParsedVenueInput {
+  name?: string;
+  address?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  capacity?: number | null;
+  accessibility?: string | null;
+  entrances?: string[];
+}
+
+// Validates venue create/update input; with `partial` only the provided fields are checked
+export function parseVenueInput(input: VenueInput, { partial = false } = {}): ParsedVenueInput {
+  const data: ParsedVenueInput = {};
+
+  if (input.name !== undefined && input.name !== null) {
+    data.name = requireText(input.name, 'name');
+  } else if (!partial) {
+    throw badUserInput('name is required');
+  }
+
+  // Optional; blank or an explicit null clears them
+  if (input.address !== undefined) {
+    data.address = optionalText(input.address);
+  }
+  if (input.accessibility !== undefined) {
+    data.accessibility = optionalText(input.accessibility);
+  }
+
+  // Coordinates come as a pair, so a venue is never pinned to half a location
+  if (input.latitude !== undefined || input.longitude !== undefined) {
+    const { latitude = null, longitude = null } = input;
+    if ((latitude === null) !== (longitude === null)) {
+      throw badUserInput('latitude and longitude must be set together');
+    }
+    if (latitude !== null && (latitude < -90 || latitude > 90)) {
+      throw badUserInput('latitude must be between -90 and 90');
+    }
+    if (longitude !== null && (longitude < -180 || longitude > 180)) {
+      throw badUserInput('longitude must be between -180 and 180');
+    }
+    data.latitude = latitude;
+    data.longitude = longitude;
+  }
+
+  // Optional on create; on update an explicit null removes it
+  if (input.capacity !== undefined && input.capacity !== null) {
+    data.capacity = parseCapacity(input.capacity);
+  } else if (input.capacity === null && partial) {
+    data.capacity = null;
+  }
+
+  // Replaced as a whole; null or an empty list removes them
+  if (input.entrances !== undefined) {
+    const entrances = (input.entrances ?? []).map(entrance => requireText(entrance, 'entrances'));
+    if (entrances.length > MAX_ENTRANCES) {
+      throw badUserInput(`a venue can have at most ${MAX_ENTRANCES} entrances`);
+    }
+    if (new Set(entrances.map(entrance => entrance.toLowerCase())).size < entrances.length) {
+      throw badUserInput('entrances must have different names');
+    }
+    data.entrances = entrances;
+  }
+
+  return data;
+}
+
+export interface ParsedRoomInput {
+  name?: string;
+  capacity?: number | null;
+  accessibility?: string | null;
+}
+
+// Validates room create/update input; with `partial` only the provided fields are checked
+export function parseRoomInput(input: RoomInput, { partial = false } = {}): ParsedRoomInput {
+  const data: ParsedRoomInput = {};
+
+  if (input.name !== undefined && input.name !== null) {
+    data.name = requireText(input.name, 'name');
+  } else if (!partial) {
+    throw badUserInput('name is required');
+  }
+
+  if (input.accessibility !== undefined) {
+    data.accessibility = optionalText(input.accessibility);
+  }
+
+  if (input.capacity !== undefined && input.capacity !== null) {
+    data.capacity = parseCapacity(input.capacity);
+  } else if (input.capacity === null && partial) {
+    data.capacity = null;
+  }
+
+  return data;
+}
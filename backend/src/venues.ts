@@ -0,0 +1,179 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { ParsedEventInput, ParsedRoomInput, ParsedSessionInput, ParsedVenueInput, badUserInput } from './validation';
+
+const VENUE_ORDER = [{ name: 'asc' }, { id: 'asc' }] satisfies Prisma.VenueOrderByWithRelationInput[];
+
+export async function findVenue(prisma: PrismaClient | Prisma.TransactionClient, venueId: string) {
+  const venue = await prisma.venue.findUnique({ where: { id: venueId } });
+  if (!venue) {
+    throw new Error('Venue not found');
+  }
+  return venue;
+}
+
+export async function findRoom(prisma: PrismaClient | Prisma.TransactionClient, roomId: string) {
+  const room = await prisma.room.findUnique({ where: { id: roomId } });
+  if (!room) {
+    throw new Error('Room not found');
+  }
+  return room;
+}
+
+// Venues by name, optionally those whose name or address contains `search`
+export function listVenues(prisma: PrismaClient, search?: string | null) {
+  const text = search?.trim();
+  return prisma.venue.findMany({
+    where: text ? {
+      OR: [
+        { name: { contains: text, mode: 'insensitive' } },
+        { address: { contains: text, mode: 'insensitive' } }
+      ]
+    } : {},
+    orderBy: VENUE_ORDER
+  });
+}
+
+// Event input with the linked venue's name as its location; typing a location instead
+// unlinks the venue
+export async function withVenueLocation(prisma: PrismaClient, data: ParsedEventInput): Promise<ParsedEventInput> {
+  if (data.venueId === undefined && data.location !== undefined) {
+    return { ...data, venueId: null };
+  }
+  if (!data.venueId) {
+    return data;
+  }
+  const venue = await prisma.venue.findUnique({ where: { id: data.venueId } });
+  if (!venue) {
+    throw badUserInput('venueId does not match a venue');
+  }
+  return { ...data, location: venue.name };
+}
+
+// Renaming a venue renames the location of its events and series too. Returns the ids of
+// the events that changed.
+export async function updateVenue(tx: Prisma.TransactionClient, venueId: string, data: ParsedVenueInput) {
+  const existing = await findVenue(tx, venueId);
+  const venue = await tx.venue.update({ where: { id: venueId }, data });
+
+  if (venue.name === existing.name) {
+    return { venue, renamedEventIds: [] };
+  }
+  const events = await tx.event.findMany({ where: { venueId }, select: { id: true } });
+  await tx.event.updateMany({ where: { venueId }, data: { location: venue.name } });
+  await tx.eventSeries.updateMany({ where: { venueId }, data: { location: venue.name } });
+  return { venue, renamedEventIds: events.map(event => event.id) };
+}
+
+async function assertRoomNameFree(tx: Prisma.TransactionClient, venueId: string, name: string, roomId?: string) {
+  const existing = await tx.room.findUnique({ where: { venueId_name: { venueId, name } } });
+  if (existing && existing.id !== roomId) {
+    throw badUserInput(`This venue already has a room named "${name}"`);
+  }
+}
+
+export async function createRoom(prisma: PrismaClient, venueId: string, data: ParsedRoomInput) {
+  return prisma.$transaction(async (tx) => {
+    await findVenue(tx, venueId);
+    await assertRoomNameFree(tx, venueId, data.name!);
+    return tx.room.create({
+      data: {
+        venueId,
+        name: data.name!,
+        capacity: data.capacity ?? null,
+        accessibility: data.accessibility ?? null
+      }
+    });
+  });
+}
+
+// Sessions in the room show its new name
+export async function updateRoom(prisma: PrismaClient, roomId: string, data: ParsedRoomInput) {
+  return prisma.$transaction(async (tx) => {
+    const existing = await findRoom(tx, roomId);
+    if (data.name) {
+      await assertRoomNameFree(tx, existing.venueId, data.name, roomId);
+    }
+    const room = await tx.room.update({ where: { id: roomId }, data });
+    if (room.name !== existing.name) {
+      await tx.eventSession.updateMany({ where: { roomId }, data: { room: room.name } });
+    }
+    return room;
+  });
+}
+
+// Session input with the linked room's name, and its seats unless the session sets a
+// capacity. The room must be at the event's venue; typing a room name instead unlinks it.
+export async function withRoom(
+  tx: Prisma.TransactionClient,
+  venueId: string | null,
+  data: ParsedSessionInput,
+  { creating = false } = {}
+): Promise<ParsedSessionInput> {
+  if (data.roomId === undefined && data.room !== undefined) {
+    return { ...data, roomId: null };
+  }
+  if (!data.roomId) {
+    return data;
+  }
+  const room = await tx.room.findUnique({ where: { id: data.roomId } });
+  if (!room || room.venueId !== venueId) {
+    throw badUserInput('roomId must be a room at the event\'s venue');
+  }
+  return {
+    ...data,
+    room: room.name,
+    ...(creating && data.capacity === undefined && { capacity: room.capacity })
+  };
+}
+
+// After an event moves to another venue (or none), its sessions let go of rooms elsewhere.
+// Their room names stay as text.
+export async function releaseRoomsElsewhere(tx: Prisma.TransactionClient, eventId: string) {
+  const event = await tx.event.findUniqueOrThrow({ where: { id: eventId }, select: { venueId: true } });
+  await tx.eventSession.updateMany({
+    where: {
+      eventId,
+      roomId: { not: null },
+      ...(event.venueId && { venueRoom: { venueId: { not: event.venueId } } })
+    },
+    data: { roomId: null }
+  });
+}
+
+// Upgrade step for trees from before venues: every distinct location of events not linked
+// to a venue becomes a venue (or joins one with the same name, ignoring case), and session
+// rooms at those venues become rooms. Safe to run more than once; events unlinked on
+// purpose afterwards are linked again, so it belongs in upgrades only.
+export async function migrateLocations(prisma: PrismaClient) {
+  let venues = 0;
+  let rooms = 0;
+
+  const locations = await prisma.event.groupBy({ by: ['location'], where: { venueId: null } });
+  for (const { location } of locations) {
+    const name = location.trim();
+    let venue = await prisma.venue.findFirst({ where: { name: { equals: name, mode: 'insensitive' } }, orderBy: VENUE_ORDER });
+    if (!venue) {
+      venue = await prisma.venue.create({ data: { name } });
+      venues++;
+    }
+    await prisma.event.updateMany({ where: { venueId: null, location }, data: { venueId: venue.id, location: venue.name } });
+    await prisma.eventSeries.updateMany({ where: { venueId: null, location }, data: { venueId: venue.id, location: venue.name } });
+  }
+
+  const sessions = await prisma.eventSession.findMany({
+    where: { roomId: null, room: { not: null }, event: { venueId: { not: null } } },
+    select: { id: true, room: true, event: { select: { venueId: true } } }
+  });
+  for (const session of sessions) {
+    const venueId = session.event.venueId!;
+    const name = session.room!;
+    let room = await prisma.room.findUnique({ where: { venueId_name: { venueId, name } } });
+    if (!room) {
+      room = await prisma.room.create({ data: { venueId, name } });
+      rooms++;
+    }
+    await prisma.eventSession.update({ where: { id: session.id }, data: { roomId: room.id } });
+  }
+
+  return { venues, rooms, linkedSessions: sessions.length };
+}
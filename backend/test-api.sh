@@ -6,13 +6,21 @@ echo "Testing GraphQL API..."
 echo "Getting events:"
 curl -X POST \
   -H "Content-Type: application/json" \
-  -d '{"query":"query { events { id name location startTime attendees { id name email } } }"}' \
+  -d '{"query":"query { events(first: 20) { edges { node { id name location startTime attendees(first: 100) { edges { node { id name email } } } } } pageInfo { hasNextPage endCursor } } }"}' \
   http://localhost:4000/graphql
 
+echo -e "\n\nLogging in as demo user:"
+TOKEN=$(curl -s -X POST \
+  -H "Content-Type: application/json" \
+  -d '{"query":"mutation { login(email: \"alice@example.com\", password: \"password123\") { token } }"}' \
+  http://localhost:4000/graphql | sed -n 's/.*"token":"\([^"]*\)".*/\1/p')
+echo "Token: $TOKEN"
+
 echo -e "\n\nTesting join event mutation:"
 curl -X POST \
   -H "Content-Type: application/json" \
-  -d '{"query":"mutation { joinEvent(eventId: \"YOUR_EVENT_ID\", userEmail: \"test@example.com\") { id attendees { id name email } } }"}' \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"query":"mutation { joinEvent(eventId: \"YOUR_EVENT_ID\") { id attendees(first: 100) { edges { node { id name email } } } } }"}' \
   http://localhost:4000/graphql
 
 echo -e "\n\nAPI test complete!"
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Roster');
+
+const ATTENDEES = `
+  query($eventId: ID!, $first: Int, $after: String, $search: String) {
+    event(id: $eventId) {
+      attendeeCount
+      attendees(first: $first, after: $after, search: $search) {
+        edges { cursor node { id name } }
+        pageInfo { hasNextPage endCursor }
+        totalCount
+      }
+    }
+  }
+`;
+
+async function testAttendeePagination() {
+  console.log('👥 Testing attendee pagination and search...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  let eventId;
+
+  try {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Attendee Paging Test', location: 'Hall B', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    // Joined one at a time so the join order is known
+    const attendees = [];
+    for (const label of ['ada', 'grace', 'alan', 'barbara', 'edsger']) {
+      const attendee = await signup(label);
+      await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, attendee.token);
+      attendees.push(attendee);
+    }
+
+    console.log('\n1️⃣ Paging through...');
+    const seen = [];
+    let after = null;
+    let pages = 0;
+    let first = null;
+    do {
+      const result = await graphql(ATTENDEES, { eventId, first: 2, after });
+      first = first ?? result.data.event;
+      const page = result.data.event.attendees;
+      seen.push(...page.edges.map(edge => edge.node.id));
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      pages += 1;
+    } while (after && pages < 10);
+
+    check('Three pages of two cover the five attendees', pages === 3 && seen.length === 5);
+    check('Attendees come in the order they joined', seen.join() === attendees.map(attendee => attendee.user.id).join());
+    check('attendeeCount and totalCount count everyone', first.attendeeCount === 5 && first.attendees.totalCount === 5);
+
+    console.log('\n2️⃣ Changes between pages...');
+    const firstPage = await graphql(ATTENDEES, { eventId, first: 2 });
+    await graphql('mutation($eventId: ID!) { leaveEvent(eventId: $eventId) { id } }', { eventId }, attendees[0].token);
+    const latecomer = await signup('latecomer');
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, latecomer.token);
+    const rest = await graphql(ATTENDEES, { eventId, first: 10, after: firstPage.data.event.attendees.pageInfo.endCursor });
+    check('The next page neither repeats nor skips anyone',
+      rest.data.event.attendees.edges.map(edge => edge.node.id).join() ===
+        [...attendees.slice(2), latecomer].map(attendee => attendee.user.id).join());
+
+    console.log('\n3️⃣ Searching...');
+    const byName = await graphql(ATTENDEES, { eventId, search: 'BARBARA' });
+    check('Search matches names case-insensitively',
+      byName.data.event.attendees.edges.map(edge => edge.node.id).join() === attendees[3].user.id);
+    const byEmail = await graphql(ATTENDEES, { eventId, search: 'roster-' });
+    check('Search matches emails and counts the matches', byEmail.data.event.attendees.totalCount === 5);
+    const nobody = await graphql(ATTENDEES, { eventId, search: 'nobody-by-this-name' });
+    check('A search without matches is empty', nobody.data.event.attendees.edges.length === 0);
+
+    const invalid = await graphql(ATTENDEES, { eventId, after: 'not-a-cursor' });
+    check('Malformed cursors are rejected', invalid.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL ATTENDEE PAGINATION TESTS PASSED' : '❌ SOME ATTENDEE PAGINATION TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Attendee pagination test failed:', error.message);
+    allPassed = false;
+  } finally {
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testAttendeePagination();
@@ -0,0 +1,88 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Capacity Tester');
+
+const CONCURRENT_JOINS = 8;
+
+const JOIN_EVENT = `
+  mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id remainingSpots } }
+`;
+
+async function testCapacity() {
+  console.log('🎟️ Testing event capacity...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  let eventId;
+
+  try {
+    console.log('\n1️⃣ Creating a small event...');
+    const invalid = await graphql(`
+      mutation { createEvent(input: { name: "Bad", location: "Nowhere", startTime: "2030-01-01T18:00:00Z", capacity: 0 }) { id } }
+    `, {}, organizerToken);
+    check('Capacity below 1 is rejected (BAD_USER_INPUT)', invalid.errors?.[0]?.code === 'BAD_USER_INPUT');
+
+    const created = await graphql(`
+      mutation { createEvent(input: { name: "Capacity Test", location: "Small Room", startTime: "2030-01-01T18:00:00Z", capacity: 2 }) { id capacity remainingSpots } }
+    `, {}, organizerToken);
+    eventId = created.data.createEvent.id;
+    check('Event reports capacity and remaining spots',
+      created.data.createEvent.capacity === 2 && created.data.createEvent.remainingSpots === 2);
+
+    await graphql(`
+      mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }
+    `, { eventId }, organizerToken);
+
+    console.log(`\n2️⃣ Joining with ${CONCURRENT_JOINS} users at once...`);
+    const tokens = await Promise.all(Array.from({ length: CONCURRENT_JOINS }, (_, index) => signup(index).then(user => user.token)));
+    const results = await Promise.all(tokens.map(token => graphql(JOIN_EVENT, { eventId }, token)));
+
+    const succeeded = results.filter(result => result.data?.joinEvent);
+    const full = results.filter(result => result.errors?.[0]?.code === 'EVENT_FULL');
+    console.log(`   ${succeeded.length} joined, ${full.length} got EVENT_FULL`);
+    check('Exactly as many joins succeed as there are spots', succeeded.length === 2);
+    check('Every other join fails with EVENT_FULL', full.length === CONCURRENT_JOINS - 2);
+
+    const result = await graphql('query($eventId: ID!) { event(id: $eventId) { id remainingSpots attendees(first: 100) { edges { node { id } } } } }', { eventId });
+    const event = result.data.event;
+    check('Attendee count never exceeds capacity', event.attendees.edges.length === 2 && event.remainingSpots === 0);
+
+    console.log('\n3️⃣ Changing capacity...');
+    const tooLow = await graphql(`
+      mutation($eventId: ID!) { updateEvent(eventId: $eventId, input: { capacity: 1 }) { id } }
+    `, { eventId }, organizerToken);
+    check('Capacity below the attendee count is rejected', tooLow.errors?.[0]?.code === 'BAD_USER_INPUT');
+
+    const raised = await graphql(`
+      mutation($eventId: ID!) { updateEvent(eventId: $eventId, input: { capacity: 3 }) { remainingSpots } }
+    `, { eventId }, organizerToken);
+    check('Raising capacity frees a spot', raised.data?.updateEvent?.remainingSpots === 1);
+
+    const unlimited = await graphql(`
+      mutation($eventId: ID!) { updateEvent(eventId: $eventId, input: { capacity: null }) { capacity remainingSpots } }
+    `, { eventId }, organizerToken);
+    check('Passing null removes the limit',
+      unlimited.data?.updateEvent?.capacity === null && unlimited.data?.updateEvent?.remainingSpots === null);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL CAPACITY TESTS PASSED' : '❌ SOME CAPACITY TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Capacity test failed:', error.message);
+    allPassed = false;
+  } finally {
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testCapacity();
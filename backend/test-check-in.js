@@ -0,0 +1,122 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Check-in');
+
+const CHECK_IN = `
+  mutation($eventId: ID!, $userId: ID!) {
+    checkIn(eventId: $eventId, userId: $userId) { status checkedInAt user { id } }
+  }
+`;
+
+const CHECK_OUT = `
+  mutation($eventId: ID!, $userId: ID!) {
+    checkOut(eventId: $eventId, userId: $userId) { status checkedOutAt }
+  }
+`;
+
+const CHECK_INS = `
+  query($eventId: ID!) {
+    event(id: $eventId) {
+      checkedInCount
+      myRegistration { status }
+      registrations { status user { id } }
+    }
+  }
+`;
+
+async function testCheckIn() {
+  console.log('🎫 Testing attendee check-in...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  let eventId;
+  let socket;
+
+  try {
+    const [attendee, other, stranger] = await Promise.all(['attendee', 'other', 'stranger'].map(signup));
+
+    // Started a minute ago so the event is LIVE
+    const startTime = new Date(Date.now() - 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Check-in Test', location: 'Front Door', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    for (const user of [attendee, other]) {
+      await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, user.token);
+    }
+
+    const updates = [];
+    socket = io(SOCKET_ENDPOINT, { auth: { token: organizerToken } });
+    socket.emit('joinEventRoom', eventId);
+    socket.on('checkInUpdated', payload => updates.push(payload));
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    console.log('\n1️⃣ Checking permissions...');
+    const byAttendee = await graphql(CHECK_IN, { eventId, userId: attendee.user.id }, attendee.token);
+    check('Attendees cannot check people in (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    const attendeeView = (await graphql(CHECK_INS, { eventId }, attendee.token)).data.event;
+    check('Attendees see their own registration', attendeeView.myRegistration?.status === 'REGISTERED');
+    check('Attendees cannot see everyone\'s registrations', attendeeView.registrations === null);
+
+    console.log('\n2️⃣ Checking in at the door...');
+    const checkedIn = await graphql(CHECK_IN, { eventId, userId: attendee.user.id }, organizerToken);
+    check('Organizer checks the attendee in',
+      checkedIn.data?.checkIn?.status === 'CHECKED_IN' && checkedIn.data.checkIn.checkedInAt !== null);
+
+    const twice = await graphql(CHECK_IN, { eventId, userId: attendee.user.id }, organizerToken);
+    check('Checking in twice fails (ALREADY_CHECKED_IN)', twice.errors?.[0]?.code === 'ALREADY_CHECKED_IN');
+
+    const notRegistered = await graphql(CHECK_IN, { eventId, userId: stranger.user.id }, organizerToken);
+    check('Unregistered people cannot be checked in (NOT_REGISTERED)', notRegistered.errors?.[0]?.code === 'NOT_REGISTERED');
+
+    const staffView = (await graphql(CHECK_INS, { eventId }, organizerToken)).data.event;
+    check('Counter shows 1 checked in', staffView.checkedInCount === 1);
+    check('Organizer sees every registration', staffView.registrations?.length === 2);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const latest = updates[updates.length - 1];
+    check('Event room received the new counts',
+      latest?.checkedInCount === 1 && latest.attendeeCount === 2 && latest.userId === attendee.user.id);
+
+    console.log('\n3️⃣ Checking out and back in...');
+    const notIn = await graphql(CHECK_OUT, { eventId, userId: other.user.id }, organizerToken);
+    check('Checking out someone who is not in fails (NOT_CHECKED_IN)', notIn.errors?.[0]?.code === 'NOT_CHECKED_IN');
+
+    const checkedOut = await graphql(CHECK_OUT, { eventId, userId: attendee.user.id }, organizerToken);
+    check('Attendee can be checked out', checkedOut.data?.checkOut?.status === 'CHECKED_OUT');
+
+    const again = await graphql(CHECK_IN, { eventId, userId: attendee.user.id }, organizerToken);
+    check('Attendee can be checked back in', again.data?.checkIn?.status === 'CHECKED_IN');
+
+    console.log('\n4️⃣ Marking no-shows when the event ends...');
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: COMPLETED) { id } }', { eventId }, organizerToken);
+    const otherView = (await graphql(CHECK_INS, { eventId }, other.token)).data.event;
+    check('Registered attendees who never came are NO_SHOW', otherView.myRegistration?.status === 'NO_SHOW');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL CHECK-IN TESTS PASSED' : '❌ SOME CHECK-IN TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Check-in test failed:', error.message);
+    allPassed = false;
+  } finally {
+    socket?.close();
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testCheckIn();
@@ -14,15 +14,23 @@ async function simulateCompleteUserExperience() {
     
     const eventsQuery = `
       query {
-        events {
-          id
-          name
-          location
-          startTime
-          attendees {
-            id
-            name
-            email
+        events(first: 100) {
+          edges {
+            node {
+              id
+              name
+              location
+              startTime
+              attendees(first: 100) {
+                edges {
+                  node {
+                    id
+                    name
+                    email
+                  }
+                }
+              }
+            }
           }
         }
       }
@@ -35,16 +43,16 @@ async function simulateCompleteUserExperience() {
     });
     
     const eventsData = await eventsResponse.json();
-    console.log(`📱 App loads ${eventsData.data.events.length} events:`);
+    console.log(`📱 App loads ${eventsData.data.events.edges.length} events:`);
     
-    eventsData.data.events.forEach((event, index) => {
+    eventsData.data.events.edges.map(edge => edge.node).forEach((event, index) => {
       console.log(`   ${index + 1}. ${event.name} at ${event.location}`);
       console.log(`      📅 ${new Date(event.startTime).toLocaleString()}`);
-      console.log(`      👥 ${event.attendees.length} attendee(s)`);
+      console.log(`      👥 ${event.attendees.edges.length} attendee(s)`);
       console.log('');
     });
     
-    const selectedEvent = eventsData.data.events[0];
+    const selectedEvent = eventsData.data.events.edges[0].node;
     console.log(`✅ User selects: "${selectedEvent.name}"`);
     console.log('');
     
@@ -57,13 +65,16 @@ async function simulateCompleteUserExperience() {
     
     console.log(`👤 User 1 logs in: ${user1Name} (${user1Email})`);
     
-    // Simulate login by getting/creating user
-    const user1Query = `
-      query($email: String!) {
-        me(email: $email) {
-          id
-          name
-          email
+    // Sign up and keep the session token for later mutations
+    const signupMutation = `
+      mutation($name: String!, $email: String!, $password: String!) {
+        signup(name: $name, email: $email, password: $password) {
+          token
+          user {
+            id
+            name
+            email
+          }
         }
       }
     `;
@@ -72,24 +83,29 @@ async function simulateCompleteUserExperience() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        query: user1Query,
-        variables: { email: user1Email }
+        query: signupMutation,
+        variables: { name: user1Name, email: user1Email, password: 'password123' }
       })
     });
     
     const user1Data = await user1Response.json();
-    console.log(`✅ User 1 authenticated: ${user1Data.data.me.name}`);
+    const user1Token = user1Data.data.signup.token;
+    console.log(`✅ User 1 authenticated: ${user1Data.data.signup.user.name}`);
     
     // User 1 joins event
     const joinMutation = `
-      mutation($eventId: ID!, $userEmail: String!) {
-        joinEvent(eventId: $eventId, userEmail: $userEmail) {
+      mutation($eventId: ID!) {
+        joinEvent(eventId: $eventId) {
           id
           name
-          attendees {
-            id
-            name
-            email
+          attendees(first: 100) {
+            edges {
+              node {
+                id
+                name
+                email
+              }
+            }
           }
         }
       }
@@ -99,18 +115,17 @@ async function simulateCompleteUserExperience() {
     
     const joinResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user1Token}` },
       body: JSON.stringify({
         query: joinMutation,
         variables: {
-          eventId: selectedEvent.id,
-          userEmail: user1Email
+          eventId: selectedEvent.id
         }
       })
     });
     
     const joinData = await joinResponse.json();
-    console.log(`✅ User 1 successfully joined! Event now has ${joinData.data.joinEvent.attendees.length} attendee(s)`);
+    console.log(`✅ User 1 successfully joined! Event now has ${joinData.data.joinEvent.attendees.edges.length} attendee(s)`);
     console.log('');
     
     // 🎬 SCENE 3: User 2 opens app and sees real-time updates
@@ -121,9 +136,18 @@ async function simulateCompleteUserExperience() {
     const user2Name = 'Bob Wilson';
     
     console.log(`👤 User 2 opens app: ${user2Name} (${user2Email})`);
+    const user2SignupResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: signupMutation,
+        variables: { name: user2Name, email: user2Email, password: 'password123' }
+      })
+    });
+    const user2Token = (await user2SignupResponse.json()).data.signup.token;
     
-    // Create socket connection for User 2
-    const user2Socket = io(SOCKET_ENDPOINT);
+    // Create socket connection for User 2; sockets need a session token
+    const user2Socket = io(SOCKET_ENDPOINT, { auth: { token: user2Token } });
     
     await new Promise((resolve) => {
       user2Socket.on('connect', () => {
@@ -135,18 +159,10 @@ async function simulateCompleteUserExperience() {
     });
     
     // Set up real-time listeners for User 2
-    user2Socket.on('userJoined', (payload) => {
-      console.log(`📢 User 2 receives real-time update: ${payload.user.name} joined the event!`);
-      console.log(`   👥 Event now has ${payload.attendees.length} attendee(s)`);
-    });
-    
-    user2Socket.on('userLeft', (payload) => {
-      console.log(`📢 User 2 receives real-time update: ${payload.user.name} left the event!`);
-      console.log(`   👥 Event now has ${payload.attendees.length} attendee(s)`);
-    });
-    
-    user2Socket.on('eventUpdated', (data) => {
-      console.log(`📊 User 2 receives event update: Attendee count is now ${data.attendees.length}`);
+    user2Socket.on('attendeeDelta', (delta) => {
+      const action = delta.type === 'ADDED' ? 'joined' : 'left';
+      console.log(`📢 User 2 receives real-time update: ${delta.user.name} ${action} the event!`);
+      console.log(`   🔢 Attendee list is now at version ${delta.version}`);
     });
     
     // Wait a moment for socket setup
@@ -161,22 +177,31 @@ async function simulateCompleteUserExperience() {
     const user3Name = 'Charlie Davis';
     
     console.log(`👤 User 3 logs in: ${user3Name} (${user3Email})`);
+    const user3SignupResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: signupMutation,
+        variables: { name: user3Name, email: user3Email, password: 'password123' }
+      })
+    });
+    const user3Token = (await user3SignupResponse.json()).data.signup.token;
+    
     console.log(`🎫 User 3 joins "${selectedEvent.name}"...`);
     
     const user3JoinResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user3Token}` },
       body: JSON.stringify({
         query: joinMutation,
         variables: {
-          eventId: selectedEvent.id,
-          userEmail: user3Email
+          eventId: selectedEvent.id
         }
       })
     });
     
     const user3JoinData = await user3JoinResponse.json();
-    console.log(`✅ User 3 successfully joined! Event now has ${user3JoinData.data.joinEvent.attendees.length} attendee(s)`);
+    console.log(`✅ User 3 successfully joined! Event now has ${user3JoinData.data.joinEvent.attendees.edges.length} attendee(s)`);
     
     // Wait for real-time updates to propagate
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -187,14 +212,18 @@ async function simulateCompleteUserExperience() {
     console.log('─'.repeat(50));
     
     const leaveMutation = `
-      mutation($eventId: ID!, $userEmail: String!) {
-        leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+      mutation($eventId: ID!) {
+        leaveEvent(eventId: $eventId) {
           id
           name
-          attendees {
-            id
-            name
-            email
+          attendees(first: 100) {
+            edges {
+              node {
+                id
+                name
+                email
+              }
+            }
           }
         }
       }
@@ -204,18 +233,17 @@ async function simulateCompleteUserExperience() {
     
     const leaveResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user1Token}` },
       body: JSON.stringify({
         query: leaveMutation,
         variables: {
-          eventId: selectedEvent.id,
-          userEmail: user1Email
+          eventId: selectedEvent.id
         }
       })
     });
     
     const leaveData = await leaveResponse.json();
-    console.log(`✅ User 1 successfully left! Event now has ${leaveData.data.leaveEvent.attendees.length} attendee(s)`);
+    console.log(`✅ User 1 successfully left! Event now has ${leaveData.data.leaveEvent.attendees.edges.length} attendee(s)`);
     
     // Wait for real-time updates
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -232,14 +260,14 @@ async function simulateCompleteUserExperience() {
     });
     
     const finalEventsData = await finalEventsResponse.json();
-    const finalEvent = finalEventsData.data.events.find(e => e.id === selectedEvent.id);
+    const finalEvent = finalEventsData.data.events.edges.map(edge => edge.node).find(e => e.id === selectedEvent.id);
     
     console.log('📊 Final state verification:');
     console.log(`   Event: ${finalEvent.name}`);
-    console.log(`   Total attendees: ${finalEvent.attendees.length}`);
+    console.log(`   Total attendees: ${finalEvent.attendees.edges.length}`);
     console.log('   Current attendees:');
     
-    finalEvent.attendees.forEach((attendee, index) => {
+    finalEvent.attendees.edges.map(edge => edge.node).forEach((attendee, index) => {
       console.log(`     ${index + 1}. ${attendee.name} (${attendee.email})`);
     });
     
@@ -16,7 +16,7 @@ async function testDatabasePersistence() {
     console.log('1️⃣ Testing seeded data retrieval...');
     const users = await prisma.user.findMany();
     const events = await prisma.event.findMany({
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     console.log(`✅ Found ${users.length} users in database`);
@@ -28,7 +28,7 @@ async function testDatabasePersistence() {
     
     if (events.length > 0) {
       console.log(`   Sample event: ${events[0].name} at ${events[0].location}`);
-      console.log(`   Attendees: ${events[0].attendees.length}`);
+      console.log(`   Attendees: ${events[0].registrations.length}`);
     }
     
     // Test 2: Create a new user and verify persistence
@@ -49,23 +49,23 @@ async function testDatabasePersistence() {
       const updatedEvent = await prisma.event.update({
         where: { id: eventToJoin.id },
         data: {
-          attendees: {
-            connect: { id: newUser.id }
+          registrations: {
+            create: { userId: newUser.id }
           }
         },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
       console.log(`✅ User joined event "${updatedEvent.name}"`);
-      console.log(`   Event now has ${updatedEvent.attendees.length} attendees`);
+      console.log(`   Event now has ${updatedEvent.registrations.length} attendees`);
       
       // Verify the join persisted
       const verifyEvent = await prisma.event.findUnique({
         where: { id: eventToJoin.id },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
-      const userJoined = verifyEvent.attendees.some(attendee => attendee.id === newUser.id);
+      const userJoined = verifyEvent.registrations.some(registration => registration.userId === newUser.id);
       console.log(`✅ Join persistence verified: ${userJoined ? 'SUCCESS' : 'FAILED'}`);
     }
     
@@ -76,28 +76,28 @@ async function testDatabasePersistence() {
       const updatedEvent = await prisma.event.update({
         where: { id: eventToLeave.id },
         data: {
-          attendees: {
-            disconnect: { id: newUser.id }
+          registrations: {
+            deleteMany: { userId: newUser.id }
           }
         },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
       console.log(`✅ User left event "${updatedEvent.name}"`);
-      console.log(`   Event now has ${updatedEvent.attendees.length} attendees`);
+      console.log(`   Event now has ${updatedEvent.registrations.length} attendees`);
     }
     
     // Test 5: Database relationships integrity
     console.log('\n5️⃣ Testing database relationships...');
     const usersWithEvents = await prisma.user.findMany({
-      include: { events: true }
+      include: { registrations: true }
     });
     
     let totalRelationships = 0;
     usersWithEvents.forEach(user => {
-      totalRelationships += user.events.length;
-      if (user.events.length > 0) {
-        console.log(`   ${user.name} is attending ${user.events.length} event(s)`);
+      totalRelationships += user.registrations.length;
+      if (user.registrations.length > 0) {
+        console.log(`   ${user.name} is attending ${user.registrations.length} event(s)`);
       }
     });
     
@@ -0,0 +1,113 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const SET_STATUS = `
+  mutation($eventId: ID!, $status: EventStatus!) {
+    setEventStatus(eventId: $eventId, status: $status) { id status }
+  }
+`;
+
+const JOIN_EVENT = `
+  mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }
+`;
+
+const createEvent = async (token, name, startTime) => {
+  const result = await graphql(`
+    mutation($input: CreateEventInput!) {
+      createEvent(input: $input) { id status }
+    }
+  `, { input: { name, location: 'Lifecycle Hall', startTime } }, token);
+  return result.data.createEvent;
+};
+
+const listedIds = async (token) => {
+  // Newest first, so the events this script just created are on the first page
+  const result = await graphql('query { events(first: 100, sort: CREATED_AT_DESC) { edges { node { id } } } }', {}, token);
+  return result.data.events.edges.map(edge => edge.node.id);
+};
+
+async function testEventLifecycle() {
+  console.log('🗓️ Testing event lifecycle states...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const createdIds = [];
+
+  try {
+    const organizerToken = await login('bob@example.com');
+    const attendeeToken = await login('charlie@example.com');
+
+    console.log('\n1️⃣ Checking draft visibility...');
+    const draft = await createEvent(organizerToken, 'Lifecycle Draft', '2030-06-01T18:00:00Z');
+    createdIds.push(draft.id);
+    check('New event is a DRAFT', draft.status === 'DRAFT');
+    check('Organizer sees their draft', (await listedIds(organizerToken)).includes(draft.id));
+    check('Attendees do not see drafts', !(await listedIds(attendeeToken)).includes(draft.id));
+    check('Anonymous users do not see drafts', !(await listedIds()).includes(draft.id));
+
+    const joinDraft = await graphql(JOIN_EVENT, { eventId: draft.id }, attendeeToken);
+    check('Joining a draft fails (EVENT_NOT_PUBLISHED)', joinDraft.errors?.[0]?.code === 'EVENT_NOT_PUBLISHED');
+
+    console.log('\n2️⃣ Checking transitions...');
+    const skipToCompleted = await graphql(SET_STATUS, { eventId: draft.id, status: 'COMPLETED' }, organizerToken);
+    check('DRAFT -> COMPLETED is refused (INVALID_STATUS_TRANSITION)',
+      skipToCompleted.errors?.[0]?.code === 'INVALID_STATUS_TRANSITION');
+
+    const byAttendee = await graphql(SET_STATUS, { eventId: draft.id, status: 'PUBLISHED' }, attendeeToken);
+    check('Attendees cannot change the status (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    const published = await graphql(SET_STATUS, { eventId: draft.id, status: 'PUBLISHED' }, organizerToken);
+    check('DRAFT -> PUBLISHED is allowed', published.data?.setEventStatus?.status === 'PUBLISHED');
+    check('Attendees see the published event', (await listedIds(attendeeToken)).includes(draft.id));
+
+    const joinPublished = await graphql(JOIN_EVENT, { eventId: draft.id }, attendeeToken);
+    check('Published events can be joined', joinPublished.data?.joinEvent?.id === draft.id);
+
+    console.log('\n3️⃣ Checking automatic transitions...');
+    const startedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const running = await createEvent(organizerToken, 'Lifecycle Running', startedAt);
+    createdIds.push(running.id);
+    const live = await graphql(SET_STATUS, { eventId: running.id, status: 'PUBLISHED' }, organizerToken);
+    check('Published event that has started reports LIVE', live.data?.setEventStatus?.status === 'LIVE');
+
+    const joinLive = await graphql(JOIN_EVENT, { eventId: running.id }, attendeeToken);
+    check('Live events can still be joined', joinLive.data?.joinEvent?.id === running.id);
+
+    const endedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const past = await createEvent(organizerToken, 'Lifecycle Past', endedAt);
+    createdIds.push(past.id);
+    const completed = await graphql(SET_STATUS, { eventId: past.id, status: 'PUBLISHED' }, organizerToken);
+    check('Published event that has ended reports COMPLETED', completed.data?.setEventStatus?.status === 'COMPLETED');
+    check('Other attendees no longer see the completed event', !(await listedIds(attendeeToken)).includes(past.id));
+    check('Organizer still sees their completed event', (await listedIds(organizerToken)).includes(past.id));
+
+    const joinCompleted = await graphql(JOIN_EVENT, { eventId: past.id }, attendeeToken);
+    check('Joining a completed event fails (EVENT_COMPLETED)', joinCompleted.errors?.[0]?.code === 'EVENT_COMPLETED');
+
+    const cancelCompleted = await graphql(`
+      mutation($eventId: ID!) { cancelEvent(eventId: $eventId) { id } }
+    `, { eventId: past.id }, organizerToken);
+    check('Completed events cannot be cancelled (INVALID_STATUS_TRANSITION)',
+      cancelCompleted.errors?.[0]?.code === 'INVALID_STATUS_TRANSITION');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL LIFECYCLE TESTS PASSED' : '❌ SOME LIFECYCLE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Lifecycle test failed:', error.message);
+    allPassed = false;
+  } finally {
+    const adminToken = await login('alice@example.com').catch(() => null);
+    for (const eventId of createdIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, adminToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventLifecycle();
@@ -0,0 +1,122 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login } = require('./test-helpers');
+
+const CREATE_EVENT = `
+  mutation($input: CreateEventInput!) {
+    createEvent(input: $input) { id name location startTime status cancelledAt }
+  }
+`;
+
+async function testEventManagement() {
+  console.log('🗓️ Testing event management mutations...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  let socket;
+  const received = [];
+
+  try {
+    const organizerToken = await login('bob@example.com');
+    const attendeeToken = await login('charlie@example.com');
+
+    socket = io(SOCKET_ENDPOINT, { auth: { token: organizerToken } });
+    ['eventUpdated', 'eventCancelled', 'eventDeleted'].forEach(name => {
+      socket.on(name, (payload) => received.push({ name, eventId: payload.eventId }));
+    });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    console.log('\n1️⃣ Validating input...');
+    const emptyName = await graphql(CREATE_EVENT, {
+      input: { name: '  ', location: 'Hall A', startTime: '2030-01-01T18:00:00Z' }
+    }, organizerToken);
+    check('Empty name rejected (BAD_USER_INPUT)', emptyName.errors?.[0]?.code === 'BAD_USER_INPUT');
+
+    const badTime = await graphql(CREATE_EVENT, {
+      input: { name: 'Test', location: 'Hall A', startTime: 'next tuesday' }
+    }, organizerToken);
+    check('Invalid startTime rejected (BAD_USER_INPUT)', badTime.errors?.[0]?.code === 'BAD_USER_INPUT');
+
+    console.log('\n2️⃣ Checking permissions...');
+    const byAttendee = await graphql(CREATE_EVENT, {
+      input: { name: 'Not Allowed', location: 'Hall A', startTime: '2030-01-01T18:00:00Z' }
+    }, attendeeToken);
+    check('Attendees cannot create events (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    console.log('\n3️⃣ Creating, updating, cancelling and deleting...');
+    const created = await graphql(CREATE_EVENT, {
+      input: { name: 'Management Test', location: 'Hall A', startTime: '2030-01-01T18:00:00Z' }
+    }, organizerToken);
+    const eventId = created.data?.createEvent?.id;
+    check('Organizer can create an event', Boolean(eventId));
+    check('startTime is returned as ISO 8601', created.data?.createEvent?.startTime === '2030-01-01T18:00:00.000Z');
+    check('New events start as drafts', created.data?.createEvent?.status === 'DRAFT');
+
+    // Broadcasts only reach the event's room; organizers may join it while it's a draft
+    const joinedRoom = await new Promise(resolve => socket.emit('joinEventRoom', eventId, resolve));
+    check('Organizer can follow their draft', joinedRoom?.ok === true);
+
+    const published = await graphql(`
+      mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { status } }
+    `, { eventId }, organizerToken);
+    check('Organizer can publish the draft', published.data?.setEventStatus?.status === 'PUBLISHED');
+
+    const updated = await graphql(`
+      mutation($eventId: ID!) {
+        updateEvent(eventId: $eventId, input: { location: "Hall B" }) { name location }
+      }
+    `, { eventId }, organizerToken);
+    check('Partial update changes only the given field',
+      updated.data?.updateEvent?.location === 'Hall B' && updated.data?.updateEvent?.name === 'Management Test');
+
+    const updateByAttendee = await graphql(`
+      mutation($eventId: ID!) {
+        updateEvent(eventId: $eventId, input: { name: "Hijacked" }) { id }
+      }
+    `, { eventId }, attendeeToken);
+    check('Attendees cannot update events (FORBIDDEN)', updateByAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    const cancelled = await graphql(`
+      mutation($eventId: ID!) {
+        cancelEvent(eventId: $eventId, reason: "Venue flooded") { status cancelledAt cancellationReason }
+      }
+    `, { eventId }, organizerToken);
+    check('Organizer can cancel the event',
+      cancelled.data?.cancelEvent?.status === 'CANCELLED' && Boolean(cancelled.data?.cancelEvent?.cancelledAt));
+
+    const joinCancelled = await graphql(`
+      mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }
+    `, { eventId }, attendeeToken);
+    check('Joining a cancelled event fails (EVENT_CANCELLED)', joinCancelled.errors?.[0]?.code === 'EVENT_CANCELLED');
+
+    const deleted = await graphql(`
+      mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }
+    `, { eventId }, organizerToken);
+    check('Organizer can delete the event', deleted.data?.deleteEvent === eventId);
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    console.log('\n4️⃣ Checking real-time broadcasts...');
+    const namesFor = received.filter(message => message.eventId === eventId).map(message => message.name);
+    console.log(`   Received: ${namesFor.join(', ')}`);
+    ['eventUpdated', 'eventCancelled', 'eventDeleted'].forEach(name => {
+      check(`${name} broadcast received`, namesFor.includes(name));
+    });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL EVENT MANAGEMENT TESTS PASSED' : '❌ SOME EVENT MANAGEMENT TESTS FAILED');
+    socket.close();
+    process.exit(allPassed ? 0 : 1);
+  } catch (error) {
+    console.error('\n❌ Event management test failed:', error.message);
+    socket?.close();
+    process.exit(1);
+  }
+}
+
+testEventManagement();
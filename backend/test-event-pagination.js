@@ -0,0 +1,113 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Pager');
+
+const EVENTS = `
+  query($first: Int, $after: String, $filter: EventFilter, $sort: EventSort) {
+    events(first: $first, after: $after, filter: $filter, sort: $sort) {
+      edges { cursor node { id name startTime } }
+      pageInfo { hasNextPage endCursor }
+      totalCount
+    }
+  }
+`;
+
+async function testEventPagination() {
+  console.log('📄 Testing event pagination, filters and sorting...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const eventIds = [];
+  // Unique to this run, so the filters below only match the events created here
+  const location = `Pager Hall ${Date.now()}`;
+
+  try {
+    const attendee = await signup('attendee');
+
+    // Five upcoming events an hour apart, and one that ended yesterday
+    const hour = 60 * 60 * 1000;
+    const base = Date.now() + 24 * hour;
+    const starts = [0, 1, 2, 3, 4].map(offset => new Date(base + offset * hour))
+      .concat([new Date(Date.now() - 24 * hour)]);
+    for (const [index, startTime] of starts.entries()) {
+      const created = await graphql(`
+        mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+      `, { input: { name: `Pager ${index}`, location, startTime: startTime.toISOString() } }, organizerToken);
+      const eventId = created.data.createEvent.id;
+      eventIds.push(eventId);
+      await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+    }
+
+    console.log('\n1️⃣ Paging through...');
+    const filter = { location: location.toUpperCase(), timeframe: 'UPCOMING' };
+    const seen = [];
+    let after = null;
+    let pages = 0;
+    let totalCount = null;
+    do {
+      const result = await graphql(EVENTS, { first: 2, after, filter });
+      const page = result.data.events;
+      totalCount = page.totalCount;
+      seen.push(...page.edges.map(edge => edge.node.id));
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      pages += 1;
+    } while (after && pages < 10);
+
+    check('Three pages of two cover the five upcoming events', pages === 3 && seen.length === 5);
+    check('Pages come in start time order without repeats', seen.join() === eventIds.slice(0, 5).join());
+    check('totalCount counts every match, not just the page', totalCount === 5);
+
+    console.log('\n2️⃣ Filtering...');
+    // Ended events are completed, which only their organizers and attendees still see
+    const past = await graphql(EVENTS, { filter: { location, timeframe: 'PAST' } }, organizerToken);
+    check('PAST only returns the event that already ended', past.data.events.edges.map(edge => edge.node.id).join() === eventIds[5]);
+
+    const range = await graphql(EVENTS, {
+      filter: { location, startsAfter: new Date(base + hour).toISOString(), startsBefore: new Date(base + 3 * hour).toISOString() }
+    });
+    check('A date range includes its start and excludes its end',
+      range.data.events.edges.map(edge => edge.node.id).join() === eventIds.slice(1, 3).join());
+
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId: eventIds[3] }, attendee.token);
+    const joined = await graphql(EVENTS, { filter: { location, joinedByMe: true } }, attendee.token);
+    check('joinedByMe only returns joined events', joined.data.events.edges.map(edge => edge.node.id).join() === eventIds[3]);
+    const anonymous = await graphql(EVENTS, { filter: { joinedByMe: true } });
+    check('joinedByMe needs a session', anonymous.errors?.[0]?.extensions?.code === 'UNAUTHENTICATED');
+
+    await graphql('mutation($eventId: ID!) { cancelEvent(eventId: $eventId) { id } }', { eventId: eventIds[4] }, organizerToken);
+    const cancelled = await graphql(EVENTS, { filter: { location, status: ['CANCELLED'] } });
+    check('status filters by lifecycle state', cancelled.data.events.edges.map(edge => edge.node.id).join() === eventIds[4]);
+
+    console.log('\n3️⃣ Sorting...');
+    const latestFirst = await graphql(EVENTS, { first: 3, filter: { location }, sort: 'START_TIME_DESC' });
+    const nextPage = await graphql(EVENTS, {
+      first: 3, after: latestFirst.data.events.pageInfo.endCursor, filter: { location }, sort: 'START_TIME_DESC'
+    });
+    const descending = [...latestFirst.data.events.edges, ...nextPage.data.events.edges].map(edge => edge.node.id);
+    check('START_TIME_DESC pages from the latest event back', descending.join() === [4, 3, 2, 1, 0, 5].map(index => eventIds[index]).join());
+
+    const invalid = await graphql(EVENTS, { after: 'not-a-cursor' });
+    check('Malformed cursors are rejected', invalid.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL PAGINATION TESTS PASSED' : '❌ SOME PAGINATION TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Pagination test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const eventId of eventIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventPagination();
@@ -0,0 +1,106 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const EVENT_TIMES = 'id startTime endTime status isOngoing hasEnded schedule { startTime endTime }';
+
+// Times are relative to one instant so the ones read back can be compared exactly
+const hour = 60 * 60 * 1000;
+const now = Date.now();
+const at = offsetHours => new Date(now + offsetHours * hour).toISOString();
+
+async function testEventSchedule() {
+  console.log('🕰️ Testing event end times and schedules...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+  const rejected = result => result.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT';
+
+  const organizerToken = await login('bob@example.com');
+  const eventIds = [];
+
+  const createEvent = async input => {
+    const result = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { ${EVENT_TIMES} } }
+    `, { input: { name: 'Schedule Test', location: 'Hall C', ...input } }, organizerToken);
+    if (result.data) {
+      eventIds.push(result.data.createEvent.id);
+    }
+    return result;
+  };
+  const updateEvent = (eventId, input) => graphql(`
+    mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { ${EVENT_TIMES} } }
+  `, { eventId, input }, organizerToken);
+  const publish = eventId => graphql(`
+    mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { ${EVENT_TIMES} } }
+  `, { eventId }, organizerToken);
+
+  try {
+    console.log('\n1️⃣ End times...');
+    const startTime = at(24);
+    const defaulted = await createEvent({ startTime });
+    check('Events without an end time last three hours',
+      Date.parse(defaulted.data.createEvent.endTime) - Date.parse(startTime) === 3 * hour);
+    check('An end time before the start is rejected', rejected(await createEvent({ startTime, endTime: at(23) })));
+    const eventId = defaulted.data.createEvent.id;
+    check('Moving the start past the end is rejected', rejected(await updateEvent(eventId, { startTime: at(30) })));
+    const moved = await updateEvent(eventId, { endTime: at(26) });
+    check('The end time can be changed on its own', moved.data?.updateEvent.endTime === at(26));
+
+    console.log('\n2️⃣ Multi-day schedules...');
+    // Started yesterday, with its second day in progress right now
+    const festival = await createEvent({
+      startTime: at(-26),
+      endTime: at(22),
+      schedule: [
+        { startTime: at(-2), endTime: at(6) },
+        { startTime: at(-26), endTime: at(-18) },
+        { startTime: at(14), endTime: at(22) }
+      ]
+    });
+    const festivalId = festival.data.createEvent.id;
+    check('Days come back in order', festival.data.createEvent.schedule.map(day => day.startTime).join() === [at(-26), at(-2), at(14)].join());
+    const live = await publish(festivalId);
+    check('The event is ongoing during one of its days', live.data.setEventStatus.status === 'LIVE' && live.data.setEventStatus.isOngoing);
+
+    const overnight = await updateEvent(festivalId, {
+      schedule: [{ startTime: at(-26), endTime: at(-18) }, { startTime: at(2), endTime: at(10) }]
+    });
+    check('Between days it stays live but isn\'t ongoing',
+      overnight.data.updateEvent.status === 'LIVE' && !overnight.data.updateEvent.isOngoing && !overnight.data.updateEvent.hasEnded);
+
+    check('Overlapping days are rejected', rejected(await updateEvent(festivalId, {
+      schedule: [{ startTime: at(-26), endTime: at(-18) }, { startTime: at(-20), endTime: at(-10) }]
+    })));
+    check('Days outside the event are rejected', rejected(await updateEvent(festivalId, {
+      schedule: [{ startTime: at(20), endTime: at(30) }]
+    })));
+    check('The end can\'t move before the last day', rejected(await updateEvent(festivalId, { endTime: at(5) })));
+
+    const cleared = await updateEvent(festivalId, { schedule: null });
+    check('A null schedule removes the days', cleared.data.updateEvent.schedule.length === 0 && cleared.data.updateEvent.isOngoing);
+
+    console.log('\n3️⃣ Ended events...');
+    const finished = await createEvent({ startTime: at(-5), endTime: at(-1) });
+    const ended = await publish(finished.data.createEvent.id);
+    check('An event past its end time has ended',
+      ended.data.setEventStatus.status === 'COMPLETED' && ended.data.setEventStatus.hasEnded && !ended.data.setEventStatus.isOngoing);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SCHEDULE TESTS PASSED' : '❌ SOME SCHEDULE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Schedule test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const eventId of eventIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventSchedule();
@@ -0,0 +1,83 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const SEARCH = `
+  query($query: String!, $first: Int) {
+    searchEvents(query: $query, first: $first) { id name }
+  }
+`;
+
+async function search(query, token) {
+  const result = await graphql(SEARCH, { query }, token);
+  return result.data ? result.data.searchEvents.map(event => event.id) : result;
+}
+
+async function testEventSearch() {
+  console.log('🔎 Testing event search...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const eventIds = [];
+  // Made-up words unique to this run, so only the events created here match
+  const tag = `zq${Date.now().toString(36)}`;
+
+  try {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const inputs = [
+      { name: `Quarterly ${tag} Conference`, location: 'Harbour Hall', description: 'Talks and workshops' },
+      { name: 'Evening Social', location: `${tag} Rooftop`, description: 'Drinks with a view' },
+      { name: 'Board Games', location: 'Library', description: `Bring your own ${tag} games` },
+      { name: `Draft ${tag} Planning`, location: 'Room 1', description: null }
+    ];
+    for (const [index, input] of inputs.entries()) {
+      const created = await graphql(`
+        mutation($input: CreateEventInput!) { createEvent(input: $input) { id description } }
+      `, { input: { ...input, startTime } }, organizerToken);
+      const eventId = created.data.createEvent.id;
+      eventIds.push(eventId);
+      // The last one stays a draft
+      if (index < 3) {
+        await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+      }
+    }
+
+    console.log('\n1️⃣ Ranking...');
+    const ranked = await search(tag);
+    check('Name, location and description all match', ranked.length === 3);
+    check('Name matches come before location and description matches', ranked.join() === eventIds.slice(0, 3).join());
+
+    console.log('\n2️⃣ Prefixes and typos...');
+    check('An unfinished word matches', (await search(tag.slice(0, -2))).length === 3);
+    check('Several words must all match', (await search(`${tag} conf`)).join() === eventIds[0]);
+    check('Stemming finds plurals', (await search(`${tag} conferences`)).join() === eventIds[0]);
+    const misspelled = `${tag.slice(0, 3)}${tag.slice(4)}`;
+    check('A missing letter is tolerated', (await search(misspelled)).length > 0);
+
+    console.log('\n3️⃣ Visibility and input...');
+    check('Drafts are hidden from attendees', !(await search(tag)).includes(eventIds[3]));
+    check('Their organizers find them', (await search(tag, organizerToken)).includes(eventIds[3]));
+    check('Operators in the query are treated as text', Array.isArray(await search(`${tag} & !(`)));
+    const blank = await search('   ');
+    check('A blank query is rejected', blank.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SEARCH TESTS PASSED' : '❌ SOME SEARCH TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Search test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const eventId of eventIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventSearch();
@@ -0,0 +1,135 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const OCCURRENCE = `
+  id name status startTime localStartTime originalStartTime isOverride
+  series { id summary isSubscribed }
+  myRegistration { id }
+`;
+
+const hour = 60 * 60 * 1000;
+const week = 7 * 24 * hour;
+
+// A whole hour two days from now; Tokyo has no daylight saving time, so every
+// occurrence is exactly a week after the one before
+const firstStart = new Date(Math.ceil((Date.now() + 48 * hour) / hour) * hour);
+const weeksLater = weeks => new Date(firstStart.getTime() + weeks * week).toISOString();
+
+async function testEventSeries() {
+  console.log('🔁 Testing recurring event series...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+  const rejected = result => result.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT';
+
+  const organizerToken = await login('bob@example.com');
+  const attendeeToken = await login('charlie@example.com');
+  const adminToken = await login('alice@example.com');
+  // Unique to this run, so the listing below only finds this series
+  const location = `Series Hall ${Date.now().toString(36)}`;
+
+  // Every occurrence in the next ten weeks, in order; listing is also what creates them
+  const occurrences = async (token = organizerToken) => {
+    const result = await graphql(`
+      query($filter: EventFilter) {
+        events(first: 50, filter: $filter) { edges { node { ${OCCURRENCE} } } }
+      }
+    `, { filter: { location, startsBefore: weeksLater(10) } }, token);
+    return result.data.events.edges.map(edge => edge.node);
+  };
+  const updateEvent = (eventId, input, scope) => graphql(`
+    mutation($eventId: ID!, $input: UpdateEventInput!, $scope: EditScope) {
+      updateEvent(eventId: $eventId, input: $input, scope: $scope) { ${OCCURRENCE} }
+    }
+  `, { eventId, input, scope }, organizerToken);
+
+  try {
+    console.log('\n1️⃣ Creating a series...');
+    check('Rules that repeat more often than daily are rejected', rejected(await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Series Test', location, startTime: weeksLater(0), recurrence: { rule: 'FREQ=HOURLY' } } }, organizerToken)));
+
+    // A finite rule, so nothing is created again once the test deletes the occurrences
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { ${OCCURRENCE} } }
+    `, {
+      input: {
+        name: 'Series Test',
+        location,
+        startTime: weeksLater(0),
+        timeZone: 'Asia/Tokyo',
+        capacity: 10,
+        recurrence: { rule: 'RRULE:FREQ=WEEKLY;COUNT=6', exceptions: [weeksLater(2)] }
+      }
+    }, organizerToken);
+    const first = created.data.createEvent;
+    check('The event becomes the first occurrence', first.series !== null && first.originalStartTime === first.startTime);
+    check('The rule is described in words', first.series.summary === 'every week for 6 times');
+
+    let list = await occurrences();
+    check('Listing creates the other occurrences, without the exception', list.length === 5 && !list.some(o => o.startTime === weeksLater(2)));
+    check('Every occurrence starts at the same local time', new Set(list.map(o => o.localStartTime.slice(11))).size === 1);
+    check('Occurrences are created only once', (await occurrences()).length === 5);
+
+    console.log('\n2️⃣ Publishing and joining...');
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId: first.id }, organizerToken);
+    list = await occurrences();
+    check('Publishing the first occurrence publishes the rest', list.every(o => o.status === 'PUBLISHED'));
+
+    const joinedOne = await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId: list[1].id }, adminToken);
+    check('A single occurrence can be joined', !joinedOne.errors && (await occurrences(adminToken)).filter(o => o.myRegistration).length === 1);
+
+    const followed = await graphql(`
+      mutation($seriesId: ID!) { joinSeries(seriesId: $seriesId) { id isSubscribed } }
+    `, { seriesId: first.series.id }, attendeeToken);
+    check('Joining the series follows it', followed.data?.joinSeries.isSubscribed === true);
+    check('Followers attend every upcoming occurrence', (await occurrences(attendeeToken)).every(o => o.myRegistration));
+
+    console.log('\n3️⃣ Editing this occurrence...');
+    check('The rule can\'t change for one occurrence', rejected(await updateEvent(list[1].id, { recurrence: { rule: 'FREQ=DAILY' } })));
+    const renamed = await updateEvent(list[1].id, { name: 'Series Test (guest speaker)' });
+    check('An edited occurrence becomes an override', renamed.data.updateEvent.isOverride === true);
+    list = await occurrences();
+    check('The other occurrences are left alone', list.filter(o => o.name === 'Series Test').length === 4);
+
+    console.log('\n4️⃣ Editing this and following...');
+    // The fourth listed occurrence is the fifth week, after the skipped one
+    const moved = await updateEvent(list[3].id, { name: 'Series Test (new time)', startTime: new Date(Date.parse(list[3].startTime) + hour).toISOString() }, 'THIS_AND_FOLLOWING');
+    check('The occurrence moves to a new series', moved.data.updateEvent.series.id !== first.series.id);
+    check('Followers follow the new series too', (await occurrences(attendeeToken))[3].series.isSubscribed === true);
+    list = await occurrences();
+    check('Later occurrences move by as much',
+      list.slice(3).every(o => o.name === 'Series Test (new time)' && Date.parse(o.startTime) === Date.parse(o.originalStartTime)) &&
+      Date.parse(list[4].startTime) - Date.parse(list[3].startTime) === week);
+    check('Earlier occurrences keep their details', list[0].name === 'Series Test' && list[1].name === 'Series Test (guest speaker)');
+
+    console.log('\n5️⃣ Deleting and leaving...');
+    await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId: list[2].id }, organizerToken);
+    check('A deleted occurrence isn\'t created again', (await occurrences()).length === 4);
+
+    const left = await graphql(`
+      mutation($seriesId: ID!) { leaveSeries(seriesId: $seriesId) { id isSubscribed } }
+    `, { seriesId: first.series.id }, attendeeToken);
+    const afterLeaving = await occurrences(attendeeToken);
+    check('Leaving a series leaves its occurrences only',
+      left.data?.leaveSeries.isSubscribed === false && !afterLeaving[0].myRegistration && afterLeaving[3].myRegistration !== null);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SERIES TESTS PASSED' : '❌ SOME SERIES TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Series test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const occurrence of await occurrences().catch(() => [])) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId: occurrence.id }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventSeries();
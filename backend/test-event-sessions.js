@@ -0,0 +1,107 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const SESSION = 'id title remainingSeats isBookmarked checkedInCount checkIns { user { id } }';
+
+const hour = 60 * 60 * 1000;
+// Two days from now on the hour; the event runs for the default three hours
+const eventStart = new Date(Math.ceil((Date.now() + 48 * hour) / hour) * hour);
+const hoursIn = hours => new Date(eventStart.getTime() + hours * hour).toISOString();
+
+async function testEventSessions() {
+  console.log('🎤 Testing agenda sessions...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+  const failedWith = (result, code) => result.errors?.[0]?.extensions?.code === code;
+
+  const organizerToken = await login('bob@example.com');
+  const attendeeToken = await login('charlie@example.com');
+  const otherToken = await login('alice@example.com');
+  let eventId = null;
+  let attendeeId = null;
+
+  const createSession = input => graphql(`
+    mutation($eventId: ID!, $input: CreateSessionInput!) { createSession(eventId: $eventId, input: $input) { ${SESSION} } }
+  `, { eventId, input }, organizerToken);
+  const bookmark = (sessionId, token) => graphql(`
+    mutation($sessionId: ID!) { bookmarkSession(sessionId: $sessionId) { ${SESSION} } }
+  `, { sessionId }, token);
+  const checkInTo = sessionId => graphql(`
+    mutation($sessionId: ID!, $userId: ID!) { checkInToSession(sessionId: $sessionId, userId: $userId) { checkedInAt } }
+  `, { sessionId, userId: attendeeId }, organizerToken);
+  const sessions = async token => {
+    const result = await graphql(`
+      query($eventId: ID!) { event(id: $eventId) { sessions { ${SESSION} } } }
+    `, { eventId }, token);
+    return result.data.event.sessions;
+  };
+
+  try {
+    const me = await graphql('query { me { id } }', {}, attendeeToken);
+    attendeeId = me.data.me.id;
+
+    console.log('\n1️⃣ Building the agenda...');
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Sessions Test', location: 'Conference Centre', startTime: hoursIn(0) } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    check('Sessions outside the event are rejected',
+      failedWith(await createSession({ title: 'Late Show', startTime: hoursIn(2), endTime: hoursIn(4) }), 'BAD_USER_INPUT'));
+    const keynote = (await createSession({ title: 'Keynote', speaker: 'Ada', room: 'Main Stage', startTime: hoursIn(0), endTime: hoursIn(1), capacity: 1 })).data.createSession;
+    const workshop = (await createSession({ title: 'Workshop', room: 'Room 2', startTime: hoursIn(1), endTime: hoursIn(2) })).data.createSession;
+    check('Sessions are listed in time order', (await sessions(organizerToken)).map(s => s.title).join() === 'Keynote,Workshop');
+    check('The event can\'t be shortened past its sessions', failedWith(await graphql(`
+      mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { id } }
+    `, { eventId, input: { endTime: hoursIn(1) } }, organizerToken), 'BAD_USER_INPUT'));
+
+    console.log('\n2️⃣ Bookmarking...');
+    check('Only attendees can bookmark', failedWith(await bookmark(keynote.id, attendeeToken), 'NOT_REGISTERED'));
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, attendeeToken);
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, otherToken);
+
+    const taken = await bookmark(keynote.id, attendeeToken);
+    check('Bookmarking takes a seat', taken.data?.bookmarkSession.isBookmarked === true && taken.data.bookmarkSession.remainingSeats === 0);
+    check('Bookmarking twice is a no-op', !(await bookmark(keynote.id, attendeeToken)).errors);
+    check('A full session can\'t be bookmarked', failedWith(await bookmark(keynote.id, otherToken), 'SESSION_FULL'));
+
+    const agenda = await graphql('query($eventId: ID) { myAgenda(eventId: $eventId) { id } }', { eventId }, attendeeToken);
+    check('The agenda lists bookmarked sessions', agenda.data.myAgenda.map(s => s.id).join() === keynote.id);
+
+    console.log('\n3️⃣ Checking in to sessions...');
+    check('Staff can check an attendee in to a session', !(await checkInTo(workshop.id)).errors);
+    check('Checking in twice is rejected', failedWith(await checkInTo(workshop.id), 'ALREADY_CHECKED_IN'));
+    const staffView = (await sessions(organizerToken))[1];
+    check('Staff see who came', staffView.checkedInCount === 1 && staffView.checkIns[0].user.id === attendeeId);
+    check('Attendees only see the count', (await sessions(attendeeToken))[1].checkIns === null);
+
+    const undone = await graphql(`
+      mutation($sessionId: ID!, $userId: ID!) { undoSessionCheckIn(sessionId: $sessionId, userId: $userId) { checkedInCount } }
+    `, { sessionId: workshop.id, userId: attendeeId }, organizerToken);
+    check('A session check-in can be undone', undone.data?.undoSessionCheckIn.checkedInCount === 0);
+
+    console.log('\n4️⃣ Leaving the event...');
+    await graphql('mutation($eventId: ID!) { leaveEvent(eventId: $eventId) { id } }', { eventId }, attendeeToken);
+    check('Leaving frees the agenda\'s seats', !(await bookmark(keynote.id, otherToken)).errors);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SESSION TESTS PASSED' : '❌ SOME SESSION TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Session test failed:', error.message);
+    allPassed = false;
+  } finally {
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventSessions();
@@ -0,0 +1,80 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const EVENT_TIMES = `
+  id startTime endTime timeZone localStartTime localEndTime
+  schedule { startTime localStartTime localEndTime }
+`;
+
+async function testEventTimeZones() {
+  console.log('🌍 Testing event time zones...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const eventIds = [];
+
+  const createEvent = async input => {
+    const result = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { ${EVENT_TIMES} } }
+    `, { input: { name: 'Time Zone Test', location: 'Berlin', ...input } }, organizerToken);
+    if (result.data) {
+      eventIds.push(result.data.createEvent.id);
+    }
+    return result;
+  };
+
+  try {
+    console.log('\n1️⃣ Zones...');
+    const defaulted = await createEvent({ startTime: '2030-01-10T18:00:00Z' });
+    check('Events without a zone are shown in UTC',
+      defaulted.data.createEvent.timeZone === 'UTC' && defaulted.data.createEvent.localStartTime === '2030-01-10T18:00:00+00:00');
+    const invalid = await createEvent({ startTime: '2030-01-10T18:00:00Z', timeZone: 'Mars/Olympus_Mons' });
+    check('Unknown zones are rejected', invalid.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT');
+
+    console.log('\n2️⃣ Daylight saving time...');
+    // Clocks in Berlin go forward an hour early on 31 March 2030
+    const weekend = await createEvent({
+      startTime: '2030-03-30T17:00:00Z',
+      endTime: '2030-03-31T20:00:00Z',
+      timeZone: 'europe/berlin',
+      schedule: [
+        { startTime: '2030-03-30T17:00:00Z', endTime: '2030-03-30T21:00:00Z' },
+        { startTime: '2030-03-31T16:00:00Z', endTime: '2030-03-31T20:00:00Z' }
+      ]
+    });
+    const event = weekend.data.createEvent;
+    check('Zone names are stored in their canonical form', event.timeZone === 'Europe/Berlin');
+    check('UTC times are returned unchanged', event.startTime === '2030-03-30T17:00:00.000Z');
+    check('Local times carry the offset in effect at the time',
+      event.localStartTime === '2030-03-30T18:00:00+01:00' && event.localEndTime === '2030-03-31T22:00:00+02:00');
+    check('Both days start at 18:00 on the venue\'s clock',
+      event.schedule.map(day => day.localStartTime).join() === '2030-03-30T18:00:00+01:00,2030-03-31T18:00:00+02:00');
+
+    console.log('\n3️⃣ Changing the zone...');
+    const moved = await graphql(`
+      mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { ${EVENT_TIMES} } }
+    `, { eventId: event.id, input: { timeZone: 'America/New_York' } }, organizerToken);
+    check('The event keeps its instant and moves to the new clock',
+      moved.data.updateEvent.startTime === event.startTime && moved.data.updateEvent.localStartTime === '2030-03-30T13:00:00-04:00');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL TIME ZONE TESTS PASSED' : '❌ SOME TIME ZONE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Time zone test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const eventId of eventIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testEventTimeZones();
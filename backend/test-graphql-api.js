@@ -11,15 +11,23 @@ async function testGraphQLAPI() {
     const eventsQuery = {
       query: `
         query {
-          events {
-            id
-            name
-            location
-            startTime
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                location
+                startTime
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -37,32 +45,56 @@ async function testGraphQLAPI() {
       throw new Error('GraphQL Error: ' + JSON.stringify(eventsData.errors));
     }
 
-    console.log(`✅ Retrieved ${eventsData.data.events.length} events`);
-    if (eventsData.data.events.length > 0) {
-      const event = eventsData.data.events[0];
+    console.log(`✅ Retrieved ${eventsData.data.events.edges.length} events`);
+    if (eventsData.data.events.edges.length > 0) {
+      const event = eventsData.data.events.edges[0].node;
       console.log(`   Event: ${event.name} at ${event.location}`);
-      console.log(`   Attendees: ${event.attendees.length}`);
+      console.log(`   Attendees: ${event.attendees.edges.length}`);
     }
 
-    // Test 2: Query user (me)
-    console.log('\n2️⃣ Testing me query...');
+    // Test 2: Log in and query user (me)
+    console.log('\n2️⃣ Testing login mutation and me query...');
     const testEmail = 'alice@example.com';
+    const loginMutation = {
+      query: `
+        mutation($email: String!, $password: String!) {
+          login(email: $email, password: $password) {
+            token
+          }
+        }
+      `,
+      variables: { email: testEmail, password: 'password123' }
+    };
+
+    const loginResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(loginMutation)
+    });
+
+    const loginData = await loginResponse.json();
+    if (loginData.errors) {
+      throw new Error('GraphQL Error: ' + JSON.stringify(loginData.errors));
+    }
+
     const meQuery = {
       query: `
-        query($email: String!) {
-          me(email: $email) {
+        query {
+          me {
             id
             name
             email
           }
         }
-      `,
-      variables: { email: testEmail }
+      `
     };
 
     const meResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${loginData.data.login.token}`
+      },
       body: JSON.stringify(meQuery)
     });
 
@@ -75,29 +107,58 @@ async function testGraphQLAPI() {
 
     // Test 3: Join event mutation
     console.log('\n3️⃣ Testing joinEvent mutation...');
-    const eventId = eventsData.data.events[0].id;
+    const eventId = eventsData.data.events.edges[0].node.id;
     const newUserEmail = `graphql-test-${Date.now()}@example.com`;
+
+    const signupResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: `
+          mutation($name: String!, $email: String!, $password: String!) {
+            signup(name: $name, email: $email, password: $password) {
+              token
+            }
+          }
+        `,
+        variables: { name: 'GraphQL Test', email: newUserEmail, password: 'password123' }
+      })
+    });
+
+    const signupData = await signupResponse.json();
+    if (signupData.errors) {
+      throw new Error('GraphQL Error: ' + JSON.stringify(signupData.errors));
+    }
+
+    const authHeaders = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${signupData.data.signup.token}`
+    };
     
     const joinEventMutation = {
       query: `
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
-      variables: { eventId, userEmail: newUserEmail }
+      variables: { eventId }
     };
 
     const joinResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(joinEventMutation)
     });
 
@@ -107,33 +168,37 @@ async function testGraphQLAPI() {
     }
 
     console.log(`✅ User joined event: ${joinData.data.joinEvent.name}`);
-    console.log(`   New attendee count: ${joinData.data.joinEvent.attendees.length}`);
+    console.log(`   New attendee count: ${joinData.data.joinEvent.attendees.edges.length}`);
     
-    const newAttendee = joinData.data.joinEvent.attendees.find(a => a.email === newUserEmail);
+    const newAttendee = joinData.data.joinEvent.attendees.edges.map(edge => edge.node).find(a => a.email === newUserEmail);
     console.log(`   New attendee: ${newAttendee.name} (${newAttendee.email})`);
 
     // Test 4: Leave event mutation
     console.log('\n4️⃣ Testing leaveEvent mutation...');
     const leaveEventMutation = {
       query: `
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
-      variables: { eventId, userEmail: newUserEmail }
+      variables: { eventId }
     };
 
     const leaveResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(leaveEventMutation)
     });
 
@@ -143,7 +208,7 @@ async function testGraphQLAPI() {
     }
 
     console.log(`✅ User left event: ${leaveData.data.leaveEvent.name}`);
-    console.log(`   Updated attendee count: ${leaveData.data.leaveEvent.attendees.length}`);
+    console.log(`   Updated attendee count: ${leaveData.data.leaveEvent.attendees.edges.length}`);
 
     // Test 5: Verify persistence by querying events again
     console.log('\n5️⃣ Testing data persistence...');
@@ -154,10 +219,10 @@ async function testGraphQLAPI() {
     });
 
     const verifyData = await verifyResponse.json();
-    const verifyEvent = verifyData.data.events.find(e => e.id === eventId);
+    const verifyEvent = verifyData.data.events.edges.map(edge => edge.node).find(e => e.id === eventId);
     
     console.log(`✅ Event persistence verified`);
-    console.log(`   Event "${verifyEvent.name}" has ${verifyEvent.attendees.length} attendees`);
+    console.log(`   Event "${verifyEvent.name}" has ${verifyEvent.attendees.edges.length} attendees`);
 
     console.log('\n🎉 All GraphQL API tests passed! Database integration is working correctly.');
 
@@ -0,0 +1,68 @@
+const fetch = require('node-fetch');
+
+// Shared by the test-*.js scripts, which run against a server started with `npm run dev`
+// and the demo data from `npm run db:setup`
+const GRAPHQL_ENDPOINT = 'http://localhost:4000/graphql';
+const SOCKET_ENDPOINT = 'http://localhost:4000';
+const DEMO_PASSWORD = 'password123';
+
+async function graphql(query, variables = {}, token, endpoint = GRAPHQL_ENDPOINT) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ query, variables })
+  });
+  return response.json();
+}
+
+// Token and user id of a demo account
+async function loginUser(email, endpoint = GRAPHQL_ENDPOINT) {
+  const result = await graphql(`
+    mutation($email: String!, $password: String!) {
+      login(email: $email, password: $password) {
+        token
+        user { id }
+      }
+    }
+  `, { email, password: DEMO_PASSWORD }, undefined, endpoint);
+  if (result.errors) {
+    throw new Error(`Login failed for ${email}: ${result.errors[0].message}`);
+  }
+  return result.data.login;
+}
+
+async function login(email, endpoint = GRAPHQL_ENDPOINT) {
+  return (await loginUser(email, endpoint)).token;
+}
+
+// signup(label) for a suite: signs up a fresh user named "<prefix> <label>" and returns their
+// token and user id. Works with .map(), which also passes the index.
+function signupAs(prefix, endpoint = GRAPHQL_ENDPOINT) {
+  return async (label) => {
+    const result = await graphql(`
+      mutation($name: String!, $email: String!, $password: String!) {
+        signup(name: $name, email: $email, password: $password) { token user { id } }
+      }
+    `, {
+      name: `${prefix} ${label}`,
+      email: `${prefix.toLowerCase().replace(/\W+/g, '-')}-${Date.now()}-${label}@example.com`,
+      password: DEMO_PASSWORD
+    }, undefined, endpoint);
+    return result.data.signup;
+  };
+}
+
+module.exports = {
+  GRAPHQL_ENDPOINT,
+  SOCKET_ENDPOINT,
+  DEMO_PASSWORD,
+  graphql,
+  loginUser,
+  login,
+  signupAs
+};
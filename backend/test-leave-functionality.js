@@ -9,7 +9,7 @@ async function testLeaveEventFunctionality() {
     // Step 1: Get an existing event to test with
     console.log('\n1️⃣ Finding an event to test with...');
     const events = await prisma.event.findMany({
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     if (events.length === 0) {
@@ -20,14 +20,14 @@ async function testLeaveEventFunctionality() {
           location: 'Test Location',
           startTime: new Date()
         },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       events.push(testEvent);
     }
     
     const testEvent = events[0];
     console.log(`✅ Using event: "${testEvent.name}" (ID: ${testEvent.id})`);
-    console.log(`   Initial attendees: ${testEvent.attendees.length}`);
+    console.log(`   Initial attendees: ${testEvent.registrations.length}`);
     
     // Step 2: Create a test user
     console.log('\n2️⃣ Creating test user for leave functionality...');
@@ -45,18 +45,18 @@ async function testLeaveEventFunctionality() {
     const eventAfterJoin = await prisma.event.update({
       where: { id: testEvent.id },
       data: {
-        attendees: {
-          connect: { id: testUser.id }
+        registrations: {
+          create: { userId: testUser.id }
         }
       },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     console.log(`✅ User joined event successfully`);
-    console.log(`   Attendees after join: ${eventAfterJoin.attendees.length}`);
+    console.log(`   Attendees after join: ${eventAfterJoin.registrations.length}`);
     
     // Verify user is in attendees list
-    const userInAttendees = eventAfterJoin.attendees.some(attendee => attendee.id === testUser.id);
+    const userInAttendees = eventAfterJoin.registrations.some(registration => registration.userId === testUser.id);
     console.log(`✅ User is in attendees list: ${userInAttendees ? 'YES' : 'NO'}`);
     
     if (!userInAttendees) {
@@ -68,62 +68,62 @@ async function testLeaveEventFunctionality() {
     const eventAfterLeave = await prisma.event.update({
       where: { id: testEvent.id },
       data: {
-        attendees: {
-          disconnect: { id: testUser.id }
+        registrations: {
+          deleteMany: { userId: testUser.id }
         }
       },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     console.log(`✅ Leave event operation completed`);
-    console.log(`   Attendees after leave: ${eventAfterLeave.attendees.length}`);
-    console.log(`   Expected attendees: ${eventAfterJoin.attendees.length - 1}`);
+    console.log(`   Attendees after leave: ${eventAfterLeave.registrations.length}`);
+    console.log(`   Expected attendees: ${eventAfterJoin.registrations.length - 1}`);
     
     // Step 5: Verify user was removed
     console.log('\n5️⃣ Verifying user was properly removed...');
-    const userStillInAttendees = eventAfterLeave.attendees.some(attendee => attendee.id === testUser.id);
+    const userStillInAttendees = eventAfterLeave.registrations.some(registration => registration.userId === testUser.id);
     console.log(`✅ User still in attendees: ${userStillInAttendees ? 'YES (❌ FAILED)' : 'NO (✅ SUCCESS)'}`);
     
-    const attendeeCountCorrect = eventAfterLeave.attendees.length === (eventAfterJoin.attendees.length - 1);
+    const attendeeCountCorrect = eventAfterLeave.registrations.length === (eventAfterJoin.registrations.length - 1);
     console.log(`✅ Attendee count correct: ${attendeeCountCorrect ? 'YES' : 'NO'}`);
     
     // Step 6: Test database persistence
     console.log('\n6️⃣ Testing database persistence...');
     const eventFromDb = await prisma.event.findUnique({
       where: { id: testEvent.id },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
-    const userStillInDbAttendees = eventFromDb.attendees.some(attendee => attendee.id === testUser.id);
+    const userStillInDbAttendees = eventFromDb.registrations.some(registration => registration.userId === testUser.id);
     console.log(`✅ User persisted as removed in DB: ${!userStillInDbAttendees ? 'YES' : 'NO (❌ FAILED)'}`);
-    console.log(`   DB attendee count: ${eventFromDb.attendees.length}`);
+    console.log(`   DB attendee count: ${eventFromDb.registrations.length}`);
     
     // Step 7: Test user-event relationship from user perspective
     console.log('\n7️⃣ Checking user-event relationship...');
     const userWithEvents = await prisma.user.findUnique({
       where: { id: testUser.id },
-      include: { events: true }
+      include: { registrations: true }
     });
     
-    const userStillHasEvent = userWithEvents.events.some(event => event.id === testEvent.id);
+    const userStillHasEvent = userWithEvents.registrations.some(registration => registration.eventId === testEvent.id);
     console.log(`✅ User still has event in their list: ${userStillHasEvent ? 'YES (❌ FAILED)' : 'NO (✅ SUCCESS)'}`);
-    console.log(`   User's current events: ${userWithEvents.events.length}`);
+    console.log(`   User's current events: ${userWithEvents.registrations.length}`);
     
     // Step 8: Test re-joining after leaving (should work)
     console.log('\n8️⃣ Testing re-join after leave...');
     const eventAfterRejoin = await prisma.event.update({
       where: { id: testEvent.id },
       data: {
-        attendees: {
-          connect: { id: testUser.id }
+        registrations: {
+          create: { userId: testUser.id }
         }
       },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
-    const userRejoinedSuccessfully = eventAfterRejoin.attendees.some(attendee => attendee.id === testUser.id);
+    const userRejoinedSuccessfully = eventAfterRejoin.registrations.some(registration => registration.userId === testUser.id);
     console.log(`✅ User can re-join after leaving: ${userRejoinedSuccessfully ? 'YES' : 'NO'}`);
-    console.log(`   Attendees after re-join: ${eventAfterRejoin.attendees.length}`);
+    console.log(`   Attendees after re-join: ${eventAfterRejoin.registrations.length}`);
     
     // Step 9: Final cleanup and summary
     console.log('\n9️⃣ Final cleanup and test summary...');
@@ -132,8 +132,8 @@ async function testLeaveEventFunctionality() {
     await prisma.event.update({
       where: { id: testEvent.id },
       data: {
-        attendees: {
-          disconnect: { id: testUser.id }
+        registrations: {
+          deleteMany: { userId: testUser.id }
         }
       }
     });
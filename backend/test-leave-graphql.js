@@ -12,15 +12,23 @@ async function testLeaveEventViaGraphQL() {
     const eventsQuery = {
       query: `
         query {
-          events {
-            id
-            name
-            location
-            startTime
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                location
+                startTime
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -38,7 +46,7 @@ async function testLeaveEventViaGraphQL() {
       throw new Error(`GraphQL Error: ${eventsData.errors[0].message}`);
     }
 
-    const events = eventsData.data.events;
+    const events = eventsData.data.events.edges.map(edge => edge.node);
     console.log(`✅ Found ${events.length} events via GraphQL`);
     
     if (events.length === 0) {
@@ -47,35 +55,63 @@ async function testLeaveEventViaGraphQL() {
 
     const testEvent = events[0];
     console.log(`✅ Using event: "${testEvent.name}"`);
-    console.log(`   Initial attendees: ${testEvent.attendees.length}`);
+    console.log(`   Initial attendees: ${testEvent.attendees.edges.length}`);
 
-    // Step 2: Create test user via GraphQL (joinEvent creates user if not exists)
+    // Step 2: Sign up a test user via GraphQL and join the event with its token
     console.log('\n2️⃣ Creating test user and joining event via GraphQL...');
     const testEmail = `graphql-leave-test-${Date.now()}@example.com`;
+
+    const signupResponse = await fetch('http://localhost:4000/graphql', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: `
+          mutation($name: String!, $email: String!, $password: String!) {
+            signup(name: $name, email: $email, password: $password) {
+              token
+            }
+          }
+        `,
+        variables: { name: 'Leave Test', email: testEmail, password: 'password123' }
+      })
+    });
+
+    const signupData = await signupResponse.json();
+    if (signupData.errors) {
+      throw new Error(`Signup Error: ${signupData.errors[0].message}`);
+    }
+
+    const authHeaders = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${signupData.data.signup.token}`
+    };
     
     const joinMutation = {
       query: `
-        mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation JoinEvent($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
       variables: {
-        eventId: testEvent.id,
-        userEmail: testEmail
+        eventId: testEvent.id
       }
     };
 
     const joinResponse = await fetch('http://localhost:4000/graphql', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(joinMutation)
     });
 
@@ -86,10 +122,10 @@ async function testLeaveEventViaGraphQL() {
 
     const eventAfterJoin = joinData.data.joinEvent;
     console.log(`✅ User joined event successfully via GraphQL`);
-    console.log(`   Attendees after join: ${eventAfterJoin.attendees.length}`);
+    console.log(`   Attendees after join: ${eventAfterJoin.attendees.edges.length}`);
     
     // Verify user is in the attendees
-    const userInAttendees = eventAfterJoin.attendees.some(attendee => attendee.email === testEmail);
+    const userInAttendees = eventAfterJoin.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === testEmail);
     console.log(`✅ User found in attendees list: ${userInAttendees ? 'YES' : 'NO'}`);
 
     if (!userInAttendees) {
@@ -100,27 +136,30 @@ async function testLeaveEventViaGraphQL() {
     console.log('\n3️⃣ 🎯 TESTING LEAVE EVENT VIA GRAPHQL...');
     const leaveMutation = {
       query: `
-        mutation LeaveEvent($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation LeaveEvent($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
       variables: {
-        eventId: testEvent.id,
-        userEmail: testEmail
+        eventId: testEvent.id
       }
     };
 
     const leaveResponse = await fetch('http://localhost:4000/graphql', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(leaveMutation)
     });
 
@@ -131,15 +170,15 @@ async function testLeaveEventViaGraphQL() {
 
     const eventAfterLeave = leaveData.data.leaveEvent;
     console.log(`✅ Leave event operation completed via GraphQL`);
-    console.log(`   Attendees after leave: ${eventAfterLeave.attendees.length}`);
-    console.log(`   Expected attendees: ${eventAfterJoin.attendees.length - 1}`);
+    console.log(`   Attendees after leave: ${eventAfterLeave.attendees.edges.length}`);
+    console.log(`   Expected attendees: ${eventAfterJoin.attendees.edges.length - 1}`);
 
     // Step 4: Verify user was removed via GraphQL
     console.log('\n4️⃣ Verifying user removal via GraphQL...');
-    const userStillInAttendees = eventAfterLeave.attendees.some(attendee => attendee.email === testEmail);
+    const userStillInAttendees = eventAfterLeave.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === testEmail);
     console.log(`✅ User still in attendees: ${userStillInAttendees ? 'YES (❌ FAILED)' : 'NO (✅ SUCCESS)'}`);
     
-    const attendeeCountCorrect = eventAfterLeave.attendees.length === (eventAfterJoin.attendees.length - 1);
+    const attendeeCountCorrect = eventAfterLeave.attendees.edges.length === (eventAfterJoin.attendees.edges.length - 1);
     console.log(`✅ Attendee count correct: ${attendeeCountCorrect ? 'YES' : 'NO'}`);
 
     // Step 5: Verify via fresh GraphQL query
@@ -151,17 +190,17 @@ async function testLeaveEventViaGraphQL() {
     });
 
     const verifyData = await verifyResponse.json();
-    const updatedEvent = verifyData.data.events.find(e => e.id === testEvent.id);
-    const userStillInFreshQuery = updatedEvent.attendees.some(attendee => attendee.email === testEmail);
+    const updatedEvent = verifyData.data.events.edges.map(edge => edge.node).find(e => e.id === testEvent.id);
+    const userStillInFreshQuery = updatedEvent.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === testEmail);
     
     console.log(`✅ User in fresh query: ${userStillInFreshQuery ? 'YES (❌ FAILED)' : 'NO (✅ SUCCESS)'}`);
-    console.log(`   Fresh query attendee count: ${updatedEvent.attendees.length}`);
+    console.log(`   Fresh query attendee count: ${updatedEvent.attendees.edges.length}`);
 
     // Step 6: Test re-joining after leaving
     console.log('\n6️⃣ Testing re-join after leave via GraphQL...');
     const rejoinResponse = await fetch('http://localhost:4000/graphql', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(joinMutation)
     });
 
@@ -170,14 +209,14 @@ async function testLeaveEventViaGraphQL() {
       console.log(`⚠️ Re-join failed (expected if user doesn't exist): ${rejoinData.errors[0].message}`);
     } else {
       const eventAfterRejoin = rejoinData.data.joinEvent;
-      const userRejoined = eventAfterRejoin.attendees.some(attendee => attendee.email === testEmail);
+      const userRejoined = eventAfterRejoin.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === testEmail);
       console.log(`✅ User can re-join after leaving: ${userRejoined ? 'YES' : 'NO'}`);
       
       // Clean up - leave again
       if (userRejoined) {
         await fetch('http://localhost:4000/graphql', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: authHeaders,
           body: JSON.stringify(leaveMutation)
         });
       }
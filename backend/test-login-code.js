@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { graphql } = require('./test-helpers');
+
+// Start the server with MAIL_TRANSPORT=file so codes can be read back from the outbox
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+
+function readLatestCode(email) {
+  const files = fs.readdirSync(OUTBOX_DIR)
+    .filter(file => file.endsWith(`-${email}.txt`))
+    .sort();
+  if (files.length === 0) {
+    throw new Error(`No email found for ${email} in ${OUTBOX_DIR}`);
+  }
+
+  const contents = fs.readFileSync(path.join(OUTBOX_DIR, files[files.length - 1]), 'utf8');
+  const match = contents.match(/login code is (\d+)/);
+  if (!match) {
+    throw new Error('Login code not found in email');
+  }
+  return match[1];
+}
+
+const REQUEST_CODE = `
+  mutation($email: String!) {
+    requestLoginCode(email: $email)
+  }
+`;
+
+const VERIFY_CODE = `
+  mutation($email: String!, $code: String!) {
+    verifyLoginCode(email: $email, code: $code) {
+      token
+      user {
+        id
+        email
+      }
+    }
+  }
+`;
+
+async function testLoginCodeFlow() {
+  console.log('✉️ Testing passwordless login codes...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  try {
+    const email = `code-test-${Date.now()}@example.com`;
+
+    console.log('\n1️⃣ Requesting a login code...');
+    const requestData = await graphql(REQUEST_CODE, { email });
+    check('requestLoginCode returns true', requestData.data?.requestLoginCode === true);
+
+    console.log('\n2️⃣ Requesting again immediately is rate limited...');
+    const resendData = await graphql(REQUEST_CODE, { email });
+    check('Immediate resend rejected with RATE_LIMITED', resendData.errors?.[0]?.code === 'RATE_LIMITED');
+
+    const code = readLatestCode(email);
+    console.log(`   Code read from outbox: ${code}`);
+
+    console.log('\n3️⃣ Verifying with a wrong code...');
+    const wrongCode = code === '000000' ? '111111' : '000000';
+    const wrongData = await graphql(VERIFY_CODE, { email, code: wrongCode });
+    check('Wrong code rejected with INVALID_LOGIN_CODE', wrongData.errors?.[0]?.code === 'INVALID_LOGIN_CODE');
+
+    console.log('\n4️⃣ Verifying with the correct code...');
+    const verifyData = await graphql(VERIFY_CODE, { email, code });
+    const token = verifyData.data?.verifyLoginCode?.token;
+    check('Correct code returns a token', Boolean(token));
+    check('Account created for new email', verifyData.data?.verifyLoginCode?.user?.email === email);
+
+    const meData = await graphql('query { me { email } }', {}, token);
+    check('Token authenticates the me query', meData.data?.me?.email === email);
+
+    console.log('\n5️⃣ Reusing the same code...');
+    const reuseData = await graphql(VERIFY_CODE, { email, code });
+    check('Used code rejected', reuseData.errors?.[0]?.code === 'INVALID_LOGIN_CODE');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL LOGIN CODE TESTS PASSED' : '❌ SOME LOGIN CODE TESTS FAILED');
+    process.exit(allPassed ? 0 : 1);
+  } catch (error) {
+    console.error('\n❌ Login code test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testLoginCodeFlow();
@@ -0,0 +1,102 @@
+const { io } = require('socket.io-client');
+const { graphql, login, signupAs } = require('./test-helpers');
+
+// Needs two instances against the same database, started from backend/ in two terminals:
+//   npm run dev
+//   PORT=4001 npm run dev
+// Relies on the demo data from `npm run db:setup`
+const INSTANCE_A = process.env.INSTANCE_A || 'http://localhost:4000';
+const INSTANCE_B = process.env.INSTANCE_B || 'http://localhost:4001';
+// GraphQL requests all go to A; B only serves the viewer's socket
+const GRAPHQL_A = `${INSTANCE_A}/graphql`;
+const graphqlOnA = (query, variables, token) => graphql(query, variables, token, GRAPHQL_A);
+const signup = signupAs('Replica', GRAPHQL_A);
+
+function connect(instance, token) {
+  const socket = io(instance, { auth: { token }, transports: ['websocket'], reconnection: false });
+  return new Promise((resolve, reject) => {
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+}
+
+const wait = (ms = 1000) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testMultiInstance() {
+  console.log('🛰️ Testing real-time updates across two instances...');
+  console.log(`   A: ${INSTANCE_A}`);
+  console.log(`   B: ${INSTANCE_B}`);
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com', GRAPHQL_A);
+  const sockets = [];
+  let eventId;
+
+  try {
+    const [attendee, viewer] = await Promise.all(['attendee', 'viewer'].map(signup));
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphqlOnA(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Replica Test', location: 'Load Balancer', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphqlOnA('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    // The viewer watches from instance B; every change below goes through instance A
+    const viewerSocket = await connect(INSTANCE_B, viewer.token);
+    sockets.push(viewerSocket);
+    const deltas = [];
+    const summaries = [];
+    const revoked = [];
+    viewerSocket.on('attendeeDelta', delta => deltas.push(delta));
+    viewerSocket.on('eventSummary', summary => summary.id === eventId && summaries.push(summary));
+    viewerSocket.on('eventAccessRevoked', payload => revoked.push(payload.eventId));
+    viewerSocket.emit('joinEventSummaries');
+    const joined = await new Promise(resolve => viewerSocket.emit('joinEventRoom', eventId, resolve));
+    check('Viewer joined the event room on instance B', joined?.ok === true);
+
+    console.log('\n1️⃣ Joining through instance A...');
+    await graphqlOnA('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, attendee.token);
+    await wait();
+    check('attendeeDelta reaches the socket on instance B',
+      deltas.some(delta => delta.eventId === eventId && delta.type === 'ADDED' && delta.user.id === attendee.user.id));
+    check('eventSummary reaches the list channel on instance B', summaries.some(summary => summary.attendeeCount === 1));
+
+    console.log('\n2️⃣ Resyncing through instance B...');
+    const resync = await new Promise(resolve => viewerSocket.emit('resync', { eventId, sinceVersion: 0 }, resolve));
+    check('Instance B serves the deltas written by instance A', resync.deltas?.length === 1);
+
+    console.log('\n3️⃣ Revoking access from instance A...');
+    await graphqlOnA('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: DRAFT) { id } }', { eventId }, organizerToken);
+    await wait();
+    check('Instance A removes the viewer\'s socket on instance B from the room', revoked.includes(eventId));
+
+    console.log('\n4️⃣ Logging out through instance A...');
+    let disconnectReason = null;
+    viewerSocket.on('disconnect', reason => { disconnectReason = reason; });
+    await graphqlOnA('mutation { logout }', {}, viewer.token);
+    await wait();
+    check('The viewer\'s socket on instance B is disconnected', disconnectReason === 'io server disconnect');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL MULTI-INSTANCE TESTS PASSED' : '❌ SOME MULTI-INSTANCE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Multi-instance test failed:', error.message);
+    allPassed = false;
+  } finally {
+    sockets.forEach(socket => socket.close());
+    if (eventId) {
+      await graphqlOnA('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testMultiInstance();
@@ -0,0 +1,130 @@
+// Relies on the demo data from `npm run db:setup`
+const { createHash, randomUUID } = require('crypto');
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Offline');
+
+const ROSTER = `
+  query($eventId: ID!) {
+    checkInRoster(eventId: $eventId) {
+      generatedAt
+      entries { registrationId status ticketCode ticketHash user { id } }
+    }
+  }
+`;
+
+const SYNC = `
+  mutation($eventId: ID!, $checkIns: [OfflineCheckInInput!]!) {
+    syncCheckIns(eventId: $eventId, checkIns: $checkIns) {
+      id idempotencyKey status conflictReason scannedAt
+    }
+  }
+`;
+
+const CONFLICTS = `
+  query($eventId: ID!) {
+    checkInConflicts(eventId: $eventId) { id conflictReason attendee { id } staff { email } }
+  }
+`;
+
+const offlineCheckIn = (registrationId, deviceId) => ({
+  idempotencyKey: randomUUID(),
+  registrationId,
+  scannedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+  deviceId
+});
+
+async function testOfflineCheckIn() {
+  console.log('📶 Testing offline check-in sync...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  let eventId;
+
+  try {
+    const [first, second, leaver] = await Promise.all(['first', 'second', 'leaver'].map(signup));
+
+    // Started a minute ago so the event is LIVE
+    const startTime = new Date(Date.now() - 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Offline Test', location: 'Basement', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    for (const user of [first, second, leaver]) {
+      await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, user.token);
+    }
+
+    console.log('\n1️⃣ Downloading the roster...');
+    const byAttendee = await graphql(ROSTER, { eventId }, first.token);
+    check('Attendees cannot download the roster (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    const roster = (await graphql(ROSTER, { eventId }, organizerToken)).data.checkInRoster;
+    check('Roster lists every attendee', roster.entries.length === 3);
+
+    const ticket = (await graphql(`
+      query($eventId: ID!) { event(id: $eventId) { myRegistration { ticket { token code } } } }
+    `, { eventId }, first.token)).data.event.myRegistration.ticket;
+    const entry = roster.entries.find(candidate => candidate.user.id === first.user.id);
+    check('Roster hash matches the SHA-256 of the attendee\'s ticket',
+      entry.ticketHash === createHash('sha256').update(ticket.token).digest('hex') && entry.ticketCode === ticket.code);
+
+    console.log('\n2️⃣ Syncing queued check-ins...');
+    const doorA = offlineCheckIn(entry.registrationId, 'door-a');
+    const synced = (await graphql(SYNC, { eventId, checkIns: [doorA] }, organizerToken)).data.syncCheckIns;
+    check('Queued check-in is applied', synced[0].status === 'APPLIED' && synced[0].scannedAt === doorA.scannedAt);
+
+    const resent = (await graphql(SYNC, { eventId, checkIns: [doorA] }, organizerToken)).data.syncCheckIns;
+    check('Resending the same idempotency key returns the original result', resent[0].id === synced[0].id);
+
+    const counts = (await graphql('query($eventId: ID!) { event(id: $eventId) { checkedInCount } }', { eventId }, organizerToken)).data.event;
+    check('Attendee was checked in exactly once', counts.checkedInCount === 1);
+
+    console.log('\n3️⃣ Surfacing conflicts...');
+    const doorB = offlineCheckIn(entry.registrationId, 'door-b');
+    const leaverEntry = roster.entries.find(candidate => candidate.user.id === leaver.user.id);
+    await graphql('mutation($eventId: ID!) { leaveEvent(eventId: $eventId) { id } }', { eventId }, leaver.token);
+    const secondEntry = roster.entries.find(candidate => candidate.user.id === second.user.id);
+
+    const mixed = (await graphql(SYNC, {
+      eventId,
+      checkIns: [doorB, offlineCheckIn(leaverEntry.registrationId, 'door-b'), offlineCheckIn(secondEntry.registrationId, 'door-b')]
+    }, organizerToken)).data.syncCheckIns;
+    check('Same ticket scanned at two doors is a conflict',
+      mixed[0].status === 'CONFLICT' && mixed[0].conflictReason === 'ALREADY_CHECKED_IN');
+    check('Check-in for a revoked ticket is a conflict',
+      mixed[1].status === 'CONFLICT' && mixed[1].conflictReason === 'NOT_REGISTERED');
+    check('Other check-ins in the batch still apply', mixed[2].status === 'APPLIED');
+
+    const conflicts = (await graphql(CONFLICTS, { eventId }, organizerToken)).data.checkInConflicts;
+    check('Organizer sees both conflicts', conflicts.length === 2);
+
+    const staffOnly = await graphql(CONFLICTS, { eventId }, second.token);
+    check('Attendees cannot see conflicts (FORBIDDEN)', staffOnly.errors?.[0]?.code === 'FORBIDDEN');
+
+    await graphql('mutation($id: ID!) { resolveCheckInConflict(id: $id) { id } }', { id: conflicts[0].id }, organizerToken);
+    const remaining = (await graphql(CONFLICTS, { eventId }, organizerToken)).data.checkInConflicts;
+    check('Resolved conflicts drop off the list', remaining.length === 1);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL OFFLINE CHECK-IN TESTS PASSED' : '❌ SOME OFFLINE CHECK-IN TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Offline check-in test failed:', error.message);
+    allPassed = false;
+  } finally {
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testOfflineCheckIn();
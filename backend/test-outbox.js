@@ -0,0 +1,120 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Outbox');
+
+function connect(token) {
+  const socket = io(SOCKET_ENDPOINT, { auth: { token }, reconnection: false });
+  return new Promise((resolve, reject) => {
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+}
+
+async function history(adminToken, eventId) {
+  const result = await graphql(`
+    query($eventId: ID) { outboxMessages(eventId: $eventId, first: 100) { id type eventId payload } }
+  `, { eventId }, adminToken);
+  return result.data.outboxMessages.map(message => ({ ...message, payload: JSON.parse(message.payload) }));
+}
+
+const wait = (ms = 1500) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testOutbox() {
+  console.log('📮 Testing the transactional outbox...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const [adminToken, organizerToken] = await Promise.all([login('alice@example.com'), login('bob@example.com')]);
+  const sockets = [];
+  let eventId;
+
+  try {
+    const [first, second, viewer] = await Promise.all(['first', 'second', 'viewer'].map(signup));
+
+    console.log('\n1️⃣ Recording changes with their writes...');
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Outbox Test', location: 'Mail Room', startTime, capacity: 1 } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    const viewerSocket = await connect(viewer.token);
+    sockets.push(viewerSocket);
+    const deltas = [];
+    viewerSocket.on('attendeeDelta', delta => deltas.push(delta));
+    await new Promise(resolve => viewerSocket.emit('joinEventRoom', eventId, resolve));
+
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, first.token);
+    await wait();
+
+    let messages = await history(adminToken, eventId);
+    const types = messages.map(message => message.type);
+    check('Creating and publishing the event were recorded',
+      messages.some(message => message.type === 'EVENT_CHANGED' && message.payload.change === 'CREATED') &&
+      messages.some(message => message.type === 'EVENT_CHANGED' && message.payload.event.status === 'PUBLISHED'));
+    const joined = messages.find(message => message.type === 'ATTENDEE_JOINED');
+    check('Joining was recorded with its delta', joined?.payload.delta.user.id === first.user.id);
+    check('The socket sink delivered the delta', deltas.some(delta => delta.user.id === first.user.id && delta.version === 1));
+
+    console.log('\n2️⃣ Rolling back...');
+    const full = await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, second.token);
+    check('Joining a full event fails', full.errors?.[0]?.extensions?.code === 'EVENT_FULL');
+    messages = await history(adminToken, eventId);
+    check('A failed write records nothing', messages.length === types.length);
+
+    console.log('\n3️⃣ Reading the history...');
+    const forbidden = await graphql('query { outboxMessages { id } }', {}, organizerToken);
+    check('Only admins can read the outbox', forbidden.errors?.[0]?.extensions?.code === 'FORBIDDEN');
+
+    const cursors = await graphql('query { outboxCursors { sink messageId } }', {}, adminToken);
+    const socketCursor = cursors.data.outboxCursors.find(cursor => cursor.sink === 'sockets');
+    check('The sockets cursor has moved past the join', BigInt(socketCursor?.messageId ?? 0) >= BigInt(joined.id));
+
+    console.log('\n4️⃣ Replaying...');
+    const unknown = await graphql(`
+      mutation { replayOutbox(sink: "nowhere", fromId: "1") { sink } }
+    `, {}, adminToken);
+    check('Unknown sinks cannot be replayed', unknown.errors?.[0]?.extensions?.code === 'BAD_USER_INPUT');
+
+    const deliveredBefore = deltas.length;
+    const replay = await graphql(`
+      mutation($fromId: ID!) { replayOutbox(sink: "sockets", fromId: $fromId) { sink messageId } }
+    `, { fromId: joined.id }, adminToken);
+    check('replayOutbox moves the cursor back', BigInt(replay.data?.replayOutbox.messageId) === BigInt(joined.id) - 1n);
+    await wait();
+    check('The delta is delivered again', deltas.length > deliveredBefore &&
+      deltas.slice(deliveredBefore).some(delta => delta.version === 1 && delta.user.id === first.user.id));
+
+    console.log('\n5️⃣ Deleting...');
+    await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    const deletedId = eventId;
+    eventId = null;
+    messages = await history(adminToken, deletedId);
+    check('Deleting the event was recorded and its history kept',
+      messages.some(message => message.type === 'EVENT_DELETED' && message.payload.name === 'Outbox Test') &&
+      messages.some(message => message.type === 'ATTENDEE_JOINED'));
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL OUTBOX TESTS PASSED' : '❌ SOME OUTBOX TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Outbox test failed:', error.message);
+    allPassed = false;
+  } finally {
+    sockets.forEach(socket => socket.close());
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testOutbox();
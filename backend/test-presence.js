@@ -0,0 +1,109 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Presence');
+
+function connect(token) {
+  const socket = io(SOCKET_ENDPOINT, { auth: { token }, reconnection: false });
+  return new Promise((resolve, reject) => {
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+}
+
+async function presence(eventId, token) {
+  const result = await graphql(`
+    query($eventId: ID!) { presence(eventId: $eventId) { viewerCount staffDevices { deviceId door user { id } } } }
+  `, { eventId }, token);
+  return result.data.presence;
+}
+
+const wait = (ms = 1000) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testPresence() {
+  console.log('👀 Testing live presence...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const sockets = [];
+  let eventId;
+
+  try {
+    const [first, second] = await Promise.all(['first', 'second'].map(signup));
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Presence Test', location: 'Lobby', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    console.log('\n1️⃣ Counting viewers...');
+    const firstSocket = await connect(first.token);
+    sockets.push(firstSocket);
+    const updates = [];
+    firstSocket.on('presenceUpdated', update => updates.push(update));
+    await new Promise(resolve => firstSocket.emit('joinEventRoom', eventId, resolve));
+
+    const secondSocket = await connect(second.token);
+    const secondTab = await connect(second.token);
+    sockets.push(secondSocket, secondTab);
+    await new Promise(resolve => secondSocket.emit('joinEventRoom', eventId, resolve));
+    await new Promise(resolve => secondTab.emit('joinEventRoom', eventId, resolve));
+    await wait();
+
+    check('Each person counts once, however many tabs they have open', (await presence(eventId, first.token)).viewerCount === 2);
+    check('presenceUpdated reaches the room', updates.some(update => update.eventId === eventId && update.viewerCount === 2));
+
+    console.log('\n2️⃣ Registering a check-in device...');
+    const refused = await new Promise(resolve => firstSocket.emit('joinCheckInDesk', { eventId, deviceId: 'attendee-phone' }, resolve));
+    check('Attendees cannot register as check-in devices', typeof refused?.error === 'string');
+
+    const deskSocket = await connect(organizerToken);
+    sockets.push(deskSocket);
+    const joined = await new Promise(resolve => deskSocket.emit('joinCheckInDesk', { eventId, deviceId: 'scanner-1', door: 'North' }, resolve));
+    check('Organizers can register a check-in device', joined?.ok === true);
+    await wait();
+
+    const staffView = await presence(eventId, organizerToken);
+    check('Organizers see the device and its door', staffView.staffDevices?.some(device => device.deviceId === 'scanner-1' && device.door === 'North'));
+    check('Check-in devices are not counted as viewers', staffView.viewerCount === 2);
+    check('Attendees do not see check-in devices', (await presence(eventId, first.token)).staffDevices === null);
+    check('presenceUpdated reports the device count', updates.some(update => update.staffDeviceCount === 1));
+
+    console.log('\n3️⃣ Leaving...');
+    secondSocket.close();
+    await wait();
+    check('Closing one of two tabs keeps the person counted', (await presence(eventId, first.token)).viewerCount === 2);
+    secondTab.close();
+    await wait();
+    check('Disconnecting removes the viewer', (await presence(eventId, first.token)).viewerCount === 1);
+    check('The room hears about it', updates[updates.length - 1]?.viewerCount === 1);
+
+    deskSocket.emit('leaveCheckInDesk', eventId);
+    await wait();
+    check('Leaving the desk takes the device offline', (await presence(eventId, organizerToken)).staffDevices?.length === 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL PRESENCE TESTS PASSED' : '❌ SOME PRESENCE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Presence test failed:', error.message);
+    allPassed = false;
+  } finally {
+    sockets.forEach(socket => socket.close());
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testPresence();
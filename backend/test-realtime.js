@@ -12,13 +12,21 @@ async function testRealtimeUpdates() {
     const eventsQuery = {
       query: `
         query {
-          events {
-            id
-            name
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -32,17 +40,45 @@ async function testRealtimeUpdates() {
     });
 
     const eventsData = await eventsResponse.json();
-    const testEvent = eventsData.data.events[0];
+    const testEvent = eventsData.data.events.edges[0].node;
     
     console.log(`1️⃣ Testing with event: ${testEvent.name}`);
-    console.log(`   Initial attendees: ${testEvent.attendees.length}`);
+    console.log(`   Initial attendees: ${testEvent.attendees.edges.length}`);
+
+    // Sign up the test user first; sockets need a session token
+    const testUserEmail = `realtime-test-${Date.now()}@example.com`;
+    const signupResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: `
+          mutation($name: String!, $email: String!, $password: String!) {
+            signup(name: $name, email: $email, password: $password) {
+              token
+            }
+          }
+        `,
+        variables: { name: 'Realtime Test', email: testUserEmail, password: 'password123' }
+      })
+    });
+
+    const signupData = await signupResponse.json();
+    const token = signupData.data.signup.token;
+    const authHeaders = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    };
 
     // Create multiple socket connections to simulate multiple users
-    const socket1 = io(SOCKET_ENDPOINT);
-    const socket2 = io(SOCKET_ENDPOINT);
+    const socket1 = io(SOCKET_ENDPOINT, { auth: { token } });
+    const socket2 = io(SOCKET_ENDPOINT, { auth: { token } });
+    // Follows the list channel only, so it should see counts but never attendee deltas
+    const listSocket = io(SOCKET_ENDPOINT, { auth: { token } });
     
     let socket1Events = [];
     let socket2Events = [];
+    let summaries = [];
+    let listDeltas = [];
     
     // Set up event listeners
     socket1.on('connect', () => {
@@ -55,34 +91,26 @@ async function testRealtimeUpdates() {
       socket2.emit('joinEventRoom', testEvent.id);
     });
     
-    socket1.on('userJoined', (data) => {
-      console.log(`📢 Socket 1 received userJoined: ${data.user.name} joined ${data.eventId}`);
-      socket1Events.push('userJoined');
+    listSocket.on('connect', () => {
+      console.log('✅ List socket connected');
+      listSocket.emit('joinEventSummaries');
     });
-    
-    socket1.on('userLeft', (data) => {
-      console.log(`📢 Socket 1 received userLeft: ${data.user.name} left ${data.eventId}`);
-      socket1Events.push('userLeft');
-    });
-    
-    socket1.on('eventUpdated', (data) => {
-      console.log(`📢 Socket 1 received eventUpdated: Event ${data.eventId} now has ${data.attendees.length} attendees`);
-      socket1Events.push('eventUpdated');
-    });
-    
-    socket2.on('userJoined', (data) => {
-      console.log(`📢 Socket 2 received userJoined: ${data.user.name} joined ${data.eventId}`);
-      socket2Events.push('userJoined');
+
+    listSocket.on('eventSummary', (summary) => {
+      if (summary.id === testEvent.id) {
+        summaries.push(summary);
+      }
     });
-    
-    socket2.on('userLeft', (data) => {
-      console.log(`📢 Socket 2 received userLeft: ${data.user.name} left ${data.eventId}`);
-      socket2Events.push('userLeft');
+    listSocket.on('attendeeDelta', (delta) => listDeltas.push(delta));
+
+    socket1.on('attendeeDelta', (delta) => {
+      console.log(`📢 Socket 1 received attendeeDelta v${delta.version}: ${delta.user.name} ${delta.type} in ${delta.eventId}`);
+      socket1Events.push(delta);
     });
     
-    socket2.on('eventUpdated', (data) => {
-      console.log(`📢 Socket 2 received eventUpdated: Event ${data.eventId} now has ${data.attendees.length} attendees`);
-      socket2Events.push('eventUpdated');
+    socket2.on('attendeeDelta', (delta) => {
+      console.log(`📢 Socket 2 received attendeeDelta v${delta.version}: ${delta.user.name} ${delta.type} in ${delta.eventId}`);
+      socket2Events.push(delta);
     });
 
     // Wait for connections to establish
@@ -90,33 +118,35 @@ async function testRealtimeUpdates() {
     
     console.log('\n2️⃣ Testing join event real-time updates...');
     
-    // Test user joining event
-    const testUserEmail = `realtime-test-${Date.now()}@example.com`;
     const joinMutation = {
       query: `
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
-      variables: { eventId: testEvent.id, userEmail: testUserEmail }
+      variables: { eventId: testEvent.id }
     };
 
     const joinResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(joinMutation)
     });
 
     const joinData = await joinResponse.json();
-    console.log(`✅ User joined event via GraphQL: ${joinData.data.joinEvent.attendees.length} attendees`);
+    console.log(`✅ User joined event via GraphQL: ${joinData.data.joinEvent.attendees.edges.length} attendees`);
     
     // Wait for real-time events
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -126,62 +156,95 @@ async function testRealtimeUpdates() {
     // Test user leaving event
     const leaveMutation = {
       query: `
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
-      variables: { eventId: testEvent.id, userEmail: testUserEmail }
+      variables: { eventId: testEvent.id }
     };
 
     const leaveResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders,
       body: JSON.stringify(leaveMutation)
     });
 
     const leaveData = await leaveResponse.json();
-    console.log(`✅ User left event via GraphQL: ${leaveData.data.leaveEvent.attendees.length} attendees`);
+    console.log(`✅ User left event via GraphQL: ${leaveData.data.leaveEvent.attendees.edges.length} attendees`);
     
     // Wait for real-time events
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     console.log('\n4️⃣ Verifying real-time events received...');
     
-    console.log(`   Socket 1 received ${socket1Events.length} events: ${socket1Events.join(', ')}`);
-    console.log(`   Socket 2 received ${socket2Events.length} events: ${socket2Events.join(', ')}`);
+    const describe = (events) => events.map(delta => `${delta.type}@v${delta.version}`).join(', ');
+    console.log(`   Socket 1 received ${socket1Events.length} deltas: ${describe(socket1Events)}`);
+    console.log(`   Socket 2 received ${socket2Events.length} deltas: ${describe(socket2Events)}`);
     
-    // Verify both sockets received the events
-    const socket1ReceivedJoin = socket1Events.includes('userJoined');
-    const socket1ReceivedLeave = socket1Events.includes('userLeft');
-    const socket2ReceivedJoin = socket2Events.includes('userJoined');
-    const socket2ReceivedLeave = socket2Events.includes('userLeft');
+    // Verify both sockets received the join and the leave, one version apart
+    const receivedBoth = (events) => events.length === 2 &&
+      events[0].type === 'ADDED' && events[1].type === 'REMOVED' &&
+      events[1].version === events[0].version + 1;
+    const socket1ReceivedDeltas = receivedBoth(socket1Events);
+    const socket2ReceivedDeltas = receivedBoth(socket2Events);
     
-    console.log(`✅ Socket 1 received join event: ${socket1ReceivedJoin}`);
-    console.log(`✅ Socket 1 received leave event: ${socket1ReceivedLeave}`);
-    console.log(`✅ Socket 2 received join event: ${socket2ReceivedJoin}`);
-    console.log(`✅ Socket 2 received leave event: ${socket2ReceivedLeave}`);
+    console.log(`✅ Socket 1 received join and leave deltas in order: ${socket1ReceivedDeltas}`);
+    console.log(`✅ Socket 2 received join and leave deltas in order: ${socket2ReceivedDeltas}`);
+
+    console.log('\n5️⃣ Testing resync after missed deltas...');
+    const joinVersion = socket1Events[0]?.version ?? 1;
+    const resync = await new Promise(resolve => {
+      socket1.emit('resync', { eventId: testEvent.id, sinceVersion: joinVersion - 1 }, resolve);
+    });
+    const resyncWorks = resync.deltas?.length === 2 && resync.attendees === null &&
+      resync.deltas.map(delta => delta.version).join() === socket1Events.map(delta => delta.version).join() &&
+      resync.deltas[0].attendeeCount === resync.deltas[1].attendeeCount + 1;
+    console.log(`✅ Resync returns the missed deltas: ${resyncWorks}`);
+
+    const fullList = await new Promise(resolve => {
+      socket1.emit('resync', { eventId: testEvent.id, sinceVersion: -1 }, resolve);
+    });
+    const fullListWorks = Array.isArray(fullList.attendees?.users) &&
+      fullList.attendees.totalCount === testEvent.attendees.edges.length &&
+      fullList.attendees.users.length === Math.min(testEvent.attendees.edges.length, 20);
+    console.log(`✅ Resync from -1 returns the first page: ${fullListWorks}`);
+
+    console.log('\n6️⃣ Checking the summary channel...');
+    const countsOnly = summaries.length === 2 &&
+      summaries[0].attendeeCount === testEvent.attendees.edges.length + 1 &&
+      summaries[1].attendeeCount === testEvent.attendees.edges.length &&
+      summaries.every(summary => summary.attendees === undefined);
+    const noDeltasOutsideRoom = listDeltas.length === 0;
+    console.log(`✅ List socket received counts without attendee lists: ${countsOnly}`);
+    console.log(`✅ List socket received no attendee deltas: ${noDeltasOutsideRoom}`);
     
     // Clean up
     socket1.disconnect();
     socket2.disconnect();
+    listSocket.disconnect();
     
-    const allEventsReceived = socket1ReceivedJoin && socket1ReceivedLeave && 
-                              socket2ReceivedJoin && socket2ReceivedLeave;
+    const allEventsReceived = socket1ReceivedDeltas && socket2ReceivedDeltas && resyncWorks &&
+      fullListWorks && countsOnly && noDeltasOutsideRoom;
     
     if (allEventsReceived) {
       console.log('\n🎉 SUCCESS: Real-time updates working correctly!');
       console.log('   ✅ Socket.io connections established');
       console.log('   ✅ Event room subscriptions working');
-      console.log('   ✅ userJoined events broadcasted');
-      console.log('   ✅ userLeft events broadcasted');
+      console.log('   ✅ Versioned attendee deltas broadcasted');
+      console.log('   ✅ Resync catches up on missed deltas');
+      console.log('   ✅ List viewers get counts, not attendee lists');
       console.log('   ✅ Multiple clients receive updates simultaneously');
     } else {
       throw new Error('Not all real-time events were received');
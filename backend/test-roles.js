@@ -0,0 +1,100 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, loginUser } = require('./test-helpers');
+
+const CAPABILITIES = `
+  query {
+    me {
+      role
+      capabilities {
+        isAdmin
+        canCreateEvents
+        managedEventIds
+        checkInEventIds
+      }
+    }
+  }
+`;
+
+const ADD_MEMBER = `
+  mutation($eventId: ID!, $userId: ID!, $role: EventRole!) {
+    addEventMember(eventId: $eventId, userId: $userId, role: $role) {
+      id
+      members {
+        role
+        user { id }
+      }
+    }
+  }
+`;
+
+async function testRoles() {
+  console.log('🛡️ Testing role-based access control...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  try {
+    const alice = await loginUser('alice@example.com');
+    const bob = await loginUser('bob@example.com');
+    const charlie = await loginUser('charlie@example.com');
+
+    const eventsData = await graphql('query { events(first: 100) { edges { node { id name } } } }');
+    const events = eventsData.data.events.edges.map(edge => edge.node);
+    const techMeetup = events.find(event => event.name === 'Tech Meetup');
+    const otherEvent = events.find(event => event.name !== 'Tech Meetup');
+
+    console.log('\n1️⃣ Checking capabilities...');
+    const aliceCaps = (await graphql(CAPABILITIES, {}, alice.token)).data.me;
+    check('Alice is an admin', aliceCaps.role === 'ADMIN' && aliceCaps.capabilities.isAdmin);
+
+    const bobCaps = (await graphql(CAPABILITIES, {}, bob.token)).data.me;
+    check('Bob can create events', bobCaps.capabilities.canCreateEvents);
+    check('Bob manages the Tech Meetup', bobCaps.capabilities.managedEventIds.includes(techMeetup.id));
+
+    const charlieCaps = (await graphql(CAPABILITIES, {}, charlie.token)).data.me;
+    check('Charlie cannot create events', !charlieCaps.capabilities.canCreateEvents);
+    check('Charlie can check in at the Tech Meetup', charlieCaps.capabilities.checkInEventIds.includes(techMeetup.id));
+    check('Charlie manages no events', charlieCaps.capabilities.managedEventIds.length === 0);
+
+    console.log('\n2️⃣ Checking event membership management...');
+    const staffByStaff = await graphql(ADD_MEMBER, { eventId: techMeetup.id, userId: alice.user.id, role: 'STAFF' }, charlie.token);
+    check('Staff cannot assign members (FORBIDDEN)', staffByStaff.errors?.[0]?.code === 'FORBIDDEN');
+
+    const otherByBob = await graphql(ADD_MEMBER, { eventId: otherEvent.id, userId: charlie.user.id, role: 'STAFF' }, bob.token);
+    check('Organizer cannot assign members on events they don\'t organize', otherByBob.errors?.[0]?.code === 'FORBIDDEN');
+
+    const otherByAlice = await graphql(ADD_MEMBER, { eventId: otherEvent.id, userId: charlie.user.id, role: 'STAFF' }, alice.token);
+    const charlieIsStaff = otherByAlice.data?.addEventMember.members.some(member => member.user.id === charlie.user.id && member.role === 'STAFF');
+    check('Admin can assign members on any event', Boolean(charlieIsStaff));
+
+    await graphql(`
+      mutation($eventId: ID!, $userId: ID!) {
+        removeEventMember(eventId: $eventId, userId: $userId) { id }
+      }
+    `, { eventId: otherEvent.id, userId: charlie.user.id }, alice.token);
+
+    console.log('\n3️⃣ Checking global role management...');
+    const roleByBob = await graphql(`
+      mutation($userId: ID!) {
+        setUserRole(userId: $userId, role: ADMIN) { id role }
+      }
+    `, { userId: bob.user.id }, bob.token);
+    check('Organizer cannot promote themselves (FORBIDDEN)', roleByBob.errors?.[0]?.code === 'FORBIDDEN');
+
+    const anonymous = await graphql(ADD_MEMBER, { eventId: techMeetup.id, userId: charlie.user.id, role: 'STAFF' });
+    check('Anonymous requests are UNAUTHENTICATED', anonymous.errors?.[0]?.code === 'UNAUTHENTICATED');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL ROLE TESTS PASSED' : '❌ SOME ROLE TESTS FAILED');
+    process.exit(allPassed ? 0 : 1);
+  } catch (error) {
+    console.error('\n❌ Role test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+testRoles();
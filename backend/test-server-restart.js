@@ -13,7 +13,7 @@ async function testServerRestartPersistence() {
     const testEmail = `restart-test-${Date.now()}@example.com`;
     
     // Get first event
-    const events = await prisma.event.findMany({ take: 1 });
+    const events = await prisma.event.findMany({ where: { status: 'PUBLISHED' }, take: 1 });
     if (events.length === 0) {
       throw new Error('No events found in database');
     }
@@ -21,27 +21,54 @@ async function testServerRestartPersistence() {
     const testEvent = events[0];
     console.log(`   Using event: ${testEvent.name}`);
     
-    // Join event via GraphQL API
+    // Sign up, then join event via GraphQL API
+    const signupResponse = await fetch(GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: `
+          mutation($name: String!, $email: String!, $password: String!) {
+            signup(name: $name, email: $email, password: $password) {
+              token
+            }
+          }
+        `,
+        variables: { name: 'Restart Test', email: testEmail, password: 'password123' }
+      })
+    });
+
+    const signupData = await signupResponse.json();
+    if (signupData.errors) {
+      throw new Error('GraphQL Error: ' + JSON.stringify(signupData.errors));
+    }
+
     const joinMutation = {
       query: `
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `,
-      variables: { eventId: testEvent.id, userEmail: testEmail }
+      variables: { eventId: testEvent.id }
     };
 
     const joinResponse = await fetch(GRAPHQL_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signupData.data.signup.token}`
+      },
       body: JSON.stringify(joinMutation)
     });
 
@@ -51,13 +78,13 @@ async function testServerRestartPersistence() {
     }
 
     console.log(`✅ User ${testEmail} joined event`);
-    console.log(`   Event now has ${joinData.data.joinEvent.attendees.length} attendees`);
+    console.log(`   Event now has ${joinData.data.joinEvent.attendees.edges.length} attendees`);
     
     // Step 2: Verify data exists in database directly
     console.log('\n2️⃣ Verifying data in database...');
     const user = await prisma.user.findUnique({
       where: { email: testEmail },
-      include: { events: true }
+      include: { registrations: true }
     });
     
     if (!user) {
@@ -65,14 +92,14 @@ async function testServerRestartPersistence() {
     }
     
     console.log(`✅ User found in database: ${user.name}`);
-    console.log(`   User is attending ${user.events.length} event(s)`);
+    console.log(`   User is attending ${user.registrations.length} event(s)`);
     
     const eventWithAttendees = await prisma.event.findUnique({
       where: { id: testEvent.id },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
-    const userIsAttending = eventWithAttendees.attendees.some(a => a.email === testEmail);
+    const userIsAttending = eventWithAttendees.registrations.some(r => r.user.email === testEmail);
     console.log(`✅ User attendance verified in database: ${userIsAttending}`);
     
     // Step 3: Store the current state for comparison
@@ -91,17 +118,17 @@ async function testServerRestartPersistence() {
     
     const persistedUser = await newPrismaClient.user.findUnique({
       where: { email: testEmail },
-      include: { events: true }
+      include: { registrations: true }
     });
     
     const persistedEvent = await newPrismaClient.event.findUnique({
       where: { id: testEvent.id },
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     console.log(`✅ User still exists after 'restart': ${persistedUser ? 'YES' : 'NO'}`);
-    console.log(`✅ User still attending event: ${persistedUser.events.length > 0 ? 'YES' : 'NO'}`);
-    console.log(`✅ Event still has attendees: ${persistedEvent.attendees.length}`);
+    console.log(`✅ User still attending event: ${persistedUser.registrations.length > 0 ? 'YES' : 'NO'}`);
+    console.log(`✅ Event still has attendees: ${persistedEvent.registrations.length}`);
     
     // Step 5: Test GraphQL API after 'restart'
     console.log('\n4️⃣ Testing GraphQL API after simulated restart...');
@@ -109,13 +136,21 @@ async function testServerRestartPersistence() {
     const eventsQuery = {
       query: `
         query {
-          events {
-            id
-            name
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -133,11 +168,11 @@ async function testServerRestartPersistence() {
       throw new Error('GraphQL Error: ' + JSON.stringify(apiData.errors));
     }
 
-    const apiEvent = apiData.data.events.find(e => e.id === testEvent.id);
-    const apiUserStillAttending = apiEvent.attendees.some(a => a.email === testEmail);
+    const apiEvent = apiData.data.events.edges.map(edge => edge.node).find(e => e.id === testEvent.id);
+    const apiUserStillAttending = apiEvent.registrations.some(r => r.user.email === testEmail);
     
     console.log(`✅ GraphQL API returns correct data: ${apiUserStillAttending ? 'YES' : 'NO'}`);
-    console.log(`   Event "${apiEvent.name}" has ${apiEvent.attendees.length} attendees via API`);
+    console.log(`   Event "${apiEvent.name}" has ${apiEvent.attendees.edges.length} attendees via API`);
     
     // Step 6: Verify all counts match
     const finalUserCount = await newPrismaClient.user.count();
@@ -0,0 +1,134 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Socket');
+
+// Resolves with the connected socket, or with the connect_error message
+function connect(token) {
+  const socket = io(SOCKET_ENDPOINT, { auth: token ? { token } : {}, reconnection: false });
+  return new Promise(resolve => {
+    socket.on('connect', () => resolve({ socket }));
+    socket.on('connect_error', error => resolve({ socket, error: error.message }));
+  });
+}
+
+function joinRoom(socket, eventId) {
+  return new Promise(resolve => socket.emit('joinEventRoom', eventId, resolve));
+}
+
+const wait = (ms = 500) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSocketAuth() {
+  console.log('🔒 Testing Socket.io authentication...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const sockets = [];
+  let eventId;
+
+  try {
+    const viewer = await signup('viewer');
+
+    console.log('\n1️⃣ Checking the handshake...');
+    const anonymous = await connect();
+    sockets.push(anonymous.socket);
+    check('Sockets without a token are refused', anonymous.error === 'Authentication required');
+
+    const forged = await connect('not-a-real-token');
+    sockets.push(forged.socket);
+    check('Sockets with an invalid token are refused', forged.error === 'Authentication required');
+
+    const organizer = await connect(organizerToken);
+    const viewerConnection = await connect(viewer.token);
+    sockets.push(organizer.socket, viewerConnection.socket);
+    check('Sockets with a session token connect', !organizer.error && !viewerConnection.error);
+
+    console.log('\n2️⃣ Joining event rooms...');
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Socket Auth Test', location: 'Locked Room', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+
+    check('Organizers can join their draft\'s room', (await joinRoom(organizer.socket, eventId))?.ok === true);
+    check('Others cannot join a draft\'s room', (await joinRoom(viewerConnection.socket, eventId))?.error === 'Event not found');
+    check('Unknown events cannot be joined', (await joinRoom(viewerConnection.socket, 'no-such-event'))?.error === 'Event not found');
+
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+    check('Anyone can join a published event\'s room', (await joinRoom(viewerConnection.socket, eventId))?.ok === true);
+
+    console.log('\n3️⃣ Revoking access...');
+    const revoked = [];
+    const viewerUpdates = [];
+    viewerConnection.socket.on('eventAccessRevoked', payload => revoked.push(payload.eventId));
+    viewerConnection.socket.on('eventUpdated', payload => viewerUpdates.push(payload.eventId));
+
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: DRAFT) { id } }', { eventId }, organizerToken);
+    await wait();
+    check('Viewers are told when the event goes back to draft', revoked.includes(eventId));
+    check('The unpublished details never reach them', !viewerUpdates.includes(eventId));
+
+    await graphql(`
+      mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { id } }
+    `, { eventId, input: { name: 'Socket Auth Test (renamed)' } }, organizerToken);
+    await wait();
+    check('Removed sockets stop receiving the event\'s broadcasts', !viewerUpdates.includes(eventId));
+
+    console.log('\n4️⃣ Completing the event...');
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: LIVE) { id } }', { eventId }, organizerToken);
+    check('Viewers can join the live event\'s room', (await joinRoom(viewerConnection.socket, eventId))?.ok === true);
+    const removed = [];
+    const summaries = [];
+    viewerConnection.socket.on('eventRemoved', payload => removed.push(payload.eventId));
+    viewerConnection.socket.on('eventSummary', summary => summaries.push(summary));
+    viewerConnection.socket.emit('joinEventSummaries');
+    revoked.length = 0;
+    viewerUpdates.length = 0;
+    await wait();
+
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: COMPLETED) { id } }', { eventId }, organizerToken);
+    await wait();
+    check('Viewers are told when the event completes', revoked.includes(eventId));
+    check('The completed event drops out of the event list', removed.includes(eventId));
+    check('The completed details never reach them', !viewerUpdates.includes(eventId) && !summaries.some(summary => summary.id === eventId));
+
+    console.log('\n5️⃣ Logging out...');
+    let disconnectReason = null;
+    viewerConnection.socket.on('disconnect', reason => { disconnectReason = reason; });
+
+    const logout = await graphql('mutation { logout }', {}, viewer.token);
+    await wait();
+    check('logout ends the session', logout.data?.logout === true);
+    check('Sockets opened with the session are disconnected', disconnectReason === 'io server disconnect');
+
+    const me = await graphql('query { me { id } }', {}, viewer.token);
+    check('The logged out token no longer authenticates requests', me.data?.me === null);
+
+    const reconnect = await connect(viewer.token);
+    sockets.push(reconnect.socket);
+    check('The logged out token cannot open new sockets', reconnect.error === 'Authentication required');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SOCKET AUTH TESTS PASSED' : '❌ SOME SOCKET AUTH TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Socket auth test failed:', error.message);
+    allPassed = false;
+  } finally {
+    sockets.forEach(socket => socket.close());
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testSocketAuth();
@@ -7,24 +7,24 @@ async function getDatabaseStatus() {
     console.log('='.repeat(50));
     
     const users = await prisma.user.findMany({
-      include: { events: true }
+      include: { registrations: true }
     });
     
     const events = await prisma.event.findMany({
-      include: { attendees: true }
+      include: { registrations: { include: { user: true } } }
     });
     
     console.log(`👥 Users: ${users.length}`);
     users.forEach((user, i) => {
-      console.log(`   ${i+1}. ${user.name} (${user.email}) - ${user.events.length} events`);
+      console.log(`   ${i+1}. ${user.name} (${user.email}) - ${user.registrations.length} events`);
     });
     
     console.log(`\n🎉 Events: ${events.length}`);
     events.forEach((event, i) => {
       console.log(`   ${i+1}. ${event.name} at ${event.location}`);
       console.log(`      Start: ${event.startTime}`);
-      console.log(`      Attendees: ${event.attendees.length}`);
-      event.attendees.forEach(attendee => {
+      console.log(`      Attendees: ${event.registrations.length}`);
+      event.registrations.forEach(({ user: attendee }) => {
         console.log(`        - ${attendee.name} (${attendee.email})`);
       });
     });
@@ -0,0 +1,133 @@
+// Relies on the demo data from `npm run db:setup`
+const WebSocket = require('ws');
+const { createClient } = require('graphql-ws');
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Subscriber');
+
+const GRAPHQL_WS_ENDPOINT = 'ws://localhost:4000/graphql';
+
+function connect(token) {
+  return createClient({
+    url: GRAPHQL_WS_ENDPOINT,
+    webSocketImpl: WebSocket,
+    connectionParams: token ? { authorization: `Bearer ${token}` } : {}
+  });
+}
+
+// Collects everything a subscription delivers; errors end up in `errors`
+function collect(client, query, variables) {
+  const received = { data: [], errors: [] };
+  received.unsubscribe = client.subscribe({ query, variables }, {
+    next: result => result.errors ? received.errors.push(...result.errors) : received.data.push(result.data),
+    error: error => received.errors.push(...(Array.isArray(error) ? error : [error])),
+    complete: () => {}
+  });
+  return received;
+}
+
+const wait = (ms = 500) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSubscriptions() {
+  console.log('📡 Testing GraphQL subscriptions...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const clients = [];
+  let eventId;
+
+  try {
+    const attendee = await signup('attendee');
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const created = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+    `, { input: { name: 'Subscription Test', location: 'Socket Hall', startTime } }, organizerToken);
+    eventId = created.data.createEvent.id;
+
+    const anonymous = connect();
+    const organizer = connect(organizerToken);
+    clients.push(anonymous, organizer);
+
+    console.log('\n1️⃣ Checking draft visibility...');
+    const hidden = collect(anonymous, 'subscription($eventId: ID) { eventUpdated(eventId: $eventId) { id } }', { eventId });
+    await wait();
+    check('Subscribing to someone else\'s draft fails', hidden.errors[0]?.message === 'Event not found');
+
+    const allEvents = collect(anonymous, 'subscription { eventUpdated { id status } }');
+    const organizerUpdates = collect(organizer, 'subscription($eventId: ID) { eventUpdated(eventId: $eventId) { id name } }', { eventId });
+    await wait();
+
+    await graphql(`
+      mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { id } }
+    `, { eventId, input: { name: 'Subscription Test (renamed)' } }, organizerToken);
+    await wait();
+    check('Organizer receives edits to their draft', organizerUpdates.data.some(data => data.eventUpdated.name === 'Subscription Test (renamed)'));
+    check('Other subscribers do not see the draft', !allEvents.data.some(data => data.eventUpdated.id === eventId));
+
+    console.log('\n2️⃣ Publishing...');
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+    await wait();
+    check('Subscribers to all events hear about the published event',
+      allEvents.data.some(data => data.eventUpdated.id === eventId && data.eventUpdated.status === 'PUBLISHED'));
+
+    console.log('\n3️⃣ Joining and leaving...');
+    const attendeeQuery = `
+      attendeeId: user { id }
+      event { attendees(first: 100) { edges { node { id } } } }
+    `;
+    const joined = collect(anonymous, `subscription($eventId: ID!) { attendeeJoined(eventId: $eventId) { eventId ${attendeeQuery} } }`, { eventId });
+    const left = collect(anonymous, `subscription($eventId: ID!) { attendeeLeft(eventId: $eventId) { eventId ${attendeeQuery} } }`, { eventId });
+    const eventUpdates = collect(anonymous, 'subscription($eventId: ID) { eventUpdated(eventId: $eventId) { attendees(first: 100) { edges { node { id } } } } }', { eventId });
+    await wait();
+
+    await graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, attendee.token);
+    await wait();
+    const joinChange = joined.data[0]?.attendeeJoined;
+    check('attendeeJoined names the new attendee', joinChange?.eventId === eventId && joinChange.attendeeId.id === attendee.user.id);
+    check('attendeeJoined carries the updated attendee list', joinChange?.event.attendees.edges.map(edge => edge.node).some(user => user.id === attendee.user.id));
+    check('eventUpdated fires for the join', eventUpdates.data.some(data => data.eventUpdated.attendees.edges.length === 1));
+
+    await graphql('mutation($eventId: ID!) { leaveEvent(eventId: $eventId) { id } }', { eventId }, attendee.token);
+    await wait();
+    const leaveChange = left.data[0]?.attendeeLeft;
+    check('attendeeLeft names the attendee who left', leaveChange?.attendeeId.id === attendee.user.id);
+    check('attendeeLeft carries the updated attendee list', leaveChange?.event.attendees.edges.length === 0);
+
+    console.log('\n4️⃣ Completing the event...');
+    const organizerStatuses = collect(organizer, 'subscription($eventId: ID) { eventUpdated(eventId: $eventId) { status } }', { eventId });
+    await wait();
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: LIVE) { id } }', { eventId }, organizerToken);
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: COMPLETED) { id } }', { eventId }, organizerToken);
+    await wait();
+    check('Organizer hears that the event completed', organizerStatuses.data.some(data => data.eventUpdated.status === 'COMPLETED'));
+    check('Anonymous subscribers stop getting updates once it completes',
+      !allEvents.data.some(data => data.eventUpdated.id === eventId && data.eventUpdated.status === 'COMPLETED'));
+
+    console.log('\n5️⃣ Checking payloads against the schema...');
+    const invalid = collect(anonymous, 'subscription { eventUpdated { id notAField } }');
+    await wait();
+    check('Subscriptions selecting unknown fields are rejected', invalid.errors.length > 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL SUBSCRIPTION TESTS PASSED' : '❌ SOME SUBSCRIPTION TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Subscription test failed:', error.message);
+    allPassed = false;
+  } finally {
+    await Promise.all(clients.map(client => client.dispose()));
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testSubscriptions();
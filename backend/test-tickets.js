@@ -0,0 +1,120 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Ticket');
+
+const MY_TICKET = `
+  query($eventId: ID!) {
+    event(id: $eventId) {
+      myRegistration { ticket { token code } }
+    }
+  }
+`;
+
+const SCAN = `
+  mutation($eventId: ID!, $token: String, $code: String) {
+    scanTicket(eventId: $eventId, token: $token, code: $code) {
+      result
+      message
+      registration { status user { id } }
+    }
+  }
+`;
+
+const createPublishedEvent = async (token, name) => {
+  // Started a minute ago so the event is LIVE
+  const startTime = new Date(Date.now() - 60 * 1000).toISOString();
+  const created = await graphql(`
+    mutation($input: CreateEventInput!) { createEvent(input: $input) { id } }
+  `, { input: { name, location: 'Ticket Booth', startTime } }, token);
+  const eventId = created.data.createEvent.id;
+  await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, token);
+  return eventId;
+};
+
+const joinEvent = (eventId, token) =>
+  graphql('mutation($eventId: ID!) { joinEvent(eventId: $eventId) { id } }', { eventId }, token);
+
+async function testTickets() {
+  console.log('🎟️ Testing tickets and scanning...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  const createdIds = [];
+
+  try {
+    const [holder, codeHolder, leaver] = await Promise.all(['holder', 'code', 'leaver'].map(signup));
+    const eventId = await createPublishedEvent(organizerToken, 'Ticket Test');
+    const otherEventId = await createPublishedEvent(organizerToken, 'Other Ticket Test');
+    createdIds.push(eventId, otherEventId);
+
+    for (const user of [holder, codeHolder, leaver]) {
+      await joinEvent(eventId, user.token);
+    }
+    await joinEvent(otherEventId, holder.token);
+
+    console.log('\n1️⃣ Getting tickets...');
+    const ticket = (await graphql(MY_TICKET, { eventId }, holder.token)).data.event.myRegistration?.ticket;
+    check('Attendee gets a signed ticket with a short code', Boolean(ticket?.token) && /^[A-Z2-9]{4}-[A-Z2-9]{4}$/.test(ticket?.code));
+
+    const registrations = await graphql(`
+      query($eventId: ID!) { event(id: $eventId) { registrations { ticket { token } } } }
+    `, { eventId }, organizerToken);
+    check('Staff never see other people\'s tickets',
+      registrations.data.event.registrations.every(registration => registration.ticket === null));
+
+    console.log('\n2️⃣ Scanning at the door...');
+    const byAttendee = await graphql(SCAN, { eventId, token: ticket.token }, codeHolder.token);
+    check('Attendees cannot scan tickets (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    const valid = (await graphql(SCAN, { eventId, token: ticket.token }, organizerToken)).data.scanTicket;
+    check('Valid ticket checks its holder in',
+      valid.result === 'CHECKED_IN' && valid.registration?.user.id === holder.user.id && valid.registration.status === 'CHECKED_IN');
+
+    const reused = (await graphql(SCAN, { eventId, token: ticket.token }, organizerToken)).data.scanTicket;
+    check('Scanning it again reports ALREADY_USED', reused.result === 'ALREADY_USED');
+
+    const otherTicket = (await graphql(MY_TICKET, { eventId: otherEventId }, holder.token)).data.event.myRegistration.ticket;
+    const wrongEvent = (await graphql(SCAN, { eventId, token: otherTicket.token }, organizerToken)).data.scanTicket;
+    check('Ticket for another event reports WRONG_EVENT', wrongEvent.result === 'WRONG_EVENT' && wrongEvent.registration === null);
+
+    const [header, payload] = ticket.token.split('.');
+    const forged = (await graphql(SCAN, { eventId, token: `${header}.${payload}.forged-signature` }, organizerToken)).data.scanTicket;
+    check('Forged ticket reports INVALID', forged.result === 'INVALID');
+
+    console.log('\n3️⃣ Entering codes by hand...');
+    const { code } = (await graphql(MY_TICKET, { eventId }, codeHolder.token)).data.event.myRegistration.ticket;
+    const byCode = (await graphql(SCAN, { eventId, code: code.toLowerCase().replace('-', ' ') }, organizerToken)).data.scanTicket;
+    check('Code entry is forgiving about case and separators',
+      byCode.result === 'CHECKED_IN' && byCode.registration?.user.id === codeHolder.user.id);
+
+    const unknownCode = (await graphql(SCAN, { eventId, code: 'AAAA-AAAA' }, organizerToken)).data.scanTicket;
+    check('Unknown code reports INVALID', unknownCode.result === 'INVALID');
+
+    console.log('\n4️⃣ Revoking tickets...');
+    const leaverTicket = (await graphql(MY_TICKET, { eventId }, leaver.token)).data.event.myRegistration.ticket;
+    await graphql('mutation($eventId: ID!) { leaveEvent(eventId: $eventId) { id } }', { eventId }, leaver.token);
+    const revoked = (await graphql(SCAN, { eventId, token: leaverTicket.token }, organizerToken)).data.scanTicket;
+    check('Leaving the event revokes the ticket', revoked.result === 'INVALID');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL TICKET TESTS PASSED' : '❌ SOME TICKET TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Ticket test failed:', error.message);
+    allPassed = false;
+  } finally {
+    for (const eventId of createdIds) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testTickets();
@@ -0,0 +1,120 @@
+// Relies on the demo data from `npm run db:setup`
+const { graphql, login } = require('./test-helpers');
+
+const VENUE = 'id name address latitude longitude entrances rooms { id name capacity }';
+
+const hour = 60 * 60 * 1000;
+// Two days from now on the hour; the event runs for the default three hours
+const eventStart = new Date(Math.ceil((Date.now() + 48 * hour) / hour) * hour);
+const hoursIn = hours => new Date(eventStart.getTime() + hours * hour).toISOString();
+
+async function testVenues() {
+  console.log('🏛️ Testing venues and rooms...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+  const failedWith = (result, code) => result.errors?.[0]?.extensions?.code === code;
+
+  const organizerToken = await login('bob@example.com');
+  const attendeeToken = await login('charlie@example.com');
+  // Unique to this run, so the names don't clash with earlier runs
+  const name = `Venue Test ${Date.now().toString(36)}`;
+  let venueId = null;
+  let eventId = null;
+
+  const createVenue = (input, token = organizerToken) => graphql(`
+    mutation($input: VenueInput!) { createVenue(input: $input) { ${VENUE} } }
+  `, { input }, token);
+  const createRoom = input => graphql(`
+    mutation($venueId: ID!, $input: RoomInput!) { createRoom(venueId: $venueId, input: $input) { id name capacity } }
+  `, { venueId, input }, organizerToken);
+  const createSession = input => graphql(`
+    mutation($eventId: ID!, $input: CreateSessionInput!) {
+      createSession(eventId: $eventId, input: $input) { id room capacity venueRoom { id } }
+    }
+  `, { eventId, input }, organizerToken);
+  const loadEvent = async () => {
+    const result = await graphql(`
+      query($id: ID!) { event(id: $id) { location venue { id name } sessions { room venueRoom { id } } } }
+    `, { id: eventId }, organizerToken);
+    return result.data.event;
+  };
+
+  try {
+    console.log('\n1️⃣ Adding a venue...');
+    check('Attendees can\'t add venues', failedWith(await createVenue({ name }, attendeeToken), 'FORBIDDEN'));
+    check('Coordinates come in pairs', failedWith(await createVenue({ name, latitude: 52.5 }), 'BAD_USER_INPUT'));
+
+    const created = await createVenue({
+      name,
+      address: '1 Test Street',
+      latitude: 52.52,
+      longitude: 13.405,
+      entrances: ['Front door', 'Side door (step-free)']
+    });
+    venueId = created.data.createVenue.id;
+    check('A venue keeps its address, coordinates and entrances',
+      created.data.createVenue.latitude === 52.52 && created.data.createVenue.entrances.length === 2);
+
+    const room = (await createRoom({ name: 'Hall A', capacity: 2 })).data.createRoom;
+    check('Room names are unique within a venue', failedWith(await createRoom({ name: 'Hall A' }), 'BAD_USER_INPUT'));
+
+    console.log('\n2️⃣ Holding an event there...');
+    const event = await graphql(`
+      mutation($input: CreateEventInput!) { createEvent(input: $input) { id location venue { id } } }
+    `, { input: { name: 'Venue Test Event', venueId, startTime: hoursIn(0) } }, organizerToken);
+    eventId = event.data.createEvent.id;
+    check('The venue\'s name becomes the location', event.data.createEvent.location === name && event.data.createEvent.venue.id === venueId);
+
+    const session = await createSession({ title: 'Talk', roomId: room.id, startTime: hoursIn(0), endTime: hoursIn(1) });
+    check('A session in a room takes its name and seats',
+      session.data?.createSession.room === 'Hall A' && session.data.createSession.capacity === 2);
+
+    const listed = await graphql(`
+      query($filter: EventFilter) { events(first: 10, filter: $filter) { edges { node { id } } } }
+    `, { filter: { venueId } }, organizerToken);
+    check('Events can be filtered by venue', listed.data.events.edges.map(edge => edge.node.id).join() === eventId);
+
+    console.log('\n3️⃣ Renaming...');
+    await graphql(`
+      mutation($venueId: ID!, $input: VenueInput!) { updateVenue(venueId: $venueId, input: $input) { id } }
+    `, { venueId, input: { name: `${name} (renamed)` } }, organizerToken);
+    await graphql(`
+      mutation($roomId: ID!, $input: RoomInput!) { updateRoom(roomId: $roomId, input: $input) { id } }
+    `, { roomId: room.id, input: { name: 'Hall B' } }, organizerToken);
+    let loaded = await loadEvent();
+    check('Events follow the venue\'s new name', loaded.location === `${name} (renamed)`);
+    check('Sessions follow the room\'s new name', loaded.sessions[0].room === 'Hall B');
+
+    console.log('\n4️⃣ Moving elsewhere...');
+    await graphql(`
+      mutation($eventId: ID!, $input: UpdateEventInput!) { updateEvent(eventId: $eventId, input: $input) { id } }
+    `, { eventId, input: { location: 'Somewhere else' } }, organizerToken);
+    loaded = await loadEvent();
+    check('Typing a location unlinks the venue', loaded.venue === null && loaded.location === 'Somewhere else');
+    check('Sessions let go of the venue\'s rooms', loaded.sessions[0].venueRoom === null && loaded.sessions[0].room === 'Hall B');
+    check('Rooms elsewhere are rejected', failedWith(
+      await createSession({ title: 'Other Talk', roomId: room.id, startTime: hoursIn(1), endTime: hoursIn(2) }), 'BAD_USER_INPUT'));
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL VENUE TESTS PASSED' : '❌ SOME VENUE TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Venue test failed:', error.message);
+    allPassed = false;
+  } finally {
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+    if (venueId) {
+      await graphql('mutation($venueId: ID!) { deleteVenue(venueId: $venueId) }', { venueId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testVenues();
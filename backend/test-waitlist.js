@@ -0,0 +1,117 @@
+// Relies on the demo data from `npm run db:setup`
+const { io } = require('socket.io-client');
+const { SOCKET_ENDPOINT, graphql, login, signupAs } = require('./test-helpers');
+
+const signup = signupAs('Waitlist');
+
+const WAITLIST = `
+  query($eventId: ID!) {
+    event(id: $eventId) {
+      remainingSpots
+      waitlistCount
+      myWaitlistPosition
+      waitlist { position user { id } }
+      attendees(first: 100) { edges { node { id } } }
+    }
+  }
+`;
+
+// Mutations that only take an eventId
+const mutate = (name) => `
+  mutation($eventId: ID!) { ${name}(eventId: $eventId) { id } }
+`;
+
+async function testWaitlist() {
+  console.log('⏳ Testing waitlists...');
+  console.log('='.repeat(60));
+
+  let allPassed = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    allPassed = allPassed && passed;
+  };
+
+  const organizerToken = await login('bob@example.com');
+  let eventId;
+  let socket;
+
+  try {
+    const [first, second, third] = await Promise.all(['first', 'second', 'third'].map(signup));
+
+    const created = await graphql(`
+      mutation { createEvent(input: { name: "Waitlist Test", location: "Tiny Room", startTime: "2030-01-01T18:00:00Z", capacity: 1 }) { id } }
+    `, {}, organizerToken);
+    eventId = created.data.createEvent.id;
+    await graphql('mutation($eventId: ID!) { setEventStatus(eventId: $eventId, status: PUBLISHED) { id } }', { eventId }, organizerToken);
+
+    const promotions = [];
+    socket = io(SOCKET_ENDPOINT, { auth: { token: third.token } });
+    socket.on('waitlistPromoted', payload => promotions.push(payload.eventId));
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    console.log('\n1️⃣ Filling the event and queueing up...');
+    await graphql(mutate('joinEvent'), { eventId }, first.token);
+    const full = await graphql(mutate('joinEvent'), { eventId }, second.token);
+    check('Joining the full event fails with EVENT_FULL', full.errors?.[0]?.code === 'EVENT_FULL');
+
+    await graphql(mutate('joinWaitlist'), { eventId }, second.token);
+    await graphql(mutate('joinWaitlist'), { eventId }, third.token);
+
+    const secondView = (await graphql(WAITLIST, { eventId }, second.token)).data.event;
+    const thirdView = (await graphql(WAITLIST, { eventId }, third.token)).data.event;
+    check('First in line is #1', secondView.myWaitlistPosition === 1);
+    check('Second in line is #2', thirdView.myWaitlistPosition === 2 && thirdView.waitlistCount === 2);
+    check('Attendees cannot see the full waitlist', secondView.waitlist === null);
+
+    console.log('\n2️⃣ Reordering as the organizer...');
+    await graphql(`
+      mutation($eventId: ID!, $userId: ID!) { moveWaitlistEntry(eventId: $eventId, userId: $userId, position: 1) { id } }
+    `, { eventId, userId: third.user.id }, organizerToken);
+    const organizerView = (await graphql(WAITLIST, { eventId }, organizerToken)).data.event;
+    check('Organizer sees the reordered waitlist',
+      organizerView.waitlist?.map(entry => entry.user.id).join() === [third.user.id, second.user.id].join());
+
+    const byAttendee = await graphql(`
+      mutation($eventId: ID!, $userId: ID!) { moveWaitlistEntry(eventId: $eventId, userId: $userId, position: 1) { id } }
+    `, { eventId, userId: second.user.id }, second.token);
+    check('Attendees cannot reorder (FORBIDDEN)', byAttendee.errors?.[0]?.code === 'FORBIDDEN');
+
+    console.log('\n3️⃣ Promoting automatically when someone leaves...');
+    await graphql(mutate('leaveEvent'), { eventId }, first.token);
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const afterLeave = (await graphql(WAITLIST, { eventId }, organizerToken)).data.event;
+    check('Head of the waitlist took the freed spot',
+      afterLeave.attendees.edges.length === 1 && afterLeave.attendees.edges[0].node.id === third.user.id);
+    check('Promoted user was notified over the socket', promotions.includes(eventId));
+    check('The rest of the waitlist moved up', afterLeave.waitlist?.[0]?.user.id === second.user.id && afterLeave.waitlist[0].position === 1);
+
+    console.log('\n4️⃣ Promoting manually and on capacity changes...');
+    const promoteWhenFull = await graphql(`
+      mutation($eventId: ID!, $userId: ID!) { promoteFromWaitlist(eventId: $eventId, userId: $userId) { id } }
+    `, { eventId, userId: second.user.id }, organizerToken);
+    check('Manual promotion needs a free spot (EVENT_FULL)', promoteWhenFull.errors?.[0]?.code === 'EVENT_FULL');
+
+    await graphql(`
+      mutation($eventId: ID!) { updateEvent(eventId: $eventId, input: { capacity: 3 }) { id } }
+    `, { eventId }, organizerToken);
+    const afterRaise = (await graphql(WAITLIST, { eventId }, organizerToken)).data.event;
+    check('Raising capacity promotes waiting users',
+      afterRaise.attendees.edges.map(edge => edge.node).some(attendee => attendee.id === second.user.id) && afterRaise.waitlistCount === 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? '🎉 ALL WAITLIST TESTS PASSED' : '❌ SOME WAITLIST TESTS FAILED');
+  } catch (error) {
+    console.error('\n❌ Waitlist test failed:', error.message);
+    allPassed = false;
+  } finally {
+    socket?.close();
+    if (eventId) {
+      await graphql('mutation($eventId: ID!) { deleteEvent(eventId: $eventId) }', { eventId }, organizerToken);
+    }
+  }
+
+  process.exit(allPassed ? 0 : 1);
+}
+
+testWaitlist();
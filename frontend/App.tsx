@@ -1,14 +1,64 @@
 import React from 'react';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
-import { ApolloClient, InMemoryCache, ApolloProvider } from '@apollo/client';
+import { ApolloClient, InMemoryCache, ApolloProvider, createHttpLink, split } from '@apollo/client';
+import { setContext } from '@apollo/client/link/context';
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions';
+import { getMainDefinition } from '@apollo/client/utilities';
+import { createClient } from 'graphql-ws';
 import MainApp from './src/MainApp';
+import { GRAPHQL_ENDPOINT, GRAPHQL_WS_ENDPOINT, authHeaders } from './src/api';
 
 const queryClient = new QueryClient();
+
+const httpLink = createHttpLink({
+  uri: GRAPHQL_ENDPOINT,
+});
+
+// Attach the session token to every request
+const authLink = setContext((_, { headers }) => ({
+  headers: {
+    ...headers,
+    ...authHeaders(),
+  },
+}));
+
+// Connects lazily and reads the token on every (re)connect, so it follows login and logout
+const wsLink = new GraphQLWsLink(createClient({
+  url: GRAPHQL_WS_ENDPOINT,
+  connectionParams: () => ({ authorization: authHeaders().Authorization }),
+}));
+
+// Subscriptions go over the WebSocket, everything else over HTTP
+const link = split(
+  ({ query }) => {
+    const definition = getMainDefinition(query);
+    return definition.kind === 'OperationDefinition' && definition.operation === 'subscription';
+  },
+  wsLink,
+  authLink.concat(httpLink),
+);
+
 const apolloClient = new ApolloClient({
-  // Using local network IP for Apollo Client URI; required for physical devices
-  // Make sure your phone is on the same network and the IP is correct
-  uri: 'http://192.168.0.152:4000/graphql',
-  cache: new InMemoryCache(),
+  link,
+  cache: new InMemoryCache({
+    typePolicies: {
+      Query: {
+        fields: {
+          // One cached list per filter and sort. Pages fetched with `after` are appended;
+          // anything else, like a refetch or a socket update, replaces the list.
+          events: {
+            keyArgs: ['filter', 'sort'],
+            merge(existing, incoming, { args }) {
+              if (!existing || !args?.after) {
+                return incoming;
+              }
+              return { ...incoming, edges: [...existing.edges, ...incoming.edges] };
+            },
+          },
+        },
+      },
+    },
+  }),
 });
 
 export default function App() {
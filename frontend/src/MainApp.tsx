@@ -5,6 +5,9 @@ import { useStore } from './store';
 import LoginScreen from './screens/LoginScreen';
 import EventListScreen from './screens/EventListScreen';
 import EventDetailScreen from './screens/EventDetailScreen';
+import EventFormScreen from './screens/EventFormScreen';
+import MyTicketScreen from './screens/MyTicketScreen';
+import TicketScannerScreen from './screens/TicketScannerScreen';
 import { RootStackParamList } from './types';
 
 const Stack = createStackNavigator<RootStackParamList>();
@@ -25,6 +28,9 @@ export default function MainApp() {
       >
         <Stack.Screen name="EventList" component={EventListScreen} />
         <Stack.Screen name="EventDetail" component={EventDetailScreen} />
+        <Stack.Screen name="EventForm" component={EventFormScreen} />
+        <Stack.Screen name="MyTicket" component={MyTicketScreen} />
+        <Stack.Screen name="TicketScanner" component={TicketScannerScreen} />
       </Stack.Navigator>
     </NavigationContainer>
   );
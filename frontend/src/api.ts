@@ -0,0 +1,84 @@
+import io, { Socket } from 'socket.io-client';
+import { ApolloError } from '@apollo/client';
+import { ClientError } from 'graphql-request';
+import { useStore } from './store';
+
+// Using local network IP; required for physical devices
+// Make sure your phone is on the same network and the IP is correct
+export const API_URL = 'http://192.168.0.152:4000';
+export const GRAPHQL_ENDPOINT = `${API_URL}/graphql`;
+// Same path over WebSockets, for GraphQL subscriptions
+export const GRAPHQL_WS_ENDPOINT = `${API_URL.replace(/^http/, 'ws')}/graphql`;
+
+// Headers for graphql-request calls made outside of Apollo Client
+export function authHeaders(): Record<string, string> {
+  const token = useStore.getState().token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Socket.io connection that authenticates with the current session token. The server
+// refuses sockets whose session has ended, so that sends the user back to the login screen.
+export function createSocket() {
+  const socket = io(API_URL, {
+    auth: { token: useStore.getState().token },
+    // Long-polling needs every request to reach the same backend instance; a WebSocket
+    // stays on one, so no sticky sessions are needed behind a load balancer
+    transports: ['websocket'],
+  });
+  socket.on('connect_error', (error) => {
+    if (error.message === 'Authentication required') {
+      useStore.getState().logout();
+    }
+  });
+  return socket;
+}
+
+// The server stops counting a socket as viewing an event after a minute without one
+const PRESENCE_HEARTBEAT_INTERVAL_MS = 20 * 1000;
+
+// Keeps the socket's presence alive while a screen has it open; returns a function that stops it
+export function startPresenceHeartbeat(socket: Socket): () => void {
+  const interval = setInterval(() => {
+    if (socket.connected) {
+      socket.emit('presenceHeartbeat');
+    }
+  }, PRESENCE_HEARTBEAT_INTERVAL_MS);
+  return () => clearInterval(interval);
+}
+
+// User-facing text for the error codes the API returns; anything else falls back to a generic message
+const ERROR_MESSAGES: Record<string, string> = {
+  EVENT_NOT_PUBLISHED: "This event hasn't been published yet.",
+  EVENT_CANCELLED: 'This event has been cancelled.',
+  EVENT_COMPLETED: 'This event has already ended.',
+  EVENT_FULL: 'Sorry, this event is full.',
+  NOT_ON_WAITLIST: 'That person is no longer on the waitlist.',
+  INVALID_STATUS_TRANSITION: "The event can't be moved to that state anymore.",
+  NOT_REGISTERED: "That person isn't registered for this event.",
+  ALREADY_CHECKED_IN: 'That person is already checked in.',
+  NOT_CHECKED_IN: "That person isn't checked in.",
+  FORBIDDEN: "You're not allowed to do that.",
+};
+
+// The server puts the code at the top level of each error; extensions is the GraphQL default
+interface CodedError {
+  code?: unknown;
+  extensions?: { code?: unknown };
+}
+
+// Works for both graphql-request errors and Apollo Client errors
+export function getErrorCode(error: unknown): string | undefined {
+  let first: CodedError | undefined;
+  if (error instanceof ClientError) {
+    first = error.response.errors?.[0];
+  } else if (error instanceof ApolloError) {
+    first = error.graphQLErrors[0];
+  }
+  const code = first?.code ?? first?.extensions?.code;
+  return typeof code === 'string' ? code : undefined;
+}
+
+export function errorMessage(error: unknown, fallback: string): string {
+  const code = getErrorCode(error);
+  return (code && ERROR_MESSAGES[code]) || fallback;
+}
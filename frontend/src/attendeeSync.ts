@@ -0,0 +1,103 @@
+import { Socket } from 'socket.io-client';
+import { AttendeeDelta, AttendeeResync, User } from './types';
+
+// The attendees loaded so far as of `version`, kept current from attendeeDelta socket messages.
+// Big events are loaded a page at a time; the count always covers everyone.
+export interface AttendeeState {
+  version: number;
+  attendees: User[];
+  attendeeCount: number;
+  // Where the next page starts, or null once every attendee is loaded
+  endCursor: string | null;
+  // Deltas that arrived ahead of a gap, applied once a resync fills it
+  pending: AttendeeDelta[];
+  // Set while there's a gap; the screen answers it with a resync request
+  outOfSync: boolean;
+}
+
+export type AttendeeAction =
+  | { type: 'page'; attendees: User[]; endCursor: string | null }
+  | { type: 'seen'; version: number }
+  | { type: 'delta'; delta: AttendeeDelta }
+  | { type: 'resync'; resync: AttendeeResync };
+
+// Starts without a known version (-1), so the first resync returns the first page
+export function initialAttendeeState(attendeeCount = 0): AttendeeState {
+  return { version: -1, attendees: [], attendeeCount, endCursor: null, pending: [], outOfSync: false };
+}
+
+// Idempotent, so replaying a change the list already reflects does nothing. People who
+// join while pages are still unloaded show up now and are skipped when their page arrives.
+function applyDelta(attendees: User[], delta: AttendeeDelta): User[] {
+  const isAttending = attendees.some(attendee => attendee.id === delta.user.id);
+  if (delta.type === 'ADDED') {
+    return isAttending ? attendees : [...attendees, delta.user];
+  }
+  return isAttending ? attendees.filter(attendee => attendee.id !== delta.user.id) : attendees;
+}
+
+// Applies pending deltas for as long as they continue the version sequence
+function drainPending(state: AttendeeState): AttendeeState {
+  let { version, attendees, attendeeCount } = state;
+  const pending = state.pending
+    .filter(delta => delta.version > version)
+    .sort((a, b) => a.version - b.version);
+
+  while (pending.length > 0 && pending[0].version <= version + 1) {
+    const delta = pending.shift()!;
+    if (delta.version === version + 1) {
+      attendees = applyDelta(attendees, delta);
+      attendeeCount = delta.attendeeCount;
+      version = delta.version;
+    }
+  }
+
+  return { ...state, version, attendees, attendeeCount, pending, outOfSync: pending.length > 0 };
+}
+
+export function attendeesReducer(state: AttendeeState, action: AttendeeAction): AttendeeState {
+  switch (action.type) {
+    case 'page': {
+      const loaded = new Set(state.attendees.map(attendee => attendee.id));
+      return {
+        ...state,
+        attendees: [...state.attendees, ...action.attendees.filter(attendee => !loaded.has(attendee.id))],
+        endCursor: action.endCursor,
+      };
+    }
+    case 'seen':
+      // E.g. a mutation response: the server is past our version, so deltas are missing
+      // or still on their way; a resync settles which
+      return action.version > state.version ? { ...state, outOfSync: true } : state;
+    case 'delta':
+      return drainPending({ ...state, pending: [...state.pending, action.delta] });
+    case 'resync': {
+      const { resync } = action;
+      // A fresh first page replaces everything, including state from before a server reset
+      if (resync.attendees) {
+        return drainPending({
+          version: resync.version,
+          attendees: resync.attendees.users,
+          attendeeCount: resync.attendees.totalCount,
+          endCursor: resync.attendees.endCursor,
+          pending: resync.deltas,
+          outOfSync: false,
+        });
+      }
+      return drainPending({ ...state, pending: [...state.pending, ...resync.deltas] });
+    }
+  }
+}
+
+// Asks the server for the attendee changes after `sinceVersion`
+export function requestAttendeeResync(socket: Socket, eventId: string, sinceVersion: number): Promise<AttendeeResync> {
+  return new Promise((resolve, reject) => {
+    socket.emit('resync', { eventId, sinceVersion }, (response: AttendeeResync | { error: string }) => {
+      if ('error' in response) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
@@ -0,0 +1,46 @@
+import { useQuery, gql } from '@apollo/client';
+import { Capabilities, UserRole } from './types';
+
+export const GET_CAPABILITIES = gql`
+  query GetCapabilities {
+    me {
+      id
+      role
+      capabilities {
+        isAdmin
+        canCreateEvents
+        canManageUserRoles
+        managedEventIds
+        checkInEventIds
+      }
+    }
+  }
+`;
+
+const NO_CAPABILITIES: Capabilities = {
+  isAdmin: false,
+  canCreateEvents: false,
+  canManageUserRoles: false,
+  managedEventIds: [],
+  checkInEventIds: [],
+};
+
+// What the logged-in user may do; everything is hidden until the query resolves
+export function useCapabilities() {
+  const { data } = useQuery<{ me: { id: string; role: UserRole; capabilities: Capabilities | null } | null }>(
+    GET_CAPABILITIES,
+    { fetchPolicy: 'cache-and-network' }
+  );
+
+  const role = data?.me?.role ?? 'ATTENDEE';
+  const capabilities = data?.me?.capabilities ?? NO_CAPABILITIES;
+
+  return {
+    role,
+    ...capabilities,
+    canManageEvent: (eventId: string) =>
+      capabilities.isAdmin || capabilities.managedEventIds.includes(eventId),
+    canCheckIn: (eventId: string) =>
+      capabilities.isAdmin || capabilities.checkInEventIds.includes(eventId),
+  };
+}
@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+// `value` once it has stopped changing for `delayMs`, so searches run when typing pauses
+export function useDebouncedValue<T>(value: T, delayMs = 300): T {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+}
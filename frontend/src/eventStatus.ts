@@ -0,0 +1,27 @@
+import { EventStatus } from './types';
+
+export const STATUS_LABELS: Record<EventStatus, string> = {
+  DRAFT: 'Draft',
+  PUBLISHED: 'Upcoming',
+  LIVE: 'Live',
+  COMPLETED: 'Ended',
+  CANCELLED: 'Cancelled',
+};
+
+export const STATUS_COLORS: Record<EventStatus, string> = {
+  DRAFT: '#6c757d',
+  PUBLISHED: '#007bff',
+  LIVE: '#28a745',
+  COMPLETED: '#6c757d',
+  CANCELLED: '#dc3545',
+};
+
+// Mirrors the backend: only published and live events accept new attendees
+export function isJoinable(status: EventStatus) {
+  return status === 'PUBLISHED' || status === 'LIVE';
+}
+
+// Ended and cancelled events are frozen
+export function isEditable(status: EventStatus) {
+  return status !== 'COMPLETED' && status !== 'CANCELLED';
+}
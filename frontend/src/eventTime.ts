@@ -0,0 +1,77 @@
+// Events are shown on their venue's clock by default. Offsets come from Intl, so they
+// follow daylight saving time in the venue's zone rather than the device's.
+
+export const DEVICE_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const TIME_FORMAT: Intl.DateTimeFormatOptions = { hour: '2-digit', minute: '2-digit' };
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+export function isValidTimeZone(timeZone: string) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The zone's wall clock at that instant; h23 so midnight reads 00 rather than 24
+function wallClock(date: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+  const part = (type: Intl.DateTimeFormatPartTypes) => Number(parts.find(p => p.type === type)?.value);
+  return { year: part('year'), month: part('month'), day: part('day'), hours: part('hour'), minutes: part('minute') };
+}
+
+// Minutes the zone's clocks are ahead of UTC at that instant
+function utcOffsetMinutes(date: Date, timeZone: string) {
+  const { year, month, day, hours, minutes } = wallClock(date, timeZone);
+  const wholeMinutes = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((Date.UTC(year, month - 1, day, hours, minutes) - wholeMinutes) / 60000);
+}
+
+// "YYYY-MM-DD HH:MM" on the zone's clock
+export function toZonedInput(iso: string, timeZone: string) {
+  const { year, month, day, hours, minutes } = wallClock(new Date(iso), timeZone);
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hours)}:${pad(minutes)}`;
+}
+
+// Reads "YYYY-MM-DD HH:MM" as a time on the zone's clock. The offset is checked again at
+// the result, since the guess can land on the other side of a DST change.
+export function fromZonedInput(value: string, timeZone: string): string | null {
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  if (isNaN(asUtc)) {
+    return null;
+  }
+  const firstGuess = asUtc - utcOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  const result = asUtc - utcOffsetMinutes(new Date(firstGuess), timeZone) * 60000;
+  return new Date(result).toISOString();
+}
+
+// "3/1/2025, 18:00 – 21:00 CET" for events within one day, both dates otherwise.
+// Without a zone the device's is used.
+export function formatTimeRange(startTime: string, endTime: string, timeZone?: string) {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const dateOf = (date: Date) => date.toLocaleDateString([], { timeZone });
+  const timeOf = (date: Date) => date.toLocaleTimeString([], { ...TIME_FORMAT, timeZone });
+  const endTimeText = end.toLocaleTimeString([], { ...TIME_FORMAT, timeZone, timeZoneName: 'short' });
+  const startText = `${dateOf(start)}, ${timeOf(start)}`;
+  if (dateOf(start) === dateOf(end)) {
+    return `${startText} – ${endTimeText}`;
+  }
+  return `${startText} – ${dateOf(end)}, ${endTimeText}`;
+}
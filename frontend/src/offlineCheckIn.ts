@@ -0,0 +1,281 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { ClientError, request, gql } from 'graphql-request';
+import { GRAPHQL_ENDPOINT, authHeaders } from './api';
+import { useStore } from './store';
+import { CheckInRoster, OfflineCheckIn, QueuedCheckIn, TicketScan } from './types';
+
+const DEVICE_ID_KEY = 'checkIn:deviceId';
+const DOOR_KEY = 'checkIn:door';
+const QUEUE_KEY = 'checkIn:queue';
+const REPORTED_CONFLICTS_KEY = 'checkIn:reportedConflicts';
+const ROSTER_KEY_PREFIX = 'checkIn:roster:';
+// Rosters hold attendees' names and emails, so each user only ever reads their own
+const rosterKey = (eventId: string) => `${ROSTER_KEY_PREFIX}${useStore.getState().userId}:${eventId}`;
+
+// Enough to recognise conflicts already shown, without growing forever
+const MAX_REPORTED_CONFLICTS = 1000;
+
+// Matches the server's limit per sync request
+const SYNC_BATCH_SIZE = 500;
+
+const CHECK_IN_ROSTER = gql`
+  query CheckInRoster($eventId: ID!) {
+    checkInRoster(eventId: $eventId) {
+      eventId
+      generatedAt
+      entries {
+        registrationId
+        status
+        ticketCode
+        ticketHash
+        user {
+          id
+          name
+          email
+        }
+      }
+    }
+  }
+`;
+
+const SYNC_CHECK_INS = gql`
+  mutation SyncCheckIns($eventId: ID!, $checkIns: [OfflineCheckInInput!]!) {
+    syncCheckIns(eventId: $eventId, checkIns: $checkIns) {
+      id
+      idempotencyKey
+      status
+      conflictReason
+    }
+  }
+`;
+
+// Why the server refused a check-in that was accepted offline
+export const CONFLICT_REASONS: Record<string, string> = {
+  ALREADY_CHECKED_IN: 'Already checked in at another door',
+  NOT_REGISTERED: 'Ticket was revoked before the device synced',
+  EVENT_CANCELLED: 'The event was cancelled',
+  EVENT_COMPLETED: 'The event had already ended',
+};
+
+// graphql-request only throws a ClientError when the server actually answered
+export function isNetworkError(error: unknown): boolean {
+  return !(error instanceof ClientError);
+}
+
+export async function getDeviceId(): Promise<string> {
+  const existing = await AsyncStorage.getItem(DEVICE_ID_KEY);
+  if (existing) {
+    return existing;
+  }
+  const deviceId = Crypto.randomUUID();
+  await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+  return deviceId;
+}
+
+// The door this device was last used at, shown to organizers while the scanner is open
+export async function getDoor(): Promise<string> {
+  return (await AsyncStorage.getItem(DOOR_KEY)) ?? '';
+}
+
+export async function saveDoor(door: string) {
+  await AsyncStorage.setItem(DOOR_KEY, door);
+}
+
+export async function loadRoster(eventId: string): Promise<CheckInRoster | null> {
+  const stored = await AsyncStorage.getItem(rosterKey(eventId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+async function saveRoster(roster: CheckInRoster) {
+  await AsyncStorage.setItem(rosterKey(roster.eventId), JSON.stringify(roster));
+}
+
+// Called on logout, so the next person to use the device can't check tickets against them
+export async function clearRosters() {
+  const keys = await AsyncStorage.getAllKeys();
+  await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(ROSTER_KEY_PREFIX)));
+}
+
+// Fetches a fresh roster, keeping people this device checked in but hasn't synced yet
+export async function downloadRoster(eventId: string): Promise<CheckInRoster> {
+  const data: any = await request(GRAPHQL_ENDPOINT, CHECK_IN_ROSTER, { eventId }, authHeaders());
+  const roster: CheckInRoster = data.checkInRoster;
+
+  const pending = new Set((await loadQueue()).map(item => item.registrationId));
+  roster.entries = roster.entries.map(entry =>
+    pending.has(entry.registrationId) ? { ...entry, status: 'CHECKED_IN' } : entry
+  );
+
+  await saveRoster(roster);
+  return roster;
+}
+
+// Keeps the local roster in step with check-ins made online, so they count as used if the connection drops
+export async function markCheckedIn(eventId: string, registrationId: string) {
+  const roster = await loadRoster(eventId);
+  if (!roster) {
+    return;
+  }
+  roster.entries = roster.entries.map(entry =>
+    entry.registrationId === registrationId ? { ...entry, status: 'CHECKED_IN' } : entry
+  );
+  await saveRoster(roster);
+}
+
+// Everything queued on the device, by whoever was logged in
+async function loadStoredQueue(): Promise<QueuedCheckIn[]> {
+  const stored = await AsyncStorage.getItem(QUEUE_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+// Check-ins queued by the current user. Only they can sync them; others stay on the device
+// until the user who scanned them logs in again.
+export async function loadQueue(): Promise<QueuedCheckIn[]> {
+  const userId = useStore.getState().userId;
+  return (await loadStoredQueue()).filter(item => item.userId === userId);
+}
+
+async function saveQueue(queue: QueuedCheckIn[]) {
+  await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+}
+
+// Reads the event id out of a ticket token without verifying it; the roster hash does that
+function ticketEventId(token: string): string | null {
+  const payload = token.split('.')[1];
+  if (!payload) {
+    return null;
+  }
+
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  let bits = 0;
+  let value = 0;
+  let json = '';
+  for (const char of payload) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      return null;
+    }
+    value = (value << 6) | index;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      json += String.fromCharCode((value >> bits) & 0xff);
+    }
+  }
+
+  try {
+    return JSON.parse(json).eid ?? null;
+  } catch {
+    return null;
+  }
+}
+
+const normalizeCode = (code: string) => {
+  const chars = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Validates a ticket against the downloaded roster and queues the check-in for syncing.
+// Gives the same results as the server's scanTicket, minus what only the server can know.
+export async function checkInOffline(eventId: string, input: { token?: string; code?: string }): Promise<TicketScan> {
+  const roster = await loadRoster(eventId);
+  if (!roster) {
+    throw new Error("The attendee roster hasn't been downloaded, so tickets can't be checked offline.");
+  }
+
+  let entry;
+  if (input.token) {
+    const token = input.token.trim();
+    const ticketEvent = ticketEventId(token);
+    if (ticketEvent && ticketEvent !== eventId) {
+      return { result: 'WRONG_EVENT', message: 'This ticket is for a different event', registration: null };
+    }
+    const hash = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, token);
+    entry = roster.entries.find(candidate => candidate.ticketHash === hash);
+  } else {
+    const code = normalizeCode(input.code ?? '');
+    entry = roster.entries.find(candidate => candidate.ticketCode === code);
+  }
+
+  if (!entry) {
+    return { result: 'INVALID', message: 'This ticket is not on the downloaded roster', registration: null };
+  }
+
+  const registration = { id: entry.registrationId, user: entry.user, status: entry.status };
+  if (entry.status === 'CHECKED_IN') {
+    return { result: 'ALREADY_USED', message: `${entry.user.name} is already checked in`, registration };
+  }
+
+  const queue = await loadStoredQueue();
+  queue.push({
+    idempotencyKey: Crypto.randomUUID(),
+    userId: useStore.getState().userId,
+    eventId,
+    registrationId: entry.registrationId,
+    scannedAt: new Date().toISOString(),
+    deviceId: await getDeviceId(),
+  });
+  await saveQueue(queue);
+  await markCheckedIn(eventId, entry.registrationId);
+
+  return {
+    result: 'CHECKED_IN',
+    message: `Welcome, ${entry.user.name}! Saved offline until the connection is back.`,
+    registration: { ...registration, status: 'CHECKED_IN' },
+  };
+}
+
+async function loadReportedConflicts(): Promise<string[]> {
+  const stored = await AsyncStorage.getItem(REPORTED_CONFLICTS_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+export interface SyncFailure {
+  eventId: string;
+  error: unknown;
+}
+
+// Uploads the current user's queued check-ins. Items leave the queue once the server has
+// stored them, so a sync cut short by the connection simply resumes next time; resent items
+// are deduplicated by key. An event the server refuses, e.g. because it was deleted or the
+// user lost check-in access, keeps its items and is reported in `failures` while the other
+// events sync. `conflicts` only lists conflicts not returned by an earlier sync.
+export async function syncQueue(): Promise<{ synced: number; conflicts: OfflineCheckIn[]; failures: SyncFailure[]; remaining: number }> {
+  const queue = await loadQueue();
+  let synced = 0;
+  const conflicts: OfflineCheckIn[] = [];
+  const failures: SyncFailure[] = [];
+  const reported = await loadReportedConflicts();
+
+  const eventIds = Array.from(new Set(queue.map(item => item.eventId)));
+  for (const eventId of eventIds) {
+    const batch = queue.filter(item => item.eventId === eventId).slice(0, SYNC_BATCH_SIZE);
+    const checkIns = batch.map(({ eventId: _, userId: __, ...checkIn }) => checkIn);
+
+    let results: OfflineCheckIn[];
+    try {
+      const data: any = await request(GRAPHQL_ENDPOINT, SYNC_CHECK_INS, { eventId, checkIns }, authHeaders());
+      results = data.syncCheckIns;
+    } catch (error) {
+      // Without a connection the other events can't sync either
+      if (isNetworkError(error)) {
+        throw error;
+      }
+      failures.push({ eventId, error });
+      continue;
+    }
+
+    const done = new Set(results.map(result => result.idempotencyKey));
+    await saveQueue((await loadStoredQueue()).filter(item => !done.has(item.idempotencyKey)));
+
+    synced += results.length;
+    const newConflicts = results.filter(result => result.status === 'CONFLICT' && !reported.includes(result.idempotencyKey));
+    conflicts.push(...newConflicts);
+    reported.push(...newConflicts.map(result => result.idempotencyKey));
+    await downloadRoster(eventId).catch(() => undefined);
+  }
+
+  await AsyncStorage.setItem(REPORTED_CONFLICTS_KEY, JSON.stringify(reported.slice(-MAX_REPORTED_CONFLICTS)));
+  return { synced, conflicts, failures, remaining: (await loadQueue()).length };
+}
@@ -1,42 +1,368 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import React, { useState, useEffect, useReducer, useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, Linking } from 'react-native';
 import SafeFlatList from '../components/SafeFlatList';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { request, gql } from 'graphql-request';
 import { useStore } from '../store';
-import { Event, User, JoinEventPayload } from '../types';
+import { AttendeeDelta, CheckInStats, Connection, Event, EventSession, EventStatus, User, JoinEventPayload, OfflineCheckIn, Presence, PresenceCount, Registration, StaffDevice, Venue, WaitlistEntry } from '../types';
 import { StackNavigationProp } from '@react-navigation/stack';
 import { RouteProp } from '@react-navigation/native';
 import { RootStackParamList } from '../types';
-import io, { Socket } from 'socket.io-client';
+import { Socket } from 'socket.io-client';
+import { GRAPHQL_ENDPOINT, authHeaders, createSocket, errorMessage, startPresenceHeartbeat } from '../api';
+import { useCapabilities } from '../capabilities';
+import { STATUS_COLORS, STATUS_LABELS, isEditable, isJoinable } from '../eventStatus';
+import { CONFLICT_REASONS } from '../offlineCheckIn';
+import { attendeesReducer, initialAttendeeState, requestAttendeeResync } from '../attendeeSync';
+import { useDebouncedValue } from '../debounce';
+import { formatTimeRange } from '../eventTime';
+
+const ATTENDEES_PAGE_SIZE = 20;
 
 const JOIN_EVENT = gql`
-  mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-    joinEvent(eventId: $eventId, userEmail: $userEmail) {
+  mutation JoinEvent($eventId: ID!) {
+    joinEvent(eventId: $eventId) {
+      id
+      remainingSpots
+      attendeeCount
+      attendeeVersion
+      myRegistration {
+        id
+        status
+      }
+    }
+  }
+`;
+
+const EVENT_ATTENDEES = gql`
+  query EventAttendees($eventId: ID!, $first: Int, $after: String, $search: String) {
+    event(id: $eventId) {
+      id
+      attendees(first: $first, after: $after, search: $search) {
+        edges {
+          node {
+            id
+            name
+            email
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        totalCount
+      }
+    }
+  }
+`;
+
+const CANCEL_EVENT = gql`
+  mutation CancelEvent($eventId: ID!) {
+    cancelEvent(eventId: $eventId) {
+      id
+      status
+      cancelledAt
+      cancellationReason
+    }
+  }
+`;
+
+const EVENT_WAITLIST = gql`
+  query EventWaitlist($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      remainingSpots
+      waitlistCount
+      myWaitlistPosition
+      waitlist {
+        position
+        user {
+          id
+          name
+          email
+        }
+      }
+    }
+  }
+`;
+
+const EVENT_SCHEDULE = gql`
+  query EventSchedule($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      isOngoing
+      schedule {
+        startTime
+        endTime
+      }
+    }
+  }
+`;
+
+const EVENT_VENUE = gql`
+  query EventVenue($eventId: ID!) {
+    event(id: $eventId) {
       id
-      attendees {
+      venue {
         id
         name
-        email
+        address
+        latitude
+        longitude
+        accessibility
+        entrances
       }
     }
   }
 `;
 
-const LEAVE_EVENT = gql`
-  mutation LeaveEvent($eventId: ID!, $userEmail: String!) {
-    leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+const EVENT_SERIES = gql`
+  query EventSeries($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      isOverride
+      series {
+        id
+        rule
+        summary
+        exceptions
+        isSubscribed
+      }
+    }
+  }
+`;
+
+const JOIN_SERIES = gql`
+  mutation JoinSeries($seriesId: ID!) {
+    joinSeries(seriesId: $seriesId) {
+      id
+      isSubscribed
+    }
+  }
+`;
+
+const LEAVE_SERIES = gql`
+  mutation LeaveSeries($seriesId: ID!) {
+    leaveSeries(seriesId: $seriesId) {
+      id
+      isSubscribed
+    }
+  }
+`;
+
+// checkIns comes back null for anyone but check-in staff
+const EVENT_SESSIONS = gql`
+  query EventSessions($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      sessions {
+        id
+        title
+        speaker
+        room
+        startTime
+        endTime
+        capacity
+        remainingSeats
+        isBookmarked
+        checkedInCount
+        checkIns {
+          user {
+            id
+          }
+        }
+      }
+    }
+  }
+`;
+
+const BOOKMARK_SESSION = gql`
+  mutation BookmarkSession($sessionId: ID!) {
+    bookmarkSession(sessionId: $sessionId) {
+      id
+    }
+  }
+`;
+
+const REMOVE_SESSION_BOOKMARK = gql`
+  mutation RemoveSessionBookmark($sessionId: ID!) {
+    removeSessionBookmark(sessionId: $sessionId) {
       id
-      attendees {
+    }
+  }
+`;
+
+const CHECK_IN_TO_SESSION = gql`
+  mutation CheckInToSession($sessionId: ID!, $userId: ID!) {
+    checkInToSession(sessionId: $sessionId, userId: $userId) {
+      checkedInAt
+    }
+  }
+`;
+
+const UNDO_SESSION_CHECK_IN = gql`
+  mutation UndoSessionCheckIn($sessionId: ID!, $userId: ID!) {
+    undoSessionCheckIn(sessionId: $sessionId, userId: $userId) {
+      id
+    }
+  }
+`;
+
+const EVENT_CHECK_INS = gql`
+  query EventCheckIns($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      checkedInCount
+      registrations {
+        id
+        status
+        user {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const EVENT_PRESENCE = gql`
+  query EventPresence($eventId: ID!) {
+    presence(eventId: $eventId) {
+      eventId
+      viewerCount
+      staffDevices {
+        deviceId
+        door
+        lastSeenAt
+        user {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+const CHECK_IN_CONFLICTS = gql`
+  query CheckInConflicts($eventId: ID!) {
+    checkInConflicts(eventId: $eventId) {
+      id
+      deviceId
+      scannedAt
+      conflictReason
+      attendee {
+        id
+        name
+      }
+      staff {
         id
         name
-        email
       }
     }
   }
 `;
 
-const GRAPHQL_ENDPOINT = 'http://192.168.0.152:4000/graphql';
+const RESOLVE_CHECK_IN_CONFLICT = gql`
+  mutation ResolveCheckInConflict($id: ID!) {
+    resolveCheckInConflict(id: $id) {
+      id
+    }
+  }
+`;
+
+const CHECK_IN = gql`
+  mutation CheckIn($eventId: ID!, $userId: ID!) {
+    checkIn(eventId: $eventId, userId: $userId) {
+      id
+      status
+    }
+  }
+`;
+
+const CHECK_OUT = gql`
+  mutation CheckOut($eventId: ID!, $userId: ID!) {
+    checkOut(eventId: $eventId, userId: $userId) {
+      id
+      status
+    }
+  }
+`;
+
+const JOIN_WAITLIST = gql`
+  mutation JoinWaitlist($eventId: ID!) {
+    joinWaitlist(eventId: $eventId) {
+      id
+      remainingSpots
+      attendeeCount
+      attendeeVersion
+      myRegistration {
+        id
+        status
+      }
+    }
+  }
+`;
+
+const LEAVE_WAITLIST = gql`
+  mutation LeaveWaitlist($eventId: ID!) {
+    leaveWaitlist(eventId: $eventId) {
+      id
+    }
+  }
+`;
+
+const MOVE_WAITLIST_ENTRY = gql`
+  mutation MoveWaitlistEntry($eventId: ID!, $userId: ID!, $position: Int!) {
+    moveWaitlistEntry(eventId: $eventId, userId: $userId, position: $position) {
+      id
+    }
+  }
+`;
+
+const PROMOTE_FROM_WAITLIST = gql`
+  mutation PromoteFromWaitlist($eventId: ID!, $userId: ID!) {
+    promoteFromWaitlist(eventId: $eventId, userId: $userId) {
+      id
+      remainingSpots
+      attendeeCount
+      attendeeVersion
+      myRegistration {
+        id
+        status
+      }
+    }
+  }
+`;
+
+const SET_EVENT_STATUS = gql`
+  mutation SetEventStatus($eventId: ID!, $status: EventStatus!) {
+    setEventStatus(eventId: $eventId, status: $status) {
+      id
+      status
+      cancelledAt
+    }
+  }
+`;
+
+const DELETE_EVENT = gql`
+  mutation DeleteEvent($eventId: ID!) {
+    deleteEvent(eventId: $eventId)
+  }
+`;
+
+const LEAVE_EVENT = gql`
+  mutation LeaveEvent($eventId: ID!) {
+    leaveEvent(eventId: $eventId) {
+      id
+      remainingSpots
+      attendeeCount
+      attendeeVersion
+      myRegistration {
+        id
+        status
+      }
+    }
+  }
+`;
 
 type EventDetailScreenNavigationProp = StackNavigationProp<RootStackParamList, 'EventDetail'>;
 type EventDetailScreenRouteProp = RouteProp<RootStackParamList, 'EventDetail'>;
@@ -66,53 +392,306 @@ export default function EventDetailScreen({ navigation, route }: Props) {
     );
   }
   
-  const { userEmail } = useStore();
+  const { userId, showDeviceTime, setShowDeviceTime } = useStore();
   const [event, setEvent] = useState<Event>(initialEvent);
   const [socket, setSocket] = useState<Socket | null>(null);
   const queryClient = useQueryClient();
+  const { canManageEvent, canCheckIn } = useCapabilities();
 
+  const [isJoined, setIsJoined] = useState(Boolean(initialEvent.myRegistration));
+
+  // The attendee list is loaded a page at a time and kept current from versioned deltas.
+  // The first page arrives with the resync that follows joining the event room.
+  const [attendeeState, dispatchAttendees] = useReducer(
+    attendeesReducer,
+    initialAttendeeState(initialEvent.attendeeCount)
+  );
+  const attendeeVersion = useRef(attendeeState.version);
+  attendeeVersion.current = attendeeState.version;
+  const [loadingMoreAttendees, setLoadingMoreAttendees] = useState(false);
+
+  // Mutation responses only say which version the list is at; the deltas fill it in
+  const updateAttendees = (updated: { attendeeVersion?: number }) => {
+    if (updated.attendeeVersion !== undefined) {
+      dispatchAttendees({ type: 'seen', version: updated.attendeeVersion });
+    }
+  };
+
+  // Pick up changes when the edit form navigates back with an updated event
   useEffect(() => {
-    const newSocket = io('http://192.168.0.152:4000');
+    setEvent(initialEvent);
+    setIsJoined(Boolean(initialEvent.myRegistration));
+  }, [initialEvent]);
+
+  const resync = (target: Socket) => {
+    requestAttendeeResync(target, event.id, attendeeVersion.current)
+      .then(result => dispatchAttendees({ type: 'resync', resync: result }))
+      .catch(error => console.error('Attendee resync failed:', error));
+  };
+
+  // A gap in the delta versions means messages were missed
+  useEffect(() => {
+    if (attendeeState.outOfSync && socket) {
+      resync(socket);
+    }
+  }, [attendeeState.outOfSync, attendeeState.version, socket]);
+
+  const loadMoreAttendees = async () => {
+    if (loadingMoreAttendees || attendeeState.endCursor === null) {
+      return;
+    }
+    setLoadingMoreAttendees(true);
+    try {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_ATTENDEES, {
+        eventId: event.id,
+        first: ATTENDEES_PAGE_SIZE,
+        after: attendeeState.endCursor,
+      }, authHeaders());
+      const page = data.event?.attendees as Connection<User> | undefined;
+      if (page) {
+        dispatchAttendees({
+          type: 'page',
+          attendees: page.edges.map(edge => edge.node),
+          endCursor: page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null,
+        });
+      }
+    } catch (error) {
+      console.error('Load attendees error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to load more attendees. Please try again.'));
+    } finally {
+      setLoadingMoreAttendees(false);
+    }
+  };
+
+  // Searching asks the server, since the loaded pages may not include everyone
+  const [attendeeSearch, setAttendeeSearch] = useState('');
+  const search = useDebouncedValue(attendeeSearch.trim());
+  const searchQuery = useInfiniteQuery({
+    queryKey: ['eventAttendees', event.id, search],
+    queryFn: async ({ pageParam }) => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_ATTENDEES, {
+        eventId: event.id,
+        first: ATTENDEES_PAGE_SIZE,
+        after: pageParam,
+        search,
+      }, authHeaders());
+      return data.event?.attendees as Connection<User>;
+    },
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage) => lastPage?.pageInfo.hasNextPage ? lastPage.pageInfo.endCursor : undefined,
+    enabled: search !== '',
+  });
+
+  const waitlistQuery = useQuery({
+    queryKey: ['eventWaitlist', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_WAITLIST, { eventId: event.id }, authHeaders());
+      return data.event as Pick<Event, 'remainingSpots' | 'waitlistCount' | 'myWaitlistPosition' | 'waitlist'> | null;
+    },
+  });
+  const refreshWaitlist = () => queryClient.invalidateQueries({ queryKey: ['eventWaitlist', event.id] });
+
+  // Refetched after edits, which can move the days and so whether one is in progress
+  const scheduleQuery = useQuery({
+    queryKey: ['eventSchedule', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_SCHEDULE, { eventId: event.id }, authHeaders());
+      return data.event as Pick<Event, 'isOngoing' | 'schedule'> | null;
+    },
+  });
+
+  // Null for events with only a location typed in
+  const venueQuery = useQuery({
+    queryKey: ['eventVenue', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_VENUE, { eventId: event.id }, authHeaders());
+      return (data.event?.venue ?? null) as Venue | null;
+    },
+  });
+  const venue = venueQuery.data ?? null;
+
+  // Null for one-off events
+  const seriesQuery = useQuery({
+    queryKey: ['eventSeries', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_SERIES, { eventId: event.id }, authHeaders());
+      return data.event as Pick<Event, 'isOverride' | 'series'> | null;
+    },
+  });
+  const refreshSeries = () => queryClient.invalidateQueries({ queryKey: ['eventSeries', event.id] });
+  const series = seriesQuery.data?.series ?? null;
+
+  const sessionsQuery = useQuery({
+    queryKey: ['eventSessions', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_SESSIONS, { eventId: event.id }, authHeaders());
+      return (data.event?.sessions ?? []) as EventSession[];
+    },
+  });
+  const refreshSessions = () => queryClient.invalidateQueries({ queryKey: ['eventSessions', event.id] });
+  const [showMyAgenda, setShowMyAgenda] = useState(false);
+  // While set, staff check people in to this session instead of the event
+  const [checkInSessionId, setCheckInSessionId] = useState<string | null>(null);
+
+  // Per-attendee check-in state is only returned to staff; everyone gets the counter
+  const checkInQuery = useQuery({
+    queryKey: ['eventCheckIns', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_CHECK_INS, { eventId: event.id }, authHeaders());
+      return data.event as Pick<Event, 'checkedInCount' | 'registrations'> | null;
+    },
+  });
+
+  // How many people have the event open; staff also get the check-in devices that are online
+  const presenceQuery = useQuery({
+    queryKey: ['eventPresence', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, EVENT_PRESENCE, { eventId: event.id }, authHeaders());
+      return data.presence as Presence;
+    },
+  });
+
+  // Check-ins from offline devices that the server couldn't apply
+  const conflictsQuery = useQuery({
+    queryKey: ['checkInConflicts', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, CHECK_IN_CONFLICTS, { eventId: event.id }, authHeaders());
+      return data.checkInConflicts as OfflineCheckIn[];
+    },
+    enabled: canManageEvent(event.id),
+  });
+
+  useEffect(() => {
+    const newSocket = createSocket();
     setSocket(newSocket);
 
-    newSocket.on('eventUpdated', (updatedEvent: Event) => {
-      if (updatedEvent.id === event.id) {
-        setEvent(updatedEvent);
+    // The event room carries attendee and waitlist changes for this event. Rooms don't
+    // survive a reconnect, so rejoin and catch up on whatever happened while disconnected.
+    // The server only lets us in while we may see the event.
+    const leaveScreen = () => {
+      Alert.alert('Event unavailable', 'This event is no longer available.');
+      navigation.goBack();
+    };
+
+    newSocket.on('connect', () => {
+      newSocket.emit('joinEventRoom', event.id, (response: { ok: true } | { error: string }) => {
+        if ('error' in response) {
+          leaveScreen();
+        } else {
+          resync(newSocket);
+        }
+      });
+    });
+
+    // E.g. the event went back to draft, or we lost our organizer role
+    newSocket.on('eventAccessRevoked', (payload: { eventId: string }) => {
+      if (payload.eventId === event.id) {
+        queryClient.invalidateQueries({ queryKey: ['events'] });
+        leaveScreen();
+      }
+    });
+
+    newSocket.on('attendeeDelta', (delta: AttendeeDelta) => {
+      if (delta.eventId === event.id) {
+        dispatchAttendees({ type: 'delta', delta });
+        if (delta.user.id === userId) {
+          setIsJoined(delta.type === 'ADDED');
+        }
+        queryClient.invalidateQueries({ queryKey: ['eventAttendees', event.id] });
+      }
+    });
+
+    newSocket.on('waitlistUpdated', (payload: JoinEventPayload) => {
+      if (payload.eventId === event.id) {
+        queryClient.invalidateQueries({ queryKey: ['eventWaitlist', event.id] });
+      }
+    });
+
+    newSocket.on('waitlistPromoted', (payload: JoinEventPayload) => {
+      if (payload.eventId === event.id) {
+        queryClient.invalidateQueries({ queryKey: ['eventWaitlist', event.id] });
+        Alert.alert("You're in!", `A spot opened up and you are now attending ${payload.event.name}.`);
+      }
+    });
+
+    newSocket.on('checkInUpdated', (payload: CheckInStats) => {
+      if (payload.eventId === event.id) {
+        queryClient.setQueryData(['eventCheckIns', event.id], (previous: Pick<Event, 'checkedInCount' | 'registrations'> | null | undefined) => previous && {
+          ...previous,
+          checkedInCount: payload.checkedInCount,
+          registrations: previous.registrations?.map(registration =>
+            registration.user.id === payload.userId ? { ...registration, status: payload.status } : registration
+          ),
+        });
+      }
+    });
+
+    // The count arrives with the message; staff refetch to get the device list as well
+    newSocket.on('presenceUpdated', (payload: PresenceCount) => {
+      if (payload.eventId !== event.id) {
+        return;
+      }
+      const previous = queryClient.getQueryData<Presence>(['eventPresence', event.id]);
+      if (previous?.staffDevices) {
+        queryClient.invalidateQueries({ queryKey: ['eventPresence', event.id] });
+      } else {
+        queryClient.setQueryData(['eventPresence', event.id], previous && { ...previous, viewerCount: payload.viewerCount });
+      }
+    });
+
+    newSocket.on('checkInConflict', (payload: { eventId: string }) => {
+      if (payload.eventId === event.id) {
+        queryClient.invalidateQueries({ queryKey: ['checkInConflicts', event.id] });
+      }
+    });
+
+    // Edits and status changes; attendee changes arrive as deltas
+    newSocket.on('eventUpdated', (payload: { eventId: string; event: Event }) => {
+      if (payload.eventId === event.id && payload.event) {
+        const { name, location, description, startTime, endTime, timeZone, status, capacity, cancelledAt, cancellationReason } = payload.event;
+        setEvent(prevEvent => ({ ...prevEvent, name, location, description, startTime, endTime, timeZone, status, capacity, cancelledAt, cancellationReason }));
+        queryClient.invalidateQueries({ queryKey: ['eventSchedule', event.id] });
+        queryClient.invalidateQueries({ queryKey: ['eventSeries', event.id] });
+        queryClient.invalidateQueries({ queryKey: ['eventSessions', event.id] });
+        queryClient.invalidateQueries({ queryKey: ['eventVenue', event.id] });
       }
     });
 
+    const stopHeartbeat = startPresenceHeartbeat(newSocket);
+
     return () => {
+      stopHeartbeat();
+      newSocket.emit('leaveEventRoom', event.id);
       newSocket.close();
     };
   }, [event.id]);
 
   const joinEventMutation = useMutation({
     mutationFn: async (variables: JoinEventPayload) => {
-      return request(GRAPHQL_ENDPOINT, JOIN_EVENT, variables);
+      return request(GRAPHQL_ENDPOINT, JOIN_EVENT, variables, authHeaders());
     },
     onSuccess: (data: any) => {
-      setEvent(prevEvent => ({
-        ...prevEvent,
-        attendees: data.joinEvent.attendees
-      }));
+      setIsJoined(Boolean(data.joinEvent.myRegistration));
+      updateAttendees(data.joinEvent);
       queryClient.invalidateQueries({ queryKey: ['events'] });
     },
     onError: (error) => {
       console.error('Join event error:', error);
-      Alert.alert('Error', 'Failed to join event. Please try again.');
+      Alert.alert('Error', errorMessage(error, 'Failed to join event. Please try again.'));
     },
   });
 
   const leaveEventMutation = useMutation({
     mutationFn: async (variables: JoinEventPayload) => {
-      return request(GRAPHQL_ENDPOINT, LEAVE_EVENT, variables);
+      return request(GRAPHQL_ENDPOINT, LEAVE_EVENT, variables, authHeaders());
     },
     onSuccess: (data: any) => {
-      setEvent(prevEvent => ({
-        ...prevEvent,
-        attendees: data.leaveEvent.attendees
-      }));
+      setIsJoined(Boolean(data.leaveEvent.myRegistration));
+      updateAttendees(data.leaveEvent);
       queryClient.invalidateQueries({ queryKey: ['events'] });
+      refreshWaitlist();
+      // Leaving gives up the seats on the agenda too
+      refreshSessions();
     },
     onError: (error) => {
       console.error('Leave event error:', error);
@@ -120,6 +699,179 @@ export default function EventDetailScreen({ navigation, route }: Props) {
     },
   });
 
+  const joinWaitlistMutation = useMutation({
+    mutationFn: async (variables: JoinEventPayload) => {
+      return request(GRAPHQL_ENDPOINT, JOIN_WAITLIST, variables, authHeaders());
+    },
+    onSuccess: (data: any) => {
+      // Set when a spot was free after all and we joined directly
+      setIsJoined(Boolean(data.joinWaitlist.myRegistration));
+      updateAttendees(data.joinWaitlist);
+      refreshWaitlist();
+    },
+    onError: (error) => {
+      console.error('Join waitlist error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to join the waitlist. Please try again.'));
+    },
+  });
+
+  const leaveWaitlistMutation = useMutation({
+    mutationFn: async (variables: JoinEventPayload) => {
+      return request(GRAPHQL_ENDPOINT, LEAVE_WAITLIST, variables, authHeaders());
+    },
+    onSuccess: () => refreshWaitlist(),
+    onError: (error) => {
+      console.error('Leave waitlist error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to leave the waitlist. Please try again.'));
+    },
+  });
+
+  // Joining this occurrence along the way shows up as an attendee delta
+  const joinSeriesMutation = useMutation({
+    mutationFn: async (variables: { seriesId: string }) => {
+      return request(GRAPHQL_ENDPOINT, JOIN_SERIES, variables, authHeaders());
+    },
+    onSuccess: () => {
+      refreshSeries();
+      refreshWaitlist();
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+    },
+    onError: (error) => {
+      console.error('Join series error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to join the series. Please try again.'));
+    },
+  });
+
+  const leaveSeriesMutation = useMutation({
+    mutationFn: async (variables: { seriesId: string }) => {
+      return request(GRAPHQL_ENDPOINT, LEAVE_SERIES, variables, authHeaders());
+    },
+    onSuccess: () => {
+      refreshSeries();
+      refreshWaitlist();
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+    },
+    onError: (error) => {
+      console.error('Leave series error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to leave the series. Please try again.'));
+    },
+  });
+
+  const moveWaitlistEntryMutation = useMutation({
+    mutationFn: async (variables: { eventId: string; userId: string; position: number }) => {
+      return request(GRAPHQL_ENDPOINT, MOVE_WAITLIST_ENTRY, variables, authHeaders());
+    },
+    onSuccess: () => refreshWaitlist(),
+    onError: (error) => {
+      console.error('Move waitlist entry error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to reorder the waitlist. Please try again.'));
+    },
+  });
+
+  const promoteMutation = useMutation({
+    mutationFn: async (variables: { eventId: string; userId: string }) => {
+      return request(GRAPHQL_ENDPOINT, PROMOTE_FROM_WAITLIST, variables, authHeaders());
+    },
+    onSuccess: (data: any) => {
+      updateAttendees(data.promoteFromWaitlist);
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+      refreshWaitlist();
+    },
+    onError: (error) => {
+      console.error('Promote from waitlist error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to promote from the waitlist. Please try again.'));
+    },
+  });
+
+  const checkInMutation = useMutation({
+    mutationFn: async (variables: { eventId: string; userId: string; checkOut?: boolean }) => {
+      const { checkOut, ...ids } = variables;
+      return request(GRAPHQL_ENDPOINT, checkOut ? CHECK_OUT : CHECK_IN, ids, authHeaders());
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['eventCheckIns', event.id] }),
+    onError: (error) => {
+      console.error('Check-in error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to update the check-in. Please try again.'));
+    },
+  });
+
+  const bookmarkMutation = useMutation({
+    mutationFn: async (variables: { sessionId: string; remove?: boolean }) => {
+      const { remove, ...ids } = variables;
+      return request(GRAPHQL_ENDPOINT, remove ? REMOVE_SESSION_BOOKMARK : BOOKMARK_SESSION, ids, authHeaders());
+    },
+    onSuccess: () => refreshSessions(),
+    onError: (error) => {
+      console.error('Bookmark session error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to update your agenda. Please try again.'));
+    },
+  });
+
+  const sessionCheckInMutation = useMutation({
+    mutationFn: async (variables: { sessionId: string; userId: string; undo?: boolean }) => {
+      const { undo, ...ids } = variables;
+      return request(GRAPHQL_ENDPOINT, undo ? UNDO_SESSION_CHECK_IN : CHECK_IN_TO_SESSION, ids, authHeaders());
+    },
+    onSuccess: () => refreshSessions(),
+    onError: (error) => {
+      console.error('Session check-in error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to update the session check-in. Please try again.'));
+    },
+  });
+
+  const resolveConflictMutation = useMutation({
+    mutationFn: async (variables: { id: string }) => {
+      return request(GRAPHQL_ENDPOINT, RESOLVE_CHECK_IN_CONFLICT, variables, authHeaders());
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['checkInConflicts', event.id] }),
+    onError: (error) => {
+      console.error('Resolve conflict error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to resolve the conflict. Please try again.'));
+    },
+  });
+
+  const cancelEventMutation = useMutation({
+    mutationFn: async (variables: JoinEventPayload) => {
+      return request(GRAPHQL_ENDPOINT, CANCEL_EVENT, variables, authHeaders());
+    },
+    onSuccess: (data: any) => {
+      setEvent(prevEvent => ({ ...prevEvent, ...data.cancelEvent }));
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+    },
+    onError: (error) => {
+      console.error('Cancel event error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to cancel event. Please try again.'));
+    },
+  });
+
+  const setStatusMutation = useMutation({
+    mutationFn: async (variables: { eventId: string; status: EventStatus }) => {
+      return request(GRAPHQL_ENDPOINT, SET_EVENT_STATUS, variables, authHeaders());
+    },
+    onSuccess: (data: any) => {
+      setEvent(prevEvent => ({ ...prevEvent, ...data.setEventStatus }));
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+    },
+    onError: (error) => {
+      console.error('Set event status error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to update the event. Please try again.'));
+    },
+  });
+
+  const deleteEventMutation = useMutation({
+    mutationFn: async (variables: JoinEventPayload) => {
+      return request(GRAPHQL_ENDPOINT, DELETE_EVENT, variables, authHeaders());
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+      navigation.goBack();
+    },
+    onError: (error) => {
+      console.error('Delete event error:', error);
+      Alert.alert('Error', 'Failed to delete event. Please try again.');
+    },
+  });
+
   const formatDateTime = (dateTime: string) => {
     const date = new Date(dateTime);
     return {
@@ -129,32 +881,71 @@ export default function EventDetailScreen({ navigation, route }: Props) {
   };
 
   const handleJoinEvent = () => {
-    if (!userEmail) {
-      Alert.alert('Error', 'User email not found');
-      return;
-    }
-
-    joinEventMutation.mutate({
-      eventId: event.id,
-      userEmail: userEmail,
-    });
+    joinEventMutation.mutate({ eventId: event.id });
   };
 
   const handleLeaveEvent = () => {
-    if (!userEmail) {
-      Alert.alert('Error', 'User email not found');
-      return;
-    }
+    leaveEventMutation.mutate({ eventId: event.id });
+  };
 
-    leaveEventMutation.mutate({
-      eventId: event.id,
-      userEmail: userEmail,
-    });
+  const handleCancelEvent = () => {
+    Alert.alert('Cancel event?', 'Attendees will see that this event has been cancelled.', [
+      { text: 'Keep Event', style: 'cancel' },
+      { text: 'Cancel Event', style: 'destructive', onPress: () => cancelEventMutation.mutate({ eventId: event.id }) },
+    ]);
+  };
+
+  const handleEndEvent = () => {
+    Alert.alert('End event?', 'Nobody will be able to join once the event has ended.', [
+      { text: 'Keep Going', style: 'cancel' },
+      { text: 'End Event', style: 'destructive', onPress: () => setStatusMutation.mutate({ eventId: event.id, status: 'COMPLETED' }) },
+    ]);
+  };
+
+  const handleLeaveSeries = (seriesId: string) => {
+    Alert.alert('Leave series?', 'You will leave this and every upcoming occurrence.', [
+      { text: 'Stay', style: 'cancel' },
+      { text: 'Leave Series', style: 'destructive', onPress: () => leaveSeriesMutation.mutate({ seriesId }) },
+    ]);
+  };
+
+  const handleDeleteEvent = () => {
+    const message = series
+      ? 'This permanently removes this occurrence and its attendee list. The rest of the series stays.'
+      : 'This permanently removes the event and its attendee list.';
+    Alert.alert('Delete event?', message, [
+      { text: 'Keep Event', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => deleteEventMutation.mutate({ eventId: event.id }) },
+    ]);
   };
 
-  const attendees = Array.isArray(event?.attendees) ? event.attendees : [];
-  const isJoined = userEmail ? attendees.some(attendee => attendee?.email === userEmail) : false;
-  const { date, time } = formatDateTime(event?.startTime || new Date().toISOString());
+  const attendeeCount = attendeeState.attendeeCount;
+  const searchPages = searchQuery.data?.pages.filter(Boolean) ?? [];
+  const attendees = search
+    ? searchPages.flatMap(page => page.edges.map(edge => edge.node))
+    : attendeeState.attendees;
+  const hasMoreAttendees = search ? searchQuery.hasNextPage : attendeeState.endCursor !== null;
+  const loadingAttendees = search ? searchQuery.isFetchingNextPage : loadingMoreAttendees;
+  const remainingSpots = event.capacity == null ? null : Math.max(0, event.capacity - attendeeCount);
+  const isFull = remainingSpots === 0;
+  const canJoin = isJoinable(event.status) && !isFull;
+  const waitlistPosition = waitlistQuery.data?.myWaitlistPosition ?? null;
+  const waitlistCount = waitlistQuery.data?.waitlistCount ?? 0;
+  const waitlist = waitlistQuery.data?.waitlist ?? null;
+  const checkedInCount = checkInQuery.data?.checkedInCount ?? 0;
+  const conflicts = conflictsQuery.data ?? [];
+  const viewerCount = presenceQuery.data?.viewerCount ?? 0;
+  const staffDevices = presenceQuery.data?.staffDevices ?? [];
+  const registrationsByUser = new Map(
+    (checkInQuery.data?.registrations ?? []).map((registration: Registration) => [registration.user.id, registration])
+  );
+  const schedule = scheduleQuery.data?.schedule ?? [];
+  const isHappening = event.status === 'LIVE' && Boolean(scheduleQuery.data?.isOngoing);
+  const displayTimeZone = showDeviceTime ? undefined : event.timeZone;
+  const sessions = sessionsQuery.data ?? [];
+  const shownSessions = showMyAgenda ? sessions.filter(session => session.isBookmarked) : sessions;
+  const checkInSession = sessions.find(session => session.id === checkInSessionId) ?? null;
+  const sessionCheckedIn = new Set((checkInSession?.checkIns ?? []).map(checkIn => checkIn.user.id));
 
   const renderAttendee = ({ item }: { item: User }) => {
     if (!item) {
@@ -163,8 +954,14 @@ export default function EventDetailScreen({ navigation, route }: Props) {
     }
     
     try {
-      const isCurrentUser = item.email === userEmail;
+      const isCurrentUser = item.id === userId;
       const initial = (item.name || 'U').charAt(0).toUpperCase();
+      // Only staff receive registrations, so this doubles as the check-in permission
+      const registration = registrationsByUser.get(item.id);
+      const isCheckedIn = checkInSession ? sessionCheckedIn.has(item.id) : registration?.status === 'CHECKED_IN';
+      const toggleCheckIn = () => checkInSession
+        ? sessionCheckInMutation.mutate({ sessionId: checkInSession.id, userId: item.id, undo: isCheckedIn })
+        : checkInMutation.mutate({ eventId: event.id, userId: item.id, checkOut: isCheckedIn });
 
       return (
         <View style={styles.attendeeItem}>
@@ -180,6 +977,17 @@ export default function EventDetailScreen({ navigation, route }: Props) {
               <Text style={styles.youLabelText}>You</Text>
             </View>
           )}
+          {registration && isJoinable(event.status) ? (
+            <TouchableOpacity
+              style={[styles.checkInButton, isCheckedIn && styles.checkedInButton]}
+              onPress={toggleCheckIn}
+              disabled={checkInMutation.isPending || sessionCheckInMutation.isPending}
+            >
+              <Text style={[styles.checkInButtonText, isCheckedIn && styles.checkedInButtonText]}>
+                {isCheckedIn ? '✓ Checked in' : 'Check in'}
+              </Text>
+            </TouchableOpacity>
+          ) : null}
         </View>
       );
     } catch (error) {
@@ -201,20 +1009,211 @@ export default function EventDetailScreen({ navigation, route }: Props) {
 
       <View style={styles.content}>
         <Text style={styles.eventName}>{event.name}</Text>
+        <Text style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[event.status] }]}>
+          {isHappening ? 'Happening now' : STATUS_LABELS[event.status]}
+        </Text>
+        {canManageEvent(event.id) ? (
+          <Text style={styles.roleBadge}>You organize this event</Text>
+        ) : canCheckIn(event.id) ? (
+          <Text style={styles.roleBadge}>You're staff for this event</Text>
+        ) : null}
         <Text style={styles.eventLocation}>📍 {event.location}</Text>
-        <Text style={styles.eventTime}>🕒 {date} at {time}</Text>
+        {venue && (
+          <View style={styles.venueDetails}>
+            {venue.address && <Text style={styles.venueDetail}>{venue.address}</Text>}
+            {venue.accessibility && <Text style={styles.venueDetail}>♿ {venue.accessibility}</Text>}
+            {venue.entrances && venue.entrances.length > 0 && (
+              <Text style={styles.venueDetail}>🚪 {venue.entrances.join(' · ')}</Text>
+            )}
+            {venue.latitude != null && venue.longitude != null && (
+              <TouchableOpacity
+                onPress={() => Linking.openURL(`https://www.google.com/maps/search/?api=1&query=${venue.latitude},${venue.longitude}`)}
+              >
+                <Text style={styles.venueLink}>Open in Maps</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+        <Text style={styles.eventTime}>🕒 {formatTimeRange(event.startTime, event.endTime, displayTimeZone)}</Text>
+        {schedule.length > 0 && (
+          <View style={styles.scheduleList}>
+            {schedule.map((day, index) => (
+              <Text key={day.startTime} style={styles.scheduleDay}>
+                Day {index + 1}: {formatTimeRange(day.startTime, day.endTime, displayTimeZone)}
+              </Text>
+            ))}
+          </View>
+        )}
+        {series && (
+          <Text style={styles.recurrenceText}>
+            🔁 Repeats {series.summary}{seriesQuery.data?.isOverride ? ' · this occurrence was changed' : ''}
+          </Text>
+        )}
+        <TouchableOpacity onPress={() => setShowDeviceTime(!showDeviceTime)} style={styles.timeZoneToggle}>
+          <Text style={styles.timeZoneToggleText}>
+            {showDeviceTime ? `Show venue time (${event.timeZone})` : 'Show in my time'}
+          </Text>
+        </TouchableOpacity>
+        {event.description ? (
+          <Text style={styles.eventDescription}>{event.description}</Text>
+        ) : null}
+        {event.capacity != null && (
+          <Text style={styles.spotsText}>
+            🎟️ {isFull ? 'Full' : `${remainingSpots} of ${event.capacity} spots left`}
+          </Text>
+        )}
 
-        <View style={styles.joinSection}>
-          {isJoined ? (
+        {(event.status === 'LIVE' || event.status === 'COMPLETED') && (
+          <Text style={styles.spotsText}>✅ {checkedInCount} of {attendeeCount} checked in</Text>
+        )}
+
+        {viewerCount > 0 && (
+          <Text style={styles.viewersText}>👀 {viewerCount} {viewerCount === 1 ? 'person' : 'people'} viewing</Text>
+        )}
+
+        {event.status === 'DRAFT' && (
+          <View style={styles.draftBanner}>
+            <Text style={styles.draftText}>Only organizers can see this draft until it's published</Text>
+          </View>
+        )}
+
+        {event.status === 'CANCELLED' && (
+          <View style={styles.cancelledBanner}>
+            <Text style={styles.cancelledText}>This event has been cancelled</Text>
+            {event.cancellationReason ? (
+              <Text style={styles.cancelledReason}>{event.cancellationReason}</Text>
+            ) : null}
+          </View>
+        )}
+
+        {canManageEvent(event.id) && (
+          <View style={styles.organizerActions}>
+            {event.status === 'DRAFT' && (
+              <TouchableOpacity
+                style={styles.organizerButton}
+                onPress={() => setStatusMutation.mutate({ eventId: event.id, status: 'PUBLISHED' })}
+                disabled={setStatusMutation.isPending}
+              >
+                <Text style={styles.organizerButtonText}>Publish</Text>
+              </TouchableOpacity>
+            )}
+            {event.status === 'PUBLISHED' && (
+              <TouchableOpacity
+                style={styles.organizerButton}
+                onPress={() => setStatusMutation.mutate({ eventId: event.id, status: 'DRAFT' })}
+                disabled={setStatusMutation.isPending}
+              >
+                <Text style={styles.organizerButtonText}>Unpublish</Text>
+              </TouchableOpacity>
+            )}
+            {event.status === 'LIVE' && (
+              <TouchableOpacity
+                style={styles.organizerButton}
+                onPress={handleEndEvent}
+                disabled={setStatusMutation.isPending}
+              >
+                <Text style={styles.organizerButtonText}>End Event</Text>
+              </TouchableOpacity>
+            )}
+            {isEditable(event.status) && (
+              <>
+                <TouchableOpacity
+                  style={styles.organizerButton}
+                  onPress={() => navigation.navigate('EventForm', {
+                    event: { ...event, schedule: scheduleQuery.data?.schedule, series: seriesQuery.data?.series, venue: venueQuery.data },
+                  })}
+                >
+                  <Text style={styles.organizerButtonText}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.organizerButton}
+                  onPress={handleCancelEvent}
+                  disabled={cancelEventMutation.isPending}
+                >
+                  <Text style={styles.organizerButtonText}>
+                    {cancelEventMutation.isPending ? 'Cancelling...' : 'Cancel Event'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
             <TouchableOpacity
-              style={[styles.actionButton, styles.leaveButton]}
-              onPress={handleLeaveEvent}
-              disabled={leaveEventMutation.isPending}
+              style={styles.organizerButton}
+              onPress={handleDeleteEvent}
+              disabled={deleteEventMutation.isPending}
             >
-              <Text style={styles.leaveButtonText}>
-                {leaveEventMutation.isPending ? 'Leaving...' : 'Leave Event'}
+              <Text style={[styles.organizerButtonText, styles.deleteText]}>
+                {deleteEventMutation.isPending ? 'Deleting...' : 'Delete'}
               </Text>
             </TouchableOpacity>
+          </View>
+        )}
+
+        {canCheckIn(event.id) && isJoinable(event.status) && (
+          <TouchableOpacity
+            style={[styles.actionButton, styles.scanButton]}
+            onPress={() => navigation.navigate('TicketScanner', { event })}
+          >
+            <Text style={styles.joinButtonText}>📷 Scan Tickets</Text>
+          </TouchableOpacity>
+        )}
+
+        <View style={styles.joinSection}>
+          {isFull && isJoinable(event.status) && !isJoined ? (
+            waitlistPosition !== null ? (
+              <>
+                <Text style={styles.waitlistText}>
+                  You're #{waitlistPosition} on the waitlist. We'll let you know when a spot opens up.
+                </Text>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.leaveButton]}
+                  onPress={() => leaveWaitlistMutation.mutate({ eventId: event.id })}
+                  disabled={leaveWaitlistMutation.isPending}
+                >
+                  <Text style={styles.leaveButtonText}>
+                    {leaveWaitlistMutation.isPending ? 'Leaving...' : 'Leave Waitlist'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <Text style={styles.waitlistText}>
+                  This event is full{waitlistCount > 0 ? ` · ${waitlistCount} waiting` : ''}
+                </Text>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.joinButton]}
+                  onPress={() => joinWaitlistMutation.mutate({ eventId: event.id })}
+                  disabled={joinWaitlistMutation.isPending}
+                >
+                  <Text style={styles.joinButtonText}>
+                    {joinWaitlistMutation.isPending ? 'Joining...' : 'Join Waitlist'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )
+          ) : !canJoin && !isJoined ? (
+            <Text style={styles.closedText}>
+              {event.status === 'DRAFT'
+                ? 'Publish this event to open it for joining'
+                : 'This event is closed for joining'}
+            </Text>
+          ) : isJoined ? (
+            <>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.joinButton]}
+                onPress={() => navigation.navigate('MyTicket', { event })}
+              >
+                <Text style={styles.joinButtonText}>🎫 My Ticket</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.leaveButton, styles.stackedButton]}
+                onPress={handleLeaveEvent}
+                disabled={leaveEventMutation.isPending}
+              >
+                <Text style={styles.leaveButtonText}>
+                  {leaveEventMutation.isPending ? 'Leaving...' : 'Leave Event'}
+                </Text>
+              </TouchableOpacity>
+            </>
           ) : (
             <TouchableOpacity
               style={[styles.actionButton, styles.joinButton]}
@@ -226,12 +1225,180 @@ export default function EventDetailScreen({ navigation, route }: Props) {
               </Text>
             </TouchableOpacity>
           )}
+          {series && event.status !== 'DRAFT' && (
+            series.isSubscribed ? (
+              <TouchableOpacity
+                style={[styles.actionButton, styles.leaveButton, styles.stackedButton]}
+                onPress={() => handleLeaveSeries(series.id)}
+                disabled={leaveSeriesMutation.isPending}
+              >
+                <Text style={styles.leaveButtonText}>
+                  {leaveSeriesMutation.isPending ? 'Leaving...' : 'Leave Series'}
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[styles.actionButton, styles.joinButton, styles.stackedButton]}
+                onPress={() => joinSeriesMutation.mutate({ seriesId: series.id })}
+                disabled={joinSeriesMutation.isPending}
+              >
+                <Text style={styles.joinButtonText}>
+                  {joinSeriesMutation.isPending ? 'Joining...' : '🔁 Join Every Occurrence'}
+                </Text>
+              </TouchableOpacity>
+            )
+          )}
         </View>
 
+        {sessions.length > 0 && (
+          <View style={styles.waitlistSection}>
+            <View style={styles.sessionsHeader}>
+              <Text style={styles.sectionTitle}>Sessions ({sessions.length})</Text>
+              {isJoined && (
+                <TouchableOpacity onPress={() => setShowMyAgenda(!showMyAgenda)}>
+                  <Text style={styles.organizerButtonText}>{showMyAgenda ? 'All sessions' : 'My agenda'}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            {shownSessions.length === 0 && (
+              <Text style={styles.closedText}>Tap ☆ on a session to add it to your agenda</Text>
+            )}
+            {shownSessions.map((session: EventSession) => (
+              <View
+                key={session.id}
+                style={[styles.waitlistItem, session.id === checkInSessionId && styles.selectedSession]}
+              >
+                <View style={styles.attendeeInfo}>
+                  <Text style={styles.sessionTime}>{formatTimeRange(session.startTime, session.endTime, displayTimeZone)}</Text>
+                  <Text style={styles.waitlistName}>{session.title}</Text>
+                  {(session.speaker || session.room) && (
+                    <Text style={styles.attendeeEmail}>
+                      {[session.speaker, session.room].filter(Boolean).join(' · ')}
+                    </Text>
+                  )}
+                  <Text style={styles.attendeeEmail}>
+                    {session.remainingSeats == null ? 'Open seating' : `${session.remainingSeats} seats left`}
+                    {session.checkIns ? ` · ✅ ${session.checkedInCount} checked in` : ''}
+                  </Text>
+                </View>
+                {session.checkIns && isJoinable(event.status) && (
+                  <TouchableOpacity
+                    style={styles.waitlistButton}
+                    onPress={() => setCheckInSessionId(session.id === checkInSessionId ? null : session.id)}
+                  >
+                    <Text style={styles.organizerButtonText}>{session.id === checkInSessionId ? 'Done' : 'Check in'}</Text>
+                  </TouchableOpacity>
+                )}
+                {isJoined && isJoinable(event.status) && (
+                  <TouchableOpacity
+                    style={styles.waitlistButton}
+                    onPress={() => bookmarkMutation.mutate({ sessionId: session.id, remove: session.isBookmarked })}
+                    disabled={bookmarkMutation.isPending || (!session.isBookmarked && session.remainingSeats === 0)}
+                  >
+                    <Text style={styles.bookmarkText}>{session.isBookmarked ? '★' : '☆'}</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {staffDevices.length > 0 && (
+          <View style={styles.waitlistSection}>
+            <Text style={styles.sectionTitle}>Check-in Devices Online ({staffDevices.length})</Text>
+            {staffDevices.map((device: StaffDevice) => (
+              <View key={device.deviceId} style={styles.waitlistItem}>
+                <View style={styles.attendeeInfo}>
+                  <Text style={styles.waitlistName}>🚪 {device.door || 'Door not set'}</Text>
+                  <Text style={styles.attendeeEmail}>{device.user.name}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {conflicts.length > 0 && (
+          <View style={styles.waitlistSection}>
+            <Text style={styles.sectionTitle}>Check-in Conflicts ({conflicts.length})</Text>
+            {conflicts.map((conflict: OfflineCheckIn) => (
+              <View key={conflict.id} style={styles.waitlistItem}>
+                <View style={styles.attendeeInfo}>
+                  <Text style={styles.waitlistName}>⚠️ {conflict.attendee?.name ?? 'Removed attendee'}</Text>
+                  <Text style={styles.attendeeEmail}>
+                    {(conflict.conflictReason && CONFLICT_REASONS[conflict.conflictReason]) || conflict.conflictReason}
+                    {' · '}scanned offline by {conflict.staff.name} at {formatDateTime(conflict.scannedAt).time}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.waitlistButton}
+                  onPress={() => resolveConflictMutation.mutate({ id: conflict.id })}
+                  disabled={resolveConflictMutation.isPending}
+                >
+                  <Text style={styles.organizerButtonText}>Resolve</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {waitlist && waitlist.length > 0 && (
+          <View style={styles.waitlistSection}>
+            <Text style={styles.sectionTitle}>Waitlist ({waitlist.length})</Text>
+            {waitlist.map((entry: WaitlistEntry) => (
+              <View key={entry.user.id} style={styles.waitlistItem}>
+                <Text style={styles.waitlistName}>#{entry.position} {entry.user.name}</Text>
+                <TouchableOpacity
+                  style={styles.waitlistButton}
+                  onPress={() => moveWaitlistEntryMutation.mutate({ eventId: event.id, userId: entry.user.id, position: entry.position - 1 })}
+                  disabled={entry.position === 1 || moveWaitlistEntryMutation.isPending}
+                >
+                  <Text style={styles.organizerButtonText}>↑</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.waitlistButton}
+                  onPress={() => moveWaitlistEntryMutation.mutate({ eventId: event.id, userId: entry.user.id, position: entry.position + 1 })}
+                  disabled={entry.position === waitlist.length || moveWaitlistEntryMutation.isPending}
+                >
+                  <Text style={styles.organizerButtonText}>↓</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.waitlistButton}
+                  onPress={() => promoteMutation.mutate({ eventId: event.id, userId: entry.user.id })}
+                  disabled={isFull || promoteMutation.isPending}
+                >
+                  <Text style={[styles.organizerButtonText, isFull && styles.disabledText]}>Promote</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
         <View style={styles.attendeesSection}>
           <Text style={styles.sectionTitle}>
-            Attendees ({attendees.length})
+            Attendees ({attendeeCount})
           </Text>
+          {checkInSession && (
+            <TouchableOpacity onPress={() => setCheckInSessionId(null)}>
+              <Text style={styles.matchesText}>Checking in to: {checkInSession.title} ✕</Text>
+            </TouchableOpacity>
+          )}
+
+          {attendeeCount > 0 && (
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search by name or email"
+              value={attendeeSearch}
+              onChangeText={setAttendeeSearch}
+              autoCapitalize="none"
+              autoCorrect={false}
+              clearButtonMode="while-editing"
+            />
+          )}
+          {search !== '' && searchPages.length > 0 && (
+            <Text style={styles.matchesText}>
+              {searchPages[0].totalCount} matching "{search}"
+            </Text>
+          )}
           
           <SafeFlatList
             data={Array.isArray(attendees) ? attendees.filter(Boolean) : []}
@@ -240,7 +1407,9 @@ export default function EventDetailScreen({ navigation, route }: Props) {
             showsVerticalScrollIndicator={false}
             ListEmptyComponent={
               <View style={styles.emptyContainer}>
-                <Text style={styles.emptyText}>No attendees yet</Text>
+                <Text style={styles.emptyText}>
+                  {search ? (searchQuery.isPending ? 'Searching...' : 'No attendees match') : 'No attendees yet'}
+                </Text>
               </View>
             }
             removeClippedSubviews={false}
@@ -248,6 +1417,18 @@ export default function EventDetailScreen({ navigation, route }: Props) {
             maxToRenderPerBatch={10}
             windowSize={10}
           />
+
+          {hasMoreAttendees && (
+            <TouchableOpacity
+              style={styles.showMoreButton}
+              onPress={() => (search ? searchQuery.fetchNextPage() : loadMoreAttendees())}
+              disabled={loadingAttendees}
+            >
+              <Text style={styles.organizerButtonText}>
+                {loadingAttendees ? 'Loading...' : 'Show more attendees'}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     </View>
@@ -292,19 +1473,184 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 10,
   },
+  roleBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#6f42c1',
+    color: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
   eventLocation: {
     fontSize: 16,
     marginBottom: 5,
     color: '#666',
   },
+  venueDetails: {
+    marginBottom: 5,
+  },
+  venueDetail: {
+    fontSize: 14,
+    color: '#666',
+  },
+  venueLink: {
+    color: '#007bff',
+    fontSize: 14,
+  },
+  eventDescription: {
+    fontSize: 15,
+    lineHeight: 21,
+    marginBottom: 10,
+    color: '#333',
+  },
   eventTime: {
     fontSize: 16,
+    marginBottom: 6,
+    color: '#666',
+  },
+  scheduleList: {
+    marginBottom: 6,
+    paddingLeft: 22,
+  },
+  timeZoneToggle: {
+    alignSelf: 'flex-start',
     marginBottom: 20,
+  },
+  timeZoneToggleText: {
+    color: '#007bff',
+    fontSize: 14,
+  },
+  scheduleDay: {
+    fontSize: 14,
     color: '#666',
+    marginBottom: 2,
+  },
+  recurrenceText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  spotsText: {
+    fontSize: 16,
+    marginTop: -15,
+    marginBottom: 20,
+    color: '#666',
+  },
+  viewersText: {
+    fontSize: 14,
+    marginTop: -15,
+    marginBottom: 20,
+    color: '#007AFF',
+  },
+  statusBadge: {
+    alignSelf: 'flex-start',
+    color: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  draftBanner: {
+    backgroundColor: '#e2e3e5',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  draftText: {
+    color: '#383d41',
+  },
+  cancelledBanner: {
+    backgroundColor: '#f8d7da',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  cancelledText: {
+    color: '#721c24',
+    fontWeight: 'bold',
+  },
+  cancelledReason: {
+    color: '#721c24',
+    marginTop: 4,
+  },
+  organizerActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 20,
+  },
+  organizerButton: {
+    borderWidth: 1,
+    borderColor: '#6f42c1',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 10,
+  },
+  organizerButtonText: {
+    color: '#6f42c1',
+    fontWeight: 'bold',
+  },
+  deleteText: {
+    color: '#dc3545',
   },
   joinSection: {
     marginBottom: 30,
   },
+  waitlistText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  waitlistSection: {
+    marginBottom: 20,
+  },
+  waitlistItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    backgroundColor: '#f3eefc',
+    marginBottom: 8,
+    borderRadius: 8,
+  },
+  waitlistName: {
+    flex: 1,
+    fontSize: 16,
+  },
+  waitlistButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginLeft: 6,
+  },
+  disabledText: {
+    color: '#aaa',
+  },
+  sessionsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  selectedSession: {
+    borderWidth: 1,
+    borderColor: '#28a745',
+  },
+  sessionTime: {
+    fontSize: 12,
+    color: '#666',
+  },
+  bookmarkText: {
+    fontSize: 22,
+    color: '#f5a623',
+  },
+  closedText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
   actionButton: {
     paddingVertical: 15,
     paddingHorizontal: 20,
@@ -317,6 +1663,13 @@ const styles = StyleSheet.create({
   leaveButton: {
     backgroundColor: '#dc3545',
   },
+  stackedButton: {
+    marginTop: 10,
+  },
+  scanButton: {
+    backgroundColor: '#28a745',
+    marginBottom: 15,
+  },
   joinButtonText: {
     color: 'white',
     fontSize: 16,
@@ -338,6 +1691,23 @@ const styles = StyleSheet.create({
   attendeesList: {
     flex: 1,
   },
+  searchInput: {
+    backgroundColor: '#f9f9f9',
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  matchesText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  showMoreButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
   attendeeItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -383,6 +1753,25 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  checkInButton: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#28a745',
+  },
+  checkedInButton: {
+    backgroundColor: '#28a745',
+  },
+  checkInButtonText: {
+    color: '#28a745',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  checkedInButtonText: {
+    color: 'white',
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,464 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useMutation, useQuery, gql } from '@apollo/client';
+import { StackNavigationProp } from '@react-navigation/stack';
+import { RouteProp } from '@react-navigation/native';
+import { EditScope, Event, EventDay, EventInput, RootStackParamList, Venue } from '../types';
+import { errorMessage } from '../api';
+import { DEVICE_TIME_ZONE, fromZonedInput, isValidTimeZone, toZonedInput } from '../eventTime';
+
+const EVENT_FIELDS = `
+  id
+  name
+  location
+  venue {
+    id
+    name
+  }
+  description
+  startTime
+  endTime
+  timeZone
+  schedule {
+    startTime
+    endTime
+  }
+  series {
+    id
+    summary
+  }
+  status
+  capacity
+  remainingSpots
+  cancelledAt
+  cancellationReason
+  attendeeCount
+  myRegistration {
+    id
+    status
+  }
+`;
+
+const CREATE_EVENT = gql`
+  mutation CreateEvent($input: CreateEventInput!) {
+    createEvent(input: $input) {
+      ${EVENT_FIELDS}
+    }
+  }
+`;
+
+const GET_VENUES = gql`
+  query GetVenues {
+    venues {
+      id
+      name
+    }
+  }
+`;
+
+const UPDATE_EVENT = gql`
+  mutation UpdateEvent($eventId: ID!, $input: UpdateEventInput!, $scope: EditScope) {
+    updateEvent(eventId: $eventId, input: $input, scope: $scope) {
+      ${EVENT_FIELDS}
+    }
+  }
+`;
+
+type EventFormScreenNavigationProp = StackNavigationProp<RootStackParamList, 'EventForm'>;
+type EventFormScreenRouteProp = RouteProp<RootStackParamList, 'EventForm'>;
+
+interface Props {
+  navigation: EventFormScreenNavigationProp;
+  route: EventFormScreenRouteProp;
+}
+
+// One "YYYY-MM-DD HH:MM-HH:MM" line per day; a blank value means no schedule
+const toScheduleInput = (days: EventDay[], timeZone: string) => days
+  .map(day => `${toZonedInput(day.startTime, timeZone)}-${toZonedInput(day.endTime, timeZone).slice(-5)}`)
+  .join('\n');
+
+const fromScheduleInput = (value: string, timeZone: string): EventDay[] | null => {
+  const days: EventDay[] = [];
+  for (const line of value.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const match = line.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+    const startTime = match && fromZonedInput(`${match[1]} ${match[2]}`, timeZone);
+    const endTime = match && fromZonedInput(`${match[1]} ${match[3]}`, timeZone);
+    if (!startTime || !endTime) {
+      return null;
+    }
+    days.push({ startTime, endTime });
+  }
+  return days;
+};
+
+// Skipped occurrences, one "YYYY-MM-DD HH:MM" start per line
+const toExceptionsInput = (exceptions: string[], timeZone: string) => exceptions
+  .map(exception => toZonedInput(exception, timeZone))
+  .join('\n');
+
+const fromExceptionsInput = (value: string, timeZone: string): string[] | null => {
+  const exceptions: string[] = [];
+  for (const line of value.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const exception = fromZonedInput(line, timeZone);
+    if (!exception) {
+      return null;
+    }
+    exceptions.push(exception);
+  }
+  return exceptions;
+};
+
+export default function EventFormScreen({ navigation, route }: Props) {
+  const existingEvent = route.params?.event;
+  const [name, setName] = useState(existingEvent?.name ?? '');
+  const [location, setLocation] = useState(existingEvent?.location ?? '');
+  // Null for a place typed by hand
+  const initialVenueId = existingEvent?.venue?.id ?? null;
+  const [venueId, setVenueId] = useState<string | null>(initialVenueId);
+  const { data: venuesData } = useQuery<{ venues: Venue[] }>(GET_VENUES);
+  const venues = venuesData?.venues ?? [];
+  const [description, setDescription] = useState(existingEvent?.description ?? '');
+  // Times are entered on the venue's clock, wherever the organizer is
+  const initialTimeZone = existingEvent?.timeZone ?? DEVICE_TIME_ZONE;
+  const [timeZone, setTimeZone] = useState(initialTimeZone);
+  const [startTime, setStartTime] = useState(existingEvent ? toZonedInput(existingEvent.startTime, initialTimeZone) : '');
+  const [endTime, setEndTime] = useState(existingEvent ? toZonedInput(existingEvent.endTime, initialTimeZone) : '');
+  const initialSchedule = toScheduleInput(existingEvent?.schedule ?? [], initialTimeZone);
+  const [schedule, setSchedule] = useState(initialSchedule);
+  const [capacity, setCapacity] = useState(existingEvent?.capacity != null ? String(existingEvent.capacity) : '');
+  const series = existingEvent?.series ?? null;
+  const initialRule = series?.rule ?? '';
+  const [rule, setRule] = useState(initialRule);
+  const initialExceptions = toExceptionsInput(series?.exceptions ?? [], initialTimeZone);
+  const [exceptions, setExceptions] = useState(initialExceptions);
+
+  const onError = (error: Error) => {
+    console.error('Event form error:', error);
+    Alert.alert('Error', errorMessage(error, error.message));
+  };
+
+  const [createEvent, { loading: creating }] = useMutation<{ createEvent: Event }>(CREATE_EVENT, {
+    refetchQueries: ['GetEvents', 'GetCapabilities'],
+    onCompleted: (data) => navigation.replace('EventDetail', { event: data.createEvent }),
+    onError,
+  });
+
+  const [updateEvent, { loading: updating }] = useMutation<{ updateEvent: Event }>(UPDATE_EVENT, {
+    refetchQueries: ['GetEvents'],
+    onCompleted: (data) => navigation.navigate('EventDetail', { event: data.updateEvent }),
+    onError,
+  });
+
+  const saving = creating || updating;
+
+  const handleSave = () => {
+    if (!name.trim() || (!venueId && !location.trim())) {
+      Alert.alert('Error', 'Name and a venue or location are required');
+      return;
+    }
+
+    const trimmedTimeZone = timeZone.trim();
+    if (!isValidTimeZone(trimmedTimeZone)) {
+      Alert.alert('Error', 'Time zone must be an IANA name like Europe/Berlin');
+      return;
+    }
+
+    const isoStartTime = fromZonedInput(startTime, trimmedTimeZone);
+    if (!isoStartTime) {
+      Alert.alert('Error', 'Start time must look like 2025-03-01 18:00');
+      return;
+    }
+
+    // Optional for new events, which then last three hours
+    const isoEndTime = (endTime.trim() || existingEvent) ? fromZonedInput(endTime, trimmedTimeZone) : undefined;
+    if (isoEndTime === null) {
+      Alert.alert('Error', 'End time must look like 2025-03-01 21:00');
+      return;
+    }
+
+    const days = fromScheduleInput(schedule, trimmedTimeZone);
+    if (!days) {
+      Alert.alert('Error', 'Each schedule line must look like 2025-03-01 09:00-17:00');
+      return;
+    }
+
+    // Empty means no limit
+    const trimmedCapacity = capacity.trim();
+    const parsedCapacity = trimmedCapacity ? Number(trimmedCapacity) : null;
+    if (parsedCapacity !== null && (!Number.isInteger(parsedCapacity) || parsedCapacity < 1)) {
+      Alert.alert('Error', 'Capacity must be a positive whole number');
+      return;
+    }
+
+    const trimmedRule = rule.trim().replace(/^RRULE:/i, '');
+    const exceptionTimes = fromExceptionsInput(exceptions, trimmedTimeZone);
+    if (!exceptionTimes) {
+      Alert.alert('Error', 'Each skipped date must look like 2025-03-01 18:00');
+      return;
+    }
+    const recurrenceChanged = trimmedRule !== initialRule || exceptions !== initialExceptions;
+    if (series && !trimmedRule) {
+      Alert.alert('Error', 'To stop the series, end its rule with UNTIL or COUNT, e.g. FREQ=WEEKLY;COUNT=4');
+      return;
+    }
+
+    const scheduleChanged = schedule !== initialSchedule || trimmedTimeZone !== initialTimeZone;
+    const scheduleKnown = existingEvent?.schedule !== undefined || schedule.trim() !== '';
+    // A typed location unlinks the venue, so it's only sent when it was changed or a venue was
+    // let go of; an event opened without its venue loaded keeps it
+    const locationChanged = !existingEvent || location.trim() !== existingEvent.location || venueId !== initialVenueId;
+    const input: EventInput = {
+      name: name.trim(),
+      ...(venueId ? { venueId } : locationChanged && { location: location.trim() }),
+      // Empty clears it
+      description: description.trim() || null,
+      startTime: isoStartTime,
+      endTime: isoEndTime,
+      timeZone: trimmedTimeZone,
+      // Empty removes the days. Left out when untouched, or when they weren't loaded and
+      // none were typed; a new zone resends them since they're read on its clock.
+      schedule: !existingEvent || (scheduleChanged && scheduleKnown) ? days : undefined,
+      recurrence: trimmedRule && recurrenceChanged ? { rule: trimmedRule, exceptions: exceptionTimes } : undefined,
+      capacity: parsedCapacity,
+    };
+    if (!existingEvent) {
+      createEvent({ variables: { input } });
+      return;
+    }
+
+    const save = (scope: EditScope) => updateEvent({ variables: { eventId: existingEvent.id, input, scope } });
+    if (input.recurrence) {
+      // A new rule, or a one-off event starting to repeat, always carries on to later occurrences
+      if (series) {
+        Alert.alert('Change the series?', 'This and every later occurrence will follow the new rule.', [
+          { text: 'Keep Editing', style: 'cancel' },
+          { text: 'Change Series', onPress: () => save('THIS_AND_FOLLOWING') },
+        ]);
+      } else {
+        save('THIS_AND_FOLLOWING');
+      }
+    } else if (series) {
+      Alert.alert('Edit recurring event', 'Apply these changes to:', [
+        { text: 'Keep Editing', style: 'cancel' },
+        { text: 'This occurrence', onPress: () => save('THIS_OCCURRENCE') },
+        { text: 'This and following', onPress: () => save('THIS_AND_FOLLOWING') },
+      ]);
+    } else {
+      save('THIS_OCCURRENCE');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.content}>
+        <Text style={styles.title}>{existingEvent ? 'Edit Event' : 'New Event'}</Text>
+        {!existingEvent && (
+          <Text style={styles.hint}>New events are saved as drafts. Publish them from the event page when they're ready.</Text>
+        )}
+
+        <Text style={styles.label}>Name</Text>
+        <TextInput style={styles.input} placeholder="Tech Meetup" value={name} onChangeText={setName} />
+
+        <Text style={styles.label}>Venue</Text>
+        <View style={styles.venues}>
+          {[null, ...venues].map(venue => (
+            <TouchableOpacity
+              key={venue?.id ?? 'other'}
+              style={[styles.venueChip, venueId === (venue?.id ?? null) && styles.selectedVenueChip]}
+              onPress={() => setVenueId(venue?.id ?? null)}
+            >
+              <Text style={[styles.venueChipText, venueId === (venue?.id ?? null) && styles.selectedVenueChipText]}>
+                {venue?.name ?? 'Other place'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {!venueId && (
+          <TextInput style={styles.input} placeholder="Downtown Hall" value={location} onChangeText={setLocation} />
+        )}
+
+        <Text style={styles.label}>Description (optional)</Text>
+        <TextInput
+          style={[styles.input, styles.multilineInput]}
+          placeholder="What attendees can expect"
+          value={description}
+          onChangeText={setDescription}
+          multiline
+        />
+
+        <Text style={styles.label}>Time zone of the venue</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Europe/Berlin"
+          value={timeZone}
+          onChangeText={setTimeZone}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        <Text style={styles.label}>Start time (at the venue)</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="2025-03-01 18:00"
+          value={startTime}
+          onChangeText={setStartTime}
+          autoCapitalize="none"
+        />
+
+        <Text style={styles.label}>
+          {existingEvent ? 'End time (at the venue)' : 'End time (at the venue, leave empty to end three hours after the start)'}
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder="2025-03-01 21:00"
+          value={endTime}
+          onChangeText={setEndTime}
+          autoCapitalize="none"
+        />
+
+        <Text style={styles.label}>Daily schedule (optional, one day per line)</Text>
+        <TextInput
+          style={[styles.input, styles.multilineInput]}
+          placeholder={'2025-03-01 09:00-17:00\n2025-03-02 10:00-16:00'}
+          value={schedule}
+          onChangeText={setSchedule}
+          autoCapitalize="none"
+          multiline
+        />
+
+        <Text style={styles.label}>Repeats (optional RFC 5545 rule, from the start time on)</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="FREQ=WEEKLY;COUNT=10"
+          value={rule}
+          onChangeText={setRule}
+          autoCapitalize="characters"
+          autoCorrect={false}
+        />
+
+        {(rule.trim() !== '' || exceptions !== '') && (
+          <>
+            <Text style={styles.label}>Skipped dates (at the venue, one start time per line)</Text>
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              placeholder={'2025-12-23 18:00\n2025-12-30 18:00'}
+              value={exceptions}
+              onChangeText={setExceptions}
+              autoCapitalize="none"
+              multiline
+            />
+          </>
+        )}
+
+        <Text style={styles.label}>Capacity (leave empty for no limit)</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="50"
+          value={capacity}
+          onChangeText={setCapacity}
+          keyboardType="number-pad"
+        />
+
+        <TouchableOpacity style={styles.button} onPress={handleSave} disabled={saving}>
+          <Text style={styles.buttonText}>
+            {saving ? 'Saving...' : existingEvent ? 'Save Changes' : 'Create Event'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+  },
+  backText: {
+    color: '#007bff',
+    fontSize: 16,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 20,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: -10,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 5,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+    marginBottom: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  venues: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  venueChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007bff',
+  },
+  selectedVenueChip: {
+    backgroundColor: '#007bff',
+  },
+  venueChipText: {
+    color: '#007bff',
+    fontSize: 14,
+  },
+  selectedVenueChipText: {
+    color: 'white',
+  },
+  button: {
+    backgroundColor: '#007bff',
+    padding: 15,
+    alignItems: 'center',
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
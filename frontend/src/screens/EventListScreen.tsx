@@ -1,30 +1,116 @@
 
-import React, { useEffect } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, RefreshControl } from 'react-native';
-import SafeFlatList from '../components/SafeFlatList';
-import { useQuery, gql } from '@apollo/client';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, RefreshControl, FlatList, ActivityIndicator, ScrollView } from 'react-native';
+import { useQuery, useApolloClient, gql, NetworkStatus } from '@apollo/client';
+import { request } from 'graphql-request';
 import { useStore } from '../store';
-import { Event } from '../types';
+import { Connection, Event, EventFilter, EventSort, EventSummary, Venue } from '../types';
 import { StackNavigationProp } from '@react-navigation/stack';
+import { useFocusEffect } from '@react-navigation/native';
 import { RootStackParamList } from '../types';
-import io from 'socket.io-client';
+import { GRAPHQL_ENDPOINT, authHeaders, createSocket } from '../api';
+import { clearRosters } from '../offlineCheckIn';
+import { useCapabilities } from '../capabilities';
+import { STATUS_COLORS, STATUS_LABELS } from '../eventStatus';
+import { useDebouncedValue } from '../debounce';
+import { formatTimeRange } from '../eventTime';
+
+const EVENT_LIST_FIELDS = gql`
+  fragment EventListFields on Event {
+    id
+    name
+    location
+    description
+    startTime
+    endTime
+    timeZone
+    isOngoing
+    series {
+      id
+      summary
+    }
+    status
+    capacity
+    remainingSpots
+    cancelledAt
+    cancellationReason
+    attendeeCount
+    myRegistration {
+      id
+      status
+    }
+  }
+`;
 
 const GET_EVENTS = gql`
-  query GetEvents {
-    events {
+  query GetEvents($first: Int, $after: String, $filter: EventFilter, $sort: EventSort) {
+    events(first: $first, after: $after, filter: $filter, sort: $sort) {
+      edges {
+        cursor
+        node {
+          ...EventListFields
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${EVENT_LIST_FIELDS}
+`;
+
+// Best matches first, across every tab
+const SEARCH_EVENTS = gql`
+  query SearchEvents($query: String!) {
+    searchEvents(query: $query) {
+      ...EventListFields
+    }
+  }
+  ${EVENT_LIST_FIELDS}
+`;
+
+// Refreshes one row in the cache, e.g. the event just joined on the detail screen
+const GET_EVENT_LIST_ITEM = gql`
+  query GetEventListItem($id: ID!) {
+    event(id: $id) {
+      ...EventListFields
+    }
+  }
+  ${EVENT_LIST_FIELDS}
+`;
+
+const GET_VENUES = gql`
+  query GetVenues {
+    venues {
       id
       name
-      location
-      startTime
-      attendees {
-        id
-        name
-        email
-      }
     }
   }
 `;
 
+const LOGOUT = gql`
+  mutation Logout {
+    logout
+  }
+`;
+
+const PAGE_SIZE = 20;
+
+type Tab = 'UPCOMING' | 'JOINED' | 'PAST';
+
+const TABS: { key: Tab; label: string; filter: EventFilter; sort: EventSort }[] = [
+  { key: 'UPCOMING', label: 'Upcoming', filter: { timeframe: 'UPCOMING' }, sort: 'START_TIME_ASC' },
+  { key: 'JOINED', label: 'Joined', filter: { timeframe: 'UPCOMING', joinedByMe: true }, sort: 'START_TIME_ASC' },
+  { key: 'PAST', label: 'Past', filter: { timeframe: 'PAST' }, sort: 'START_TIME_DESC' },
+];
+
+type EventsData = { events: Connection<Event> };
+
+function removeEvent(prev: EventsData, eventId: string): EventsData {
+  return { events: { ...prev.events, edges: prev.events.edges.filter(edge => edge.node.id !== eventId) } };
+}
+
 type EventListScreenNavigationProp = StackNavigationProp<RootStackParamList, 'EventList'>;
 
 interface Props {
@@ -32,10 +118,20 @@ interface Props {
 }
 
 export default function EventListScreen({ navigation }: Props) {
-  const { userEmail, logout } = useStore();
+  const { logout, showDeviceTime, setShowDeviceTime } = useStore();
+  const apolloClient = useApolloClient();
+  const { role, canCreateEvents } = useCapabilities();
+  const [tab, setTab] = useState<Tab>('UPCOMING');
+  const { filter: tabFilter, sort } = TABS.find(candidate => candidate.key === tab)!;
+  // Narrows every tab to one venue
+  const [venueId, setVenueId] = useState<string | null>(null);
+  const filter = venueId ? { ...tabFilter, venueId } : tabFilter;
+  const venues = useQuery<{ venues: Venue[] }>(GET_VENUES).data?.venues ?? [];
+  // The event opened on the detail screen, refreshed when the list is shown again
+  const openedEventId = useRef<string | null>(null);
 
-  const { data, loading, refetch, error } = useQuery<{ events: Event[] }>(GET_EVENTS, {
-    pollInterval: 10000, // Refetch every 10 seconds
+  const { data, loading, refetch, error, updateQuery, fetchMore, networkStatus } = useQuery<EventsData>(GET_EVENTS, {
+    variables: { first: PAGE_SIZE, filter, sort },
     notifyOnNetworkStatusChange: true,
     onCompleted: (data) => {
       console.log('EventListScreen: Query completed with data:', JSON.stringify(data, null, 2));
@@ -52,24 +148,90 @@ export default function EventListScreen({ navigation }: Props) {
     }
   }, [error]);
 
+  // Searches once typing pauses; the tabs come back when the search box is cleared
+  const [searchText, setSearchText] = useState('');
+  const search = useDebouncedValue(searchText.trim());
+  const searchQuery = useQuery<{ searchEvents: Event[] }>(SEARCH_EVENTS, {
+    variables: { query: search },
+    skip: !search,
+    notifyOnNetworkStatusChange: true,
+  });
+
+  // The previous results stay up while the next search runs
+  const searchResults = (searchQuery.data ?? searchQuery.previousData)?.searchEvents ?? [];
+  const events = search ? searchResults : data?.events.edges.map(edge => edge.node) ?? [];
+  const pageInfo = data?.events.pageInfo;
+
+  const loadMore = () => {
+    if (!search && pageInfo?.hasNextPage && networkStatus === NetworkStatus.ready) {
+      fetchMore({ variables: { after: pageInfo.endCursor } })
+        .catch(error => console.error('EventListScreen: Error loading more events:', error));
+    }
+  };
+
+  // Joining or leaving happens on the detail screen, so pick up "Joined" badges on the way back.
+  // Only that event is refetched; refetching the list would throw away the pages scrolled through.
+  useFocusEffect(useCallback(() => {
+    const eventId = openedEventId.current;
+    if (!eventId) {
+      return;
+    }
+    openedEventId.current = null;
+    apolloClient.query({ query: GET_EVENT_LIST_ITEM, variables: { id: eventId }, fetchPolicy: 'network-only' })
+      .then(({ data }) => {
+        // Deleted, unpublished, or left while on the Joined tab
+        if (!data.event || (tab === 'JOINED' && !data.event.myRegistration)) {
+          updateQuery(prev => removeEvent(prev, eventId));
+        }
+      })
+      .catch(error => console.error('EventListScreen: Error refreshing event:', error));
+  }, [apolloClient, tab, updateQuery]));
+
+  // The summary room sends counts and details for every published event, never attendee lists
   useEffect(() => {
-    const socket = io('http://192.168.0.152:4000');
+    const socket = createSocket();
+
+    // Rooms don't survive a reconnect
+    socket.on('connect', () => {
+      socket.emit('joinEventSummaries');
+    });
 
-    socket.on('eventUpdated', () => {
-      refetch();
+    // Only rows already loaded are updated in place. Events on pages not loaded yet, and newly
+    // published ones, appear when the list is scrolled or refreshed, so a busy event elsewhere
+    // doesn't keep reloading the list.
+    socket.on('eventSummary', (summary: EventSummary) => {
+      updateQuery(prev => {
+        if (!prev.events.edges.some(edge => edge.node.id === summary.id)) {
+          return prev;
+        }
+        return {
+          events: {
+            ...prev.events,
+            edges: prev.events.edges.map(edge => edge.node.id === summary.id ? { ...edge, node: { ...edge.node, ...summary } } : edge),
+          },
+        };
+      });
+    });
+
+    socket.on('eventRemoved', ({ eventId }: { eventId: string }) => {
+      updateQuery(prev => removeEvent(prev, eventId));
     });
 
     return () => {
+      socket.emit('leaveEventSummaries');
       socket.close();
     };
-  }, [refetch]);
+  }, [updateQuery]);
 
-  const formatDateTime = (dateTime: string) => {
-    const date = new Date(dateTime);
-    return {
-      date: date.toLocaleDateString(),
-      time: date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-    };
+  const handleLogout = () => {
+    // Sent outside Apollo so clearing its store can't cancel it. Ending the server session
+    // also disconnects this device's sockets; log out locally even if the request fails.
+    request(GRAPHQL_ENDPOINT, LOGOUT, {}, authHeaders())
+      .catch(error => console.error('Logout error:', error));
+    apolloClient.clearStore();
+    // Downloaded rosters list attendees. Queued check-ins stay, but only their scanner can sync them.
+    clearRosters().catch(error => console.error('Failed to clear rosters:', error));
+    logout();
   };
 
   const renderEvent = ({ item }: { item: Event }) => {
@@ -79,23 +241,37 @@ export default function EventListScreen({ navigation }: Props) {
     }
     
     try {
-      const attendees = Array.isArray(item.attendees) ? item.attendees : [];
-      const isJoined = userEmail ? attendees.some(attendee => attendee?.email === userEmail) : false;
-      const { date, time } = formatDateTime(item.startTime || new Date().toISOString());
+      const attendeeCount = item.attendeeCount ?? 0;
+      const isJoined = Boolean(item.myRegistration);
+      // Summaries don't carry isOngoing, so it's only trusted while the event is still live
+      const isHappening = item.status === 'LIVE' && item.isOngoing;
 
       return (
         <TouchableOpacity
           style={styles.eventCard}
-          onPress={() => navigation.navigate('EventDetail', { event: item })}
+          onPress={() => {
+            openedEventId.current = item.id;
+            navigation.navigate('EventDetail', { event: item });
+          }}
         >
           <View style={styles.eventHeader}>
             <Text style={styles.eventName}>{item.name || 'Unnamed Event'}</Text>
-            {isJoined && <Text style={styles.joinedBadge}>Joined</Text>}
+            {isHappening ? (
+              <Text style={[styles.statusBadge, { backgroundColor: STATUS_COLORS.LIVE }]}>Happening now</Text>
+            ) : item.status !== 'PUBLISHED' ? (
+              <Text style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[item.status] }]}>
+                {STATUS_LABELS[item.status]}
+              </Text>
+            ) : isJoined ? (
+              <Text style={styles.joinedBadge}>Joined</Text>
+            ) : null}
           </View>
           <Text style={styles.eventLocation}>📍 {item.location || 'No location'}</Text>
-          <Text style={styles.eventTime}>🕒 {date} at {time}</Text>
+          <Text style={styles.eventTime}>🕒 {formatTimeRange(item.startTime, item.endTime, showDeviceTime ? undefined : item.timeZone)}</Text>
+          {item.series && <Text style={styles.eventRecurrence}>🔁 Repeats {item.series.summary}</Text>}
           <Text style={styles.attendeesCount}>
-            👥 {attendees.length} attendee{attendees.length !== 1 ? 's' : ''}
+            👥 {attendeeCount} attendee{attendeeCount !== 1 ? 's' : ''}
+            {item.remainingSpots == null ? '' : item.remainingSpots === 0 ? ' · Full' : ` · ${item.remainingSpots} spot${item.remainingSpots !== 1 ? 's' : ''} left`}
           </Text>
         </TouchableOpacity>
       );
@@ -105,55 +281,140 @@ export default function EventListScreen({ navigation }: Props) {
     }
   };
 
-  if (loading) {
-    return (
-      <View style={styles.center}>
-        <Text style={styles.loadingText}>Loading events...</Text>
-      </View>
-    );
-  }
-
-  if (error) {
+  const renderEmpty = () => {
+    if (search) {
+      return (
+        <View style={styles.emptyContainer}>
+          {searchQuery.error ? (
+            <Text style={styles.errorText}>Search failed, please try again</Text>
+          ) : (
+            <Text style={styles.emptyText}>
+              {searchQuery.loading ? 'Searching...' : `No events match "${search}"`}
+            </Text>
+          )}
+        </View>
+      );
+    }
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.loadingText}>Loading events...</Text>
+        </View>
+      );
+    }
+    if (error) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.errorText}>Error loading events</Text>
+          <Text style={styles.errorDetails}>
+            {error instanceof Error ? error.message : 'Unknown error occurred'}
+          </Text>
+          <TouchableOpacity onPress={() => refetch()} style={styles.retryButton}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
     return (
-      <View style={styles.center}>
-        <Text style={styles.errorText}>Error loading events</Text>
-        <Text style={styles.errorDetails}>
-          {error instanceof Error ? error.message : 'Unknown error occurred'}
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>
+          {tab === 'JOINED' ? "You haven't joined any upcoming events" : tab === 'PAST' ? 'No past events' : 'No upcoming events'}
+          {venueId ? ' at this venue' : ''}
         </Text>
-        <TouchableOpacity onPress={() => refetch()} style={styles.retryButton}>
-          <Text style={styles.retryText}>Retry</Text>
-        </TouchableOpacity>
       </View>
     );
-  }
+  };
 
   return (
     <View style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Events</Text>
-        <TouchableOpacity onPress={logout}>
-          <Text style={styles.logoutText}>Logout</Text>
-        </TouchableOpacity>
+        <View style={styles.headerTitle}>
+          <Text style={styles.title}>Events</Text>
+          {role !== 'ATTENDEE' && (
+            <Text style={styles.roleBadge}>{role === 'ADMIN' ? 'Admin' : 'Organizer'}</Text>
+          )}
+        </View>
+        <View style={styles.headerActions}>
+          {canCreateEvents && (
+            <TouchableOpacity onPress={() => navigation.navigate('EventForm')} style={styles.newEventButton}>
+              <Text style={styles.newEventText}>+ New</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={handleLogout}>
+            <Text style={styles.logoutText}>Logout</Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
-      <SafeFlatList
-        data={Array.isArray(data?.events) ? data.events.filter(Boolean) : []}
+      <TextInput
+        style={styles.searchInput}
+        placeholder="Search events by name, place or description"
+        value={searchText}
+        onChangeText={setSearchText}
+        autoCapitalize="none"
+        autoCorrect={false}
+        clearButtonMode="while-editing"
+        returnKeyType="search"
+      />
+
+      <TouchableOpacity onPress={() => setShowDeviceTime(!showDeviceTime)} style={styles.timeZoneToggle}>
+        <Text style={styles.timeZoneToggleText}>
+          {showDeviceTime ? 'Times in your time zone · Show venue time' : 'Times at each venue · Show in my time'}
+        </Text>
+      </TouchableOpacity>
+
+      {!search && (
+        <View style={styles.tabs}>
+          {TABS.map(({ key, label }) => (
+            <TouchableOpacity
+              key={key}
+              style={[styles.tab, tab === key && styles.activeTab]}
+              onPress={() => setTab(key)}
+            >
+              <Text style={[styles.tabText, tab === key && styles.activeTabText]}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {!search && venues.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.venueFilter}
+          contentContainerStyle={styles.tabs}
+        >
+          {[null, ...venues].map(venue => (
+            <TouchableOpacity
+              key={venue?.id ?? 'all'}
+              style={[styles.tab, venueId === (venue?.id ?? null) && styles.activeTab]}
+              onPress={() => setVenueId(venue?.id ?? null)}
+            >
+              <Text style={[styles.tabText, venueId === (venue?.id ?? null) && styles.activeTabText]}>
+                {venue ? `📍 ${venue.name}` : 'All venues'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <FlatList
+        data={events}
         renderItem={renderEvent}
+        keyExtractor={item => item.id}
         contentContainerStyle={styles.listContainer}
         refreshControl={
           <RefreshControl
-            refreshing={loading}
-            onRefresh={refetch}
+            refreshing={search ? searchQuery.networkStatus === NetworkStatus.refetch : networkStatus === NetworkStatus.refetch}
+            onRefresh={() => (search ? searchQuery.refetch() : refetch())}
             tintColor="#007bff"
           />
         }
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={networkStatus === NetworkStatus.fetchMore ? <ActivityIndicator style={styles.footer} color="#007bff" /> : null}
         showsVerticalScrollIndicator={false}
-        ListEmptyComponent={
-          <View style={styles.emptyContainer}>
-            <Text style={styles.emptyText}>No events available</Text>
-          </View>
-        }
-        removeClippedSubviews={false}
+        ListEmptyComponent={renderEmpty()}
         initialNumToRender={10}
         maxToRenderPerBatch={10}
         windowSize={10}
@@ -167,11 +428,6 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#fff',
   },
-  center: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
   loadingText: {
     fontSize: 16,
   },
@@ -217,16 +473,89 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#eee',
   },
+  headerTitle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
   },
+  roleBadge: {
+    marginLeft: 10,
+    backgroundColor: '#6f42c1',
+    color: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  newEventButton: {
+    marginRight: 15,
+  },
+  newEventText: {
+    color: '#007bff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   logoutText: {
     color: '#007bff',
     fontSize: 16,
   },
+  searchInput: {
+    marginHorizontal: 20,
+    marginTop: 10,
+    backgroundColor: '#f9f9f9',
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+  },
+  timeZoneToggle: {
+    marginHorizontal: 20,
+    marginTop: 6,
+  },
+  timeZoneToggleText: {
+    color: '#007bff',
+    fontSize: 12,
+  },
+  tabs: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  tab: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    backgroundColor: '#f0f0f0',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  activeTabText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  // Horizontal scroll views grow by default, which would squeeze the list
+  venueFilter: {
+    flexGrow: 0,
+  },
   listContainer: {
     padding: 20,
+    flexGrow: 1,
+  },
+  footer: {
+    paddingVertical: 10,
   },
   eventCard: {
     backgroundColor: '#f9f9f9',
@@ -252,6 +581,13 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  statusBadge: {
+    color: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   eventLocation: {
     fontSize: 14,
     marginBottom: 5,
@@ -260,6 +596,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginBottom: 5,
   },
+  eventRecurrence: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 5,
+  },
   attendeesCount: {
     fontSize: 14,
     color: '#007bff',
@@ -1,38 +1,115 @@
 import React, { useState } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useMutation, gql } from '@apollo/client';
 import { useStore } from '../store';
+import { AuthPayload } from '../types';
+
+const REQUEST_LOGIN_CODE = gql`
+  mutation RequestLoginCode($email: String!) {
+    requestLoginCode(email: $email)
+  }
+`;
+
+const VERIFY_LOGIN_CODE = gql`
+  mutation VerifyLoginCode($email: String!, $code: String!) {
+    verifyLoginCode(email: $email, code: $code) {
+      token
+      user {
+        id
+        name
+        email
+      }
+    }
+  }
+`;
 
 export default function LoginScreen() {
-  const [email, setEmail] = useState('alice@example.com');
-  const [name, setName] = useState('Alice Johnson');
+  const [step, setStep] = useState<'email' | 'code'>('email');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
   const login = useStore(state => state.login);
 
-  const handleLogin = () => {
-    if (email && name) {
-      login(email, name);
+  const onError = (error: Error) => {
+    console.error('Authentication error:', error);
+    Alert.alert('Error', error.message);
+  };
+
+  const [requestCode, { loading: requesting }] = useMutation(REQUEST_LOGIN_CODE, {
+    onCompleted: () => {
+      setCode('');
+      setStep('code');
+    },
+    onError,
+  });
+
+  const [verifyCode, { loading: verifying }] = useMutation<{ verifyLoginCode: AuthPayload }>(VERIFY_LOGIN_CODE, {
+    onCompleted: (data) => login(data.verifyLoginCode.token, data.verifyLoginCode.user),
+    onError,
+  });
+
+  const handleRequestCode = () => {
+    if (!email.includes('@')) {
+      Alert.alert('Error', 'Please enter a valid email');
+      return;
     }
+    requestCode({ variables: { email } });
   };
 
+  const handleVerifyCode = () => {
+    if (!code) {
+      Alert.alert('Error', 'Please enter the code from your email');
+      return;
+    }
+    verifyCode({ variables: { email, code } });
+  };
+
+  if (step === 'code') {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Check your email</Text>
+        <Text style={styles.subtitle}>We sent a login code to {email}</Text>
+
+        <TextInput
+          style={[styles.input, styles.codeInput]}
+          placeholder="123456"
+          value={code}
+          onChangeText={setCode}
+          keyboardType="number-pad"
+          maxLength={6}
+          autoFocus
+        />
+
+        <TouchableOpacity style={styles.button} onPress={handleVerifyCode} disabled={verifying}>
+          <Text style={styles.buttonText}>{verifying ? 'Verifying...' : 'Log In'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkButton} onPress={handleRequestCode} disabled={requesting}>
+          <Text style={styles.linkText}>{requesting ? 'Sending...' : 'Resend code'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkButton} onPress={() => setStep('email')}>
+          <Text style={styles.linkText}>Use a different email</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Event Check-In</Text>
-      
+      <Text style={styles.subtitle}>Enter your email and we'll send you a login code</Text>
+
       <TextInput
         style={styles.input}
         placeholder="Email"
         value={email}
         onChangeText={setEmail}
+        autoCapitalize="none"
+        keyboardType="email-address"
       />
       
-      <TextInput
-        style={styles.input}
-        placeholder="Name"
-        value={name}
-        onChangeText={setName}
-      />
-      
-      <TouchableOpacity style={styles.button} onPress={handleLogin}>
-        <Text style={styles.buttonText}>Login</Text>
+      <TouchableOpacity style={styles.button} onPress={handleRequestCode} disabled={requesting}>
+        <Text style={styles.buttonText}>{requesting ? 'Sending...' : 'Send Code'}</Text>
       </TouchableOpacity>
     </View>
   );
@@ -49,7 +126,13 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
     textAlign: 'center',
-    marginBottom: 40,
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
   },
   input: {
     backgroundColor: '#f9f9f9',
@@ -68,4 +151,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  codeInput: {
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  linkButton: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#007bff',
+    fontSize: 14,
+  },
 });
\ No newline at end of file
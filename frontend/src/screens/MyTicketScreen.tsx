@@ -0,0 +1,154 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { useQuery } from '@tanstack/react-query';
+import { request, gql } from 'graphql-request';
+import QRCode from 'react-native-qrcode-svg';
+import { StackNavigationProp } from '@react-navigation/stack';
+import { RouteProp } from '@react-navigation/native';
+import { Registration, RootStackParamList } from '../types';
+import { GRAPHQL_ENDPOINT, authHeaders } from '../api';
+
+const MY_TICKET = gql`
+  query MyTicket($eventId: ID!) {
+    event(id: $eventId) {
+      id
+      myRegistration {
+        id
+        status
+        checkedInAt
+        ticket {
+          token
+          code
+        }
+      }
+    }
+  }
+`;
+
+type MyTicketScreenNavigationProp = StackNavigationProp<RootStackParamList, 'MyTicket'>;
+type MyTicketScreenRouteProp = RouteProp<RootStackParamList, 'MyTicket'>;
+
+interface Props {
+  navigation: MyTicketScreenNavigationProp;
+  route: MyTicketScreenRouteProp;
+}
+
+export default function MyTicketScreen({ navigation, route }: Props) {
+  const { event } = route.params;
+
+  const { data: registration, isLoading } = useQuery({
+    queryKey: ['myTicket', event.id],
+    queryFn: async () => {
+      const data: any = await request(GRAPHQL_ENDPOINT, MY_TICKET, { eventId: event.id }, authHeaders());
+      return (data.event?.myRegistration ?? null) as Registration | null;
+    },
+  });
+
+  const ticket = registration?.ticket;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.content}>
+        <Text style={styles.title}>{event.name}</Text>
+        <Text style={styles.subtitle}>📍 {event.location}</Text>
+
+        {isLoading ? (
+          <ActivityIndicator size="large" color="#007bff" />
+        ) : !ticket ? (
+          <Text style={styles.emptyText}>You don't have a ticket for this event. Join it to get one.</Text>
+        ) : (
+          <>
+            <View style={styles.qrContainer}>
+              <QRCode value={ticket.token} size={240} />
+            </View>
+            <Text style={styles.codeLabel}>Can't scan? Give staff this code:</Text>
+            <Text style={styles.code}>{ticket.code}</Text>
+            {registration?.status === 'CHECKED_IN' ? (
+              <Text style={styles.checkedIn}>
+                ✅ Checked in{registration.checkedInAt ? ` at ${new Date(registration.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+              </Text>
+            ) : (
+              <Text style={styles.hint}>Show this at the entrance to check in</Text>
+            )}
+          </>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+  },
+  backText: {
+    color: '#007bff',
+    fontSize: 16,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 30,
+  },
+  qrContainer: {
+    padding: 16,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  codeLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 5,
+  },
+  code: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    letterSpacing: 4,
+    marginBottom: 20,
+  },
+  checkedIn: {
+    fontSize: 16,
+    color: '#28a745',
+    fontWeight: 'bold',
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
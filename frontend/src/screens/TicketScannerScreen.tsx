@@ -0,0 +1,493 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { request, gql } from 'graphql-request';
+import { BarCodeScanner, BarCodeScannedCallback } from 'expo-barcode-scanner';
+import { StackNavigationProp } from '@react-navigation/stack';
+import { RouteProp } from '@react-navigation/native';
+import { CheckInRoster, RootStackParamList, TicketScan, TicketScanResult } from '../types';
+import { Socket } from 'socket.io-client';
+import { GRAPHQL_ENDPOINT, authHeaders, createSocket, errorMessage, startPresenceHeartbeat } from '../api';
+import {
+  checkInOffline,
+  downloadRoster,
+  getDeviceId,
+  getDoor,
+  isNetworkError,
+  loadQueue,
+  loadRoster,
+  markCheckedIn,
+  saveDoor,
+  syncQueue,
+} from '../offlineCheckIn';
+
+// How often queued check-ins are retried while the scanner is open
+const SYNC_INTERVAL_MS = 15 * 1000;
+
+const SCAN_TICKET = gql`
+  mutation ScanTicket($eventId: ID!, $token: String, $code: String) {
+    scanTicket(eventId: $eventId, token: $token, code: $code) {
+      result
+      message
+      registration {
+        id
+        status
+        checkedInAt
+        user {
+          id
+          name
+          email
+        }
+      }
+    }
+  }
+`;
+
+const RESULT_TITLES: Record<TicketScanResult, string> = {
+  CHECKED_IN: '✅ Checked in',
+  ALREADY_USED: '⚠️ Already used',
+  WRONG_EVENT: '⛔ Wrong event',
+  INVALID: '❌ Invalid ticket',
+};
+
+const RESULT_COLORS: Record<TicketScanResult, string> = {
+  CHECKED_IN: '#28a745',
+  ALREADY_USED: '#fd7e14',
+  WRONG_EVENT: '#dc3545',
+  INVALID: '#dc3545',
+};
+
+type TicketScannerScreenNavigationProp = StackNavigationProp<RootStackParamList, 'TicketScanner'>;
+type TicketScannerScreenRouteProp = RouteProp<RootStackParamList, 'TicketScanner'>;
+
+interface Props {
+  navigation: TicketScannerScreenNavigationProp;
+  route: TicketScannerScreenRouteProp;
+}
+
+export default function TicketScannerScreen({ navigation, route }: Props) {
+  const { event } = route.params;
+  const [permission, requestPermission] = BarCodeScanner.usePermissions({ request: true });
+  const [manualCode, setManualCode] = useState('');
+  const [lastScan, setLastScan] = useState<(TicketScan & { offline: boolean }) | null>(null);
+  const [roster, setRoster] = useState<CheckInRoster | null>(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isOffline, setIsOffline] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  // Why the server refused some queued check-ins, e.g. an event this user can no longer check in to
+  const [syncFailure, setSyncFailure] = useState<string | null>(null);
+  const [door, setDoor] = useState('');
+  const socketRef = useRef<Socket | null>(null);
+  const doorRef = useRef('');
+  const syncInFlight = useRef<Promise<void> | null>(null);
+  const queryClient = useQueryClient();
+
+  // Mount, the timer and every scan all sync; while one sync runs the others wait for it
+  // instead of sending the same queue again
+  const sync = useCallback((manual = false) => {
+    if (syncInFlight.current) {
+      return syncInFlight.current;
+    }
+    const run = (async () => {
+      setSyncing(true);
+      try {
+        const { conflicts, failures, remaining } = await syncQueue();
+        setIsOffline(false);
+        setPendingCount(remaining);
+        const failure = failures.length > 0 ? errorMessage(failures[0].error, 'The server refused them.') : null;
+        setSyncFailure(failure);
+        if (failure && manual) {
+          Alert.alert('Some check-ins could not sync', `Check-ins for ${failures.length} event(s) are still waiting. ${failure}`);
+        }
+        setRoster(await loadRoster(event.id));
+        queryClient.invalidateQueries({ queryKey: ['eventCheckIns', event.id] });
+        if (conflicts.length > 0) {
+          Alert.alert(
+            'Check-in conflicts',
+            `${conflicts.length} offline check-in(s) clashed with the server, e.g. the same ticket scanned at two doors. The organizer can review them on the event page.`
+          );
+        }
+      } catch (error) {
+        setIsOffline(isNetworkError(error));
+        setPendingCount((await loadQueue()).length);
+        if (manual) {
+          Alert.alert('Sync failed', isNetworkError(error) ? "Still can't reach the server." : errorMessage(error, 'Failed to sync check-ins.'));
+        }
+      } finally {
+        syncInFlight.current = null;
+        setSyncing(false);
+      }
+    })();
+    syncInFlight.current = run;
+    return run;
+  }, [event.id, queryClient]);
+
+  // Use the stored roster straight away, then refresh it and flush the queue if the server is reachable
+  useEffect(() => {
+    loadRoster(event.id).then(setRoster);
+    downloadRoster(event.id)
+      .then(fresh => {
+        setRoster(fresh);
+        setIsOffline(false);
+      })
+      .catch(error => setIsOffline(isNetworkError(error)));
+    sync();
+
+    const interval = setInterval(async () => {
+      if ((await loadQueue()).length > 0) {
+        sync();
+      }
+    }, SYNC_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [event.id, sync]);
+
+  // Show up under "Check-in Devices Online" for the organizer while the scanner is open
+  const joinDesk = useCallback(async () => {
+    const socket = socketRef.current;
+    if (!socket?.connected) {
+      return;
+    }
+    socket.emit('joinCheckInDesk', { eventId: event.id, deviceId: await getDeviceId(), door: doorRef.current || null }, (response: any) => {
+      if (response?.error) {
+        console.warn('Could not register this check-in device:', response.error);
+      }
+    });
+  }, [event.id]);
+
+  useEffect(() => {
+    const socket = createSocket();
+    socketRef.current = socket;
+    getDoor().then(saved => {
+      doorRef.current = saved;
+      setDoor(saved);
+      joinDesk();
+    });
+    // Reconnects lose the server-side registration, so register again each time
+    socket.on('connect', joinDesk);
+    const stopHeartbeat = startPresenceHeartbeat(socket);
+
+    return () => {
+      stopHeartbeat();
+      socket.emit('leaveCheckInDesk', event.id);
+      socket.close();
+      socketRef.current = null;
+    };
+  }, [event.id, joinDesk]);
+
+  const handleDoorChange = async () => {
+    const value = door.trim();
+    if (value === doorRef.current) {
+      return;
+    }
+    doorRef.current = value;
+    await saveDoor(value);
+    joinDesk();
+  };
+
+  const scanMutation = useMutation({
+    mutationFn: async (variables: { token?: string; code?: string }) => {
+      // Flush the queue first so the server doesn't check in someone this device already let in
+      if ((await loadQueue()).length > 0) {
+        await sync();
+      }
+      try {
+        const data: any = await request(GRAPHQL_ENDPOINT, SCAN_TICKET, { eventId: event.id, ...variables }, authHeaders());
+        const scan = data.scanTicket as TicketScan;
+        if (scan.registration) {
+          await markCheckedIn(event.id, scan.registration.id);
+        }
+        setIsOffline(false);
+        return { ...scan, offline: false };
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+        setIsOffline(true);
+        return { ...(await checkInOffline(event.id, variables)), offline: true };
+      }
+    },
+    onSuccess: async (scan) => {
+      setLastScan(scan);
+      setManualCode('');
+      setPendingCount((await loadQueue()).length);
+      queryClient.invalidateQueries({ queryKey: ['eventCheckIns', event.id] });
+    },
+    onError: (error) => {
+      console.error('Scan ticket error:', error);
+      Alert.alert('Error', errorMessage(error, error instanceof Error ? error.message : 'Failed to check the ticket. Please try again.'));
+    },
+  });
+
+  const handleBarCodeScanned: BarCodeScannedCallback = ({ data }) => {
+    if (!scanMutation.isPending) {
+      scanMutation.mutate({ token: data });
+    }
+  };
+
+  const handleManualEntry = () => {
+    const value = manualCode.trim();
+    if (!value) {
+      return;
+    }
+    // Accept a pasted token as well as the short code printed under the QR code
+    scanMutation.mutate(value.includes('.') ? { token: value } : { code: value });
+  };
+
+  // Pause the camera until staff dismiss the current result
+  const cameraActive = permission?.granted && !lastScan && !scanMutation.isPending;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.content}>
+        <Text style={styles.title}>Scan Tickets</Text>
+        <Text style={styles.subtitle}>{event.name}</Text>
+
+        {(isOffline || pendingCount > 0) && (
+          <View style={styles.offlineBanner}>
+            <Text style={styles.offlineText}>
+              {isOffline ? '📶 Offline · checking tickets against the downloaded roster' : '📶 Back online'}
+              {pendingCount > 0 ? `\n${pendingCount} check-in(s) waiting to sync` : ''}
+              {pendingCount > 0 && syncFailure ? `\nSome can't sync: ${syncFailure}` : ''}
+            </Text>
+            {pendingCount > 0 && (
+              <TouchableOpacity onPress={() => sync(true)} disabled={syncing}>
+                <Text style={styles.syncText}>{syncing ? 'Syncing...' : 'Sync Now'}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+        <View style={styles.doorRow}>
+          <Text style={styles.doorLabel}>Door</Text>
+          <TextInput
+            style={styles.doorInput}
+            placeholder="e.g. Main entrance"
+            value={door}
+            onChangeText={setDoor}
+            onEndEditing={handleDoorChange}
+            onSubmitEditing={handleDoorChange}
+          />
+        </View>
+        <Text style={styles.rosterText}>
+          {roster
+            ? `Roster: ${roster.entries.length} attendees, downloaded ${new Date(roster.generatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : 'No roster downloaded yet; offline check-in is unavailable'}
+        </Text>
+
+        <View style={styles.scannerBox}>
+          {permission?.granted ? (
+            <BarCodeScanner
+              onBarCodeScanned={cameraActive ? handleBarCodeScanned : undefined}
+              barCodeTypes={[BarCodeScanner.Constants.BarCodeType.qr]}
+              style={StyleSheet.absoluteFillObject}
+            />
+          ) : (
+            <View style={styles.noCamera}>
+              <Text style={styles.noCameraText}>
+                {permission?.canAskAgain === false
+                  ? 'Camera access is off. Enter ticket codes below instead.'
+                  : 'The camera is needed to scan tickets.'}
+              </Text>
+              {permission?.canAskAgain !== false && (
+                <TouchableOpacity style={styles.button} onPress={requestPermission}>
+                  <Text style={styles.buttonText}>Allow Camera</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+        </View>
+
+        {lastScan && (
+          <View style={[styles.resultCard, { borderColor: RESULT_COLORS[lastScan.result] }]}>
+            <Text style={[styles.resultTitle, { color: RESULT_COLORS[lastScan.result] }]}>
+              {RESULT_TITLES[lastScan.result]}
+            </Text>
+            <Text style={styles.resultMessage}>{lastScan.message}</Text>
+            {lastScan.offline && (
+              <Text style={styles.resultDetail}>Checked against the offline roster</Text>
+            )}
+            {lastScan.registration && (
+              <Text style={styles.resultDetail}>{lastScan.registration.user.email}</Text>
+            )}
+            <TouchableOpacity style={styles.button} onPress={() => setLastScan(null)}>
+              <Text style={styles.buttonText}>Scan Next</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <Text style={styles.label}>Or enter the ticket code</Text>
+        <View style={styles.manualRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="K7QM-9XDA"
+            value={manualCode}
+            onChangeText={setManualCode}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            onSubmitEditing={handleManualEntry}
+          />
+          <TouchableOpacity
+            style={[styles.button, styles.checkButton]}
+            onPress={handleManualEntry}
+            disabled={scanMutation.isPending || !manualCode.trim()}
+          >
+            <Text style={styles.buttonText}>{scanMutation.isPending ? 'Checking...' : 'Check'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+  },
+  backText: {
+    color: '#007bff',
+    fontSize: 16,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 20,
+  },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3cd',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  offlineText: {
+    flex: 1,
+    color: '#856404',
+    fontSize: 14,
+  },
+  syncText: {
+    color: '#007bff',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  doorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  doorLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginRight: 10,
+  },
+  doorInput: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+  },
+  rosterText: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 10,
+  },
+  scannerBox: {
+    height: 260,
+    backgroundColor: '#222',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  noCamera: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  noCameraText: {
+    color: 'white',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  resultCard: {
+    borderWidth: 2,
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 20,
+  },
+  resultTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  resultMessage: {
+    fontSize: 16,
+    marginBottom: 5,
+  },
+  resultDetail: {
+    fontSize: 14,
+    color: '#666',
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 5,
+  },
+  manualRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  button: {
+    backgroundColor: '#007bff',
+    padding: 15,
+    alignItems: 'center',
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  checkButton: {
+    marginTop: 0,
+    marginLeft: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
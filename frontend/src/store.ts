@@ -2,9 +2,19 @@ import { create } from 'zustand';
 import { AppState } from './types';
 
 export const useStore = create<AppState>((set) => ({
+  token: null,
+  userId: '',
   userEmail: '',
   userName: '',
   isLoggedIn: false,
-  login: (email, name) => set({ userEmail: email, userName: name, isLoggedIn: true }),
-  logout: () => set({ userEmail: '', userName: '', isLoggedIn: false }),
+  showDeviceTime: false,
+  login: (token, user) => set({
+    token,
+    userId: user.id,
+    userEmail: user.email,
+    userName: user.name,
+    isLoggedIn: true,
+  }),
+  logout: () => set({ token: null, userId: '', userEmail: '', userName: '', isLoggedIn: false }),
+  setShowDeviceTime: (showDeviceTime) => set({ showDeviceTime }),
 }));
\ No newline at end of file
@@ -1,32 +1,322 @@
+export type UserRole = 'ATTENDEE' | 'ORGANIZER' | 'ADMIN';
+
+export type EventStatus = 'DRAFT' | 'PUBLISHED' | 'LIVE' | 'COMPLETED' | 'CANCELLED';
+
+export type RegistrationStatus = 'REGISTERED' | 'CHECKED_IN' | 'CHECKED_OUT' | 'NO_SHOW';
+
 export interface User {
   id: string;
   name: string;
   email: string;
 }
 
+export interface Capabilities {
+  isAdmin: boolean;
+  canCreateEvents: boolean;
+  canManageUserRoles: boolean;
+  managedEventIds: string[];
+  checkInEventIds: string[];
+}
+
+export interface Registration {
+  id: string;
+  user: User;
+  status: RegistrationStatus;
+  registeredAt: string;
+  checkedInAt?: string | null;
+  checkedOutAt?: string | null;
+  ticket?: Ticket | null;
+}
+
+export interface Ticket {
+  token: string;
+  code: string;
+}
+
+export type TicketScanResult = 'CHECKED_IN' | 'ALREADY_USED' | 'WRONG_EVENT' | 'INVALID';
+
+export interface TicketScan {
+  result: TicketScanResult;
+  message: string;
+  registration: Pick<Registration, 'id' | 'status' | 'user'> | null;
+}
+
+export interface RosterEntry {
+  registrationId: string;
+  user: User;
+  status: RegistrationStatus;
+  ticketCode: string;
+  ticketHash: string;
+}
+
+export interface CheckInRoster {
+  eventId: string;
+  generatedAt: string;
+  entries: RosterEntry[];
+}
+
+// A check-in recorded on this device while the backend was unreachable
+export interface QueuedCheckIn {
+  idempotencyKey: string;
+  // Who scanned it; only they can sync it
+  userId: string;
+  eventId: string;
+  registrationId: string;
+  scannedAt: string;
+  deviceId: string;
+}
+
+export type OfflineCheckInStatus = 'APPLIED' | 'CONFLICT';
+
+export interface OfflineCheckIn {
+  id: string;
+  idempotencyKey: string;
+  attendee: User | null;
+  staff: User;
+  deviceId: string;
+  scannedAt: string;
+  status: OfflineCheckInStatus;
+  conflictReason: string | null;
+}
+
+export interface CheckInStats {
+  eventId: string;
+  userId: string;
+  status: RegistrationStatus;
+  checkedInCount: number;
+  attendeeCount: number;
+}
+
+export type AttendeeDeltaType = 'ADDED' | 'REMOVED';
+
+// Socket message for one attendee change; versions go up by one per event
+export interface AttendeeDelta {
+  eventId: string;
+  version: number;
+  type: AttendeeDeltaType;
+  user: User;
+  attendeeCount: number;
+}
+
+// First attendees in join order; endCursor is null when there are no more
+export interface AttendeePage {
+  users: User[];
+  totalCount: number;
+  endCursor: string | null;
+}
+
+// Reply to a resync request: missed deltas, or the first page when too far behind
+export interface AttendeeResync {
+  eventId: string;
+  version: number;
+  deltas: AttendeeDelta[];
+  attendees: AttendeePage | null;
+}
+
+// Socket message sent to an event's room whenever people open or close it
+export interface PresenceCount {
+  eventId: string;
+  viewerCount: number;
+  staffDeviceCount: number;
+}
+
+export interface StaffDevice {
+  deviceId: string;
+  door: string | null;
+  user: User;
+  lastSeenAt: string;
+}
+
+// staffDevices is only returned to staff
+export interface Presence {
+  eventId: string;
+  viewerCount: number;
+  staffDevices: StaffDevice[] | null;
+}
+
+export interface WaitlistEntry {
+  position: number;
+  user: User;
+}
+
+// One day of an event that spans several days
+export interface EventDay {
+  startTime: string;
+  endTime: string;
+}
+
+// A recurring event; each occurrence is an Event of its own
+export interface EventSeries {
+  id: string;
+  // RFC 5545 rule, e.g. FREQ=WEEKLY;BYDAY=TU
+  rule: string;
+  // The rule in words, e.g. "every week on Tuesday"
+  summary: string;
+  timeZone?: string;
+  exceptions?: string[];
+  isSubscribed?: boolean;
+}
+
+// Which occurrences of a series an edit applies to
+export type EditScope = 'THIS_OCCURRENCE' | 'THIS_AND_FOLLOWING';
+
+// A room at a venue that sessions can be held in
+export interface Room {
+  id: string;
+  venueId?: string;
+  name: string;
+  capacity?: number | null;
+  accessibility?: string | null;
+}
+
+// A place events are held, shared by every organizer
+export interface Venue {
+  id: string;
+  name: string;
+  address?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  capacity?: number | null;
+  accessibility?: string | null;
+  entrances?: string[];
+  rooms?: Room[];
+}
+
+// Someone seen at a session by check-in staff
+export interface SessionCheckIn {
+  user: User;
+  checkedInAt: string;
+}
+
+// A talk or workshop within an event
+export interface EventSession {
+  id: string;
+  eventId?: string;
+  title: string;
+  description?: string | null;
+  speaker?: string | null;
+  room?: string | null;
+  venueRoom?: Room | null;
+  startTime: string;
+  endTime: string;
+  capacity?: number | null;
+  bookmarkCount?: number;
+  remainingSeats?: number | null;
+  isBookmarked?: boolean;
+  checkedInCount?: number;
+  // Only returned to check-in staff
+  checkIns?: SessionCheckIn[] | null;
+}
+
 export interface Event {
   id: string;
   name: string;
+  // The venue's name when it has one
   location: string;
+  venue?: Venue | null;
+  description?: string | null;
   startTime: string;
-  attendees: User[];
+  endTime: string;
+  // IANA name of the venue's time zone, e.g. Europe/Berlin
+  timeZone: string;
+  schedule?: EventDay[];
+  series?: EventSeries | null;
+  originalStartTime?: string | null;
+  isOverride?: boolean;
+  sessions?: EventSession[];
+  isOngoing?: boolean;
+  hasEnded?: boolean;
+  status: EventStatus;
+  capacity?: number | null;
+  remainingSpots?: number | null;
+  waitlistCount?: number;
+  myWaitlistPosition?: number | null;
+  waitlist?: WaitlistEntry[] | null;
+  checkedInCount?: number;
+  registrations?: Registration[] | null;
+  myRegistration?: Pick<Registration, 'id' | 'status'> | null;
+  cancelledAt?: string | null;
+  cancellationReason?: string | null;
+  attendeeCount?: number;
+  attendeeVersion?: number;
+}
+
+// Sent to the event list's summary room whenever an event's row changes
+export type EventSummary = Pick<Event,
+  'id' | 'name' | 'location' | 'startTime' | 'endTime' | 'timeZone' | 'status' | 'capacity' | 'remainingSpots' | 'cancelledAt' | 'cancellationReason'
+> & { attendeeCount: number };
+
+export interface PageInfo {
+  hasNextPage: boolean;
+  endCursor: string | null;
+}
+
+export interface Connection<T> {
+  edges: { cursor: string; node: T }[];
+  pageInfo: PageInfo;
+  totalCount?: number;
+}
+
+export type EventTimeframe = 'UPCOMING' | 'PAST';
+
+export type EventSort = 'START_TIME_ASC' | 'START_TIME_DESC' | 'NAME_ASC' | 'CREATED_AT_DESC';
+
+export interface EventFilter {
+  timeframe?: EventTimeframe;
+  startsAfter?: string;
+  startsBefore?: string;
+  location?: string;
+  venueId?: string;
+  joinedByMe?: boolean;
+  status?: EventStatus[];
+}
+
+export interface EventInput {
+  name: string;
+  // Left out when a venue is picked; sending it alone unlinks the venue
+  location?: string;
+  venueId?: string;
+  description?: string | null;
+  startTime: string;
+  endTime?: string;
+  timeZone?: string;
+  schedule?: EventDay[] | null;
+  recurrence?: RecurrenceInput;
+  capacity?: number | null;
+}
+
+export interface RecurrenceInput {
+  rule: string;
+  exceptions?: string[];
+}
+
+export interface AuthPayload {
+  token: string;
+  user: User;
 }
 
 export interface AppState {
+  token: string | null;
+  userId: string;
   userEmail: string;
   userName: string;
   isLoggedIn: boolean;
-  login: (email: string, name: string) => void;
+  // Show event times on the device's clock instead of the venue's
+  showDeviceTime: boolean;
+  login: (token: string, user: User) => void;
   logout: () => void;
+  setShowDeviceTime: (showDeviceTime: boolean) => void;
 }
 
 export interface JoinEventPayload {
   eventId: string;
-  userEmail: string;
   [key: string]: any;
 }
 
 export type RootStackParamList = {
   EventList: undefined;
   EventDetail: { event: Event };
+  EventForm: { event?: Event } | undefined;
+  MyTicket: { event: Event };
+  TicketScanner: { event: Event };
 };
\ No newline at end of file
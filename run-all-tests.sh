@@ -47,11 +47,14 @@ cd "/Users/devanands/Desktop/Real-Time Event Check-In App/backend"
 echo "🔧 Starting backend server..."
 pkill -f "tsx src/server.ts" 2>/dev/null || true
 sleep 2
-npm run dev > server.log 2>&1 &
+# File mail lets test-login-code.js read codes back; the second instance is for test-multi-instance.js
+MAIL_TRANSPORT=file npm run dev > server.log 2>&1 &
 SERVER_PID=$!
+PORT=4001 MAIL_TRANSPORT=file npm run dev > server-4001.log 2>&1 &
+SECOND_SERVER_PID=$!
 sleep 8
 
-echo "✅ Backend server started (PID: $SERVER_PID)"
+echo "✅ Backend servers started (PIDs: $SERVER_PID, $SECOND_SERVER_PID)"
 echo ""
 
 # Run all tests
@@ -60,6 +63,28 @@ run_test "GraphQL API Test" "node test-graphql-api.js"
 run_test "Real-time Socket.io Test" "node test-realtime.js"
 run_test "Leave Functionality Test" "node test-leave-functionality.js"
 run_test "Server Restart Persistence Test" "node test-server-restart.js"
+run_test "Event Management Test" "node test-event-management.js"
+run_test "Roles Test" "node test-roles.js"
+run_test "Login Code Test" "node test-login-code.js"
+run_test "Capacity Test" "node test-capacity.js"
+run_test "Waitlist Test" "node test-waitlist.js"
+run_test "Event Lifecycle Test" "node test-event-lifecycle.js"
+run_test "Event Pagination Test" "node test-event-pagination.js"
+run_test "Attendee Pagination Test" "node test-attendee-pagination.js"
+run_test "Check-in Test" "node test-check-in.js"
+run_test "Ticket Test" "node test-tickets.js"
+run_test "Offline Check-in Test" "node test-offline-check-in.js"
+run_test "Socket Auth Test" "node test-socket-auth.js"
+run_test "GraphQL Subscriptions Test" "node test-subscriptions.js"
+run_test "Presence Test" "node test-presence.js"
+run_test "Outbox Test" "node test-outbox.js"
+run_test "Multi-instance Test" "node test-multi-instance.js"
+run_test "Event Search Test" "node test-event-search.js"
+run_test "Event Schedule Test" "node test-event-schedule.js"
+run_test "Event Time Zones Test" "node test-event-time-zones.js"
+run_test "Event Series Test" "node test-event-series.js"
+run_test "Event Sessions Test" "node test-event-sessions.js"
+run_test "Venues Test" "node test-venues.js"
 
 # Test frontend setup
 echo -e "${BLUE}▶️  Testing Frontend Setup${NC}"
@@ -90,7 +115,7 @@ echo ""
 
 # Clean up
 echo "🧹 Cleaning up..."
-kill $SERVER_PID 2>/dev/null || true
+kill $SERVER_PID $SECOND_SERVER_PID 2>/dev/null || true
 cd ..
 
 # Print final results
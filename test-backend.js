@@ -1,5 +1,43 @@
 #!/usr/bin/env node
 
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Feature suites in backend/, run one after another against the same server once the smoke
+// test above passes. test-login-code.js needs the server started with MAIL_TRANSPORT=file
+// and test-multi-instance.js a second instance, so only run-all-tests.sh runs those.
+const SUITES = [
+  'test-event-management.js',
+  'test-roles.js',
+  'test-capacity.js',
+  'test-waitlist.js',
+  'test-event-lifecycle.js',
+  'test-event-pagination.js',
+  'test-attendee-pagination.js',
+  'test-check-in.js',
+  'test-tickets.js',
+  'test-offline-check-in.js',
+  'test-socket-auth.js',
+  'test-subscriptions.js',
+  'test-presence.js',
+  'test-outbox.js',
+  'test-event-search.js',
+  'test-event-schedule.js',
+  'test-event-time-zones.js',
+  'test-event-series.js',
+  'test-event-sessions.js',
+  'test-venues.js'
+];
+
+// Returns the suites that failed
+function runSuites() {
+  return SUITES.filter(suite => {
+    console.log(`\n▶️  Running ${suite}`);
+    const result = spawnSync(process.execPath, [suite], { cwd: path.join(__dirname, 'backend'), stdio: 'inherit' });
+    return result.status !== 0;
+  });
+}
+
 async function testBackend() {
   try {
     // First install graphql-request if not available
@@ -25,15 +63,23 @@ async function testBackend() {
     console.log('\n1️⃣ Testing GET_EVENTS query...');
     const GET_EVENTS = gql`
       query GetEvents {
-        events {
-          id
-          name
-          location
-          startTime
-          attendees {
-            id
-            name
-            email
+        events(first: 100) {
+          edges {
+            node {
+              id
+              name
+              location
+              startTime
+              attendees(first: 100) {
+                edges {
+                  node {
+                    id
+                    name
+                    email
+                  }
+                }
+              }
+            }
           }
         }
       }
@@ -41,13 +87,26 @@ async function testBackend() {
 
     const eventsData = await request(GRAPHQL_ENDPOINT, GET_EVENTS);
     console.log('✅ GET_EVENTS successful!');
-    console.log(`📊 Found ${eventsData.events.length} events`);
+    console.log(`📊 Found ${eventsData.events.edges.length} events`);
     
-    // Test 2: Test User Creation/Retrieval
-    console.log('\n2️⃣ Testing ME query...');
+    // Test 2: Test Signup and ME query
+    console.log('\n2️⃣ Testing SIGNUP mutation and ME query...');
+    const SIGNUP = gql`
+      mutation Signup($name: String!, $email: String!, $password: String!) {
+        signup(name: $name, email: $email, password: $password) {
+          token
+          user {
+            id
+            name
+            email
+          }
+        }
+      }
+    `;
+
     const GET_ME = gql`
-      query GetMe($email: String!) {
-        me(email: $email) {
+      query GetMe {
+        me {
           id
           name
           email
@@ -55,66 +114,82 @@ async function testBackend() {
       }
     `;
 
-    const testEmail = 'test@example.com';
-    const userData = await request(GRAPHQL_ENDPOINT, GET_ME, { email: testEmail });
+    const testEmail = `test-${Date.now()}@example.com`;
+    const signupData = await request(GRAPHQL_ENDPOINT, SIGNUP, {
+      name: 'Test User',
+      email: testEmail,
+      password: 'password123'
+    });
+    const authHeaders = { Authorization: `Bearer ${signupData.signup.token}` };
+    console.log('✅ SIGNUP successful!');
+
+    const userData = await request(GRAPHQL_ENDPOINT, GET_ME, {}, authHeaders);
+    if (!userData.me || userData.me.email !== testEmail) {
+      throw new Error('ME query did not return the authenticated user');
+    }
     console.log('✅ ME query successful!');
     console.log(`👤 User: ${userData.me.name} (${userData.me.email})`);
 
     // Test 3: Test Join Event Mutation
-    if (eventsData.events.length > 0) {
-      const testEventId = eventsData.events[0].id;
+    if (eventsData.events.edges.length > 0) {
+      const testEventId = eventsData.events.edges[0].node.id;
       console.log('\n3️⃣ Testing JOIN_EVENT mutation...');
       
       const JOIN_EVENT = gql`
-        mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation JoinEvent($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `;
 
       const joinResult = await request(GRAPHQL_ENDPOINT, JOIN_EVENT, {
-        eventId: testEventId,
-        userEmail: testEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log('✅ JOIN_EVENT successful!');
       console.log(`🎉 Joined event: ${joinResult.joinEvent.name}`);
-      console.log(`👥 Total attendees: ${joinResult.joinEvent.attendees.length}`);
+      console.log(`👥 Total attendees: ${joinResult.joinEvent.attendees.edges.length}`);
 
       // Test 4: Test Leave Event Mutation
       console.log('\n4️⃣ Testing LEAVE_EVENT mutation...');
       
       const LEAVE_EVENT = gql`
-        mutation LeaveEvent($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation LeaveEvent($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
       `;
 
       const leaveResult = await request(GRAPHQL_ENDPOINT, LEAVE_EVENT, {
-        eventId: testEventId,
-        userEmail: testEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log('✅ LEAVE_EVENT successful!');
       console.log(`👋 Left event: ${leaveResult.leaveEvent.name}`);
-      console.log(`👥 Remaining attendees: ${leaveResult.leaveEvent.attendees.length}`);
+      console.log(`👥 Remaining attendees: ${leaveResult.leaveEvent.attendees.edges.length}`);
     }
 
-    console.log('\n🎯 All tests passed! Backend is working correctly.');
-    
+    console.log('\n✅ Smoke test passed');
   } catch (error) {
     console.error('\n❌ Backend test failed:');
     console.error('Error message:', error.message);
@@ -131,6 +206,13 @@ async function testBackend() {
     
     process.exit(1);
   }
+
+  const failed = runSuites();
+  if (failed.length > 0) {
+    console.error(`\n❌ ${failed.length} of ${SUITES.length} suites failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  console.log(`\n🎯 All tests passed! Smoke test and ${SUITES.length} suites.`);
 }
 
 testBackend();
\ No newline at end of file
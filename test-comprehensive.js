@@ -53,10 +53,15 @@ const incrementTest = () => {
 };
 
 // GraphQL Helper Functions
-async function graphqlRequest(query, variables = {}) {
+async function graphqlRequest(query, variables = {}, token = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
   const response = await fetch(GRAPHQL_ENDPOINT, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     body: JSON.stringify({ query, variables })
   });
   
@@ -67,6 +72,22 @@ async function graphqlRequest(query, variables = {}) {
   return data.data;
 }
 
+// Signs up a test account once per email and returns its session token
+const testTokens = new Map();
+async function tokenFor(email) {
+  if (!testTokens.has(email)) {
+    const data = await graphqlRequest(`
+      mutation($name: String!, $email: String!, $password: String!) {
+        signup(name: $name, email: $email, password: $password) {
+          token
+        }
+      }
+    `, { name: email.split('@')[0], email, password: 'password123' });
+    testTokens.set(email, data.signup.token);
+  }
+  return testTokens.get(email);
+}
+
 // Test Suite Implementation
 class ComprehensiveTestSuite {
   constructor() {
@@ -184,7 +205,7 @@ class ComprehensiveTestSuite {
     incrementTest();
     try {
       const users = await this.prisma.user.findMany();
-      const events = await this.prisma.event.findMany();
+      const events = await this.prisma.event.findMany({ where: { status: 'PUBLISHED' } });
       
       if (users.length > 0 && events.length > 0) {
         logSuccess(`Database schema working - Found ${users.length} users, ${events.length} events`);
@@ -245,16 +266,16 @@ class ComprehensiveTestSuite {
       // Join event (create relationship)
       await this.prisma.event.update({
         where: { id: event.id },
-        data: { attendees: { connect: { id: user.id } } }
+        data: { registrations: { create: { userId: user.id } } }
       });
       
       // Verify relationship
       const eventWithAttendees = await this.prisma.event.findUnique({
         where: { id: event.id },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
-      const isUserAttending = eventWithAttendees.attendees.some(a => a.id === user.id);
+      const isUserAttending = eventWithAttendees.registrations.some(r => r.userId === user.id);
       
       if (isUserAttending) {
         logSuccess('Database relationship operations working correctly');
@@ -277,22 +298,30 @@ class ComprehensiveTestSuite {
     try {
       const data = await graphqlRequest(`
         query {
-          events {
-            id
-            name
-            location
-            startTime
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                location
+                startTime
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
       `);
       
-      if (data.events && data.events.length > 0) {
-        logSuccess(`GraphQL events query working - Retrieved ${data.events.length} events`);
+      if (data.events.edges.length > 0) {
+        logSuccess(`GraphQL events query working - Retrieved ${data.events.edges.length} events`);
       } else {
         throw new Error('No events returned from GraphQL query');
       }
@@ -304,15 +333,22 @@ class ComprehensiveTestSuite {
     incrementTest();
     try {
       const testEmail = 'alice@example.com';
+      const loginData = await graphqlRequest(`
+        mutation($email: String!, $password: String!) {
+          login(email: $email, password: $password) {
+            token
+          }
+        }
+      `, { email: testEmail, password: 'password123' });
       const data = await graphqlRequest(`
-        query($email: String!) {
-          me(email: $email) {
+        query {
+          me {
             id
             name
             email
           }
         }
-      `, { email: testEmail });
+      `, {}, loginData.login.token);
       
       if (data.me && data.me.email === testEmail) {
         logSuccess('GraphQL me query working correctly');
@@ -330,18 +366,22 @@ class ComprehensiveTestSuite {
       const eventId = this.testData.events[0].id;
       
       const data = await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
-            attendees {
-              id
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  email
+                }
+              }
             }
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
-      const userJoined = data.joinEvent.attendees.some(a => a.email === testEmail);
+      const userJoined = data.joinEvent.attendees.edges.map(edge => edge.node).some(a => a.email === testEmail);
       
       if (userJoined) {
         logSuccess('GraphQL joinEvent mutation working correctly');
@@ -361,27 +401,31 @@ class ComprehensiveTestSuite {
       
       // First join
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Then leave
       const data = await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
-            attendees {
-              id
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  email
+                }
+              }
             }
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
-      const userLeft = !data.leaveEvent.attendees.some(a => a.email === testEmail);
+      const userLeft = !data.leaveEvent.attendees.edges.map(edge => edge.node).some(a => a.email === testEmail);
       
       if (userLeft) {
         logSuccess('GraphQL leaveEvent mutation working correctly');
@@ -446,12 +490,12 @@ class ComprehensiveTestSuite {
       
       // Trigger join via GraphQL
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Wait for real-time events
       await delay(2000);
@@ -477,12 +521,12 @@ class ComprehensiveTestSuite {
       
       // Join first
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Set up listeners
       this.sockets[0].on('userLeft', (data) => {
@@ -495,12 +539,12 @@ class ComprehensiveTestSuite {
       
       // Trigger leave via GraphQL
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Wait for real-time events
       await delay(2000);
@@ -526,20 +570,20 @@ class ComprehensiveTestSuite {
       
       // Join event
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Verify in database
       const eventAfterJoin = await this.prisma.event.findUnique({
         where: { id: eventId },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
-      const userJoinedInDB = eventAfterJoin.attendees.some(a => a.email === testEmail);
+      const userJoinedInDB = eventAfterJoin.registrations.some(r => r.user.email === testEmail);
       
       if (userJoinedInDB) {
         logSuccess('Join operation persisted to database');
@@ -549,20 +593,20 @@ class ComprehensiveTestSuite {
       
       // Leave event
       await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
           }
         }
-      `, { eventId, userEmail: testEmail });
+      `, { eventId }, await tokenFor(testEmail));
       
       // Verify in database
       const eventAfterLeave = await this.prisma.event.findUnique({
         where: { id: eventId },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
-      const userLeftInDB = !eventAfterLeave.attendees.some(a => a.email === testEmail);
+      const userLeftInDB = !eventAfterLeave.registrations.some(r => r.user.email === testEmail);
       
       if (userLeftInDB) {
         logSuccess('Leave operation persisted to database');
@@ -586,14 +630,14 @@ class ComprehensiveTestSuite {
       );
       
       // Join all users concurrently
-      const joinPromises = testEmails.map(email => 
+      const joinPromises = testEmails.map(async email => 
         graphqlRequest(`
-          mutation($eventId: ID!, $userEmail: String!) {
-            joinEvent(eventId: $eventId, userEmail: $userEmail) {
+          mutation($eventId: ID!) {
+            joinEvent(eventId: $eventId) {
               id
             }
           }
-        `, { eventId, userEmail: email })
+        `, { eventId }, await tokenFor(email))
       );
       
       await Promise.all(joinPromises);
@@ -601,11 +645,11 @@ class ComprehensiveTestSuite {
       // Verify all users joined
       const eventWithAttendees = await this.prisma.event.findUnique({
         where: { id: eventId },
-        include: { attendees: true }
+        include: { registrations: { include: { user: true } } }
       });
       
       const allUsersJoined = testEmails.every(email => 
-        eventWithAttendees.attendees.some(a => a.email === email)
+        eventWithAttendees.registrations.some(r => r.user.email === email)
       );
       
       if (allUsersJoined) {
@@ -628,12 +672,12 @@ class ComprehensiveTestSuite {
     try {
       try {
         await graphqlRequest(`
-          mutation($eventId: ID!, $userEmail: String!) {
-            joinEvent(eventId: $eventId, userEmail: $userEmail) {
+          mutation($eventId: ID!) {
+            joinEvent(eventId: $eventId) {
               id
             }
           }
-        `, { eventId: 'invalid-event-id', userEmail: 'test@example.com' });
+        `, { eventId: 'invalid-event-id' }, await tokenFor(`invalid-event-test-${Date.now()}@example.com`));
         
         logError('Should have thrown error for invalid event ID');
       } catch (error) {
@@ -647,25 +691,24 @@ class ComprehensiveTestSuite {
       logError('Error handling test failed', error);
     }
 
-    // Test 2: Leave Event Without Joining
+    // Test 2: Leave Event Without Authentication
     incrementTest();
     try {
       const eventId = this.testData.events[0].id;
-      const testEmail = `error-test-${Date.now()}@example.com`;
       
       try {
         await graphqlRequest(`
-          mutation($eventId: ID!, $userEmail: String!) {
-            leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+          mutation($eventId: ID!) {
+            leaveEvent(eventId: $eventId) {
               id
             }
           }
-        `, { eventId, userEmail: testEmail });
+        `, { eventId });
         
-        logError('Should have thrown error for leaving without joining');
+        logError('Should have thrown error for leaving without authentication');
       } catch (error) {
-        if (error.message.includes('User not found')) {
-          logSuccess('Error handling for leaving without joining working correctly');
+        if (error.message.includes('UNAUTHENTICATED')) {
+          logSuccess('Error handling for unauthenticated leave working correctly');
         } else {
           throw error;
         }
@@ -685,15 +728,23 @@ class ComprehensiveTestSuite {
       
       await graphqlRequest(`
         query {
-          events {
-            id
-            name
-            location
-            startTime
-            attendees {
-              id
-              name
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                name
+                location
+                startTime
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      id
+                      name
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -786,14 +837,14 @@ class ComprehensiveTestSuite {
       
       // Step 1: Create/Get User
       const userData = await graphqlRequest(`
-        query($email: String!) {
-          me(email: $email) {
+        query {
+          me {
             id
             name
             email
           }
         }
-      `, { email: userEmail });
+      `, {}, await tokenFor(userEmail));
       
       if (!userData.me) {
         throw new Error('User creation failed');
@@ -801,18 +852,22 @@ class ComprehensiveTestSuite {
       
       // Step 2: Join Event
       const joinData = await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
-            attendees {
-              id
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  email
+                }
+              }
             }
           }
         }
-      `, { eventId, userEmail });
+      `, { eventId }, await tokenFor(userEmail));
       
-      const userJoined = joinData.joinEvent.attendees.some(a => a.email === userEmail);
+      const userJoined = joinData.joinEvent.attendees.edges.map(edge => edge.node).some(a => a.email === userEmail);
       if (!userJoined) {
         throw new Error('User join failed');
       }
@@ -820,17 +875,25 @@ class ComprehensiveTestSuite {
       // Step 3: Verify Event List
       const eventsData = await graphqlRequest(`
         query {
-          events {
-            id
-            attendees {
-              email
+          events(first: 100) {
+            edges {
+              node {
+                id
+                attendees(first: 100) {
+                  edges {
+                    node {
+                      email
+                    }
+                  }
+                }
+              }
             }
           }
         }
       `);
       
-      const eventWithUser = eventsData.events.find(e => 
-        e.id === eventId && e.attendees.some(a => a.email === userEmail)
+      const eventWithUser = eventsData.events.edges.map(edge => edge.node).find(e => 
+        e.id === eventId && e.attendees.edges.map(edge => edge.node).some(a => a.email === userEmail)
       );
       
       if (!eventWithUser) {
@@ -839,17 +902,21 @@ class ComprehensiveTestSuite {
       
       // Step 4: Leave Event
       const leaveData = await graphqlRequest(`
-        mutation($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
-            attendees {
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  email
+                }
+              }
             }
           }
         }
-      `, { eventId, userEmail });
+      `, { eventId }, await tokenFor(userEmail));
       
-      const userLeft = !leaveData.leaveEvent.attendees.some(a => a.email === userEmail);
+      const userLeft = !leaveData.leaveEvent.attendees.edges.map(edge => edge.node).some(a => a.email === userEmail);
       if (!userLeft) {
         throw new Error('User leave failed');
       }
@@ -11,6 +11,7 @@ const DEMO_USERS = [
   { name: 'Bob Smith', email: 'bob@example.com' },
   { name: 'Charlie Brown', email: 'charlie@example.com' }
 ];
+const DEMO_PASSWORD = 'password123';
 
 const prisma = new PrismaClient();
 
@@ -24,7 +25,7 @@ async function testDatabaseConnection() {
     
     // Test query execution
     const users = await prisma.user.findMany();
-    const events = await prisma.event.findMany({ include: { attendees: true } });
+    const events = await prisma.event.findMany({ include: { registrations: { include: { user: true } } } });
     
     console.log(`✅ Found ${users.length} users in database`);
     console.log(`✅ Found ${events.length} events in database`);
@@ -80,14 +81,22 @@ async function testGraphQLEndpoint() {
   try {
     const query = `
       query {
-        events {
-          id
-          name
-          location
-          attendees {
-            id
-            name
-            email
+        events(first: 100) {
+          edges {
+            node {
+              id
+              name
+              location
+              attendees(first: 100) {
+                edges {
+                  node {
+                    id
+                    name
+                    email
+                  }
+                }
+              }
+            }
           }
         }
       }
@@ -105,16 +114,16 @@ async function testGraphQLEndpoint() {
     
     if (response.ok && !result.errors) {
       console.log('✅ GraphQL endpoint is working');
-      console.log(`✅ Retrieved ${result.data.events.length} events`);
+      console.log(`✅ Retrieved ${result.data.events.edges.length} events`);
       
       // Show some sample data
-      if (result.data.events.length > 0) {
-        const event = result.data.events[0];
+      if (result.data.events.edges.length > 0) {
+        const event = result.data.events.edges[0].node;
         console.log(`   Sample event: "${event.name}" at ${event.location}`);
-        console.log(`   Attendees: ${event.attendees.length}`);
+        console.log(`   Attendees: ${event.attendees.edges.length}`);
       }
       
-      return result.data.events;
+      return result.data.events.edges.map(edge => edge.node);
     } else {
       console.error('❌ GraphQL query failed:', result.errors || 'Unknown error');
       return null;
@@ -130,11 +139,14 @@ async function testUserAuthentication(email) {
   
   try {
     const query = `
-      query GetUser($email: String!) {
-        me(email: $email) {
-          id
-          name
-          email
+      mutation Login($email: String!, $password: String!) {
+        login(email: $email, password: $password) {
+          token
+          user {
+            id
+            name
+            email
+          }
         }
       }
     `;
@@ -146,14 +158,14 @@ async function testUserAuthentication(email) {
       },
       body: JSON.stringify({ 
         query,
-        variables: { email }
+        variables: { email, password: DEMO_PASSWORD }
       }),
     });
     
     const result = await response.json();
     
-    if (response.ok && !result.errors && result.data.me) {
-      const user = result.data.me;
+    if (response.ok && !result.errors && result.data.login) {
+      const user = { ...result.data.login.user, token: result.data.login.token };
       console.log(`✅ Authentication successful for ${email}`);
       console.log(`   User ID: ${user.id}`);
       console.log(`   Name: ${user.name}`);
@@ -184,14 +196,18 @@ async function testEventJoinLeave(user, events) {
     console.log(`📝 Testing join event: "${testEvent.name}"`);
     
     const joinMutation = `
-      mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-        joinEvent(eventId: $eventId, userEmail: $userEmail) {
+      mutation JoinEvent($eventId: ID!) {
+        joinEvent(eventId: $eventId) {
           id
           name
-          attendees {
-            id
-            name
-            email
+          attendees(first: 100) {
+            edges {
+              node {
+                id
+                name
+                email
+              }
+            }
           }
         }
       }
@@ -201,12 +217,12 @@ async function testEventJoinLeave(user, events) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        Authorization: `Bearer ${user.token}`,
       },
       body: JSON.stringify({
         query: joinMutation,
         variables: {
-          eventId: testEvent.id,
-          userEmail: user.email
+          eventId: testEvent.id
         }
       }),
     });
@@ -215,24 +231,28 @@ async function testEventJoinLeave(user, events) {
     
     if (joinResponse.ok && !joinResult.errors) {
       const updatedEvent = joinResult.data.joinEvent;
-      const userJoined = updatedEvent.attendees.some(attendee => attendee.email === user.email);
+      const userJoined = updatedEvent.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === user.email);
       
       console.log(`✅ Join event successful`);
-      console.log(`   Event now has ${updatedEvent.attendees.length} attendees`);
+      console.log(`   Event now has ${updatedEvent.attendees.edges.length} attendees`);
       console.log(`   User in attendees list: ${userJoined ? 'YES' : 'NO'}`);
       
       // Test leaving the event
       console.log(`\n📤 Testing leave event: "${testEvent.name}"`);
       
       const leaveMutation = `
-        mutation LeaveEvent($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation LeaveEvent($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
@@ -242,12 +262,12 @@ async function testEventJoinLeave(user, events) {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${user.token}`,
         },
         body: JSON.stringify({
           query: leaveMutation,
           variables: {
-            eventId: testEvent.id,
-            userEmail: user.email
+            eventId: testEvent.id
           }
         }),
       });
@@ -256,10 +276,10 @@ async function testEventJoinLeave(user, events) {
       
       if (leaveResponse.ok && !leaveResult.errors) {
         const finalEvent = leaveResult.data.leaveEvent;
-        const userLeft = !finalEvent.attendees.some(attendee => attendee.email === user.email);
+        const userLeft = !finalEvent.attendees.edges.map(edge => edge.node).some(attendee => attendee.email === user.email);
         
         console.log(`✅ Leave event successful`);
-        console.log(`   Event now has ${finalEvent.attendees.length} attendees`);
+        console.log(`   Event now has ${finalEvent.attendees.edges.length} attendees`);
         console.log(`   User removed from attendees: ${userLeft ? 'YES' : 'NO'}`);
         
         return userJoined && userLeft;
@@ -76,15 +76,23 @@ async function testGraphQLSchema() {
     console.log('\n2️⃣ Testing Events Query...');
     const GET_EVENTS = gql`
       query GetEvents {
-        events {
-          id
-          name
-          location
-          startTime
-          attendees {
-            id
-            name
-            email
+        events(first: 100) {
+          edges {
+            node {
+              id
+              name
+              location
+              startTime
+              attendees(first: 100) {
+                edges {
+                  node {
+                    id
+                    name
+                    email
+                  }
+                }
+              }
+            }
           }
         }
       }
@@ -92,19 +100,39 @@ async function testGraphQLSchema() {
 
     const eventsData = await request(GRAPHQL_ENDPOINT, GET_EVENTS);
     console.log('✅ GET_EVENTS successful!');
-    console.log(`📊 Found ${eventsData.events.length} events`);
+    console.log(`📊 Found ${eventsData.events.edges.length} events`);
     
-    eventsData.events.forEach((event, index) => {
+    eventsData.events.edges.map(edge => edge.node).forEach((event, index) => {
       console.log(`  ${index + 1}. ${event.name} at ${event.location}`);
       console.log(`     Start: ${event.startTime}`);
-      console.log(`     Attendees: ${event.attendees.length}`);
+      console.log(`     Attendees: ${event.attendees.edges.length}`);
     });
 
-    // Test 3: Me Query (User Creation/Retrieval)
-    console.log('\n3️⃣ Testing Me Query...');
+    // Test 3: Authentication and Me Query
+    console.log('\n3️⃣ Testing Authentication and Me Query...');
+    const SIGNUP = gql`
+      mutation Signup($name: String!, $email: String!, $password: String!) {
+        signup(name: $name, email: $email, password: $password) {
+          token
+          user {
+            id
+            email
+          }
+        }
+      }
+    `;
+
+    const LOGIN = gql`
+      mutation Login($email: String!, $password: String!) {
+        login(email: $email, password: $password) {
+          token
+        }
+      }
+    `;
+
     const GET_ME = gql`
-      query GetMe($email: String!) {
-        me(email: $email) {
+      query GetMe {
+        me {
           id
           name
           email
@@ -112,36 +140,44 @@ async function testGraphQLSchema() {
       }
     `;
 
-    const testEmails = [
-      'john.doe@test.com',
-      'jane.smith@test.com',
-      'invalid-email' // This should fail
-    ];
+    const testUserEmail = `mutation.test.${Date.now()}@example.com`;
+    const testPassword = 'password123';
+    await request(GRAPHQL_ENDPOINT, SIGNUP, { name: 'Mutation Test', email: testUserEmail, password: testPassword });
+    const loginData = await request(GRAPHQL_ENDPOINT, LOGIN, { email: testUserEmail, password: testPassword });
+    const authHeaders = { Authorization: `Bearer ${loginData.login.token}` };
+    console.log(`✅ SIGNUP and LOGIN successful for ${testUserEmail}`);
 
-    for (const email of testEmails) {
-      try {
-        const userData = await request(GRAPHQL_ENDPOINT, GET_ME, { email });
-        console.log(`✅ ME query for ${email}: ${userData.me.name} (${userData.me.email})`);
-      } catch (error) {
-        console.log(`❌ ME query failed for ${email}: ${error.message}`);
-      }
+    const userData = await request(GRAPHQL_ENDPOINT, GET_ME, {}, authHeaders);
+    console.log(`✅ ME query with token: ${userData.me.name} (${userData.me.email})`);
+
+    const anonymousData = await request(GRAPHQL_ENDPOINT, GET_ME);
+    console.log(`✅ ME query without token returns null: ${anonymousData.me === null ? 'YES' : 'NO'}`);
+
+    try {
+      await request(GRAPHQL_ENDPOINT, LOGIN, { email: testUserEmail, password: 'wrong-password' });
+      console.log('❌ Login with wrong password should have failed');
+    } catch (error) {
+      console.log('✅ Login with wrong password properly rejected');
     }
 
     // Test 4: Mutation Testing
-    if (eventsData.events.length > 0) {
-      const testEventId = eventsData.events[0].id;
-      const testUserEmail = 'mutation.test@example.com';
+    if (eventsData.events.edges.length > 0) {
+      const testEventId = eventsData.events.edges[0].node.id;
       
       console.log('\n4️⃣ Testing Join Event Mutation...');
       const JOIN_EVENT = gql`
-        mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation JoinEvent($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
@@ -149,31 +185,33 @@ async function testGraphQLSchema() {
 
       // Test joining an event
       const joinResult = await request(GRAPHQL_ENDPOINT, JOIN_EVENT, {
-        eventId: testEventId,
-        userEmail: testUserEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log(`✅ JOIN_EVENT successful!`);
       console.log(`🎉 Joined event: ${joinResult.joinEvent.name}`);
-      console.log(`👥 Total attendees: ${joinResult.joinEvent.attendees.length}`);
+      console.log(`👥 Total attendees: ${joinResult.joinEvent.attendees.edges.length}`);
 
       // Test joining the same event again (should not duplicate)
       const joinAgainResult = await request(GRAPHQL_ENDPOINT, JOIN_EVENT, {
-        eventId: testEventId,
-        userEmail: testUserEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log(`✅ JOIN_EVENT (duplicate) handled correctly!`);
-      console.log(`👥 Attendees count unchanged: ${joinAgainResult.joinEvent.attendees.length}`);
+      console.log(`👥 Attendees count unchanged: ${joinAgainResult.joinEvent.attendees.edges.length}`);
 
       console.log('\n5️⃣ Testing Leave Event Mutation...');
       const LEAVE_EVENT = gql`
-        mutation LeaveEvent($eventId: ID!, $userEmail: String!) {
-          leaveEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation LeaveEvent($eventId: ID!) {
+          leaveEvent(eventId: $eventId) {
             id
             name
-            attendees {
-              id
-              name
-              email
+            attendees(first: 100) {
+              edges {
+                node {
+                  id
+                  name
+                  email
+                }
+              }
             }
           }
         }
@@ -181,20 +219,18 @@ async function testGraphQLSchema() {
 
       // Test leaving the event
       const leaveResult = await request(GRAPHQL_ENDPOINT, LEAVE_EVENT, {
-        eventId: testEventId,
-        userEmail: testUserEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log(`✅ LEAVE_EVENT successful!`);
       console.log(`👋 Left event: ${leaveResult.leaveEvent.name}`);
-      console.log(`👥 Remaining attendees: ${leaveResult.leaveEvent.attendees.length}`);
+      console.log(`👥 Remaining attendees: ${leaveResult.leaveEvent.attendees.edges.length}`);
 
       // Test leaving an event not joined (should handle gracefully)
       const leaveAgainResult = await request(GRAPHQL_ENDPOINT, LEAVE_EVENT, {
-        eventId: testEventId,
-        userEmail: testUserEmail
-      });
+        eventId: testEventId
+      }, authHeaders);
       console.log(`✅ LEAVE_EVENT (not joined) handled correctly!`);
-      console.log(`👥 Attendees count unchanged: ${leaveAgainResult.leaveEvent.attendees.length}`);
+      console.log(`👥 Attendees count unchanged: ${leaveAgainResult.leaveEvent.attendees.edges.length}`);
     }
 
     // Test 6: Error Handling
@@ -203,8 +239,8 @@ async function testGraphQLSchema() {
     // Test invalid event ID
     try {
       const JOIN_EVENT = gql`
-        mutation JoinEvent($eventId: ID!, $userEmail: String!) {
-          joinEvent(eventId: $eventId, userEmail: $userEmail) {
+        mutation JoinEvent($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
             id
             name
           }
@@ -212,9 +248,8 @@ async function testGraphQLSchema() {
       `;
 
       await request(GRAPHQL_ENDPOINT, JOIN_EVENT, {
-        eventId: 'invalid-event-id',
-        userEmail: 'test@example.com'
-      });
+        eventId: 'invalid-event-id'
+      }, authHeaders);
       console.log('❌ Error handling test failed - should have thrown an error');
     } catch (error) {
       console.log('✅ Error handling works: Invalid event ID properly rejected');
@@ -224,16 +259,30 @@ async function testGraphQLSchema() {
     try {
       await request(GRAPHQL_ENDPOINT, gql`
         mutation {
-          joinEvent(eventId: "", userEmail: "") {
+          joinEvent(eventId: "") {
             id
           }
         }
-      `);
+      `, {}, authHeaders);
       console.log('❌ Error handling test failed - should have thrown an error');
     } catch (error) {
       console.log('✅ Error handling works: Empty parameters properly rejected');
     }
 
+    // Test unauthenticated mutation
+    try {
+      await request(GRAPHQL_ENDPOINT, gql`
+        mutation JoinEvent($eventId: ID!) {
+          joinEvent(eventId: $eventId) {
+            id
+          }
+        }
+      `, { eventId: eventsData.events.edges[0]?.node.id || 'any' });
+      console.log('❌ Error handling test failed - unauthenticated join should have thrown an error');
+    } catch (error) {
+      console.log('✅ Error handling works: Unauthenticated join properly rejected');
+    }
+
     console.log('\n' + '='.repeat(60));
     console.log('🎯 All GraphQL schema tests completed successfully!');
     console.log('📚 Schema is well documented and functional');